@@ -5,6 +5,8 @@ const crypto = require('crypto');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'verify.db');
 
+const EXPIRY_MS = 30 * 24 * 60 * 60 * 1000; // verification is valid for 30 days
+
 let db;
 let dbReady;
 
@@ -57,9 +59,43 @@ function initTables() {
       expires_at TEXT,
       revoked INTEGER DEFAULT 0,
       created_at TEXT,
-      updated_at TEXT
+      updated_at TEXT,
+      renewal_code TEXT,
+      renewed_at TEXT,
+      expired_at TEXT,
+      decayed_at TEXT,
+      revoked_at TEXT,
+      revoked_reason TEXT,
+      challenge_method TEXT,
+      challenge_target TEXT,
+      confirmed_identity TEXT,
+      proof_pubkey TEXT,
+      proof_nonce TEXT,
+      proof_nonce_expires_at INTEGER,
+      proof_last_nonce TEXT,
+      proof_last_signature TEXT,
+      webhook_nonce TEXT,
+      webhook_nonce_expires_at INTEGER
     )
   `);
+  ensureColumns('agents', {
+    renewal_code: 'TEXT',
+    renewed_at: 'TEXT',
+    expired_at: 'TEXT',
+    decayed_at: 'TEXT',
+    revoked_at: 'TEXT',
+    revoked_reason: 'TEXT',
+    challenge_method: 'TEXT',
+    challenge_target: 'TEXT',
+    confirmed_identity: 'TEXT',
+    proof_pubkey: 'TEXT',
+    proof_nonce: 'TEXT',
+    proof_nonce_expires_at: 'INTEGER',
+    proof_last_nonce: 'TEXT',
+    proof_last_signature: 'TEXT',
+    webhook_nonce: 'TEXT',
+    webhook_nonce_expires_at: 'INTEGER'
+  });
   db.run(`
     CREATE TABLE IF NOT EXISTS sybil_signals (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -69,6 +105,16 @@ function initTables() {
       detected_at TEXT
     )
   `);
+  // One row per (agent, type, value). Older databases can hold repeats: the first of
+  // each is kept, once, before the index that prevents them is created.
+  if (!oneRow("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_sybil_signals_unique'")) {
+    db.run(`
+      DELETE FROM sybil_signals WHERE id NOT IN (
+        SELECT MIN(id) FROM sybil_signals GROUP BY agent_id, signal_type, signal_value
+      )
+    `);
+    db.run('CREATE UNIQUE INDEX idx_sybil_signals_unique ON sybil_signals (agent_id, signal_type, signal_value)');
+  }
   db.run(`
     CREATE TABLE IF NOT EXISTS audit_log (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -85,7 +131,111 @@ function initTables() {
       agent_id TEXT,
       memo TEXT,
       created_at TEXT,
-      retries INTEGER DEFAULT 0
+      retries INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending',
+      last_error TEXT,
+      last_attempt_at TEXT,
+      next_attempt_at TEXT,
+      anchor_id INTEGER
+    )
+  `);
+  ensureColumns('pending_anchors', {
+    status: "TEXT DEFAULT 'pending'",
+    last_error: 'TEXT',
+    last_attempt_at: 'TEXT',
+    next_attempt_at: 'TEXT',
+    anchor_id: 'INTEGER'
+  });
+  db.run(`
+    CREATE TABLE IF NOT EXISTS anchors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      memo TEXT,
+      signature TEXT,
+      cluster TEXT,
+      backend TEXT,
+      slot INTEGER,
+      status TEXT NOT NULL,
+      last_error TEXT,
+      created_at TEXT,
+      anchored_at TEXT,
+      batch_id INTEGER,
+      leaf_index INTEGER,
+      proof TEXT
+    )
+  `);
+  ensureColumns('anchors', {
+    backend: 'TEXT',
+    batch_id: 'INTEGER',
+    leaf_index: 'INTEGER',
+    proof: 'TEXT'
+  });
+  db.run(`
+    CREATE TABLE IF NOT EXISTS anchor_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      root TEXT NOT NULL,
+      leaf_count INTEGER NOT NULL,
+      memo TEXT NOT NULL,
+      signature TEXT,
+      slot INTEGER,
+      status TEXT NOT NULL DEFAULT 'pending',
+      retries INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TEXT,
+      created_at TEXT,
+      anchored_at TEXT
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS wallet_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pubkey TEXT NOT NULL,
+      source TEXT,
+      activated_at TEXT NOT NULL,
+      retired_at TEXT
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner TEXT NOT NULL,
+      url TEXT NOT NULL,
+      agent_ids TEXT,
+      events TEXT,
+      secret TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      deleted_at TEXT
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      agent_id TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at TEXT,
+      response_status INTEGER,
+      last_error TEXT,
+      replay_of INTEGER,
+      created_at TEXT NOT NULL,
+      delivered_at TEXT
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS liveness_checks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id TEXT NOT NULL,
+      api_endpoint TEXT,
+      ok INTEGER NOT NULL,
+      status INTEGER,
+      latency_ms INTEGER,
+      reason TEXT,
+      checked_at TEXT NOT NULL
     )
   `);
   db.run(`
@@ -94,6 +244,8 @@ function initTables() {
       fingerprint TEXT,
       fingerprint_uniqueness REAL,
       fingerprint_features TEXT,
+      fingerprint_source TEXT,
+      fingerprint_post_count INTEGER,
       depin_provider TEXT,
       depin_device_pda TEXT,
       depin_binding_hash TEXT,
@@ -103,21 +255,93 @@ function initTables() {
       mobile_on_chain_sig TEXT,
       behavioral_at TEXT,
       hardware_at TEXT,
-      mobile_at TEXT
+      mobile_at TEXT,
+      infra_type TEXT,
+      infra_probe TEXT,
+      infra_probed_at TEXT,
+      code_host TEXT,
+      code_repo TEXT,
+      code_commit TEXT,
+      code_proof_file TEXT,
+      code_verified_at TEXT,
+      code_status TEXT,
+      code_checked_at TEXT
     )
   `);
+  ensureColumns('extended_verification', {
+    fingerprint_source: 'TEXT',
+    fingerprint_post_count: 'INTEGER',
+    infra_type: 'TEXT',
+    infra_probe: 'TEXT',
+    infra_probed_at: 'TEXT',
+    code_host: 'TEXT',
+    code_repo: 'TEXT',
+    code_commit: 'TEXT',
+    code_proof_file: 'TEXT',
+    code_verified_at: 'TEXT',
+    code_status: 'TEXT',
+    code_checked_at: 'TEXT'
+  });
   db.run(`
-    CREATE TABLE IF NOT EXISTS mobile_challenges (
+    CREATE TABLE IF NOT EXISTS signals (
+      agent_id TEXT NOT NULL,
+      signal TEXT NOT NULL,
+      value TEXT,
+      evidence TEXT,
+      source TEXT,
+      evaluated_at TEXT,
+      PRIMARY KEY (agent_id, signal)
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS wallet_challenges (
       agent_id TEXT PRIMARY KEY,
-      challenge TEXT NOT NULL,
+      wallet TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used INTEGER DEFAULT 0,
+      created_at TEXT
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS sybil_clusters (
+      cluster_id TEXT PRIMARY KEY,
+      members TEXT NOT NULL,
+      status TEXT NOT NULL,
+      reason TEXT,
+      risk_score INTEGER,
+      decided_at TEXT
+    )
+  `);
+  // The first mobile_challenges schema (one row per agent) was never written to:
+  // replace it so an agent can hold several outstanding challenges
+  if (allRows('PRAGMA table_info(mobile_challenges)').some(c => c.name === 'agent_id' && c.pk)) {
+    db.run('DROP TABLE mobile_challenges');
+  }
+  db.run(`
+    CREATE TABLE IF NOT EXISTS mobile_challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      agent_id TEXT NOT NULL,
+      challenge TEXT NOT NULL UNIQUE,
       expires_at INTEGER NOT NULL,
       used INTEGER DEFAULT 0,
+      used_at TEXT,
       created_at TEXT
     )
   `);
   saveDb();
 }
 
+// Helper: add columns introduced after a table was first created
+function ensureColumns(table, columns) {
+  const existing = allRows(`PRAGMA table_info(${table})`).map(c => c.name);
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
 // Helper: run a SELECT and return array of objects
 function allRows(sql, params = []) {
   const stmt = db.prepare(sql);
@@ -148,22 +372,22 @@ function getAgent(id) {
   return oneRow('SELECT * FROM agents WHERE id = ?', [id]);
 }
 
-function createAgent({ id, name, description, capabilities, challengeCode, ipHash, termsVersion }) {
+function createAgent({ id, name, description, capabilities, challengeCode, challengeMethod, challengeTarget, proofPubkey, ipHash, termsVersion }) {
   const now = new Date().toISOString();
-  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+  const expiresAt = new Date(Date.now() + EXPIRY_MS).toISOString();
   db.run(`
-    INSERT INTO agents (id, name, description, capabilities, level, level_label, challenge_code, ip_hash, terms_version, terms_accepted_at, registered_at, expires_at, created_at, updated_at)
-    VALUES (?, ?, ?, ?, 0, 'registered', ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO agents (id, name, description, capabilities, level, level_label, challenge_code, challenge_method, challenge_target, proof_pubkey, ip_hash, terms_version, terms_accepted_at, registered_at, expires_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 0, 'registered', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `, [id, name || null, description || null, capabilities ? JSON.stringify(capabilities) : null,
-    challengeCode, ipHash, termsVersion, now, now, expiresAt, now, now]);
+    challengeCode, challengeMethod || null, challengeTarget || null, proofPubkey || null, ipHash, termsVersion, now, now, expiresAt, now, now]);
   saveDb();
 }
 
 function confirmAgent(id, challengeToken) {
   const now = new Date().toISOString();
-  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+  const expiresAt = new Date(Date.now() + EXPIRY_MS).toISOString();
   db.run(`
-    UPDATE agents SET level = 1, level_label = 'confirmed', challenge_token = ?, confirmed_at = ?, expires_at = ?, updated_at = ?
+    UPDATE agents SET challenge_token = ?, confirmed_at = ?, expires_at = ?, updated_at = ?
     WHERE id = ?
   `, [challengeToken, now, expiresAt, now, id]);
   saveDb();
@@ -171,45 +395,175 @@ function confirmAgent(id, challengeToken) {
 
 function verifyAgent(id, { apiEndpoint, codeUrl, onChainSig }) {
   const now = new Date().toISOString();
-  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+  const expiresAt = new Date(Date.now() + EXPIRY_MS).toISOString();
   db.run(`
-    UPDATE agents SET level = 2, level_label = 'verified', api_endpoint = ?, code_url = ?, on_chain_sig = ?, verified_at = ?, expires_at = ?, updated_at = ?
+    UPDATE agents SET api_endpoint = ?, code_url = ?, on_chain_sig = ?, verified_at = ?, expires_at = ?, updated_at = ?
     WHERE id = ?
   `, [apiEndpoint, codeUrl, onChainSig || null, now, expiresAt, now, id]);
   saveDb();
 }
 
+/**
+ * Spend the outstanding proof nonce, keeping it and the accepted signature for liveness checks
+ */
+function spendProofNonce(id, nonce, signature) {
+  db.run(`
+    UPDATE agents SET proof_nonce = NULL, proof_nonce_expires_at = NULL, proof_last_nonce = ?, proof_last_signature = ?, updated_at = ?
+    WHERE id = ?
+  `, [nonce, signature, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function setConfirmedIdentity(id, identity) {
+  db.run('UPDATE agents SET confirmed_identity = ?, updated_at = ? WHERE id = ?', [identity, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function getAgentByConfirmedIdentity(identity) {
+  return oneRow('SELECT * FROM agents WHERE confirmed_identity = ?', [identity]);
+}
+
+function setProofNonce(id, nonce, expiresAt) {
+  db.run('UPDATE agents SET proof_nonce = ?, proof_nonce_expires_at = ?, updated_at = ? WHERE id = ?',
+    [nonce, expiresAt, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function setWebhookNonce(id, nonce, expiresAt) {
+  db.run('UPDATE agents SET webhook_nonce = ?, webhook_nonce_expires_at = ?, updated_at = ? WHERE id = ?',
+    [nonce, expiresAt, new Date().toISOString(), id]);
+  saveDb();
+}
+
 function updateOnChainSig(id, sig) {
   db.run('UPDATE agents SET on_chain_sig = ?, updated_at = ? WHERE id = ?', [sig, new Date().toISOString(), id]);
   saveDb();
 }
 
+// --- Expiry & Renewal ---
+
+function setChallengeTarget(id, target) {
+  db.run('UPDATE agents SET challenge_target = ?, updated_at = ? WHERE id = ?', [target, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function setRenewalCode(id, code) {
+  db.run('UPDATE agents SET renewal_code = ?, updated_at = ? WHERE id = ?', [code, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function renewAgent(id) {
+  const now = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + EXPIRY_MS).toISOString();
+  db.run(`
+    UPDATE agents SET expires_at = ?, renewed_at = ?, renewal_code = NULL, expired_at = NULL, decayed_at = NULL, updated_at = ?
+    WHERE id = ?
+  `, [expiresAt, now, now, id]);
+  saveDb();
+  return expiresAt;
+}
+
+// Agents past expires_at that the sweeper hasn't processed yet
+function getNewlyExpiredAgents() {
+  return allRows(
+    'SELECT * FROM agents WHERE revoked = 0 AND expires_at < ? AND expired_at IS NULL',
+    [new Date().toISOString()]
+  );
+}
+
+function markAgentExpired(id) {
+  const now = new Date().toISOString();
+  db.run('UPDATE agents SET expired_at = ?, updated_at = ? WHERE id = ?', [now, now, id]);
+  saveDb();
+}
+
+// Expired agents whose grace period ended before `cutoff` and that still hold a level
+function getAgentsToDecay(cutoff) {
+  return allRows(
+    'SELECT * FROM agents WHERE revoked = 0 AND level > 0 AND expires_at < ? AND decayed_at IS NULL',
+    [cutoff]
+  );
+}
+
+// challengeCode is only passed when decaying to L0, so the old forum post can't be reused
+function decayAgent(id, level, label, challengeCode) {
+  const now = new Date().toISOString();
+  if (challengeCode) {
+    db.run(`
+      UPDATE agents SET level = ?, level_label = ?, challenge_code = ?, challenge_token = NULL, decayed_at = ?, updated_at = ?
+      WHERE id = ?
+    `, [level, label, challengeCode, now, now, id]);
+  } else {
+    db.run(`
+      UPDATE agents SET level = ?, level_label = ?, decayed_at = ?, updated_at = ?
+      WHERE id = ?
+    `, [level, label, now, now, id]);
+  }
+  saveDb();
+}
+
+// --- Admin Overrides ---
+
+function revokeAgent(id, reason) {
+  const now = new Date().toISOString();
+  db.run('UPDATE agents SET revoked = 1, revoked_at = ?, revoked_reason = ?, updated_at = ? WHERE id = ?',
+    [now, reason, now, id]);
+  saveDb();
+}
+
+function reinstateAgent(id) {
+  db.run('UPDATE agents SET revoked = 0, revoked_at = NULL, revoked_reason = NULL, updated_at = ? WHERE id = ?',
+    [new Date().toISOString(), id]);
+  saveDb();
+}
+
+// Level is a derived view over signals (lib/signals.js syncLevel); this just stores it
+function setAgentLevel(id, level, label) {
+  db.run('UPDATE agents SET level = ?, level_label = ?, updated_at = ? WHERE id = ?',
+    [level, label, new Date().toISOString(), id]);
+  saveDb();
+}
+
+// Replace the L0 challenge code and drop any pending renewal code
+function resetChallenge(id, challengeCode) {
+  db.run('UPDATE agents SET challenge_code = ?, renewal_code = NULL, updated_at = ? WHERE id = ?',
+    [challengeCode, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function getAuditLog(agentId) {
+  return allRows('SELECT * FROM audit_log WHERE agent_id = ? ORDER BY id', [agentId]);
+}
+
 // --- Extended Verification (L3/L4/L5) ---
 
 function getExtendedVerification(agentId) {
   return oneRow('SELECT * FROM extended_verification WHERE agent_id = ?', [agentId]);
 }
 
-function setBehavioral(agentId, { fingerprint, uniqueness, features }) {
+function setBehavioral(agentId, { fingerprint, uniqueness, features, source, postCount }) {
   const now = new Date().toISOString();
   const existing = getExtendedVerification(agentId);
   if (existing) {
     db.run(`
       UPDATE extended_verification
-      SET fingerprint = ?, fingerprint_uniqueness = ?, fingerprint_features = ?, behavioral_at = ?
+      SET fingerprint = ?, fingerprint_uniqueness = ?, fingerprint_features = ?,
+          fingerprint_source = ?, fingerprint_post_count = ?, behavioral_at = ?
       WHERE agent_id = ?
-    `, [fingerprint, uniqueness, JSON.stringify(features), now, agentId]);
+    `, [fingerprint, uniqueness, JSON.stringify(features), source || null, postCount || null, now, agentId]);
   } else {
     db.run(`
-      INSERT INTO extended_verification (agent_id, fingerprint, fingerprint_uniqueness, fingerprint_features, behavioral_at)
-      VALUES (?, ?, ?, ?, ?)
-    `, [agentId, fingerprint, uniqueness, JSON.stringify(features), now]);
+      INSERT INTO extended_verification (agent_id, fingerprint, fingerprint_uniqueness, fingerprint_features, fingerprint_source, fingerprint_post_count, behavioral_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [agentId, fingerprint, uniqueness, JSON.stringify(features), source || null, postCount || null, now]);
   }
-  // Update agent level
-  db.run('UPDATE agents SET level = 3, level_label = ?, updated_at = ? WHERE id = ?', ['behavioral', now, agentId]);
   saveDb();
 }
 
+function getStoredFingerprints() {
+  return allRows('SELECT agent_id, fingerprint, fingerprint_features FROM extended_verification WHERE fingerprint_features IS NOT NULL ORDER BY agent_id');
+}
+
 function setHardware(agentId, { provider, devicePDA, bindingHash, onChainSig }) {
   const now = new Date().toISOString();
   const existing = getExtendedVerification(agentId);
@@ -225,7 +579,6 @@ function setHardware(agentId, { provider, devicePDA, bindingHash, onChainSig })
       VALUES (?, ?, ?, ?, ?, ?)
     `, [agentId, provider, devicePDA, bindingHash, onChainSig, now]);
   }
-  db.run('UPDATE agents SET level = 4, level_label = ?, updated_at = ? WHERE id = ?', ['hardware', now, agentId]);
   saveDb();
 }
 
@@ -244,10 +597,66 @@ function setMobile(agentId, { devicePubkey, onChainSig }) {
       VALUES (?, ?, 1, ?, ?)
     `, [agentId, devicePubkey, onChainSig, now]);
   }
-  db.run('UPDATE agents SET level = 5, level_label = ?, updated_at = ? WHERE id = ?', ['mobile', now, agentId]);
   saveDb();
 }
 
+function setInfraProbe(agentId, infraType, probe) {
+  const now = new Date().toISOString();
+  const existing = getExtendedVerification(agentId);
+  if (existing) {
+    db.run(`
+      UPDATE extended_verification SET infra_type = ?, infra_probe = ?, infra_probed_at = ?
+      WHERE agent_id = ?
+    `, [infraType, JSON.stringify(probe), now, agentId]);
+  } else {
+    db.run(`
+      INSERT INTO extended_verification (agent_id, infra_type, infra_probe, infra_probed_at)
+      VALUES (?, ?, ?, ?)
+    `, [agentId, infraType, JSON.stringify(probe), now]);
+  }
+  saveDb();
+}
+
+/**
+ * Record the repository and commit a codeUrl was verified at (repo null clears it)
+ */
+function setCodeRepo(agentId, repo) {
+  const now = new Date().toISOString();
+  const values = repo
+    ? [repo.host, repo.path, repo.commit, repo.proofFile, now, 'ok', now]
+    : [null, null, null, null, null, null, null];
+  if (getExtendedVerification(agentId)) {
+    db.run(`
+      UPDATE extended_verification SET code_host = ?, code_repo = ?, code_commit = ?, code_proof_file = ?,
+        code_verified_at = ?, code_status = ?, code_checked_at = ?
+      WHERE agent_id = ?
+    `, values.concat(agentId));
+  } else {
+    db.run(`
+      INSERT INTO extended_verification (agent_id, code_host, code_repo, code_commit, code_proof_file, code_verified_at, code_status, code_checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [agentId].concat(values));
+  }
+  saveDb();
+}
+
+function setCodeRepoStatus(agentId, status) {
+  db.run('UPDATE extended_verification SET code_status = ?, code_checked_at = ? WHERE agent_id = ?',
+    [status, new Date().toISOString(), agentId]);
+  saveDb();
+}
+
+/**
+ * Recorded repositories of L2+, non-revoked agents
+ */
+function getVerifiedCodeRepos() {
+  return allRows(`
+    SELECT e.agent_id, e.code_host, e.code_repo, e.code_commit, e.code_status
+    FROM extended_verification e JOIN agents a ON a.id = e.agent_id
+    WHERE e.code_commit IS NOT NULL AND a.level >= 2 AND a.revoked = 0
+  `);
+}
+
 function updateExtendedOnChainSig(agentId, field, sig) {
   const now = new Date().toISOString();
   if (field === 'depin') {
@@ -258,6 +667,106 @@ function updateExtendedOnChainSig(agentId, field, sig) {
   saveDb();
 }
 
+// --- Wallet Ownership (economic stake) ---
+
+function setWalletChallenge(agentId, wallet, nonce, expiresAt) {
+  db.run(`
+    INSERT OR REPLACE INTO wallet_challenges (agent_id, wallet, nonce, expires_at, used, created_at)
+    VALUES (?, ?, ?, ?, 0, ?)
+  `, [agentId, wallet, nonce, expiresAt, new Date().toISOString()]);
+  saveDb();
+}
+
+function getWalletChallenge(agentId) {
+  return oneRow('SELECT * FROM wallet_challenges WHERE agent_id = ?', [agentId]);
+}
+
+function markWalletChallengeUsed(agentId) {
+  db.run('UPDATE wallet_challenges SET used = 1 WHERE agent_id = ?', [agentId]);
+  saveDb();
+}
+
+function setAgentWallet(id, wallet) {
+  db.run('UPDATE agents SET wallet = ?, updated_at = ? WHERE id = ?', [wallet, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function getAgentsByWallet(wallet) {
+  return allRows('SELECT * FROM agents WHERE wallet = ?', [wallet]);
+}
+
+// --- Mobile Challenges (L5) ---
+
+function addMobileChallenge(agentId, challenge, expiresAt) {
+  db.run(
+    'INSERT INTO mobile_challenges (agent_id, challenge, expires_at, used, created_at) VALUES (?, ?, ?, 0, ?)',
+    [agentId, challenge, expiresAt, new Date().toISOString()]
+  );
+  const id = oneRow('SELECT last_insert_rowid() as id').id;
+  saveDb();
+  return id;
+}
+
+/**
+ * Unused, unexpired challenges for an agent, newest first
+ */
+function getOutstandingMobileChallenges(agentId, now) {
+  return allRows(
+    'SELECT * FROM mobile_challenges WHERE agent_id = ? AND used = 0 AND expires_at >= ? ORDER BY id DESC',
+    [agentId, now]
+  );
+}
+
+function getLatestMobileChallenge(agentId) {
+  return oneRow('SELECT * FROM mobile_challenges WHERE agent_id = ? ORDER BY id DESC LIMIT 1', [agentId]);
+}
+
+/**
+ * Consume a challenge; only the first caller wins
+ * @returns {boolean} true if this call marked it used
+ */
+function consumeMobileChallenge(id) {
+  db.run('UPDATE mobile_challenges SET used = 1, used_at = ? WHERE id = ? AND used = 0', [new Date().toISOString(), id]);
+  const consumed = db.getRowsModified() === 1;
+  if (consumed) saveDb();
+  return consumed;
+}
+
+function deleteMobileChallenges(agentId) {
+  db.run('DELETE FROM mobile_challenges WHERE agent_id = ? AND used = 0', [agentId]);
+  const deleted = db.getRowsModified();
+  saveDb();
+  return deleted;
+}
+
+function purgeExpiredMobileChallenges(cutoff) {
+  db.run('DELETE FROM mobile_challenges WHERE expires_at < ?', [cutoff]);
+  const purged = db.getRowsModified();
+  if (purged) saveDb();
+  return purged;
+}
+
+// --- Signals ---
+
+function getSignals(agentId) {
+  return allRows('SELECT * FROM signals WHERE agent_id = ?', [agentId]);
+}
+
+function setSignal(agentId, signal, value, evidence, source) {
+  db.run(`
+    INSERT INTO signals (agent_id, signal, value, evidence, source, evaluated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (agent_id, signal) DO UPDATE SET
+      value = excluded.value, evidence = excluded.evidence, source = excluded.source, evaluated_at = excluded.evaluated_at
+  `, [agentId, signal, JSON.stringify(value), evidence ? JSON.stringify(evidence) : null, source || null, new Date().toISOString()]);
+  saveDb();
+}
+
+function countAgentsWithSignals() {
+  const row = oneRow('SELECT COUNT(DISTINCT agent_id) as cnt FROM signals');
+  return row ? row.cnt : 0;
+}
+
 function getAllAgents() {
   return allRows('SELECT * FROM agents');
 }
@@ -287,27 +796,80 @@ function addAuditLog(agentId, action, details, ipHash) {
 }
 
 // --- Sybil Signals ---
+
+/**
+ * Record a sybil signal once per (agent, type, value); repeats are ignored
+ * @returns {boolean} whether a new row was added
+ */
 function addSybilSignal(agentId, signalType, signalValue) {
   db.run(
-    'INSERT INTO sybil_signals (agent_id, signal_type, signal_value, detected_at) VALUES (?, ?, ?, ?)',
+    'INSERT OR IGNORE INTO sybil_signals (agent_id, signal_type, signal_value, detected_at) VALUES (?, ?, ?, ?)',
     [agentId, signalType, signalValue, new Date().toISOString()]
   );
-  saveDb();
+  const added = db.getRowsModified() > 0;
+  if (added) saveDb();
+  return added;
 }
 
 function getSybilSignals(agentId) {
   return allRows('SELECT * FROM sybil_signals WHERE agent_id = ?', [agentId]);
 }
 
+function getSybilSignalsByType(signalType) {
+  return allRows('SELECT * FROM sybil_signals WHERE signal_type = ? ORDER BY id', [signalType]);
+}
+
+// --- Sybil Clusters ---
+
+/**
+ * Every agent with the attributes that can link it to another agent
+ */
+function getLinkableAgents() {
+  return allRows(`
+    SELECT a.id, a.level, a.revoked, a.ip_hash, a.api_endpoint, a.wallet,
+           e.depin_device_pda, e.mobile_device_pubkey
+    FROM agents a LEFT JOIN extended_verification e ON e.agent_id = a.id
+    ORDER BY a.id
+  `);
+}
+
+function getClusterDecisions() {
+  return allRows('SELECT * FROM sybil_clusters ORDER BY decided_at');
+}
+
+function setClusterDecision(clusterId, members, status, reason, riskScore) {
+  db.run(`
+    INSERT OR REPLACE INTO sybil_clusters (cluster_id, members, status, reason, risk_score, decided_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [clusterId, JSON.stringify(members), status, reason, riskScore, new Date().toISOString()]);
+  saveDb();
+}
+
 // --- Pending Anchors ---
-function addPendingAnchor(agentId, memo) {
-  db.run('INSERT INTO pending_anchors (agent_id, memo, created_at) VALUES (?, ?, ?)',
-    [agentId, memo, new Date().toISOString()]);
+function addPendingAnchor(agentId, memo, anchorId) {
+  const now = new Date().toISOString();
+  db.run(`
+    INSERT INTO pending_anchors (agent_id, memo, created_at, status, next_attempt_at, anchor_id)
+    VALUES (?, ?, ?, 'pending', ?, ?)
+  `, [agentId, memo, now, now, anchorId || null]);
   saveDb();
 }
 
-function getPendingAnchors() {
-  return allRows('SELECT * FROM pending_anchors WHERE retries < 5');
+function getPendingAnchor(id) {
+  return oneRow('SELECT * FROM pending_anchors WHERE id = ?', [id]);
+}
+
+// status: 'pending' | 'dead' | 'all'
+function getPendingAnchors(status = 'pending') {
+  if (status === 'all') return allRows('SELECT * FROM pending_anchors ORDER BY id');
+  return allRows('SELECT * FROM pending_anchors WHERE status = ? ORDER BY id', [status]);
+}
+
+function getDueAnchors() {
+  return allRows(
+    "SELECT * FROM pending_anchors WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= ?) ORDER BY id",
+    [new Date().toISOString()]
+  );
 }
 
 function removePendingAnchor(id) {
@@ -315,8 +877,303 @@ function removePendingAnchor(id) {
   saveDb();
 }
 
-function incrementPendingAnchorRetry(id) {
-  db.run('UPDATE pending_anchors SET retries = retries + 1 WHERE id = ?', [id]);
+function incrementPendingAnchorRetry(id, error, nextAttemptAt) {
+  db.run(`
+    UPDATE pending_anchors SET retries = retries + 1, last_error = ?, last_attempt_at = ?, next_attempt_at = ?
+    WHERE id = ?
+  `, [error || null, new Date().toISOString(), nextAttemptAt, id]);
+  saveDb();
+}
+
+function markPendingAnchorDead(id, error) {
+  db.run(`
+    UPDATE pending_anchors SET status = 'dead', retries = retries + 1, last_error = ?, last_attempt_at = ?, next_attempt_at = NULL
+    WHERE id = ?
+  `, [error || null, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function resetPendingAnchor(id) {
+  db.run(`
+    UPDATE pending_anchors SET status = 'pending', retries = 0, next_attempt_at = ?
+    WHERE id = ?
+  `, [new Date().toISOString(), id]);
+  saveDb();
+}
+
+function purgePendingAnchors(status) {
+  const before = getPendingAnchors(status).length;
+  if (status === 'all') db.run('DELETE FROM pending_anchors');
+  else db.run('DELETE FROM pending_anchors WHERE status = ?', [status]);
+  saveDb();
+  return before;
+}
+
+// --- Anchor History ---
+
+function addAnchor(agentId, event, memo, cluster, backend, status, signature) {
+  const now = new Date().toISOString();
+  db.run(`
+    INSERT INTO anchors (agent_id, event, memo, signature, cluster, backend, status, created_at, anchored_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [agentId, event, memo, signature || null, cluster, backend, status, now, signature ? now : null]);
+  const id = oneRow('SELECT last_insert_rowid() as id').id;
+  saveDb();
+  return id;
+}
+
+function confirmAnchor(id, signature, slot) {
+  db.run(`
+    UPDATE anchors SET status = 'confirmed', signature = ?, slot = ?, last_error = NULL, anchored_at = ?
+    WHERE id = ?
+  `, [signature, slot, new Date().toISOString(), id]);
+  saveDb();
+}
+
+function setAnchorStatus(id, status, error) {
+  db.run('UPDATE anchors SET status = ?, last_error = ? WHERE id = ?', [status, error || null, id]);
+  saveDb();
+}
+
+function linkPendingAnchor(id, anchorId) {
+  db.run('UPDATE pending_anchors SET anchor_id = ? WHERE id = ?', [anchorId, id]);
+  saveDb();
+}
+
+function getAnchors(agentId) {
+  return allRows('SELECT * FROM anchors WHERE agent_id = ? ORDER BY id DESC', [agentId]);
+}
+
+function countAnchors() {
+  return oneRow('SELECT COUNT(*) as cnt FROM anchors').cnt;
+}
+
+function getAnchor(id) {
+  return oneRow('SELECT * FROM anchors WHERE id = ?', [id]);
+}
+
+function getAnchorsBySignature(signature) {
+  return allRows('SELECT * FROM anchors WHERE signature = ? ORDER BY id', [signature]);
+}
+
+// --- Anchor Batches ---
+
+function getUnbatchedAnchors() {
+  return allRows("SELECT * FROM anchors WHERE status = 'batched' AND batch_id IS NULL ORDER BY id");
+}
+
+/**
+ * Create a batch and attach its anchors (leaf order = anchorIds order)
+ * @param {number[]} anchorIds
+ * @param {Array<Array<object>>} proofs - proof per anchor, same order
+ */
+function addAnchorBatch(root, memo, anchorIds, proofs) {
+  db.run(`
+    INSERT INTO anchor_batches (root, leaf_count, memo, status, created_at)
+    VALUES (?, ?, ?, 'pending', ?)
+  `, [root, anchorIds.length, memo, new Date().toISOString()]);
+  const id = oneRow('SELECT last_insert_rowid() as id').id;
+  anchorIds.forEach((anchorId, i) => {
+    db.run("UPDATE anchors SET batch_id = ?, leaf_index = ?, proof = ?, status = 'pending' WHERE id = ?",
+      [id, i, JSON.stringify(proofs[i]), anchorId]);
+  });
+  saveDb();
+  return id;
+}
+
+function getAnchorBatch(id) {
+  return oneRow('SELECT * FROM anchor_batches WHERE id = ?', [id]);
+}
+
+function getUnconfirmedBatches() {
+  return allRows("SELECT * FROM anchor_batches WHERE status != 'confirmed' ORDER BY id");
+}
+
+/**
+ * Unconfirmed batches still being retried whose backoff has elapsed
+ */
+function getDueBatches() {
+  return allRows(
+    "SELECT * FROM anchor_batches WHERE status IN ('pending', 'queued') AND (next_attempt_at IS NULL OR next_attempt_at <= ?) ORDER BY id",
+    [new Date().toISOString()]
+  );
+}
+
+function getBatchAnchors(batchId) {
+  return allRows('SELECT * FROM anchors WHERE batch_id = ? ORDER BY leaf_index', [batchId]);
+}
+
+function confirmAnchorBatch(id, signature, slot) {
+  const now = new Date().toISOString();
+  db.run(`
+    UPDATE anchor_batches SET status = 'confirmed', signature = ?, slot = ?, last_error = NULL, anchored_at = ?
+    WHERE id = ?
+  `, [signature, slot, now, id]);
+  db.run(`
+    UPDATE anchors SET status = 'confirmed', signature = ?, slot = ?, last_error = NULL, anchored_at = ?
+    WHERE batch_id = ?
+  `, [signature, slot, now, id]);
+  saveDb();
+}
+
+function failAnchorBatch(id, error, nextAttemptAt) {
+  db.run("UPDATE anchor_batches SET status = 'queued', retries = retries + 1, last_error = ?, next_attempt_at = ? WHERE id = ?",
+    [error, nextAttemptAt, id]);
+  db.run("UPDATE anchors SET status = 'queued', last_error = ? WHERE batch_id = ?", [error, id]);
+  saveDb();
+}
+
+/**
+ * Give up on a batch: it and its anchors end up 'failed'
+ */
+function markAnchorBatchFailed(id, error) {
+  db.run("UPDATE anchor_batches SET status = 'failed', retries = retries + 1, last_error = ?, next_attempt_at = NULL WHERE id = ?", [error, id]);
+  db.run("UPDATE anchors SET status = 'failed', last_error = ? WHERE batch_id = ?", [error, id]);
+  saveDb();
+}
+
+// --- Anchoring Wallet Keys ---
+
+function getActiveWalletKey() {
+  return oneRow('SELECT * FROM wallet_keys WHERE retired_at IS NULL ORDER BY id DESC LIMIT 1');
+}
+
+/**
+ * Start a new activation period for a key, retiring the current one
+ */
+function activateWalletKey(pubkey, source) {
+  const now = new Date().toISOString();
+  db.run('UPDATE wallet_keys SET retired_at = ? WHERE retired_at IS NULL', [now]);
+  db.run('INSERT INTO wallet_keys (pubkey, source, activated_at) VALUES (?, ?, ?)', [pubkey, source, now]);
+  saveDb();
+}
+
+function getWalletKeys() {
+  return allRows('SELECT * FROM wallet_keys ORDER BY id DESC');
+}
+
+// --- Liveness Checks ---
+
+function addLivenessCheck(agentId, { apiEndpoint, ok, status, latencyMs, reason }) {
+  db.run(`
+    INSERT INTO liveness_checks (agent_id, api_endpoint, ok, status, latency_ms, reason, checked_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [agentId, apiEndpoint, ok ? 1 : 0, status || null, latencyMs || null, reason || null, new Date().toISOString()]);
+  saveDb();
+}
+
+function getLivenessChecks(agentId, limit = 50) {
+  return allRows('SELECT * FROM liveness_checks WHERE agent_id = ? ORDER BY id DESC LIMIT ?', [agentId, limit]);
+}
+
+/**
+ * Uptime summary since `since` (ISO): checks, successes, last seen, and the current
+ * failure streak (failures after the last success, not counting any before `streakSince`)
+ */
+function getLivenessSummary(agentId, since, streakSince) {
+  const counts = oneRow(`
+    SELECT COUNT(*) AS checks, COALESCE(SUM(ok), 0) AS successes, MAX(checked_at) AS last_checked_at
+    FROM liveness_checks WHERE agent_id = ? AND checked_at >= ?
+  `, [agentId, since]);
+  const lastSeen = oneRow('SELECT MAX(checked_at) AS at FROM liveness_checks WHERE agent_id = ? AND ok = 1', [agentId]);
+  const lastOk = oneRow('SELECT MAX(id) AS id FROM liveness_checks WHERE agent_id = ? AND ok = 1', [agentId]);
+  const streak = oneRow('SELECT COUNT(*) AS n FROM liveness_checks WHERE agent_id = ? AND id > ? AND checked_at >= ?',
+    [agentId, lastOk.id || 0, streakSince || '']);
+  return {
+    checks: counts.checks,
+    successes: counts.successes,
+    lastCheckedAt: counts.last_checked_at,
+    lastSeenAt: lastSeen.at,
+    consecutiveFailures: streak.n
+  };
+}
+
+function purgeLivenessChecks(before) {
+  db.run('DELETE FROM liveness_checks WHERE checked_at < ?', [before]);
+  saveDb();
+}
+
+/**
+ * Agents whose endpoint is monitored: L2+, not revoked, with an endpoint on record
+ */
+function getMonitoredAgents() {
+  return allRows('SELECT * FROM agents WHERE level >= 2 AND revoked = 0 AND api_endpoint IS NOT NULL');
+}
+
+// --- Webhooks ---
+
+function addWebhookSubscription({ owner, url, agentIds, events, secret }) {
+  db.run(`
+    INSERT INTO webhook_subscriptions (owner, url, agent_ids, events, secret, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [owner, url, agentIds ? JSON.stringify(agentIds) : null, events ? JSON.stringify(events) : null, secret, new Date().toISOString()]);
+  const id = oneRow('SELECT last_insert_rowid() as id').id;
+  saveDb();
+  return id;
+}
+
+function getWebhookSubscription(id) {
+  return oneRow('SELECT * FROM webhook_subscriptions WHERE id = ? AND deleted_at IS NULL', [id]);
+}
+
+function getWebhookSubscriptions(owner) {
+  return allRows('SELECT * FROM webhook_subscriptions WHERE owner = ? AND deleted_at IS NULL ORDER BY id', [owner]);
+}
+
+function getActiveWebhookSubscriptions() {
+  return allRows('SELECT * FROM webhook_subscriptions WHERE deleted_at IS NULL ORDER BY id');
+}
+
+/**
+ * Soft delete (the delivery log stays); undelivered deliveries are cancelled
+ */
+function deleteWebhookSubscription(id) {
+  db.run('UPDATE webhook_subscriptions SET deleted_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  db.run("UPDATE webhook_deliveries SET status = 'cancelled' WHERE subscription_id = ? AND status = 'pending'", [id]);
+  saveDb();
+}
+
+/**
+ * Queue a delivery; nextAttemptAt is when the retry worker may pick it up
+ */
+function addWebhookDelivery({ subscriptionId, eventId, event, agentId, payload, replayOf, nextAttemptAt }) {
+  const now = new Date().toISOString();
+  db.run(`
+    INSERT INTO webhook_deliveries (subscription_id, event_id, event, agent_id, payload, status, attempts, next_attempt_at, replay_of, created_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+  `, [subscriptionId, eventId, event, agentId || null, payload, nextAttemptAt || now, replayOf || null, now]);
+  const id = oneRow('SELECT last_insert_rowid() as id').id;
+  saveDb();
+  return id;
+}
+
+function getWebhookDelivery(id) {
+  return oneRow('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+}
+
+function getWebhookDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+  if (status) {
+    return allRows('SELECT * FROM webhook_deliveries WHERE subscription_id = ? AND status = ? ORDER BY id DESC LIMIT ?', [subscriptionId, status, limit]);
+  }
+  return allRows('SELECT * FROM webhook_deliveries WHERE subscription_id = ? ORDER BY id DESC LIMIT ?', [subscriptionId, limit]);
+}
+
+function getDueWebhookDeliveries() {
+  return allRows(
+    "SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id",
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Record an attempt: status is delivered, pending (retry at nextAttemptAt) or dead
+ */
+function recordWebhookAttempt(id, { status, responseStatus, error, nextAttemptAt }) {
+  db.run(`
+    UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+      next_attempt_at = ?, delivered_at = ?
+    WHERE id = ?
+  `, [status, responseStatus || null, error || null, nextAttemptAt || null, status === 'delivered' ? new Date().toISOString() : null, id]);
   saveDb();
 }
 
@@ -325,8 +1182,16 @@ function fullDump() {
   return {
     agents: allRows('SELECT * FROM agents'),
     sybil_signals: allRows('SELECT * FROM sybil_signals'),
+    sybil_clusters: allRows('SELECT * FROM sybil_clusters'),
     audit_log: allRows('SELECT * FROM audit_log'),
     pending_anchors: allRows('SELECT * FROM pending_anchors'),
+    anchors: allRows('SELECT * FROM anchors'),
+    anchor_batches: allRows('SELECT * FROM anchor_batches'),
+    wallet_keys: allRows('SELECT * FROM wallet_keys'),
+    liveness_checks: allRows('SELECT * FROM liveness_checks'),
+    webhook_subscriptions: allRows('SELECT * FROM webhook_subscriptions'),
+    webhook_deliveries: allRows('SELECT * FROM webhook_deliveries'),
+    signals: allRows('SELECT * FROM signals'),
     exported_at: new Date().toISOString()
   };
 }
@@ -342,23 +1207,104 @@ module.exports = {
   createAgent,
   confirmAgent,
   verifyAgent,
+  spendProofNonce,
+  setConfirmedIdentity,
+  getAgentByConfirmedIdentity,
+  setProofNonce,
+  setWebhookNonce,
   updateOnChainSig,
+  setChallengeTarget,
+  setRenewalCode,
+  renewAgent,
+  getNewlyExpiredAgents,
+  markAgentExpired,
+  getAgentsToDecay,
+  decayAgent,
+  revokeAgent,
+  reinstateAgent,
+  setAgentLevel,
+  resetChallenge,
+  getAuditLog,
+  setWalletChallenge,
+  getWalletChallenge,
+  markWalletChallengeUsed,
+  setAgentWallet,
+  addMobileChallenge,
+  getOutstandingMobileChallenges,
+  getLatestMobileChallenge,
+  consumeMobileChallenge,
+  deleteMobileChallenges,
+  purgeExpiredMobileChallenges,
+  getAgentsByWallet,
+  getSignals,
+  setSignal,
+  countAgentsWithSignals,
   getAllAgents,
   getAgentsByIds,
   countRegistrationsFromIp,
   addAuditLog,
   addSybilSignal,
   getSybilSignals,
+  getSybilSignalsByType,
+  getLinkableAgents,
+  getClusterDecisions,
+  setClusterDecision,
   addPendingAnchor,
+  getPendingAnchor,
   getPendingAnchors,
+  getDueAnchors,
   removePendingAnchor,
   incrementPendingAnchorRetry,
+  markPendingAnchorDead,
+  resetPendingAnchor,
+  purgePendingAnchors,
+  addAnchor,
+  confirmAnchor,
+  setAnchorStatus,
+  linkPendingAnchor,
+  getAnchors,
+  countAnchors,
+  getAnchor,
+  getAnchorsBySignature,
+  // Anchor batches
+  getUnbatchedAnchors,
+  addAnchorBatch,
+  getAnchorBatch,
+  getUnconfirmedBatches,
+  getDueBatches,
+  getBatchAnchors,
+  confirmAnchorBatch,
+  failAnchorBatch,
+  markAnchorBatchFailed,
+  getActiveWalletKey,
+  activateWalletKey,
+  getWalletKeys,
+  addLivenessCheck,
+  getLivenessChecks,
+  getLivenessSummary,
+  purgeLivenessChecks,
+  getMonitoredAgents,
+  addWebhookSubscription,
+  getWebhookSubscription,
+  getWebhookSubscriptions,
+  getActiveWebhookSubscriptions,
+  deleteWebhookSubscription,
+  addWebhookDelivery,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
   fullDump,
   getDbPath,
   // Extended verification (L3/L4/L5)
   getExtendedVerification,
   setBehavioral,
+  getStoredFingerprints,
   setHardware,
   setMobile,
+  setInfraProbe,
+  setCodeRepo,
+  setCodeRepoStatus,
+  getVerifiedCodeRepos,
   updateExtendedOnChainSig
 };
@@ -0,0 +1,373 @@
+/**
+ * anchorAudit.js — Read anchors back from chain and compare them to the DB
+ *
+ * verifyAnchor: fetch one stored signature (agents.on_chain_sig, depin or mobile),
+ * parse its memo, check it was signed by our anchoring wallet and matches the record.
+ *
+ * reconcile: walk the signature history of the anchoring wallet (and every retired key), parse every molt:* memo
+ * and report DB/chain mismatches. Runs on demand (admin) and, when
+ * RECONCILE_INTERVAL_MS is set, periodically; the last report is kept in memory.
+ *
+ * Both treat a molt:batch root memo as the anchors stored with its signature,
+ * each checked against the root with its Merkle proof.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const db = require('../db');
+const { getAnchorPubkey, getAnchorPubkeys, withReadConnection, MEMO_PROGRAM_ID } = require('./solana');
+const { COMMITMENT } = require('./cluster');
+const { LEVEL_LABELS } = require('./levels');
+const { verifyProof } = require('./merkle');
+
+const ANCHOR_TYPES = ['level', 'depin', 'mobile'];
+const MAX_SIGNATURES = parseInt(process.env.RECONCILE_MAX_SIGNATURES, 10) || 5000;
+const PAGE_SIZE = 1000;
+const TX_BATCH_SIZE = 25;
+const INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS, 10) || 0; // 0 = on demand only
+
+let timer = null;
+let running = false;
+let lastReport = null;
+
+/**
+ * Parse a molt:* memo
+ * @returns {object|null} { kind: 'level'|'depin'|'mobile'|'batch', ... } or null if not ours
+ */
+function parseMemo(memo) {
+  let m = /^molt:sv:([^:]+):L(\d+):([^:]+):(\d+)$/.exec(memo);
+  if (m) return { kind: 'level', agentId: m[1], level: parseInt(m[2], 10), label: m[3], timestamp: parseInt(m[4], 10) };
+
+  m = /^molt:depin:([^:]+):([^:]+):([0-9a-f]+):(\d+)$/.exec(memo);
+  if (m) return { kind: 'depin', agentId: m[1], provider: m[2], bindingHash: m[3], timestamp: parseInt(m[4], 10) };
+
+  m = /^molt:mobile:([^:]+):([^:]+):(\d+)$/.exec(memo);
+  if (m) return { kind: 'mobile', agentId: m[1], devicePubkey: m[2], timestamp: parseInt(m[3], 10) };
+
+  m = /^molt:batch:([0-9a-f]{64}):(\d+):(\d+)$/.exec(memo);
+  if (m) return { kind: 'batch', root: m[1], leafCount: parseInt(m[2], 10), timestamp: parseInt(m[3], 10) };
+
+  return null;
+}
+
+/**
+ * Memo strings and signer keys of a parsed transaction
+ */
+function readTransaction(tx) {
+  const message = tx.transaction.message;
+  const memos = message.instructions
+    .filter(ix => ix.programId.toBase58() === MEMO_PROGRAM_ID.toBase58() && typeof ix.parsed === 'string')
+    .map(ix => ix.parsed);
+  const signers = message.accountKeys.filter(k => k.signer).map(k => k.pubkey.toBase58());
+  return { memos, signers, slot: tx.slot, blockTime: tx.blockTime || null, failed: !!(tx.meta && tx.meta.err) };
+}
+
+/**
+ * The stored signature for an anchor type, with the fields its memo must match
+ */
+function storedAnchor(agent, ext, type) {
+  if (type === 'depin') {
+    return {
+      signature: ext ? ext.depin_on_chain_sig : null,
+      expected: ext ? { provider: ext.depin_provider, bindingHash: ext.depin_binding_hash } : {}
+    };
+  }
+  if (type === 'mobile') {
+    return {
+      signature: ext ? ext.mobile_on_chain_sig : null,
+      expected: ext ? { devicePubkey: ext.mobile_device_pubkey } : {}
+    };
+  }
+  return { signature: agent.on_chain_sig, expected: { level: agent.level, label: agent.level_label } };
+}
+
+function matchesExpected(parsed, expected) {
+  return Object.keys(expected).every(field => parsed[field] === expected[field]);
+}
+
+/**
+ * Pick the anchor of `kind` for an agent among the memos of one transaction,
+ * preferring the one that matches the record
+ */
+function pickAnchor(candidates, agentId, kind, expected) {
+  const own = candidates.filter(a => a.agentId === agentId && a.kind === kind);
+  return own.find(a => matchesExpected(a, expected)) || own[own.length - 1] || null;
+}
+
+/**
+ * Leaves of a batch root: the anchors stored with that signature, each proven against the root
+ * Leaves that fail their proof, or a leaf count that doesn't match the root memo, are mismatches.
+ */
+function expandBatch(signature, slot, root, mismatches) {
+  const leaves = [];
+  const rows = db.getAnchorsBySignature(signature).filter(row => row.proof);
+  for (const row of rows) {
+    if (!verifyProof(row.memo, JSON.parse(row.proof), root.root)) {
+      mismatches.push({ agentId: row.agent_id, type: 'batch_proof_invalid', signature, memo: row.memo, root: root.root });
+      continue;
+    }
+    const parsed = parseMemo(row.memo);
+    if (parsed) leaves.push(Object.assign({ signature, slot, memo: row.memo, batchRoot: root.root, leafIndex: row.leaf_index }, parsed));
+  }
+  if (rows.length !== root.leafCount) {
+    mismatches.push({ type: 'batch_leaf_count_mismatch', signature, root: root.root, expected: root.leafCount, actual: rows.length });
+  }
+  return leaves;
+}
+
+/**
+ * Verify an agent's stored anchor against the chain
+ * @param {object} agent - agents row
+ * @param {string} [type] - 'level' | 'depin' | 'mobile'
+ * @returns {Promise<{ agentId: string, type: string, signature: string|null, verified: boolean, checks: object[] }>}
+ */
+async function verifyAnchor(agent, type = 'level') {
+  const ext = db.getExtendedVerification(agent.id);
+  const { signature, expected } = storedAnchor(agent, ext, type);
+  const wallet = getAnchorPubkey();
+  const wallets = getAnchorPubkeys();
+  const result = { agentId: agent.id, type, signature, wallet, verified: false, checks: [] };
+  const check = (name, ok, expectedValue, actual) => {
+    result.checks.push({ name, ok, expected: expectedValue, actual });
+    return ok;
+  };
+
+  if (!check('signature_stored', !!signature, 'a stored signature', signature)) return result;
+
+  const tx = await withReadConnection(conn => conn.getParsedTransaction(signature, {
+    commitment: COMMITMENT,
+    maxSupportedTransactionVersion: 0
+  }));
+  if (!check('transaction_found', !!tx, 'confirmed transaction', tx ? 'found' : null)) return result;
+
+  const { memos, signers, slot, blockTime, failed } = readTransaction(tx);
+  result.slot = slot;
+  result.blockTime = blockTime;
+
+  check('transaction_succeeded', !failed, 'no error', failed ? 'failed' : 'ok');
+  // Anchors signed before a key rotation stay valid
+  check('signed_by_anchor_wallet', signers.some(s => wallets.includes(s)), wallets, signers);
+
+  const memo = memos.find(m => m.startsWith('molt:')) || null;
+  let parsed = memo ? parseMemo(memo) : null;
+  result.memo = memo;
+
+  // A batched anchor carries a Merkle root: prove the agent's memo is one of its leaves
+  if (parsed && parsed.kind === 'batch') {
+    const leaves = expandBatch(signature, slot, parsed, []);
+    const leaf = pickAnchor(leaves, agent.id, type, expected);
+    result.batch = { root: parsed.root, leafCount: parsed.leafCount, leafIndex: leaf ? leaf.leafIndex : null };
+    check('batch_inclusion', !!leaf, `${type} memo proven against root ${parsed.root}`, leaf ? leaf.memo : null);
+    parsed = leaf;
+  }
+  result.parsed = parsed;
+
+  if (check('memo_parsed', !!parsed && parsed.kind === type, `molt ${type} memo`, memo)) {
+    check('agent_matches', parsed.agentId === agent.id, agent.id, parsed.agentId);
+    for (const [field, value] of Object.entries(expected)) {
+      check(`${field}_matches`, parsed[field] === value, value, parsed[field]);
+    }
+  }
+
+  result.verified = result.checks.every(c => c.ok);
+  return result;
+}
+
+/**
+ * Walk the wallet's signature history (newest first)
+ * @returns {Promise<{ signatures: object[], truncated: boolean }>}
+ */
+async function walkHistory(wallet) {
+  const signatures = [];
+  let before;
+  for (;;) {
+    const page = await withReadConnection(conn => conn.getSignaturesForAddress(new PublicKey(wallet), { before, limit: PAGE_SIZE }));
+    signatures.push(...page);
+    if (page.length < PAGE_SIZE) return { signatures, truncated: false };
+    if (signatures.length >= MAX_SIGNATURES) return { signatures: signatures.slice(0, MAX_SIGNATURES), truncated: true };
+    before = page[page.length - 1].signature;
+  }
+}
+
+/**
+ * Full reconciliation of the wallet's anchors against the DB
+ * @returns {Promise<object>} report with every mismatch found
+ */
+async function reconcile() {
+  const wallet = getAnchorPubkey();
+  if (!wallet) {
+    throw new Error('Anchoring wallet not configured (set SOLANA_PRIVATE_KEY or SOLANA_ANCHOR_PUBKEY)');
+  }
+  const wallets = getAnchorPubkeys();
+  const startedAt = new Date().toISOString();
+
+  // Every key that has anchored (rotation history); a transfer between two of them shows up twice
+  const signatures = [];
+  const seen = new Set();
+  let truncated = false;
+  for (const key of wallets) {
+    const history = await walkHistory(key);
+    truncated = truncated || history.truncated;
+    for (const s of history.signatures) {
+      if (seen.has(s.signature)) continue;
+      seen.add(s.signature);
+      signatures.push(s);
+    }
+  }
+
+  // signature → parsed molt:* memos of every successful transaction signed by the wallet
+  // (batch roots expanded to their proven leaves)
+  const anchors = new Map();
+  const mismatches = [];
+  let batchesFound = 0;
+  const candidates = signatures.filter(s => !s.err).map(s => s.signature);
+  for (let i = 0; i < candidates.length; i += TX_BATCH_SIZE) {
+    const chunk = candidates.slice(i, i + TX_BATCH_SIZE);
+    const txs = await withReadConnection(conn => conn.getParsedTransactions(chunk, { commitment: COMMITMENT, maxSupportedTransactionVersion: 0 }));
+    txs.forEach((tx, j) => {
+      if (!tx) return;
+      const { memos, signers, slot, failed } = readTransaction(tx);
+      if (failed || !signers.some(s => wallets.includes(s))) return;
+      const signature = chunk[j];
+      for (const memo of memos) {
+        const parsed = parseMemo(memo);
+        if (!parsed) continue;
+        let found = [Object.assign({ signature, slot, memo }, parsed)];
+        if (parsed.kind === 'batch') {
+          batchesFound++;
+          found = expandBatch(signature, slot, parsed, mismatches);
+        }
+        anchors.set(signature, (anchors.get(signature) || []).concat(found));
+      }
+    });
+  }
+  const allAnchors = [].concat(...anchors.values());
+
+  // Latest level memo per agent (history is newest first, but order by slot + timestamp to be safe;
+  // leaves of one batch share a slot and are in event order)
+  const isLater = (a, b) => a.slot !== b.slot ? a.slot > b.slot
+    : a.timestamp !== b.timestamp ? a.timestamp > b.timestamp
+      : (a.leafIndex || 0) > (b.leafIndex || 0);
+  const latestLevel = new Map();
+  for (const anchor of allAnchors) {
+    if (anchor.kind !== 'level') continue;
+    const current = latestLevel.get(anchor.agentId);
+    if (!current || isLater(anchor, current)) {
+      latestLevel.set(anchor.agentId, anchor);
+    }
+  }
+
+  const pending = [];
+  const agents = db.getAllAgents();
+  const known = new Set(agents.map(a => a.id));
+  const queued = new Set(db.getPendingAnchors('all').map(r => r.agent_id));
+  for (const row of db.getUnbatchedAnchors()) queued.add(row.agent_id);
+  for (const batch of db.getUnconfirmedBatches()) {
+    for (const row of db.getBatchAnchors(batch.id)) queued.add(row.agent_id);
+  }
+
+  for (const agent of agents) {
+    const ext = db.getExtendedVerification(agent.id);
+
+    // Every stored signature must be one of our anchors, with a matching memo
+    for (const type of ANCHOR_TYPES) {
+      const { signature, expected } = storedAnchor(agent, ext, type);
+      if (!signature) continue;
+      const found = anchors.get(signature);
+      if (!found) {
+        if (!truncated) mismatches.push({ agentId: agent.id, type: 'signature_not_in_wallet_history', anchor: type, signature });
+        continue;
+      }
+      const anchor = pickAnchor(found, agent.id, type, expected);
+      if (!anchor || !matchesExpected(anchor, expected)) {
+        const memo = anchor ? anchor.memo : found.map(a => a.memo).join(' | ');
+        mismatches.push({ agentId: agent.id, type: 'signature_memo_mismatch', anchor: type, signature, memo, db: expected });
+      }
+    }
+
+    // The latest level memo must describe the agent's current state
+    const latest = latestLevel.get(agent.id);
+    if (queued.has(agent.id)) {
+      pending.push(agent.id); // a queued anchor will change the chain state: don't compare yet
+      continue;
+    }
+    if (!latest) {
+      if (agent.level >= 1 && !truncated) {
+        mismatches.push({ agentId: agent.id, type: 'missing_on_chain', db: { level: agent.level, label: agent.level_label } });
+      }
+      continue;
+    }
+    const chainRevoked = latest.label === 'revoked';
+    if (chainRevoked !== !!agent.revoked) {
+      mismatches.push({ agentId: agent.id, type: 'revocation_mismatch', signature: latest.signature, memo: latest.memo, db: { revoked: !!agent.revoked } });
+    } else if (latest.level !== agent.level) {
+      mismatches.push({ agentId: agent.id, type: 'level_mismatch', signature: latest.signature, memo: latest.memo, db: { level: agent.level, label: LEVEL_LABELS[agent.level] } });
+    }
+  }
+
+  // Anchors for agents this DB doesn't know
+  const unknown = new Set();
+  for (const anchor of allAnchors) {
+    if (!known.has(anchor.agentId) && !unknown.has(anchor.agentId)) {
+      unknown.add(anchor.agentId);
+      mismatches.push({ agentId: anchor.agentId, type: 'unknown_agent', signature: anchor.signature, memo: anchor.memo });
+    }
+  }
+
+  lastReport = {
+    wallet,
+    wallets,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    signaturesScanned: signatures.length,
+    truncated,
+    anchorsFound: allAnchors.length,
+    batchesFound,
+    agentsChecked: agents.length,
+    pending,
+    mismatchCount: mismatches.length,
+    mismatches
+  };
+  console.log(`[anchor-audit] Reconciled ${allAnchors.length} anchors: ${mismatches.length} mismatches${truncated ? ' (history truncated)' : ''}`);
+  return lastReport;
+}
+
+/**
+ * Run a reconciliation unless one is already in progress
+ */
+async function runReconcile() {
+  if (running) throw new Error('Reconciliation already running');
+  running = true;
+  try {
+    return await reconcile();
+  } finally {
+    running = false;
+  }
+}
+
+function getLastReport() {
+  return lastReport;
+}
+
+function start() {
+  if (timer || !INTERVAL_MS) return;
+  timer = setInterval(() => {
+    if (!getAnchorPubkey()) return;
+    runReconcile().catch(err => console.error('[anchor-audit] Reconcile error:', err.message));
+  }, INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseMemo,
+  verifyAnchor,
+  reconcile: runReconcile,
+  getLastReport,
+  start,
+  stop,
+  ANCHOR_TYPES
+};
@@ -0,0 +1,299 @@
+/**
+ * anchorRetry.js — Anchoring entry point and the worker that drains the pending_anchors queue
+ *
+ * Every anchor goes through anchorOrQueue, which records it in the anchors history
+ * table (pending → confirmed | queued → confirmed | failed) and queues a memo via
+ * db.addPendingAnchor whenever the on-chain anchor fails (devnet outage, empty wallet).
+ * Anchors are written by the configured attestation backend (lib/attestation.js).
+ *
+ * Batching (ANCHOR_BATCH_INTERVAL_MS, memo backend only): events are recorded as
+ * 'batched' and, once per interval, a Merkle tree is built over their memos and only
+ * the root is anchored (molt:batch:*). Each anchor keeps its inclusion proof; a batch
+ * that fails to send is retried with the same backoff and marked 'failed' (with its
+ * anchors) once MAX_RETRIES is reached.
+ * This worker retries due entries with exponential backoff, writes the resulting
+ * signature back to the agent record, and moves an entry to the 'dead' state once
+ * MAX_RETRIES is reached.
+ */
+
+const db = require('../db');
+const { sendMemo, buildBatchMemo, getSignatureSlot, getAnchorCluster } = require('./solana');
+const { getBackend } = require('./attestation');
+const { parseMemo } = require('./anchorAudit');
+const { buildTree } = require('./merkle');
+const webhooks = require('./webhooks');
+
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.ANCHOR_RETRY_INTERVAL_MS, 10) || 60 * 1000;
+const BATCH_INTERVAL_MS = parseInt(process.env.ANCHOR_BATCH_INTERVAL_MS, 10) || 0; // 0 = one memo per event
+
+let timer = null;
+let batchTimer = null;
+let draining = false;
+let flushing = false;
+
+/**
+ * Delay before the next attempt after `retries` failures: 30s, 1m, 2m, 4m... capped at 1h
+ */
+function backoffDelay(retries) {
+  return Math.min(BASE_DELAY_MS * Math.pow(2, retries), MAX_DELAY_MS);
+}
+
+// Labels of molt:sv memos that record an event rather than reaching a level
+const EVENT_LABELS = ['expired', 'decayed', 'renewed', 'reinstated', 'downgraded'];
+
+/**
+ * History event for a memo: level, depin, mobile, revocation, or an expiry/admin event
+ */
+function eventForMemo(memo) {
+  const parsed = parseMemo(memo);
+  if (!parsed) return 'other';
+  if (parsed.kind !== 'level') return parsed.kind;
+  if (parsed.label === 'revoked') return 'revocation';
+  return EVENT_LABELS.includes(parsed.label) ? parsed.label : 'level';
+}
+
+/**
+ * Write a signature back to the record the memo belongs to
+ * molt:depin:* and molt:mobile:* go to extended_verification, molt:sv:* to agents.
+ */
+function writeBackSignature(row, signature) {
+  if (row.memo.startsWith('molt:depin:')) {
+    db.updateExtendedOnChainSig(row.agent_id, 'depin', signature);
+    return;
+  }
+  if (row.memo.startsWith('molt:mobile:')) {
+    db.updateExtendedOnChainSig(row.agent_id, 'mobile', signature);
+    return;
+  }
+
+  // on_chain_sig holds the anchor of the agent's current level: skip event memos
+  // (expired, renewed, ...) and late anchors of a level the agent has since left
+  const agent = db.getAgent(row.agent_id);
+  const match = row.memo.match(/^molt:sv:[^:]+:L(\d+):([^:]+):/);
+  if (agent && match && parseInt(match[1], 10) === agent.level && match[2] === agent.level_label) {
+    db.updateOnChainSig(row.agent_id, signature);
+  }
+}
+
+/**
+ * Attempt a single queued anchor
+ * @param {object} row - pending_anchors row
+ * @returns {Promise<{id: number, status: string, signature?: string, error?: string, nextAttemptAt?: string}>}
+ */
+async function retryAnchor(row) {
+  try {
+    const signature = await getBackend().send(row.agent_id, row.memo);
+    if (row.anchor_id) db.confirmAnchor(row.anchor_id, signature, await getSignatureSlot(signature));
+    writeBackSignature(row, signature);
+    webhooks.emit('anchor', row.agent_id, { memo: row.memo, kind: eventForMemo(row.memo), signature });
+    db.removePendingAnchor(row.id);
+    db.addAuditLog(row.agent_id, 'anchor_retry', { memo: row.memo, signature, attempts: row.retries + 1 }, null);
+    return { id: row.id, status: 'anchored', signature };
+  } catch (e) {
+    const attempts = row.retries + 1;
+    if (attempts >= MAX_RETRIES) {
+      db.markPendingAnchorDead(row.id, e.message);
+      if (row.anchor_id) db.setAnchorStatus(row.anchor_id, 'failed', e.message);
+      db.addAuditLog(row.agent_id, 'anchor_dead', { memo: row.memo, attempts, error: e.message }, null);
+      console.error(`[anchor-retry] Giving up on #${row.id} after ${attempts} attempts: ${e.message}`);
+      return { id: row.id, status: 'dead', error: e.message };
+    }
+
+    const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+    db.incrementPendingAnchorRetry(row.id, e.message, nextAttemptAt);
+    if (row.anchor_id) db.setAnchorStatus(row.anchor_id, 'queued', e.message);
+    console.warn(`[anchor-retry] #${row.id} failed (attempt ${attempts}/${MAX_RETRIES}), next at ${nextAttemptAt}: ${e.message}`);
+    return { id: row.id, status: 'pending', error: e.message, nextAttemptAt };
+  }
+}
+
+/**
+ * Whether events are collected into Merkle batches instead of anchored one by one
+ */
+function isBatching() {
+  return BATCH_INTERVAL_MS > 0 && getBackend().name === 'memo';
+}
+
+/**
+ * Anchor a memo now, queueing it for the worker on failure
+ * Every call adds a row to the anchors history.
+ * Returns signature or null (never throws — callers are sweepers and routes)
+ * While batching, the memo waits for the next batch and null is returned.
+ */
+async function anchorOrQueue(agentId, memo) {
+  // Callers fire and forget: a database error here must not become an unhandled rejection
+  try {
+    const backend = getBackend();
+    if (isBatching()) {
+      db.addAnchor(agentId, eventForMemo(memo), memo, getAnchorCluster(), backend.name, 'batched');
+      return null;
+    }
+    const anchorId = db.addAnchor(agentId, eventForMemo(memo), memo, getAnchorCluster(), backend.name, 'pending');
+    let signature = null;
+    let error = 'Solana wallet not configured';
+
+    if (backend.isConfigured()) {
+      try {
+        signature = await backend.send(agentId, memo);
+      } catch (e) {
+        error = e.message;
+        console.error('[solana] Anchor error (non-blocking):', e.message);
+      }
+    } else {
+      console.warn('[solana] Anchoring skipped — wallet not configured');
+    }
+
+    if (signature) {
+      db.confirmAnchor(anchorId, signature, await getSignatureSlot(signature));
+      writeBackSignature({ agent_id: agentId, memo }, signature);
+      webhooks.emit('anchor', agentId, { memo, kind: eventForMemo(memo), signature });
+    } else {
+      db.setAnchorStatus(anchorId, 'queued', error);
+      db.addPendingAnchor(agentId, memo, anchorId);
+    }
+    return signature;
+  } catch (err) {
+    console.error('[solana] Anchor error (non-blocking):', err.message);
+    return null;
+  }
+}
+
+/**
+ * One-time migration: seed the anchors history from signatures and queue entries
+ * recorded before the table existed (memos of already-anchored signatures are unknown)
+ */
+function backfillHistory() {
+  if (db.countAnchors() > 0) return 0;
+
+  let migrated = 0;
+  for (const agent of db.getAllAgents()) {
+    const ext = db.getExtendedVerification(agent.id) || {};
+    const sigs = [['level', agent.on_chain_sig], ['depin', ext.depin_on_chain_sig], ['mobile', ext.mobile_on_chain_sig]];
+    for (const [event, signature] of sigs) {
+      if (!signature) continue;
+      db.addAnchor(agent.id, event, null, getAnchorCluster(), 'memo', 'confirmed', signature);
+      migrated++;
+    }
+  }
+  for (const row of db.getPendingAnchors('all')) {
+    const anchorId = db.addAnchor(row.agent_id, eventForMemo(row.memo), row.memo, getAnchorCluster(), 'memo', row.status === 'dead' ? 'failed' : 'queued');
+    db.linkPendingAnchor(row.id, anchorId);
+    migrated++;
+  }
+
+  if (migrated) console.log(`[anchor-retry] Backfilled ${migrated} anchor history entries`);
+  return migrated;
+}
+
+/**
+ * Retry every anchor whose backoff has elapsed
+ * Skipped entirely while the wallet is not configured, so entries don't burn retries.
+ */
+async function drainQueue() {
+  if (draining || !getBackend().isConfigured()) return [];
+  draining = true;
+  try {
+    const results = [];
+    for (const row of db.getDueAnchors()) {
+      results.push(await retryAnchor(row));
+    }
+    return results;
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Send one batch root, confirming every anchor in it on success
+ */
+async function sendBatch(batch) {
+  try {
+    const signature = await sendMemo(batch.memo);
+    db.confirmAnchorBatch(batch.id, signature, await getSignatureSlot(signature));
+    for (const row of db.getBatchAnchors(batch.id)) {
+      writeBackSignature(row, signature);
+      webhooks.emit('anchor', row.agent_id, { memo: row.memo, kind: eventForMemo(row.memo), signature, batchId: batch.id });
+    }
+    return { id: batch.id, status: 'anchored', leafCount: batch.leaf_count, signature };
+  } catch (e) {
+    const attempts = batch.retries + 1;
+    if (attempts >= MAX_RETRIES) {
+      db.markAnchorBatchFailed(batch.id, e.message);
+      db.addAuditLog(null, 'anchor_batch_failed', { batchId: batch.id, root: batch.root, leafCount: batch.leaf_count, attempts, error: e.message }, null);
+      console.error(`[anchor-retry] Giving up on batch #${batch.id} (${batch.leaf_count} anchors) after ${attempts} attempts: ${e.message}`);
+      return { id: batch.id, status: 'failed', leafCount: batch.leaf_count, error: e.message };
+    }
+
+    const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+    db.failAnchorBatch(batch.id, e.message, nextAttemptAt);
+    console.warn(`[anchor-retry] Batch #${batch.id} (${batch.leaf_count} anchors) failed (attempt ${attempts}/${MAX_RETRIES}), next at ${nextAttemptAt}: ${e.message}`);
+    return { id: batch.id, status: 'queued', leafCount: batch.leaf_count, error: e.message, nextAttemptAt };
+  }
+}
+
+/**
+ * Build a batch from every waiting anchor, then send each batch whose backoff has elapsed
+ * Skipped while the wallet is not configured, so anchors keep collecting.
+ */
+async function flushBatches() {
+  if (flushing || !getBackend().isConfigured()) return [];
+  flushing = true;
+  try {
+    const rows = db.getUnbatchedAnchors();
+    if (rows.length) {
+      const { root, proofs } = buildTree(rows.map(r => r.memo));
+      db.addAnchorBatch(root, buildBatchMemo(root, rows.length), rows.map(r => r.id), proofs);
+    }
+
+    const results = [];
+    for (const batch of db.getDueBatches()) {
+      results.push(await sendBatch(batch));
+    }
+    return results;
+  } finally {
+    flushing = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    drainQueue().catch(err => console.error('[anchor-retry] Drain error:', err.message));
+  }, INTERVAL_MS);
+  timer.unref();
+  console.log(`[anchor-retry] Worker started (every ${Math.round(INTERVAL_MS / 1000)}s, max ${MAX_RETRIES} attempts)`);
+
+  if (BATCH_INTERVAL_MS > 0 && !isBatching()) {
+    console.warn(`[anchor-retry] ANCHOR_BATCH_INTERVAL_MS ignored: batching needs the memo backend (current: ${getBackend().name})`);
+  } else if (isBatching()) {
+    batchTimer = setInterval(() => {
+      flushBatches().catch(err => console.error('[anchor-retry] Batch error:', err.message));
+    }, BATCH_INTERVAL_MS);
+    batchTimer.unref();
+    console.log(`[anchor-retry] Batching anchors every ${Math.round(BATCH_INTERVAL_MS / 1000)}s`);
+  }
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  if (batchTimer) clearInterval(batchTimer);
+  timer = null;
+  batchTimer = null;
+}
+
+module.exports = {
+  start,
+  stop,
+  drainQueue,
+  flushBatches,
+  isBatching,
+  retryAnchor,
+  anchorOrQueue,
+  backfillHistory,
+  eventForMemo,
+  backoffDelay,
+  MAX_RETRIES
+};
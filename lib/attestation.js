@@ -0,0 +1,45 @@
+/**
+ * attestation.js — Attestation backend selection
+ *
+ * ATTESTATION_BACKEND picks how anchors are written for this deployment:
+ *   memo  one Memo transaction per event (default)
+ *   sas   Solana Attestation Service attestation per agent, plus the event memo (lib/sas.js)
+ *
+ * A backend is { name, isConfigured(), send(agentId, memo) } where send resolves
+ * to the transaction signature and throws on failure, so the retry queue works
+ * the same for every backend.
+ */
+
+const { isConfigured, sendMemo } = require('./solana');
+const { syncAttestation } = require('./sas');
+
+const BACKENDS = {
+  memo: {
+    name: 'memo',
+    isConfigured,
+    send: (agentId, memo) => sendMemo(memo)
+  },
+  sas: {
+    name: 'sas',
+    isConfigured,
+    send: syncAttestation
+  }
+};
+
+const BACKEND = process.env.ATTESTATION_BACKEND || 'memo';
+
+/**
+ * The configured backend (throws on an unknown ATTESTATION_BACKEND)
+ */
+function getBackend() {
+  const backend = BACKENDS[BACKEND];
+  if (!backend) {
+    throw new Error(`Unknown ATTESTATION_BACKEND "${BACKEND}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return backend;
+}
+
+module.exports = {
+  getBackend,
+  BACKENDS
+};
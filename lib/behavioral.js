@@ -2,13 +2,30 @@
  * behavioral.js — Behavioral fingerprinting for L3 verification
  * 
  * Adapted from behavioral-fingerprint/features.js + fingerprint.js
- * Uses pre-computed fingerprints from data/fingerprints.json for hackathon agents,
- * or can compute features from raw post data.
+ * Features are computed live from the agent's own posts: a signed post bundle
+ * submitted by the agent, or its Colosseum forum posts. Pre-computed fingerprints
+ * from fingerprints.json (hackathon agents) are only a fallback.
+ *
+ * Sybil search: every known fingerprint (pre-computed plus every stored
+ * fingerprint_features) is kept in memory, keyed by agent, and each search is a
+ * brute-force scan over all of them. Scores are deterministic and no duplicate is
+ * missed; the uniqueness score averages over every agent anyway, so an approximate
+ * index would not save the scan.
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const db = require('../db');
+const { getAgentPosts } = require('./colosseum');
+
+// Minimum posts needed for a meaningful live fingerprint
+const MIN_POSTS = parseInt(process.env.BEHAVIORAL_MIN_POSTS, 10) || 5;
+const MAX_BUNDLE_POSTS = 500;
+
+// Nearest neighbours reported per search, and the combined similarity that flags a sybil pair
+const TOP_K = 5;
+const SYBIL_SIMILARITY_THRESHOLD = parseFloat(process.env.BEHAVIORAL_SYBIL_THRESHOLD || '0.95');
 
 // --- Pre-computed fingerprint data ---
 const FINGERPRINTS_PATH = path.join(__dirname, '..', 'fingerprints.json');
@@ -201,39 +218,79 @@ function combinedSimilarity(f1, f2) {
   };
 }
 
+// --- Brute-force similarity scan ---
+
+let knownFingerprints = null; // Map agentId → features
+
 /**
- * Compute uniqueness score for an agent by comparing against all pre-computed fingerprints.
- * Returns value between 0 (very similar to others = Sybil risk) and 1 (very unique).
- * The score is 1 - avgSimilarity, so higher = more unique.
+ * Load fingerprints.json, then stored fingerprints (stored data wins)
  */
-function computeUniqueness(agentFeatures, excludeAgent) {
-  const fingerprints = loadFingerprints();
-  const agents = Object.entries(fingerprints).filter(([name]) => name !== excludeAgent);
-
-  if (agents.length === 0) return 1.0; // No comparisons = unique by default
+function getKnownFingerprints() {
+  if (knownFingerprints) return knownFingerprints;
+  knownFingerprints = new Map();
+  for (const [agentId, data] of Object.entries(loadFingerprints())) {
+    if (data.features) knownFingerprints.set(agentId, data.features);
+  }
+  for (const row of db.getStoredFingerprints()) {
+    knownFingerprints.set(row.agent_id, JSON.parse(row.fingerprint_features));
+  }
+  return knownFingerprints;
+}
 
-  // Sample up to 50 agents for performance
-  const sample = agents.length <= 50 ? agents : agents.sort(() => Math.random() - 0.5).slice(0, 50);
+/**
+ * Add or replace an agent's features among the known fingerprints (after db.setBehavioral)
+ */
+function rememberFingerprint(agentId, features) {
+  getKnownFingerprints().set(agentId, features);
+}
 
+/**
+ * Compare features against every known agent except `excludeAgent`
+ * Returns the top-k neighbours (ties broken by agentId) and the uniqueness score:
+ * 1 - average combined similarity over all known agents, so 0 = Sybil risk, 1 = very unique.
+ * Cost per call: O(n·d + n log n) for n known fingerprints of d ≈ 40 feature values
+ * (one similarity per agent, then a sort), fine for the thousands of agents expected.
+ * @returns {{ uniquenessScore: number, compared: number, neighbors: Array<{agentId: string, similarity: object}> }}
+ */
+function scanSimilar(agentFeatures, excludeAgent, k = TOP_K) {
+  const matches = [];
   let totalSim = 0;
-  let comparisons = 0;
 
-  for (const [, data] of sample) {
-    if (!data.features) continue;
-    const sim = combinedSimilarity(agentFeatures, data.features);
-    totalSim += sim.combined;
-    comparisons++;
+  for (const [agentId, features] of getKnownFingerprints()) {
+    if (agentId === excludeAgent) continue;
+    const similarity = combinedSimilarity(agentFeatures, features);
+    totalSim += similarity.combined;
+    matches.push({ agentId, similarity });
   }
 
-  if (comparisons === 0) return 1.0;
+  if (matches.length === 0) {
+    return { uniquenessScore: 1.0, compared: 0, neighbors: [] }; // No comparisons = unique by default
+  }
+
+  matches.sort((a, b) => (b.similarity.combined - a.similarity.combined) || (a.agentId < b.agentId ? -1 : 1));
+  return {
+    uniquenessScore: Math.round((1 - totalSim / matches.length) * 10000) / 10000,
+    compared: matches.length,
+    neighbors: matches.slice(0, k)
+  };
+}
+
+/**
+ * Neighbours similar enough to be reported as a behavioral_similarity sybil pair
+ */
+function sybilMatches(neighbors) {
+  return neighbors.filter(n => n.similarity.combined >= SYBIL_SIMILARITY_THRESHOLD);
+}
 
-  const avgSimilarity = totalSim / comparisons;
-  return Math.round((1 - avgSimilarity) * 10000) / 10000;
+/**
+ * Deterministic uniqueness score for an agent's features
+ */
+function computeUniqueness(agentFeatures, excludeAgent) {
+  return scanSimilar(agentFeatures, excludeAgent, 0).uniquenessScore;
 }
 
 /**
- * Get or compute behavioral fingerprint for an agent.
- * First checks pre-computed data, then falls back to minimal features.
+ * Get the pre-computed behavioral fingerprint for an agent (fingerprints.json)
  */
 function getBehavioralFingerprint(agentId) {
   const fingerprints = loadFingerprints();
@@ -241,25 +298,116 @@ function getBehavioralFingerprint(agentId) {
   // Check pre-computed fingerprints
   if (fingerprints[agentId]) {
     const data = fingerprints[agentId];
-    const uniqueness = computeUniqueness(data.features, agentId);
+    const { uniquenessScore, neighbors } = scanSimilar(data.features, agentId);
     return {
       source: 'pre-computed',
       fingerprint: data.fingerprint,
       features: data.features,
       postCount: data.postCount || null,
-      uniquenessScore: uniqueness
+      uniquenessScore,
+      neighbors
     };
   }
 
   return null; // Not found in pre-computed data
 }
 
+/**
+ * Compute a fingerprint from raw posts ({ title, body, createdAt })
+ * Returns null when there are fewer than MIN_POSTS posts.
+ */
+function fingerprintFromPosts(agentId, posts, source) {
+  if (posts.length < MIN_POSTS) return null;
+  const features = extractAllFeatures(posts);
+  const { uniquenessScore, neighbors } = scanSimilar(features, agentId);
+  return {
+    source,
+    fingerprint: generateFingerprint(features),
+    features,
+    postCount: posts.length,
+    uniquenessScore,
+    neighbors
+  };
+}
+
+/**
+ * Validate and normalize an agent-submitted post bundle
+ * @returns {{ posts?: object[], error?: string }}
+ */
+function normalizeBundle(posts) {
+  if (!Array.isArray(posts) || posts.length === 0) {
+    return { error: 'posts must be a non-empty array' };
+  }
+  if (posts.length > MAX_BUNDLE_POSTS) {
+    return { error: `A post bundle may contain at most ${MAX_BUNDLE_POSTS} posts` };
+  }
+
+  const normalized = [];
+  for (const post of posts) {
+    if (!post || typeof post.body !== 'string' || !post.createdAt || isNaN(new Date(post.createdAt).getTime())) {
+      return { error: 'Each post needs a string body and a valid createdAt timestamp' };
+    }
+    normalized.push({ title: typeof post.title === 'string' ? post.title : '', body: post.body, createdAt: post.createdAt });
+  }
+  return { posts: normalized };
+}
+
+/**
+ * The exact message the agent signs over a post bundle
+ */
+function buildBundleMessage(agentId, posts) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(posts)).digest('hex');
+  return `moltlaunch:posts:${agentId}:${digest}`;
+}
+
+/**
+ * Resolve an agent's fingerprint: signed bundle (if given), then live forum posts,
+ * then pre-computed data.
+ * @param {string} agentId
+ * @param {object[]} [bundlePosts] - normalized posts from an already verified bundle
+ * @param {string|null} [authorId] - Colosseum account id pinned at L1
+ * @returns {Promise<{ result: object|null, attempts: Array<{source: string, postCount?: number, error?: string}> }>}
+ */
+async function resolveBehavioralFingerprint(agentId, bundlePosts, authorId = null) {
+  const attempts = [];
+
+  if (bundlePosts) {
+    const result = fingerprintFromPosts(agentId, bundlePosts, 'signed-bundle');
+    if (result) return { result, attempts };
+    attempts.push({ source: 'signed-bundle', postCount: bundlePosts.length, error: `At least ${MIN_POSTS} posts required` });
+  }
+
+  try {
+    const posts = await getAgentPosts(agentId, undefined, authorId);
+    const result = fingerprintFromPosts(agentId, posts, 'live');
+    if (result) return { result, attempts };
+    attempts.push({ source: 'live', postCount: posts.length, error: `At least ${MIN_POSTS} posts required` });
+  } catch (e) {
+    console.warn(`[behavioral] Live post fetch failed for ${agentId}:`, e.message);
+    attempts.push({ source: 'live', error: e.message });
+  }
+
+  const result = getBehavioralFingerprint(agentId);
+  if (!result) attempts.push({ source: 'pre-computed', error: 'Not in fingerprints.json' });
+  return { result, attempts };
+}
+
 module.exports = {
   loadFingerprints,
   getBehavioralFingerprint,
+  resolveBehavioralFingerprint,
+  fingerprintFromPosts,
+  normalizeBundle,
+  buildBundleMessage,
   computeUniqueness,
+  scanSimilar,
+  sybilMatches,
+  rememberFingerprint,
   generateFingerprint,
   combinedSimilarity,
   extractAllFeatures,
-  TOPIC_KEYWORDS
+  TOPIC_KEYWORDS,
+  MIN_POSTS,
+  TOP_K,
+  SYBIL_SIMILARITY_THRESHOLD
 };
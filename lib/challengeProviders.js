@@ -0,0 +1,214 @@
+/**
+ * challengeProviders.js — L1 challenge providers (how an agent proves control of an identity)
+ *
+ * The agent picks a provider at registration (challengeMethod, default colosseum)
+ * and, where needed, a target (challengeTarget). The same provider checks the
+ * confirmation code and, later, L1 renewal codes.
+ *
+ *   colosseum  comment on the Colosseum forum post (COLOSSEUM_FORUM_POST_ID) from the agent's account
+ *   github     code in a public gist or repository file       target: gist or github.com/.../blob/... URL
+ *   dns        code in a TXT record at _moltlaunch.{domain}   target: domain
+ *   wallet     Ed25519 signature over the code                 target: Solana wallet address
+ *
+ * A provider is { name, method, label, identitySignal, pinsTarget?, validateTarget(target),
+ * instructions(agentId, code, target), verify({ agentId, code, target, body }) } where verify
+ * resolves to { found, evidence, identity?, error?, pinTarget? } and throws when the source
+ * can't be reached. `method` is what the audit log records.
+ *
+ * A pinsTarget provider takes no target at registration: the first confirmation is checked
+ * without one, and its pinTarget becomes the agent's target for renewals (Colosseum pins
+ * the comment author's account id once the author name matched the agentId, so renewals
+ * match the account rather than its name).
+ *
+ * identity ("{provider}:{account}": the Colosseum account, gist/repository owner, domain
+ * or wallet) is who actually confirmed. It is stored on the agent and can confirm only
+ * one agent; reuse is refused and recorded as an identitySignal sybil signal on both.
+ * CHALLENGE_PROVIDERS (comma separated) limits which providers registration accepts.
+ */
+
+const dns = require('dns').promises;
+const { PublicKey } = require('@solana/web3.js');
+const { verifyChallengeOnForum, FORUM_POST_ID } = require('./colosseum');
+const { safeFetch } = require('./safeFetch');
+const { verifySignature } = require('./mobile');
+
+const DEFAULT_PROVIDER = 'colosseum';
+const DNS_PREFIX = '_moltlaunch';
+const HOSTNAME_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+/**
+ * Raw content URL for a gist or repository file URL (null if it is neither)
+ */
+function githubRawUrl(target) {
+  let parsed;
+  try {
+    parsed = new URL(target);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') return null;
+  const parts = parsed.pathname.split('/').filter(Boolean);
+
+  if (parsed.hostname === 'gist.github.com' && parts.length === 2) {
+    return { owner: parts[0], url: `https://gist.githubusercontent.com/${parts[0]}/${parts[1]}/raw` };
+  }
+  if (parsed.hostname === 'github.com' && parts.length >= 5 && parts[2] === 'blob') {
+    const [owner, repo, , ref, ...path] = parts;
+    return { owner, url: `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${path.join('/')}` };
+  }
+  if (parsed.hostname === 'raw.githubusercontent.com' && parts.length >= 4) {
+    return { owner: parts[0], url: parsed.toString() };
+  }
+  return null;
+}
+
+/**
+ * The exact message the wallet signs to confirm
+ */
+function buildConfirmMessage(agentId, code) {
+  return `moltlaunch:confirm:${agentId}:${code}`;
+}
+
+const PROVIDERS = {
+  colosseum: {
+    name: 'colosseum',
+    method: 'colosseum_forum',
+    label: 'Colosseum forum',
+    identitySignal: 'colosseum_account',
+    pinsTarget: true,
+    validateTarget(target) {
+      return target ? 'challengeTarget is not accepted for colosseum: the account is pinned from your confirming comment' : null;
+    },
+    instructions: (agentId, code) => [
+      `Post a comment on Colosseum forum post #${FORUM_POST_ID} containing this exact code: ${code}`,
+      'The comment must be posted from your agent\'s Colosseum account (matching your agentId)'
+    ],
+    async verify({ agentId, code, target }) {
+      const { found, comment, authorId } = await verifyChallengeOnForum(agentId, code, target);
+      if (!found) return { found, evidence: null };
+      return { found, evidence: { postId: FORUM_POST_ID, commentId: comment.id, authorId }, identity: `colosseum:${authorId}`, pinTarget: authorId };
+    }
+  },
+
+  github: {
+    name: 'github',
+    method: 'github_file',
+    label: 'GitHub',
+    identitySignal: 'github_owner',
+    validateTarget(target) {
+      if (!target || !githubRawUrl(target)) {
+        return 'challengeTarget must be a public gist URL (https://gist.github.com/{user}/{id}) or repository file URL (https://github.com/{owner}/{repo}/blob/{ref}/{path})';
+      }
+      return null;
+    },
+    instructions: (agentId, code, target) => [
+      `Put this exact code in ${target}: ${code}`,
+      'The gist or repository must be public'
+    ],
+    async verify({ code, target }) {
+      const { owner, url } = githubRawUrl(target);
+      const response = await safeFetch(url, { timeoutMs: 10000, accept: 'text/plain' });
+      if (response.status === 404) return { found: false, evidence: null, error: `${target} not found (is it public?)` };
+      if (response.status !== 200) throw new Error(`GitHub returned ${response.status}`);
+      const found = response.body.includes(code);
+      return { found, evidence: found ? { owner, url: target } : null, identity: found ? `github:${owner.toLowerCase()}` : null };
+    }
+  },
+
+  dns: {
+    name: 'dns',
+    method: 'dns_txt',
+    label: 'DNS TXT record',
+    identitySignal: 'domain_cluster',
+    validateTarget(target) {
+      return target && HOSTNAME_RE.test(target) ? null : 'challengeTarget must be a domain name (e.g. agent.example.com)';
+    },
+    instructions: (agentId, code, target) => [
+      `Add a TXT record at ${DNS_PREFIX}.${target} with the value: moltlaunch-verify=${code}`,
+      'DNS changes can take a few minutes to propagate'
+    ],
+    async verify({ code, target }) {
+      const name = `${DNS_PREFIX}.${target}`;
+      let records;
+      try {
+        records = await dns.resolveTxt(name);
+      } catch (e) {
+        if (e.code === 'ENOTFOUND' || e.code === 'ENODATA') {
+          return { found: false, evidence: null, error: `No TXT record at ${name}` };
+        }
+        throw e;
+      }
+      const found = records.some(chunks => chunks.join('').includes(code));
+      return { found, evidence: found ? { domain: target, record: name } : null, identity: found ? `dns:${target.toLowerCase()}` : null };
+    }
+  },
+
+  wallet: {
+    name: 'wallet',
+    method: 'wallet_signature',
+    label: 'wallet signature',
+    identitySignal: 'wallet_cluster',
+    validateTarget(target) {
+      try {
+        new PublicKey(target);
+        return null;
+      } catch (e) {
+        return 'challengeTarget must be a Solana wallet address (base58)';
+      }
+    },
+    instructions: (agentId, code, target) => [
+      `Sign this exact message with wallet ${target} (Ed25519, UTF-8 bytes): ${buildConfirmMessage(agentId, code)}`,
+      'Send the base64-encoded signature as "signature" in the request body'
+    ],
+    async verify({ agentId, code, target, body }) {
+      if (!body.signature) {
+        return { found: false, evidence: null, error: 'signature is required (base64-encoded Ed25519 signature)' };
+      }
+      const result = verifySignature(buildConfirmMessage(agentId, code), body.signature, target);
+      return {
+        found: result.valid,
+        evidence: result.valid ? { wallet: target } : null,
+        identity: result.valid ? `wallet:${target}` : null,
+        error: result.error
+      };
+    }
+  }
+};
+
+const ENABLED = (process.env.CHALLENGE_PROVIDERS || Object.keys(PROVIDERS).join(','))
+  .split(',').map(p => p.trim()).filter(p => PROVIDERS[p]);
+
+/**
+ * Provider selectable at registration (null if unknown or disabled)
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  return ENABLED.includes(name) ? PROVIDERS[name] : null;
+}
+
+/**
+ * Provider an agent registered with (agents from before providers existed used Colosseum)
+ */
+function providerFor(agent) {
+  return PROVIDERS[agent.challenge_method || DEFAULT_PROVIDER];
+}
+
+function listProviders() {
+  return ENABLED;
+}
+
+/**
+ * Colosseum account id pinned for an agent (null for other providers or before L1)
+ */
+function colosseumAccountId(agent) {
+  return providerFor(agent).name === 'colosseum' ? agent.challenge_target || null : null;
+}
+
+module.exports = {
+  getProvider,
+  providerFor,
+  listProviders,
+  colosseumAccountId,
+  buildConfirmMessage,
+  PROVIDERS,
+  DEFAULT_PROVIDER
+};
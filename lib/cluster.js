@@ -0,0 +1,297 @@
+/**
+ * cluster.js — Solana cluster configuration and RPC failover
+ *
+ * Three roles, each on its own cluster (devnet | testnet | mainnet | localnet):
+ *   anchor  anchors and attestations are written and read back here (SOLANA_CLUSTER, default devnet)
+ *   depin   DePIN device accounts are read from here (DEPIN_CLUSTER, default mainnet)
+ *   stake   economic stake (balances, token and stake accounts) is read here (STAKE_CLUSTER, default mainnet)
+ *
+ * Each role has an ordered endpoint list (SOLANA_RPC_URLS / DEPIN_RPC_URLS /
+ * STAKE_RPC_URLS, comma separated; the cluster's public RPC otherwise). The first healthy endpoint is
+ * active. Reads go through withFailover, which moves to the next endpoint on a
+ * transport error (refused, timeout, 429, 5xx) and retries. Sends are not retried
+ * on another endpoint (the transaction may already be out); the failing endpoint
+ * is marked down and the anchor queue retries. A health check (getSlot) runs every
+ * RPC_HEALTH_CHECK_INTERVAL_MS and brings endpoints back.
+ */
+
+const { Connection, ComputeBudgetProgram } = require('@solana/web3.js');
+
+const CLUSTERS = {
+  devnet: { rpc: 'https://api.devnet.solana.com', explorer: 'devnet' },
+  testnet: { rpc: 'https://api.testnet.solana.com', explorer: 'testnet' },
+  mainnet: { rpc: 'https://api.mainnet-beta.solana.com', explorer: null },
+  localnet: { rpc: 'http://127.0.0.1:8899', explorer: 'custom' }
+};
+const ALIASES = { 'mainnet-beta': 'mainnet', localhost: 'localnet' };
+const COMMITMENTS = ['confirmed', 'finalized'];
+
+const ROLES = {
+  anchor: {
+    cluster: process.env.SOLANA_CLUSTER || 'devnet',
+    urls: process.env.SOLANA_RPC_URLS || process.env.SOLANA_RPC_URL
+  },
+  depin: {
+    cluster: process.env.DEPIN_CLUSTER || 'mainnet',
+    urls: process.env.DEPIN_RPC_URLS || process.env.SOLANA_MAINNET_RPC
+  },
+  stake: {
+    cluster: process.env.STAKE_CLUSTER || 'mainnet',
+    urls: process.env.STAKE_RPC_URLS || process.env.STAKE_RPC_URL || process.env.SOLANA_MAINNET_RPC
+  }
+};
+
+const COMMITMENT = process.env.SOLANA_COMMITMENT || 'confirmed';
+const PRIORITY_FEE_MICROLAMPORTS = parseInt(process.env.SOLANA_PRIORITY_FEE_MICROLAMPORTS, 10) || 0;
+const COMPUTE_UNIT_LIMIT = parseInt(process.env.SOLANA_COMPUTE_UNIT_LIMIT, 10) || 0;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS, 10) || 30 * 1000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Errors that say "this endpoint is unavailable", not "this request is wrong"
+const TRANSPORT_ERROR = /fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up|timed? ?out|429|Too Many Requests|50[0-4]|Service Unavailable|Bad Gateway/i;
+
+const pools = {};
+let timer = null;
+
+function normalizeCluster(name) {
+  return ALIASES[name] || name;
+}
+
+/**
+ * Endpoint pool for a role (built on first use; throws on invalid configuration)
+ */
+function getPool(role) {
+  if (pools[role]) return pools[role];
+
+  const config = ROLES[role];
+  if (!config) throw new Error(`Unknown RPC role: ${role}`);
+  const cluster = normalizeCluster(config.cluster);
+  if (!CLUSTERS[cluster]) {
+    throw new Error(`Unknown cluster "${config.cluster}" for ${role} (expected one of: ${Object.keys(CLUSTERS).join(', ')})`);
+  }
+  if (!COMMITMENTS.includes(COMMITMENT)) {
+    throw new Error(`SOLANA_COMMITMENT must be one of: ${COMMITMENTS.join(', ')}`);
+  }
+
+  const urls = config.urls ? config.urls.split(',').map(u => u.trim()).filter(Boolean) : [CLUSTERS[cluster].rpc];
+  pools[role] = {
+    role,
+    cluster,
+    override: null,
+    endpoints: urls.map(url => ({
+      url,
+      healthy: true,
+      failures: 0,
+      lastError: null,
+      lastCheckedAt: null,
+      latencyMs: null,
+      connection: null
+    }))
+  };
+  return pools[role];
+}
+
+function getClusterName(role = 'anchor') {
+  return getPool(role).cluster;
+}
+
+/**
+ * First healthy endpoint; when every endpoint is down, the first one (better than nothing)
+ */
+function activeEndpoint(pool) {
+  return pool.endpoints.find(e => e.healthy) || pool.endpoints[0];
+}
+
+function connectionFor(endpoint) {
+  if (!endpoint.connection) endpoint.connection = new Connection(endpoint.url, COMMITMENT);
+  return endpoint.connection;
+}
+
+/**
+ * Connection to the role's active endpoint
+ */
+function getConnection(role = 'anchor') {
+  const pool = getPool(role);
+  return pool.override || connectionFor(activeEndpoint(pool));
+}
+
+/**
+ * Pin a role to one connection (local validator, stub); null restores the endpoint list
+ */
+function setConnection(role, conn) {
+  getPool(role).override = conn;
+}
+
+function isTransportError(error) {
+  return TRANSPORT_ERROR.test(error && error.message ? error.message : String(error));
+}
+
+function markDown(pool, endpoint, error) {
+  endpoint.healthy = false;
+  endpoint.failures++;
+  endpoint.lastError = error.message;
+  const next = activeEndpoint(pool);
+  const switching = next !== endpoint ? ` — switching to ${next.url}` : '';
+  console.warn(`[cluster] ${pool.role} RPC ${endpoint.url} failed: ${error.message}${switching}`);
+}
+
+/**
+ * Record a failed call on the role's active endpoint (only transport errors count)
+ */
+function reportFailure(role, error) {
+  const pool = getPool(role);
+  if (pool.override || !isTransportError(error)) return;
+  markDown(pool, activeEndpoint(pool), error);
+}
+
+/**
+ * Run fn(connection) on the active endpoint, moving down the list on transport errors
+ * @template T
+ * @param {string} role - 'anchor' | 'depin' | 'stake'
+ * @param {(conn: Connection) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withFailover(role, fn) {
+  const pool = getPool(role);
+  if (pool.override) return fn(pool.override);
+
+  let lastError;
+  for (let attempt = 0; attempt < pool.endpoints.length; attempt++) {
+    const endpoint = activeEndpoint(pool);
+    try {
+      return await fn(connectionFor(endpoint));
+    } catch (e) {
+      if (!isTransportError(e)) throw e;
+      lastError = e;
+      markDown(pool, endpoint, e);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Compute budget instructions to prepend to every transaction we send
+ */
+function computeBudgetInstructions() {
+  const instructions = [];
+  if (COMPUTE_UNIT_LIMIT) {
+    instructions.push(ComputeBudgetProgram.setComputeUnitLimit({ units: COMPUTE_UNIT_LIMIT }));
+  }
+  if (PRIORITY_FEE_MICROLAMPORTS) {
+    instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: PRIORITY_FEE_MICROLAMPORTS }));
+  }
+  return instructions;
+}
+
+/**
+ * Solana Explorer link (path: 'tx/{sig}' or 'address/{pubkey}') for a cluster
+ */
+function explorerUrl(path, cluster = getClusterName('anchor')) {
+  const name = normalizeCluster(cluster);
+  const base = `https://explorer.solana.com/${path}`;
+  if (!CLUSTERS[name] || name === 'mainnet') return base;
+  if (name === 'localnet') {
+    const pool = getPool('anchor');
+    const rpc = pool.cluster === 'localnet' ? activeEndpoint(pool).url : CLUSTERS.localnet.rpc;
+    return `${base}?cluster=custom&customUrl=${encodeURIComponent(rpc)}`;
+  }
+  return `${base}?cluster=${CLUSTERS[name].explorer}`;
+}
+
+async function checkEndpoint(endpoint) {
+  const started = Date.now();
+  let timeout;
+  try {
+    await Promise.race([
+      connectionFor(endpoint).getSlot(),
+      new Promise((_, reject) => {
+        timeout = setTimeout(() => reject(new Error('health check timed out')), HEALTH_CHECK_TIMEOUT_MS);
+      })
+    ]);
+    endpoint.healthy = true;
+    endpoint.latencyMs = Date.now() - started;
+    endpoint.lastError = null;
+  } catch (e) {
+    endpoint.healthy = false;
+    endpoint.lastError = e.message;
+  } finally {
+    clearTimeout(timeout);
+    endpoint.lastCheckedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Health-check every endpoint of every role
+ */
+async function checkHealth() {
+  for (const role of Object.keys(ROLES)) {
+    const pool = getPool(role);
+    if (pool.override) continue;
+    await Promise.all(pool.endpoints.map(checkEndpoint));
+  }
+  return status();
+}
+
+/**
+ * Configuration and endpoint health (admin)
+ */
+function status() {
+  const roles = {};
+  for (const role of Object.keys(ROLES)) {
+    const pool = getPool(role);
+    roles[role] = {
+      cluster: pool.cluster,
+      active: pool.override ? 'override' : activeEndpoint(pool).url,
+      endpoints: pool.endpoints.map(e => ({
+        url: e.url,
+        healthy: e.healthy,
+        failures: e.failures,
+        lastError: e.lastError,
+        lastCheckedAt: e.lastCheckedAt,
+        latencyMs: e.latencyMs
+      }))
+    };
+  }
+  return {
+    commitment: COMMITMENT,
+    priorityFeeMicroLamports: PRIORITY_FEE_MICROLAMPORTS,
+    computeUnitLimit: COMPUTE_UNIT_LIMIT || null,
+    roles
+  };
+}
+
+/**
+ * Validate the configuration and start the health check
+ */
+function start() {
+  for (const role of Object.keys(ROLES)) {
+    const pool = getPool(role);
+    console.log(`[cluster] ${role}: ${pool.cluster} (${pool.endpoints.map(e => e.url).join(', ')})`);
+  }
+  if (timer) return;
+  timer = setInterval(() => {
+    checkHealth().catch(err => console.error('[cluster] Health check error:', err.message));
+  }, HEALTH_CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  getClusterName,
+  getConnection,
+  setConnection,
+  withFailover,
+  reportFailure,
+  computeBudgetInstructions,
+  explorerUrl,
+  checkHealth,
+  status,
+  start,
+  stop,
+  COMMITMENT,
+  CLUSTERS
+};
@@ -0,0 +1,277 @@
+/**
+ * codeRepo.js — Source repository verification for codeUrl (L2)
+ *
+ * A codeUrl on a recognised git host is checked through the host's API:
+ *   github  https://github.com/{owner}/{repo}          GITHUB_API_URL (default https://api.github.com), GITHUB_TOKEN
+ *   gitlab  https://gitlab.com/{namespace}/{project}   GITLAB_API_URL (default https://gitlab.com/api/v4), GITLAB_TOKEN
+ *
+ * The repository must exist and be public, and its default branch must contain a
+ * proof file (PROOF_FILES, first found wins) mentioning the agentId and the agent's
+ * token, or its proofPubkey in signed proof mode. The head commit that was checked
+ * is recorded. Pointing the API URLs at a local server makes the whole flow testable.
+ *
+ * Every CODE_REPO_CHECK_INTERVAL_MS the recorded repository and commit of each L2+
+ * agent are looked up again; when either is gone the code_repo_missing signal is
+ * raised, and cleared once both are back.
+ *
+ * codeUrls on other hosts fail with unsupported_host, unless CODE_URL_ALLOW_OTHER=true
+ * (then they only need to answer 2xx, as before).
+ *
+ * A host is { name, parse(url) → repo path | null, getRepo, getHeadCommit, getFile, hasCommit };
+ * API calls resolve to null on 404 and throw (with `reason`) on anything else unexpected.
+ */
+
+const { safeFetch } = require('./safeFetch');
+const db = require('../db');
+const { getSignals, setSignal, holds } = require('./signals');
+
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+const GITLAB_API_URL = (process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4').replace(/\/$/, '');
+const ALLOW_OTHER = process.env.CODE_URL_ALLOW_OTHER === 'true';
+const INTERVAL_MS = parseInt(process.env.CODE_REPO_CHECK_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+const PROOF_FILES = ['moltlaunch.json', '.well-known/moltlaunch.json'];
+
+let timer = null;
+let running = false;
+
+function repoError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * GET a host API URL: parsed JSON (or text), null on 404
+ */
+async function apiGet(url, { token, raw } = {}) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const response = await safeFetch(url, { timeoutMs: 10000, accept: raw ? '*/*' : 'application/json', headers });
+  if (response.status === 404) return null;
+  if (response.status === 403 || response.status === 429) {
+    throw repoError('repo_api_error', `Repository API rate limited or refused the request (HTTP ${response.status})`);
+  }
+  if (response.status !== 200) {
+    throw repoError('repo_api_error', `Repository API returned HTTP ${response.status}`);
+  }
+  if (raw) return response.body;
+  try {
+    return JSON.parse(response.body);
+  } catch {
+    throw repoError('repo_api_error', 'Repository API returned invalid JSON');
+  }
+}
+
+const HOSTS = {
+  github: {
+    name: 'github',
+    parse(parsed) {
+      if (parsed.hostname !== 'github.com' && parsed.hostname !== 'www.github.com') return null;
+      const parts = parsed.pathname.split('/').filter(Boolean);
+      if (parts.length < 2) return null;
+      return `${parts[0]}/${parts[1].replace(/\.git$/, '')}`;
+    },
+    async getRepo(path) {
+      const repo = await apiGet(`${GITHUB_API_URL}/repos/${path}`, { token: process.env.GITHUB_TOKEN });
+      if (!repo) return null;
+      return { path: repo.full_name || path, defaultBranch: repo.default_branch, private: !!repo.private, url: repo.html_url };
+    },
+    async getHeadCommit(path, branch) {
+      const commit = await apiGet(`${GITHUB_API_URL}/repos/${path}/commits/${encodeURIComponent(branch)}`, { token: process.env.GITHUB_TOKEN });
+      return commit ? commit.sha : null;
+    },
+    async getFile(path, file, ref) {
+      const content = await apiGet(`${GITHUB_API_URL}/repos/${path}/contents/${file}?ref=${ref}`, { token: process.env.GITHUB_TOKEN });
+      if (!content || content.encoding !== 'base64') return null;
+      return Buffer.from(content.content, 'base64').toString('utf-8');
+    },
+    async hasCommit(path, sha) {
+      return !!(await apiGet(`${GITHUB_API_URL}/repos/${path}/commits/${sha}`, { token: process.env.GITHUB_TOKEN }));
+    }
+  },
+
+  gitlab: {
+    name: 'gitlab',
+    parse(parsed) {
+      if (parsed.hostname !== 'gitlab.com') return null;
+      // Everything before "/-/" (tree, blob, ...) is the project path, which can be nested
+      const parts = parsed.pathname.split('/-/')[0].split('/').filter(Boolean);
+      if (parts.length < 2) return null;
+      parts[parts.length - 1] = parts[parts.length - 1].replace(/\.git$/, '');
+      return parts.join('/');
+    },
+    async getRepo(path) {
+      const project = await apiGet(`${GITLAB_API_URL}/projects/${encodeURIComponent(path)}`, { token: process.env.GITLAB_TOKEN });
+      if (!project) return null;
+      return { path: project.path_with_namespace || path, defaultBranch: project.default_branch, private: project.visibility !== 'public', url: project.web_url };
+    },
+    async getHeadCommit(path, branch) {
+      const commit = await apiGet(`${GITLAB_API_URL}/projects/${encodeURIComponent(path)}/repository/commits/${encodeURIComponent(branch)}`, { token: process.env.GITLAB_TOKEN });
+      return commit ? commit.id : null;
+    },
+    async getFile(path, file, ref) {
+      return apiGet(`${GITLAB_API_URL}/projects/${encodeURIComponent(path)}/repository/files/${encodeURIComponent(file)}/raw?ref=${ref}`,
+        { token: process.env.GITLAB_TOKEN, raw: true });
+    },
+    async hasCommit(path, sha) {
+      return !!(await apiGet(`${GITLAB_API_URL}/projects/${encodeURIComponent(path)}/repository/commits/${sha}`, { token: process.env.GITLAB_TOKEN }));
+    }
+  }
+};
+
+/**
+ * Git host and repository path of a codeUrl (null if it isn't on a recognised host)
+ * @returns {{ host: string, path: string }|null}
+ */
+function parseRepoUrl(codeUrl) {
+  let parsed;
+  try {
+    parsed = new URL(codeUrl);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') return null;
+  for (const host of Object.values(HOSTS)) {
+    const path = host.parse(parsed);
+    if (path) return { host: host.name, path };
+  }
+  return null;
+}
+
+/**
+ * What the proof file must mention besides the agentId
+ */
+function proofSecret(agent) {
+  return agent.proof_pubkey || agent.challenge_token;
+}
+
+/**
+ * Verify an agent's codeUrl
+ * @returns {Promise<{ ok: boolean, reason?: string, message?: string,
+ *   repo?: { host: string, path: string, url: string, defaultBranch: string, commit: string, proofFile: string } }>}
+ *   repo is null for an accepted URL on another host (CODE_URL_ALLOW_OTHER)
+ */
+async function verifyRepository(codeUrl, agent) {
+  const target = parseRepoUrl(codeUrl);
+  if (!target) {
+    if (!ALLOW_OTHER) {
+      return { ok: false, reason: 'unsupported_host', message: `codeUrl must be a repository on ${Object.keys(HOSTS).join(' or ')} (e.g. https://github.com/{owner}/{repo})` };
+    }
+    const response = await safeFetch(codeUrl, { accept: '*/*' });
+    if (response.status < 200 || response.status >= 300) {
+      return { ok: false, reason: 'http_status', message: `codeUrl returned HTTP ${response.status} (expected 2xx)` };
+    }
+    return { ok: true, repo: null };
+  }
+
+  const host = HOSTS[target.host];
+  const repo = await host.getRepo(target.path);
+  if (!repo) {
+    return { ok: false, reason: 'repo_not_found', message: `Repository ${target.path} not found on ${target.host} (is it public?)` };
+  }
+  if (repo.private) {
+    return { ok: false, reason: 'repo_private', message: `Repository ${repo.path} is not public` };
+  }
+  const commit = await host.getHeadCommit(repo.path, repo.defaultBranch);
+  if (!commit) {
+    return { ok: false, reason: 'repo_empty', message: `Repository ${repo.path} has no commits on ${repo.defaultBranch}` };
+  }
+
+  for (const file of PROOF_FILES) {
+    const content = await host.getFile(repo.path, file, commit);
+    if (content === null) continue;
+    if (!content.includes(agent.id) || !content.includes(proofSecret(agent))) {
+      return {
+        ok: false,
+        reason: 'proof_mismatch',
+        message: `${file} in ${repo.path} must contain your agentId and ${agent.proof_pubkey ? 'proofPubkey' : 'token'}`
+      };
+    }
+    return {
+      ok: true,
+      repo: { host: target.host, path: repo.path, url: repo.url, defaultBranch: repo.defaultBranch, commit, proofFile: file }
+    };
+  }
+  return {
+    ok: false,
+    reason: 'proof_missing',
+    message: `No ${PROOF_FILES.join(' or ')} on ${repo.defaultBranch} of ${repo.path}`
+  };
+}
+
+/**
+ * Look up an agent's recorded repository and commit again; raise or clear code_repo_missing
+ * @returns {Promise<{ status: string, changed: boolean }>} status: ok | repo_not_found | commit_not_found
+ */
+async function checkAgentRepository(agentId, record) {
+  const host = HOSTS[record.code_host];
+  let status = 'ok';
+  if (!(await host.getRepo(record.code_repo))) status = 'repo_not_found';
+  else if (!(await host.hasCommit(record.code_repo, record.code_commit))) status = 'commit_not_found';
+  db.setCodeRepoStatus(agentId, status);
+
+  const flagged = holds(getSignals(agentId), 'code_repo_missing');
+  const missing = status !== 'ok';
+  if (missing === flagged) return { status, changed: false };
+
+  const evidence = { host: record.code_host, repo: record.code_repo, commit: record.code_commit, status };
+  setSignal(agentId, 'code_repo_missing', missing, evidence, 'code_repo');
+  db.addAuditLog(agentId, missing ? 'code_repo_missing' : 'code_repo_restored', evidence, null);
+  if (missing) console.warn(`[code-repo] ${agentId}: ${record.code_host}:${record.code_repo}@${record.code_commit.slice(0, 12)} ${status}`);
+  return { status, changed: true };
+}
+
+/**
+ * Re-check every recorded repository (one at a time)
+ * @returns {Promise<{ checked: number, missing: string[], errors: number }>}
+ */
+async function sweep() {
+  const report = { checked: 0, missing: [], errors: 0 };
+  for (const record of db.getVerifiedCodeRepos()) {
+    try {
+      const { status } = await checkAgentRepository(record.agent_id, record);
+      report.checked++;
+      if (status !== 'ok') report.missing.push(record.agent_id);
+    } catch (err) {
+      // API trouble says nothing about the repository; try again next sweep
+      report.errors++;
+      console.error(`[code-repo] Check failed for ${record.agent_id}:`, err.message);
+    }
+  }
+  if (report.missing.length || report.errors) {
+    console.log(`[code-repo] Sweep: ${report.checked} checked, ${report.missing.length} missing, ${report.errors} errors`);
+  }
+  return report;
+}
+
+function start() {
+  if (timer) return;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweep();
+    } catch (err) {
+      console.error('[code-repo] Sweep error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseRepoUrl,
+  verifyRepository,
+  checkAgentRepository,
+  sweep,
+  start,
+  stop,
+  HOSTS,
+  PROOF_FILES
+};
@@ -1,19 +1,57 @@
 const https = require('https');
-const http = require('http');
-const url = require('url');
 
 const COLOSSEUM_API_KEY = process.env.COLOSSEUM_API_KEY;
-const FORUM_POST_ID = '4322';
+const FORUM_POST_ID = process.env.COLOSSEUM_FORUM_POST_ID || '4322';
 const COLOSSEUM_BASE = 'https://agents.colosseum.com/api/forum/posts';
 
+const PAGE_SIZE = parseInt(process.env.COLOSSEUM_PAGE_SIZE, 10) || 100;
+const MAX_PAGES = 50;
+const CACHE_TTL_MS = parseInt(process.env.COLOSSEUM_CACHE_TTL_MS, 10) || 15 * 1000;
+const FULL_REFRESH_MS = 60 * 60 * 1000; // re-walk the whole thread hourly to pick up edits
+const DEFAULT_RETRY_AFTER_MS = 60 * 1000; // 429 without a usable Retry-After
+
+// Author fields seen on Colosseum posts and comments. The API does not document them,
+// so every known spelling is read; when two spellings disagree the author is unknown.
+const AUTHOR_ID_FIELDS = ['authorId', 'author_id', 'agentId', 'agent_id'];
+const AUTHOR_NAME_FIELDS = ['authorName', 'author_name', 'author', 'agentName', 'agent_name'];
+
+// Comment cache for the challenge post: id → normalized comment, refreshed
+// incrementally (newest pages first, stopping at the last comment already seen)
+// while the API is observed to return comments newest first
+const commentCache = {
+  comments: new Map(),
+  lastSeenId: null,
+  refreshedAt: 0,
+  fullRefreshAt: 0,
+  newestFirst: null,
+  refreshing: null
+};
+let rateLimitedUntil = 0;
+
 /**
- * Fetch comments from the Colosseum forum post #4322
+ * Retry-After header (seconds or HTTP date) in ms; null when absent or unparseable
  */
-async function getForumComments() {
-  const commentsUrl = `${COLOSSEUM_BASE}/${FORUM_POST_ID}/comments`;
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = new Date(header).getTime();
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function rateLimitError(retryAfterMs) {
+  const error = new Error(`Colosseum API rate limited — retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+  error.status = 429;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
 
+/**
+ * GET a Colosseum API URL and parse the JSON response (one attempt)
+ */
+function colosseumRequest(apiUrl) {
   return new Promise((resolve, reject) => {
-    const parsed = new URL(commentsUrl);
+    const parsed = new URL(apiUrl);
     const options = {
       hostname: parsed.hostname,
       port: parsed.port || 443,
@@ -29,6 +67,11 @@ async function getForumComments() {
       let data = '';
       res.on('data', chunk => { data += chunk; });
       res.on('end', () => {
+        if (res.statusCode === 429) {
+          const retryAfter = parseRetryAfter(res.headers['retry-after']);
+          reject(rateLimitError(retryAfter === null ? DEFAULT_RETRY_AFTER_MS : retryAfter));
+          return;
+        }
         if (res.statusCode !== 200) {
           reject(new Error(`Colosseum API returned ${res.statusCode}: ${data}`));
           return;
@@ -51,71 +94,205 @@ async function getForumComments() {
 }
 
 /**
- * Verify that a challenge code appears in a comment from the given agent
- * @param {string} agentId - The agent's ID (matched against comment author)
- * @param {string} challengeCode - The challenge code to search for
- * @returns {Promise<{found: boolean, comment: object|null}>}
+ * GET a Colosseum API URL, honoring 429 Retry-After
+ * Callers are request handlers, so a 429 is never slept through: it fails with
+ * error.retryAfterMs set, and later calls fail fast until the window passes.
  */
-async function verifyChallengeOnForum(agentId, challengeCode) {
+async function colosseumGet(apiUrl) {
+  const wait = rateLimitedUntil - Date.now();
+  if (wait > 0) throw rateLimitError(wait);
+
   try {
-    const response = await getForumComments();
+    return await colosseumRequest(apiUrl);
+  } catch (e) {
+    if (e.status === 429) rateLimitedUntil = Date.now() + e.retryAfterMs;
+    throw e;
+  }
+}
+
+/**
+ * List items out of a response (an array, or { comments | posts | data: [...] })
+ */
+function listItems(response, key) {
+  return Array.isArray(response) ? response : (response[key] || response.data || []);
+}
 
-    // The response may be an array or { comments: [...] }
-    const comments = Array.isArray(response) ? response : (response.comments || response.data || []);
+/**
+ * The one value several field spellings agree on
+ * null when none is set or when they disagree (fail closed)
+ */
+function agreed(values) {
+  const distinct = new Set(values.filter(v => typeof v === 'string' ? v !== '' : typeof v === 'number').map(String));
+  return distinct.size === 1 ? distinct.values().next().value : null;
+}
 
-    for (const comment of comments) {
-      const authorName = (comment.authorName || comment.author_name || comment.author || comment.agentName || comment.agent_name || '').toLowerCase();
-      const body = comment.body || comment.content || comment.text || '';
+/**
+ * Normalize a post or comment: stable author account id plus display name
+ * authorId is the Colosseum account id; the name is only used to find the
+ * account the first time an agent confirms. An `author` object is read as { id, name }.
+ */
+function normalizeItem(item) {
+  const author = item.author && typeof item.author === 'object' ? item.author : {};
+  const authorId = agreed(AUTHOR_ID_FIELDS.map(f => item[f]).concat(author.id));
+  const authorName = agreed(AUTHOR_NAME_FIELDS.map(f => item[f]).concat(author.name).map(v => (typeof v === 'string' ? v.toLowerCase() : v)));
+  return {
+    id: item.id === undefined || item.id === null ? null : String(item.id),
+    authorId,
+    authorName: authorName || '',
+    title: item.title || '',
+    body: item.body || item.content || item.text || '',
+    createdAt: item.createdAt || item.created_at
+  };
+}
 
-      // Check if this comment is from the agent and contains the challenge code
-      if (authorName === agentId.toLowerCase() && body.includes(challengeCode)) {
-        return { found: true, comment };
-      }
+/**
+ * Ordering key of a comment under one basis: 'time' (createdAt) or 'id' (numeric id)
+ */
+function orderKey(comment, basis) {
+  if (basis === 'time') return comment.createdAt ? new Date(comment.createdAt).getTime() : NaN;
+  return comment.id !== null && /^\d+$/.test(comment.id) ? Number(comment.id) : NaN;
+}
+
+/**
+ * Whether comments are listed newest first, judged by timestamps, else by numeric ids
+ * `?sort=new` is not documented, so the incremental refresh checks what it got.
+ * Comments that carry neither don't count as ordered.
+ */
+function isNewestFirst(comments) {
+  for (const basis of ['time', 'id']) {
+    const keys = comments.map(c => orderKey(c, basis));
+    if (keys.some(isNaN)) continue;
+    return keys.every((key, i) => i === 0 || keys[i - 1] >= key);
+  }
+  return comments.length === 0;
+}
+
+/**
+ * Walk the challenge post's comments newest first, stopping at a page that reaches a
+ * comment already cached. Walks everything on a full refresh, and whenever the pages
+ * turn out not to be newest first (an early stop could then miss new comments).
+ */
+async function refreshComments(full) {
+  let fresh = [];
+  let walkAll = full || commentCache.newestFirst === false;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await colosseumGet(
+      `${COLOSSEUM_BASE}/${FORUM_POST_ID}/comments?sort=new&limit=${PAGE_SIZE}&offset=${page * PAGE_SIZE}`
+    );
+    const items = listItems(response, 'comments').map(normalizeItem);
+    fresh = fresh.concat(items);
+    if (!walkAll && !isNewestFirst(fresh)) walkAll = true;
+    if (items.length < PAGE_SIZE || response.hasMore === false) break;
+    if (!walkAll && items.some(c => c.id !== null && commentCache.comments.has(c.id))) break;
+  }
+
+  if (walkAll) {
+    const newestFirst = isNewestFirst(fresh);
+    if (!newestFirst && commentCache.newestFirst !== false) {
+      console.warn('[colosseum] Comments are not returned newest first; every refresh reads the whole thread');
     }
+    commentCache.newestFirst = newestFirst;
+    commentCache.comments.clear();
+  }
+  for (const comment of fresh) {
+    // Comments without an id can't be cached incrementally; keep them keyed by content
+    commentCache.comments.set(comment.id !== null ? comment.id : `${comment.authorName}:${comment.body}`, comment);
+  }
+  const newest = commentCache.newestFirst === false ? null : fresh.find(c => c.id !== null);
+  if (newest) commentCache.lastSeenId = newest.id;
+  commentCache.refreshedAt = Date.now();
+  if (walkAll) commentCache.fullRefreshAt = commentCache.refreshedAt;
+}
 
-    return { found: false, comment: null };
-  } catch (error) {
-    console.error('Forum verification error:', error.message);
-    throw error;
+/**
+ * Comments on the challenge forum post (COLOSSEUM_FORUM_POST_ID, default #4322), from the cache
+ * Refreshed when older than COLOSSEUM_CACHE_TTL_MS; concurrent callers share one refresh.
+ * @returns {Promise<object[]>} normalized comments
+ */
+async function getForumComments() {
+  const now = Date.now();
+  if (now - commentCache.refreshedAt >= CACHE_TTL_MS) {
+    if (!commentCache.refreshing) {
+      const full = now - commentCache.fullRefreshAt >= FULL_REFRESH_MS;
+      commentCache.refreshing = refreshComments(full).finally(() => { commentCache.refreshing = null; });
+    }
+    await commentCache.refreshing;
   }
+  return Array.from(commentCache.comments.values());
 }
 
 /**
- * Fetch a URL and return { status, body }
- * Used for L2 endpoint verification
+ * Cache state (admin / debugging)
  */
-function fetchUrl(targetUrl, timeoutMs = 5000) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(targetUrl);
-    const client = parsed.protocol === 'https:' ? https : http;
+function getCommentCacheStatus() {
+  return {
+    postId: FORUM_POST_ID,
+    comments: commentCache.comments.size,
+    lastSeenId: commentCache.lastSeenId,
+    newestFirst: commentCache.newestFirst,
+    refreshedAt: commentCache.refreshedAt ? new Date(commentCache.refreshedAt).toISOString() : null,
+    rateLimitedUntil: rateLimitedUntil > Date.now() ? new Date(rateLimitedUntil).toISOString() : null
+  };
+}
 
-    const options = {
-      hostname: parsed.hostname,
-      port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
-      path: parsed.pathname + parsed.search,
-      method: 'GET',
-      headers: { 'Accept': 'application/json' }
-    };
+/**
+ * Fetch an agent's own forum posts, normalized to { title, body, createdAt }
+ * Used for live behavioral fingerprinting (L3)
+ *
+ * The forum API does not document an author filter. `?author=` is only sent as a
+ * narrowing hint: every post is checked against the pinned account id (or the author
+ * name before one is pinned) here, so an API that ignores the parameter yields the
+ * agent's posts among the latest `limit` (possibly too few to fingerprint), never
+ * someone else's.
+ * @param {string} agentId
+ * @param {number} [limit]
+ * @param {string} [authorId] - Colosseum account id pinned at L1 (preferred over the name)
+ */
+async function getAgentPosts(agentId, limit = 200, authorId = null) {
+  const postsUrl = `${COLOSSEUM_BASE}?author=${encodeURIComponent(agentId)}&limit=${limit}`;
+  const response = await colosseumGet(postsUrl);
 
-    const req = client.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        resolve({ status: res.statusCode, body: data });
-      });
-    });
+  return listItems(response, 'posts')
+    .map(normalizeItem)
+    .filter(post => (authorId ? post.authorId === authorId : post.authorName === agentId.toLowerCase()))
+    .map(post => ({ title: post.title, body: post.body, createdAt: post.createdAt }))
+    .filter(post => post.createdAt && !isNaN(new Date(post.createdAt).getTime()));
+}
 
-    req.on('error', reject);
-    req.setTimeout(timeoutMs, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-    req.end();
-  });
+/**
+ * Verify that a challenge code appears in a comment from the agent's account
+ * Once an agent has confirmed, its account id is pinned and matched instead of the
+ * name (names can change or be reused); before that the comment author's name must
+ * equal the agentId, and the returned authorId should be pinned by the caller.
+ * Comments whose account id is missing or ambiguous never match.
+ * While the API is rate limiting, the cached comments are searched; only a miss fails
+ * (with error.retryAfterMs), so a request handler never waits on Retry-After.
+ * @param {string} agentId - The agent's ID (matched against the author name when no id is pinned)
+ * @param {string} challengeCode - The challenge code to search for
+ * @param {string|null} [authorId] - Pinned Colosseum account id
+ * @returns {Promise<{found: boolean, comment: object|null, authorId: string|null}>}
+ */
+async function verifyChallengeOnForum(agentId, challengeCode, authorId = null) {
+  const matchesAuthor = authorId
+    ? c => c.authorId === authorId
+    : c => c.authorName === agentId.toLowerCase();
+  const search = comments => comments.find(c => c.authorId !== null && matchesAuthor(c) && c.body.includes(challengeCode)) || null;
+
+  try {
+    const comment = search(await getForumComments());
+    return { found: !!comment, comment, authorId: comment ? comment.authorId : null };
+  } catch (error) {
+    const cached = error.retryAfterMs ? search(Array.from(commentCache.comments.values())) : null;
+    if (cached) return { found: true, comment: cached, authorId: cached.authorId };
+    console.error('Forum verification error:', error.message);
+    throw error;
+  }
 }
 
 module.exports = {
   getForumComments,
+  getCommentCacheStatus,
+  getAgentPosts,
   verifyChallengeOnForum,
-  fetchUrl
+  FORUM_POST_ID
 };
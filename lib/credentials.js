@@ -0,0 +1,189 @@
+/**
+ * credentials.js — Signed verifiable credentials (JWT-VC, EdDSA)
+ *
+ * The service holds an Ed25519 issuer key and signs a W3C Verifiable Credential,
+ * encoded as a compact JWT, describing an agent's verified state. Relying
+ * services check it offline against the key published at
+ * /.well-known/moltlaunch-issuer.json instead of calling GET /agent/:id live.
+ *
+ * Issuer key: ISSUER_PRIVATE_KEY (JSON array of 64 secret key bytes, same format
+ * as SOLANA_PRIVATE_KEY), else ISSUER_KEY_PATH (default data/issuer-key.json),
+ * generated on first start.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nacl = require('tweetnacl');
+const { PublicKey } = require('@solana/web3.js');
+
+const ISSUER = process.env.CREDENTIAL_ISSUER || 'did:web:proveyour.id';
+const ISSUER_KEY_PATH = process.env.ISSUER_KEY_PATH || path.join(__dirname, '..', 'data', 'issuer-key.json');
+const CREDENTIAL_TYPE = 'MoltLaunchAgentCredential';
+const VC_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+
+let issuerKey = null;
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Key id: issuer DID plus a short hash of the public key
+ */
+function keyIdFor(publicKey) {
+  return `${ISSUER}#${crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Load (or create) the issuer keypair
+ */
+function init() {
+  if (issuerKey) return issuerKey;
+
+  let secretKey;
+  if (process.env.ISSUER_PRIVATE_KEY) {
+    secretKey = Uint8Array.from(JSON.parse(process.env.ISSUER_PRIVATE_KEY));
+  } else if (fs.existsSync(ISSUER_KEY_PATH)) {
+    secretKey = Uint8Array.from(JSON.parse(fs.readFileSync(ISSUER_KEY_PATH, 'utf-8')));
+  } else {
+    secretKey = nacl.sign.keyPair().secretKey;
+    fs.mkdirSync(path.dirname(ISSUER_KEY_PATH), { recursive: true });
+    fs.writeFileSync(ISSUER_KEY_PATH, JSON.stringify(Array.from(secretKey)), { mode: 0o600 });
+    console.warn(`[credentials] Generated a new issuer key at ${ISSUER_KEY_PATH}`);
+  }
+
+  const keyPair = nacl.sign.keyPair.fromSecretKey(secretKey);
+  issuerKey = { keyPair, kid: keyIdFor(keyPair.publicKey) };
+  console.log(`[credentials] Issuer key loaded: ${issuerKey.kid}`);
+  return issuerKey;
+}
+
+/**
+ * Public issuer key document (served at /.well-known/moltlaunch-issuer.json)
+ * keys[] is a JWK set so standard JOSE libraries can use it directly.
+ */
+function issuerDocument() {
+  const { keyPair, kid } = init();
+  return {
+    issuer: ISSUER,
+    credentialType: CREDENTIAL_TYPE,
+    keys: [{
+      kid,
+      kty: 'OKP',
+      crv: 'Ed25519',
+      alg: 'EdDSA',
+      use: 'sig',
+      x: base64url(keyPair.publicKey),
+      publicKeyBase58: new PublicKey(keyPair.publicKey).toBase58()
+    }]
+  };
+}
+
+/**
+ * Sign a JWT-VC for an agent
+ * @param {object} subject - credentialSubject (must include id)
+ * @param {string} expiresAt - ISO date the credential stops being valid
+ * @returns {{ jwt: string, id: string, issuedAt: string, expiresAt: string }}
+ */
+function issueCredential(subject, expiresAt) {
+  const { keyPair, kid } = init();
+  const now = new Date();
+  const id = `urn:uuid:${crypto.randomUUID()}`;
+
+  const header = { alg: 'EdDSA', typ: 'JWT', kid };
+  const payload = {
+    iss: ISSUER,
+    sub: subject.id,
+    jti: id,
+    iat: Math.floor(now.getTime() / 1000),
+    nbf: Math.floor(now.getTime() / 1000),
+    exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+    vc: {
+      '@context': [VC_CONTEXT],
+      type: ['VerifiableCredential', CREDENTIAL_TYPE],
+      id,
+      issuer: ISSUER,
+      issuanceDate: now.toISOString(),
+      expirationDate: new Date(expiresAt).toISOString(),
+      credentialSubject: subject
+    }
+  };
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = nacl.sign.detached(Buffer.from(signingInput), keyPair.secretKey);
+
+  return {
+    jwt: `${signingInput}.${base64url(signature)}`,
+    id,
+    issuedAt: now.toISOString(),
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Verify a credential against an issuer key document — no database access,
+ * so partners can run the same check with only the published document.
+ * @param {string} jwt
+ * @param {object} [document] - issuer key document (defaults to our own)
+ * @param {number} [now] - ms timestamp to check validity at
+ * @returns {{ valid: boolean, error?: string, credential?: object, expired?: boolean }}
+ */
+function verifyCredential(jwt, document = issuerDocument(), now = Date.now()) {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed credential: expected a compact JWT' };
+  }
+
+  let header, payload;
+  try {
+    header = JSON.parse(fromBase64url(parts[0]).toString('utf-8'));
+    payload = JSON.parse(fromBase64url(parts[1]).toString('utf-8'));
+  } catch (e) {
+    return { valid: false, error: 'Malformed credential: header or payload is not JSON' };
+  }
+
+  if (header.alg !== 'EdDSA') {
+    return { valid: false, error: `Unsupported alg: ${header.alg}` };
+  }
+  const key = (document.keys || []).find(k => k.kid === header.kid);
+  if (!key) {
+    return { valid: false, error: `Unknown key id: ${header.kid}` };
+  }
+
+  const signature = fromBase64url(parts[2]);
+  const valid = signature.length === 64 && nacl.sign.detached.verify(
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    new Uint8Array(signature),
+    new Uint8Array(fromBase64url(key.x))
+  );
+  if (!valid) {
+    return { valid: false, error: 'Signature verification failed' };
+  }
+
+  if (payload.iss !== document.issuer || !payload.vc || !payload.vc.credentialSubject) {
+    return { valid: false, error: 'Credential was not issued by this issuer' };
+  }
+  const nowSec = Math.floor(now / 1000);
+  if (payload.nbf && nowSec < payload.nbf) {
+    return { valid: false, error: 'Credential is not valid yet', credential: payload.vc };
+  }
+  if (payload.exp && nowSec >= payload.exp) {
+    return { valid: false, expired: true, error: 'Credential expired', credential: payload.vc };
+  }
+
+  return { valid: true, credential: payload.vc };
+}
+
+module.exports = {
+  init,
+  issuerDocument,
+  issueCredential,
+  verifyCredential,
+  ISSUER,
+  CREDENTIAL_TYPE
+};
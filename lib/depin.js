@@ -5,13 +5,11 @@
  * Reads DePIN device PDAs from Solana and creates cryptographic bindings.
  */
 
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
 const crypto = require('crypto');
-const { anchorMemo } = require('./solana');
+const { withFailover, getClusterName } = require('./cluster');
 
 const NOSANA_NODES_PROGRAM = new PublicKey('nosNeZR64wiEhQc5j251bsP4WqDabT6hmz4PHyoHLGD');
-const DEVNET_URL = 'https://api.devnet.solana.com';
-const MAINNET_URL = process.env.SOLANA_MAINNET_RPC || 'https://api.mainnet-beta.solana.com';
 
 /**
  * Read a DePIN device PDA from Solana
@@ -24,9 +22,7 @@ async function readDevicePDA(provider, devicePDA) {
     return createMockDevice(devicePDA);
   }
 
-  // Real DePIN read — use mainnet
-  const connection = new Connection(MAINNET_URL, 'confirmed');
-
+  // Real DePIN read — DEPIN_CLUSTER (mainnet by default)
   let pubkey;
   try {
     pubkey = new PublicKey(devicePDA);
@@ -34,7 +30,7 @@ async function readDevicePDA(provider, devicePDA) {
     throw new Error(`Invalid devicePDA public key: ${devicePDA}`);
   }
 
-  const accountInfo = await connection.getAccountInfo(pubkey);
+  const accountInfo = await withFailover('depin', conn => conn.getAccountInfo(pubkey));
 
   if (!accountInfo) {
     throw new Error(`Device PDA not found on-chain: ${devicePDA}. Account does not exist.`);
@@ -81,7 +77,7 @@ function parseNosanaAccount(pubkey, accountInfo) {
       rawDataPreview: Buffer.from(data.slice(0, Math.min(128, data.length))).toString('hex')
     },
     isReal: true,
-    notes: 'Real Nosana Node account read from Solana mainnet.'
+    notes: `Real Nosana Node account read from Solana ${getClusterName('depin')}.`
   };
 }
 
@@ -100,7 +96,7 @@ function parseGenericAccount(pubkey, accountInfo, provider) {
       rawDataPreview: Buffer.from(accountInfo.data.slice(0, Math.min(64, accountInfo.data.length))).toString('hex')
     },
     isReal: true,
-    notes: `Real ${provider} account verified on Solana mainnet.`
+    notes: `Real ${provider} account verified on Solana ${getClusterName('depin')}.`
   };
 }
 
@@ -160,32 +156,17 @@ function createBinding(agentId, deviceResult) {
 }
 
 /**
- * Anchor a DePIN binding on-chain via Solana Memo
+ * Build the memo string for a DePIN binding
  * Format: molt:depin:{agentId}:{provider}:{bindingHash}:{timestamp}
  */
-async function anchorBinding(binding) {
-  const memoContent = `molt:depin:${binding.agentId}:${binding.depinProvider}:${binding.bindingHash}:${binding.bindingTimestamp}`;
-
-  try {
-    const sig = await anchorMemo(memoContent);
-    if (sig) {
-      return {
-        signature: sig,
-        memoContent,
-        explorerUrl: `https://explorer.solana.com/tx/${sig}?cluster=devnet`
-      };
-    }
-    return null;
-  } catch (e) {
-    console.error('[depin] Anchor failed:', e.message);
-    return null;
-  }
+function buildBindingMemo(binding) {
+  return `molt:depin:${binding.agentId}:${binding.depinProvider}:${binding.bindingHash}:${binding.bindingTimestamp}`;
 }
 
 module.exports = {
   readDevicePDA,
   createBinding,
-  anchorBinding,
+  buildBindingMemo,
   createMockDevice,
   NOSANA_NODES_PROGRAM
 };
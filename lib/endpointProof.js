@@ -0,0 +1,129 @@
+/**
+ * endpointProof.js — Signed well-known proof for L2 (optional secure mode)
+ *
+ * In token mode the well-known file carries the agent's challenge token, which
+ * anyone who sees it can copy to another domain. In signed mode the agent registers
+ * an Ed25519 public key (proofPubkey) and the file instead carries a signature over
+ * a server nonce and the endpoint's origin:
+ *
+ *   { "agentId": "...", "nonce": "...", "signature": "<base64>" }
+ *   signed message: moltlaunch:l2:{agentId}:{nonce}:{origin}
+ *
+ * The origin (scheme://host[:port] of apiEndpoint) binds the proof to one endpoint,
+ * and the nonce makes it fresh: one is outstanding per agent at a time (asking again
+ * returns the same one until it expires) and it is consumed by a successful check.
+ * The spent nonce and its signature are kept: liveness checks expect the file to
+ * keep serving them (or a newer proof) and verify the signature again each time.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { verifySignature } = require('./mobile');
+
+const NONCE_EXPIRY_MS = 60 * 60 * 1000; // 1 hour to publish the file
+
+/**
+ * 'signed' when the agent registered a proof key, else 'token'
+ */
+function proofMode(agent) {
+  return agent.proof_pubkey ? 'signed' : 'token';
+}
+
+/**
+ * The exact message the proof key signs
+ */
+function buildProofMessage(agentId, nonce, origin) {
+  return `moltlaunch:l2:${agentId}:${nonce}:${origin}`;
+}
+
+/**
+ * Steps for publishing a signed proof
+ */
+function signedProofInstructions(agentId) {
+  return [
+    `Request a nonce: GET /api/self-verify/verify/nonce?agentId=${agentId}`,
+    `Sign "moltlaunch:l2:${agentId}:{nonce}:{origin}" with your proof key (Ed25519, UTF-8 bytes), where origin is your API's scheme://host[:port]`,
+    `Place {"agentId": "${agentId}", "nonce": "{nonce}", "signature": "{base64 signature}"} at {your-api}/.well-known/moltlaunch.json`
+  ];
+}
+
+/**
+ * The agent's outstanding nonce, issuing a new one if there is none or it expired
+ * @returns {{ nonce: string, expiresAt: number }}
+ */
+function issueNonce(agent) {
+  if (agent.proof_nonce && agent.proof_nonce_expires_at > Date.now()) {
+    return { nonce: agent.proof_nonce, expiresAt: agent.proof_nonce_expires_at };
+  }
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + NONCE_EXPIRY_MS;
+  db.setProofNonce(agent.id, nonce, expiresAt);
+  return { nonce, expiresAt };
+}
+
+/**
+ * Check a signed well-known file against the agent's key and outstanding nonce
+ * @param {object} agent
+ * @param {string} apiEndpoint - the endpoint the file was fetched from
+ * @param {object} data - parsed well-known file
+ * @returns {{ valid: boolean, reason?: string, error?: string }}
+ */
+function checkSignedProof(agent, apiEndpoint, data) {
+  if (!agent.proof_nonce) {
+    return { valid: false, reason: 'no_nonce', error: 'No outstanding proof nonce (each one is spent by a successful check). Request one from GET /api/self-verify/verify/nonce' };
+  }
+  if (agent.proof_nonce_expires_at <= Date.now()) {
+    return { valid: false, reason: 'nonce_expired', error: 'Proof nonce expired. Request a new one from GET /api/self-verify/verify/nonce' };
+  }
+  if (data.nonce !== agent.proof_nonce) {
+    return { valid: false, reason: 'nonce_mismatch', error: 'nonce in moltlaunch.json is not your outstanding proof nonce' };
+  }
+  if (typeof data.signature !== 'string') {
+    return { valid: false, reason: 'missing_signature', error: 'moltlaunch.json has no signature (signed proof mode)' };
+  }
+
+  const origin = new URL(apiEndpoint).origin;
+  const result = verifySignature(buildProofMessage(agent.id, data.nonce, origin), data.signature, agent.proof_pubkey);
+  if (!result.valid) {
+    return { valid: false, reason: 'invalid_signature', error: `Signature over ${origin}: ${result.error}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Check the well-known file of a verified signed-mode agent (liveness): it must carry
+ * the last accepted proof, or a valid one over the outstanding nonce, signed for the
+ * verified endpoint's origin. Nothing is spent.
+ * @returns {{ valid: boolean, reason?: string, error?: string }}
+ */
+function checkPublishedProof(agent, data) {
+  if (agent.proof_nonce && data.nonce === agent.proof_nonce) {
+    return checkSignedProof(agent, agent.api_endpoint, data);
+  }
+  if (!agent.proof_last_nonce) {
+    return { valid: false, reason: 'no_signed_proof', error: 'No accepted signed proof on record; renew or re-verify with a fresh nonce' };
+  }
+  if (data.nonce !== agent.proof_last_nonce) {
+    return { valid: false, reason: 'nonce_mismatch', error: 'nonce in moltlaunch.json is not the one of your last accepted proof' };
+  }
+  if (typeof data.signature !== 'string') {
+    return { valid: false, reason: 'missing_signature', error: 'moltlaunch.json has no signature (signed proof mode)' };
+  }
+
+  const origin = new URL(agent.api_endpoint).origin;
+  const result = verifySignature(buildProofMessage(agent.id, data.nonce, origin), data.signature, agent.proof_pubkey);
+  if (!result.valid) {
+    return { valid: false, reason: 'invalid_signature', error: `Signature over ${origin}: ${result.error}` };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  proofMode,
+  buildProofMessage,
+  signedProofInstructions,
+  issueNonce,
+  checkSignedProof,
+  checkPublishedProof,
+  NONCE_EXPIRY_MS
+};
@@ -0,0 +1,104 @@
+/**
+ * expiry.js — Verification expiry policy and sweeper
+ *
+ * Every level is valid for 30 days (agents.expires_at). Policy:
+ *   - Once expires_at passes the agent is "expired": L1+ gates (/kanban, /batch)
+ *     and the upgrade routes reject it, but it keeps its level and can renew via POST /renew.
+ *   - After GRACE_PERIOD_MS without renewal the level decays per DECAY_TO.
+ *     Decaying to L0 issues a fresh challenge code, so the old forum post can't be reused.
+ * Expiry and decay events are anchored on-chain (L1+ only) like level changes.
+ */
+
+const db = require('../db');
+const { buildMemo } = require('./solana');
+const { anchorOrQueue } = require('./anchorRetry');
+const { generateChallengeCode } = require('./challenges');
+const { LEVEL_LABELS } = require('./levels');
+const { clearAbove } = require('./signals');
+const webhooks = require('./webhooks');
+
+const GRACE_PERIOD_MS = 14 * 24 * 60 * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Level an agent falls back to once its grace period is over.
+// L1 (a one-off forum post) is lost entirely; everything above keeps the forum identity only.
+const DECAY_TO = { 1: 0, 2: 1, 3: 1, 4: 1, 5: 1 };
+
+let timer = null;
+
+function isExpired(agent) {
+  return !!(agent && agent.expires_at && new Date(agent.expires_at) < new Date());
+}
+
+/**
+ * When an expired agent will decay (null if not expired or already decayed)
+ */
+function decaysAt(agent) {
+  if (!isExpired(agent) || agent.decayed_at || !agent.level) return null;
+  return new Date(new Date(agent.expires_at).getTime() + GRACE_PERIOD_MS).toISOString();
+}
+
+/**
+ * Mark newly expired agents and decay those past their grace period
+ * @returns {{ expired: string[], decayed: string[] }}
+ */
+function sweep() {
+  const expired = [];
+  const decayed = [];
+
+  for (const agent of db.getNewlyExpiredAgents()) {
+    db.markAgentExpired(agent.id);
+    db.addAuditLog(agent.id, 'expire', { level: agent.level, expiresAt: agent.expires_at }, null);
+    webhooks.emit('expire', agent.id, { level: agent.level, expiresAt: agent.expires_at, decaysAt: decaysAt(db.getAgent(agent.id)) });
+    if (agent.level >= 1) {
+      anchorOrQueue(agent.id, buildMemo(agent.id, agent.level, 'expired'));
+    }
+    expired.push(agent.id);
+  }
+
+  const cutoff = new Date(Date.now() - GRACE_PERIOD_MS).toISOString();
+  for (const agent of db.getAgentsToDecay(cutoff)) {
+    const level = DECAY_TO[agent.level];
+    const label = LEVEL_LABELS[level];
+    clearAbove(agent.id, level, 'expired');
+    db.decayAgent(agent.id, level, label, level === 0 ? generateChallengeCode() : null);
+    db.addAuditLog(agent.id, 'decay', { fromLevel: agent.level, toLevel: level, expiresAt: agent.expires_at }, null);
+    webhooks.emit('decay', agent.id, { fromLevel: agent.level, toLevel: level });
+    anchorOrQueue(agent.id, buildMemo(agent.id, level, 'decayed'));
+    decayed.push(agent.id);
+  }
+
+  if (expired.length || decayed.length) {
+    console.log(`[expiry] Sweep: ${expired.length} expired, ${decayed.length} decayed`);
+  }
+  return { expired, decayed };
+}
+
+function start() {
+  if (timer) return;
+  const run = () => {
+    try {
+      sweep();
+    } catch (err) {
+      console.error('[expiry] Sweep error:', err.message);
+    }
+  };
+  run();
+  timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  isExpired,
+  decaysAt,
+  sweep,
+  start,
+  stop,
+  GRACE_PERIOD_MS,
+  DECAY_TO
+};
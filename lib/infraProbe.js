@@ -0,0 +1,228 @@
+/**
+ * infraProbe.js — L2 infrastructure probing and infra_type classification
+ *
+ * After the well-known check passes, the endpoint is probed L2_PROBE_COUNT times
+ * (latency and uptime over the probes), its TLS certificate is read, and hosting
+ * hints are collected from three rule sets in the local hints table
+ * (data/hosting-hints.json, or HOSTING_HINTS_PATH):
+ *   ranges   resolved IP in a CIDR (with the provider's ASN where known)
+ *   domains  hostname suffix
+ *   headers  response header present (optionally matching a pattern)
+ *
+ * Each rule names a type (cloud | tee | depin). A hint shows where an endpoint is
+ * hosted, not that it runs inside a TEE or on a DePIN device: those need attestation
+ * or an on-chain binding (/depin). So tee and depin hints classify as 'cloud' and are
+ * reported as suggestedType only; the agent is classified as the strongest remaining
+ * type, 'unknown' without hints. Everything goes through safeFetch, so probing is
+ * covered by the same SSRF rules as /verify.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const { safeFetch, resolveTarget } = require('./safeFetch');
+const { INFRA_TYPES } = require('./signals');
+
+const HINTS_PATH = process.env.HOSTING_HINTS_PATH || path.join(__dirname, '..', 'data', 'hosting-hints.json');
+const PROBE_COUNT = parseInt(process.env.L2_PROBE_COUNT, 10) || 3;
+const PROBE_TIMEOUT_MS = 5000;
+const TLS_TIMEOUT_MS = 5000;
+
+// Types a hosting hint can suggest but never establish on its own
+const HINT_ONLY_TYPES = ['tee', 'depin'];
+
+// Headers worth keeping as evidence (the rest can carry cookies or tokens)
+const RECORDED_HEADERS = [
+  'server', 'via', 'x-powered-by', 'cf-ray', 'x-vercel-id', 'fly-request-id', 'x-amz-cf-id',
+  'x-amzn-requestid', 'x-cloud-trace-context', 'x-azure-ref', 'rndr-id', 'x-served-by', 'strict-transport-security'
+];
+
+let hintsCache = null;
+
+/**
+ * Load the hints table (once); ranges get a BlockList each for CIDR matching
+ */
+function loadHostingHints() {
+  if (hintsCache) return hintsCache;
+  try {
+    const table = JSON.parse(fs.readFileSync(HINTS_PATH, 'utf-8'));
+    hintsCache = {
+      ranges: (table.ranges || []).map(rule => {
+        const [address, prefix] = rule.cidr.split('/');
+        const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+        const list = new net.BlockList();
+        list.addSubnet(address, parseInt(prefix, 10), family);
+        return Object.assign({ list }, rule);
+      }),
+      domains: table.domains || [],
+      headers: table.headers || []
+    };
+    console.log(`[infra-probe] Loaded ${hintsCache.ranges.length} ranges, ${hintsCache.domains.length} domains, ${hintsCache.headers.length} header rules`);
+  } catch (e) {
+    console.warn('[infra-probe] Could not load hosting hints:', e.message);
+    hintsCache = { ranges: [], domains: [], headers: [] };
+  }
+  return hintsCache;
+}
+
+/**
+ * Hints for an address, hostname and response headers
+ * @returns {Array<{ source: string, provider: string, type: string, match: string, asn?: number }>}
+ */
+function collectHints(address, hostname, headers) {
+  const table = loadHostingHints();
+  const hints = [];
+
+  if (address && net.isIP(address)) {
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    for (const rule of table.ranges) {
+      if (rule.list.check(address, family)) {
+        hints.push({ source: 'ip', provider: rule.provider, type: rule.type, match: `${address} in ${rule.cidr}`, asn: rule.asn || null });
+      }
+    }
+  }
+  const host = hostname.toLowerCase();
+  for (const rule of table.domains) {
+    if (host.endsWith(rule.suffix) || host === rule.suffix.replace(/^\./, '')) {
+      hints.push({ source: 'domain', provider: rule.provider, type: rule.type, match: rule.suffix });
+    }
+  }
+  for (const rule of table.headers) {
+    const value = headers[rule.header];
+    if (value === undefined) continue;
+    if (rule.match && !new RegExp(rule.match, 'i').test(String(value))) continue;
+    hints.push({ source: 'header', provider: rule.provider, type: rule.type, match: `${rule.header}: ${value}` });
+  }
+  return hints;
+}
+
+function strongest(types) {
+  return types.reduce((best, type) => (INFRA_TYPES.indexOf(type) > INFRA_TYPES.indexOf(best) ? type : best), 'unknown');
+}
+
+/**
+ * Strongest infra_type the hints establish (tee and depin hints count as 'cloud')
+ */
+function classify(hints) {
+  return strongest(hints.map(hint => (HINT_ONLY_TYPES.includes(hint.type) ? 'cloud' : hint.type)));
+}
+
+/**
+ * Strongest tee or depin type the hints suggest (null when none does)
+ */
+function suggestedType(hints) {
+  const type = strongest(hints.filter(hint => HINT_ONLY_TYPES.includes(hint.type)).map(hint => hint.type));
+  return type === 'unknown' ? null : type;
+}
+
+/**
+ * Peer certificate of an https endpoint, read from the address safeFetch resolved
+ * @returns {Promise<object|null>} null for plain http
+ */
+async function readCertificate(targetUrl) {
+  const { parsed, address } = await resolveTarget(targetUrl);
+  if (parsed.protocol !== 'https:') return null;
+
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host: address,
+      port: parsed.port || 443,
+      servername: net.isIP(parsed.hostname) ? undefined : parsed.hostname,
+      rejectUnauthorized: false
+    }, () => {
+      const cert = socket.getPeerCertificate();
+      const result = {
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+        protocol: socket.getProtocol(),
+        subject: cert.subject ? cert.subject.CN || null : null,
+        issuer: cert.issuer ? cert.issuer.O || cert.issuer.CN || null : null,
+        subjectAltNames: cert.subjectaltname ? cert.subjectaltname.split(', ').map(n => n.replace(/^DNS:/, '')) : [],
+        validFrom: cert.valid_from ? new Date(cert.valid_from).toISOString() : null,
+        validTo: cert.valid_to ? new Date(cert.valid_to).toISOString() : null,
+        fingerprint256: cert.fingerprint256 || null
+      };
+      socket.end();
+      resolve(result);
+    });
+    socket.setTimeout(TLS_TIMEOUT_MS, () => {
+      socket.destroy();
+      resolve({ error: 'TLS handshake timed out' });
+    });
+    socket.on('error', e => resolve({ error: e.message }));
+  });
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Probe an agent endpoint and classify its infrastructure
+ * @param {string} apiEndpoint
+ * @returns {Promise<{ infraType: string, suggestedType: string|null, hints: object[], tls: object|null, headers: object,
+ *   address: string|null, latencyMs: object|null, uptime: object, probedAt: string }>}
+ */
+async function probeInfrastructure(apiEndpoint) {
+  const probeUrl = apiEndpoint.replace(/\/$/, '') + '/.well-known/moltlaunch.json';
+  const hostname = new URL(apiEndpoint).hostname.replace(/^\[|\]$/g, '');
+
+  const samples = [];
+  const failures = [];
+  let last = null;
+  for (let i = 0; i < PROBE_COUNT; i++) {
+    const started = Date.now();
+    try {
+      const response = await safeFetch(probeUrl, { timeoutMs: PROBE_TIMEOUT_MS });
+      if (response.status === 200) {
+        samples.push(Date.now() - started);
+        last = response;
+      } else {
+        failures.push(`HTTP ${response.status}`);
+      }
+    } catch (e) {
+      failures.push(e.reason || e.message);
+    }
+  }
+
+  let certificate = null;
+  try {
+    certificate = await readCertificate(probeUrl);
+  } catch (e) {
+    certificate = { error: e.message };
+  }
+
+  const headers = {};
+  if (last) {
+    for (const name of RECORDED_HEADERS) {
+      if (last.headers[name] !== undefined) headers[name] = last.headers[name];
+    }
+  }
+  const address = last ? last.address : null;
+  const hints = collectHints(address, hostname, last ? last.headers : {});
+
+  return {
+    infraType: classify(hints),
+    suggestedType: suggestedType(hints),
+    hints,
+    tls: certificate,
+    headers,
+    address,
+    latencyMs: samples.length
+      ? { min: Math.min(...samples), median: median(samples), max: Math.max(...samples), samples }
+      : null,
+    uptime: { ok: samples.length, total: PROBE_COUNT, ratio: samples.length / PROBE_COUNT, failures },
+    probedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  probeInfrastructure,
+  collectHints,
+  classify,
+  suggestedType,
+  loadHostingHints
+};
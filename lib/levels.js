@@ -0,0 +1,19 @@
+/**
+ * levels.js — Shared L0–L5 labels and public descriptions
+ */
+
+const LEVEL_DESCRIPTIONS = {
+  0: 'Agent registered on MoltLaunch. Proves ability to make HTTP requests. Does NOT prove identity or uniqueness.',
+  1: 'Agent confirmed identity via a challenge (Colosseum forum, GitHub, DNS TXT record or wallet signature). Proves agent controls that account, domain or key.',
+  2: 'Agent verified infrastructure. Proves agent controls a live API endpoint with our verification token.',
+  3: 'Agent behavioral identity computed. Proves agent has a unique behavioral fingerprint based on activity history. Sybil detection included.',
+  4: 'Agent bound to DePIN hardware device. Proves agent is associated with a verified physical device on Solana (Nosana/Helium/io.net).',
+  5: 'Agent verified via Solana Mobile seed vault. Proves agent runs on a specific physical device with hardware-protected keys. Strongest verification level.'
+};
+
+const LEVEL_LABELS = { 0: 'registered', 1: 'confirmed', 2: 'verified', 3: 'behavioral', 4: 'hardware', 5: 'mobile' };
+
+module.exports = {
+  LEVEL_DESCRIPTIONS,
+  LEVEL_LABELS
+};
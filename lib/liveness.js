@@ -0,0 +1,191 @@
+/**
+ * liveness.js — Continuous liveness monitoring of verified endpoints
+ *
+ * Every LIVENESS_INTERVAL_MS each L2+ agent's /.well-known/moltlaunch.json is
+ * fetched again and the result stored in liveness_checks (kept for HISTORY_MS).
+ * A check passes when the file is served with the agent's id and, in token mode,
+ * its token. In signed mode it must still carry the last accepted proof (or a valid
+ * newer one), whose signature is verified again against the proof key and origin.
+ *
+ * After LIVENESS_FAILURE_THRESHOLD consecutive failures the liveness_failed signal
+ * is raised; with LIVENESS_AUTO_DOWNGRADE=true the agent also drops to L1 and has
+ * to re-verify its endpoint. The next passing check clears the signal; so does a
+ * successful /verify, since a downgraded agent is no longer checked.
+ * Uptime over the last LIVENESS_WINDOW_DAYS is shown on the public profile.
+ */
+
+const db = require('../db');
+const { safeFetch } = require('./safeFetch');
+const { buildMemo } = require('./solana');
+const { anchorOrQueue } = require('./anchorRetry');
+const { proofMode, checkPublishedProof } = require('./endpointProof');
+const { getSignals, setSignal, holds, clearAbove } = require('./signals');
+
+const INTERVAL_MS = parseInt(process.env.LIVENESS_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const FAILURE_THRESHOLD = parseInt(process.env.LIVENESS_FAILURE_THRESHOLD, 10) || 3;
+const AUTO_DOWNGRADE = process.env.LIVENESS_AUTO_DOWNGRADE === 'true';
+const WINDOW_DAYS = parseInt(process.env.LIVENESS_WINDOW_DAYS, 10) || 7;
+const HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+const CHECK_TIMEOUT_MS = 10000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Fetch an agent's well-known file once
+ * @returns {Promise<{ ok: boolean, status: number|null, latencyMs: number|null, reason: string|null }>}
+ */
+async function checkEndpoint(agent) {
+  const url = agent.api_endpoint.replace(/\/$/, '') + '/.well-known/moltlaunch.json';
+  const started = Date.now();
+  let response;
+  try {
+    response = await safeFetch(url, { timeoutMs: CHECK_TIMEOUT_MS });
+  } catch (e) {
+    return { ok: false, status: null, latencyMs: null, reason: e.reason || 'connection_failed' };
+  }
+  const latencyMs = Date.now() - started;
+
+  if (response.status !== 200) {
+    return { ok: false, status: response.status, latencyMs, reason: 'http_status' };
+  }
+  let data;
+  try {
+    data = JSON.parse(response.body);
+  } catch {
+    return { ok: false, status: response.status, latencyMs, reason: 'invalid_json' };
+  }
+  if (!data || data.agentId !== agent.id) {
+    return { ok: false, status: response.status, latencyMs, reason: 'agent_mismatch' };
+  }
+  if (proofMode(agent) === 'signed') {
+    const proof = checkPublishedProof(agent, data);
+    if (!proof.valid) return { ok: false, status: response.status, latencyMs, reason: proof.reason };
+  } else if (data.token !== agent.challenge_token) {
+    return { ok: false, status: response.status, latencyMs, reason: 'token_mismatch' };
+  }
+  return { ok: true, status: response.status, latencyMs, reason: null };
+}
+
+/**
+ * Uptime summary for an agent (null if it was never checked)
+ */
+function getLivenessStatus(agent) {
+  const since = new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const summary = db.getLivenessSummary(agent.id, since, agent.renewed_at > agent.verified_at ? agent.renewed_at : agent.verified_at);
+  if (!summary.lastCheckedAt && !summary.lastSeenAt) return null;
+  return {
+    uptimePercent: summary.checks ? Math.round((summary.successes / summary.checks) * 1000) / 10 : null,
+    windowDays: WINDOW_DAYS,
+    checks: summary.checks,
+    lastSeenAt: summary.lastSeenAt,
+    lastCheckedAt: summary.lastCheckedAt,
+    consecutiveFailures: summary.consecutiveFailures
+  };
+}
+
+/**
+ * Check one agent, record the result and raise or clear liveness_failed
+ * @returns {Promise<{ ok: boolean, reason: string|null, failed?: boolean, recovered?: boolean, downgraded?: boolean }>}
+ */
+async function checkAgent(agent) {
+  const result = await checkEndpoint(agent);
+  db.addLivenessCheck(agent.id, {
+    apiEndpoint: agent.api_endpoint,
+    ok: result.ok,
+    status: result.status,
+    latencyMs: result.latencyMs,
+    reason: result.reason
+  });
+
+  const flagged = holds(getSignals(agent.id), 'liveness_failed');
+
+  if (result.ok) {
+    if (flagged) {
+      setSignal(agent.id, 'liveness_failed', false, { recoveredAt: new Date().toISOString() }, 'liveness');
+      db.addAuditLog(agent.id, 'liveness_recovered', { apiEndpoint: agent.api_endpoint }, null);
+      return { ok: true, reason: null, recovered: true };
+    }
+    return { ok: true, reason: null };
+  }
+
+  const status = getLivenessStatus(agent);
+  if (flagged || status.consecutiveFailures < FAILURE_THRESHOLD) {
+    return { ok: false, reason: result.reason };
+  }
+
+  const evidence = {
+    apiEndpoint: agent.api_endpoint,
+    consecutiveFailures: status.consecutiveFailures,
+    lastSeenAt: status.lastSeenAt,
+    reason: result.reason
+  };
+  setSignal(agent.id, 'liveness_failed', true, evidence, 'liveness');
+  db.addAuditLog(agent.id, 'liveness_failed', evidence, null);
+  console.warn(`[liveness] ${agent.id}: ${status.consecutiveFailures} consecutive failures (${result.reason})`);
+
+  if (!AUTO_DOWNGRADE) return { ok: false, reason: result.reason, failed: true };
+
+  const { level, label } = clearAbove(agent.id, 1, 'liveness_failed');
+  db.addAuditLog(agent.id, 'liveness_downgrade', { fromLevel: agent.level, toLevel: level }, null);
+  anchorOrQueue(agent.id, buildMemo(agent.id, level, 'downgraded'));
+  console.warn(`[liveness] ${agent.id} downgraded to L${level} (${label})`);
+  return { ok: false, reason: result.reason, failed: true, downgraded: true };
+}
+
+/**
+ * Check every monitored agent (one at a time) and prune old history
+ * @returns {Promise<{ checked: number, failed: number, flagged: string[], recovered: string[], downgraded: string[] }>}
+ */
+async function sweep() {
+  const report = { checked: 0, failed: 0, flagged: [], recovered: [], downgraded: [] };
+  for (const agent of db.getMonitoredAgents()) {
+    const result = await checkAgent(agent);
+    report.checked++;
+    if (!result.ok) report.failed++;
+    if (result.failed) report.flagged.push(agent.id);
+    if (result.recovered) report.recovered.push(agent.id);
+    if (result.downgraded) report.downgraded.push(agent.id);
+  }
+  db.purgeLivenessChecks(new Date(Date.now() - HISTORY_MS).toISOString());
+
+  if (report.failed || report.recovered.length) {
+    console.log(`[liveness] Sweep: ${report.checked} checked, ${report.failed} failed, ${report.flagged.length} flagged, ${report.recovered.length} recovered`);
+  }
+  return report;
+}
+
+function start() {
+  if (timer) return;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweep();
+    } catch (err) {
+      console.error('[liveness] Sweep error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  run();
+  timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  console.log(`[liveness] Monitor started (every ${Math.round(INTERVAL_MS / 1000)}s, flag after ${FAILURE_THRESHOLD} failures${AUTO_DOWNGRADE ? ', auto-downgrade on' : ''})`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  checkEndpoint,
+  checkAgent,
+  getLivenessStatus,
+  sweep,
+  start,
+  stop,
+  FAILURE_THRESHOLD,
+  AUTO_DOWNGRADE
+};
@@ -0,0 +1,77 @@
+/**
+ * merkle.js — Merkle trees over anchor memos (batched anchoring)
+ *
+ * leaf = sha256(0x00 || utf8(memo)), node = sha256(0x01 || left || right).
+ * An odd node at the end of a level is carried up unchanged.
+ * A proof lists the sibling hashes from leaf to root, each tagged with the side
+ * it sits on. No database or network access, so verifyProof runs offline.
+ */
+
+const crypto = require('crypto');
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex');
+}
+
+function leafHash(memo) {
+  return sha256(Buffer.from([0]), Buffer.from(memo, 'utf-8'));
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([1]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+/**
+ * Build a tree over memos (leaf order = array order)
+ * @param {string[]} memos
+ * @returns {{ root: string, leaves: string[], proofs: Array<Array<{side: 'left'|'right', hash: string}>> }}
+ */
+function buildTree(memos) {
+  if (!memos.length) throw new Error('Cannot build a Merkle tree without leaves');
+
+  const leaves = memos.map(leafHash);
+  const proofs = leaves.map(() => []);
+  const positions = leaves.map((_, i) => i);
+  let level = leaves;
+
+  while (level.length > 1) {
+    const next = [];
+    for (let j = 0; j < level.length; j += 2) {
+      next.push(j + 1 < level.length ? nodeHash(level[j], level[j + 1]) : level[j]);
+    }
+    positions.forEach((index, i) => {
+      if (index % 2 === 1) {
+        proofs[i].push({ side: 'left', hash: level[index - 1] });
+      } else if (index + 1 < level.length) {
+        proofs[i].push({ side: 'right', hash: level[index + 1] });
+      }
+      positions[i] = index >> 1;
+    });
+    level = next;
+  }
+
+  return { root: level[0], leaves, proofs };
+}
+
+/**
+ * Root implied by a memo and its proof
+ */
+function computeRoot(memo, proof) {
+  return proof.reduce(
+    (hash, step) => (step.side === 'left' ? nodeHash(step.hash, hash) : nodeHash(hash, step.hash)),
+    leafHash(memo)
+  );
+}
+
+function verifyProof(memo, proof, root) {
+  return Array.isArray(proof) && computeRoot(memo, proof) === root;
+}
+
+module.exports = {
+  leafHash,
+  buildTree,
+  computeRoot,
+  verifyProof
+};
@@ -4,140 +4,169 @@
  * Verifies Ed25519 signatures from a Solana Mobile device's seed vault.
  * The challenge-response proves the agent runs on (or has access to)
  * a specific physical device with hardware-protected keys.
+ *
+ * Challenges live in the mobile_challenges table, so they survive restarts
+ * and are shared between instances. Each one can be consumed exactly once.
  */
 
 const crypto = require('crypto');
 const nacl = require('tweetnacl');
 const { PublicKey } = require('@solana/web3.js');
-const { anchorMemo } = require('./solana');
-
-// In-memory challenge store (keyed by agentId)
-// In production, this would be in the database
-const challenges = new Map();
+const db = require('../db');
 
 const CHALLENGE_EXPIRY_MS = 5 * 60 * 1000; // 5 minutes
+const CLEANUP_GRACE_MS = 60 * 1000; // keep expired rows 1 min so late attempts get "expired"
+const MAX_OUTSTANDING_CHALLENGES = 3; // unused, unexpired challenges per agent
 
 /**
  * Generate a challenge for mobile verification
  * @param {string} agentId
- * @returns {{ challenge: string, expiresAt: number }}
+ * @param {string} [ipHash] - for the audit log
+ * @returns {{ challenge?: string, expiresAt?: number, error?: string, retryAt?: number }}
  */
-function generateChallenge(agentId) {
-  const challenge = crypto.randomBytes(32).toString('hex');
-  const expiresAt = Date.now() + CHALLENGE_EXPIRY_MS;
+function generateChallenge(agentId, ipHash) {
+  cleanExpiredChallenges();
 
-  challenges.set(agentId, { challenge, expiresAt, used: false });
+  const outstanding = db.getOutstandingMobileChallenges(agentId, Date.now());
+  if (outstanding.length >= MAX_OUTSTANDING_CHALLENGES) {
+    const retryAt = Math.min(...outstanding.map(c => c.expires_at));
+    return {
+      error: `Too many outstanding challenges (max ${MAX_OUTSTANDING_CHALLENGES}). Use one or wait for it to expire.`,
+      retryAt
+    };
+  }
 
-  // Clean up expired challenges periodically
-  cleanExpiredChallenges();
+  const challenge = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + CHALLENGE_EXPIRY_MS;
+  const challengeId = db.addMobileChallenge(agentId, challenge, expiresAt);
+  db.addAuditLog(agentId, 'mobile_challenge_issued', { challengeId, expiresAt }, ipHash || null);
 
   return { challenge, expiresAt };
 }
 
 /**
- * Verify a mobile challenge response
- * @param {string} agentId
- * @param {string} challengeResponse - Base64-encoded Ed25519 signature
- * @param {string} devicePubkeyStr - Solana public key string of the device
+ * Verify a base64 Ed25519 signature over a UTF-8 message for a Solana public key
+ * @param {string} message - The signed message (UTF-8)
+ * @param {string} signatureB64 - Base64-encoded 64-byte signature
+ * @param {string} pubkeyStr - Solana public key string of the signer
  * @returns {{ valid: boolean, error?: string }}
  */
-function verifyChallenge(agentId, challengeResponse, devicePubkeyStr) {
-  // 1. Look up the challenge
-  const stored = challenges.get(agentId);
-  if (!stored) {
-    return { valid: false, error: 'No pending challenge found. Request one first via GET /api/self-verify/mobile/challenge' };
-  }
-
-  // 2. Check expiry
-  if (Date.now() > stored.expiresAt) {
-    challenges.delete(agentId);
-    return { valid: false, error: 'Challenge expired. Request a new one.' };
-  }
-
-  // 3. Check if already used
-  if (stored.used) {
-    return { valid: false, error: 'Challenge already used. Request a new one.' };
-  }
-
-  // 4. Validate the device pubkey
-  let devicePubkey;
+function verifySignature(message, signatureB64, pubkeyStr) {
+  // 1. Validate the pubkey
+  let pubkey;
   try {
-    devicePubkey = new PublicKey(devicePubkeyStr);
+    pubkey = new PublicKey(pubkeyStr);
   } catch (e) {
-    return { valid: false, error: `Invalid devicePubkey: ${e.message}` };
+    return { valid: false, error: `Invalid public key: ${e.message}` };
   }
 
-  // 5. Decode the signature
+  // 2. Decode the signature
   let signatureBytes;
   try {
-    signatureBytes = Buffer.from(challengeResponse, 'base64');
+    signatureBytes = Buffer.from(signatureB64, 'base64');
   } catch (e) {
-    return { valid: false, error: 'Invalid challengeResponse: must be base64-encoded' };
+    return { valid: false, error: 'Invalid signature: must be base64-encoded' };
   }
 
   if (signatureBytes.length !== 64) {
     return { valid: false, error: `Invalid signature length: expected 64 bytes, got ${signatureBytes.length}` };
   }
 
-  // 6. Verify Ed25519 signature
-  // The message that was signed is the raw challenge hex string as UTF-8 bytes
-  const messageBytes = Buffer.from(stored.challenge, 'utf-8');
-  const pubkeyBytes = devicePubkey.toBytes();
-
+  // 3. Verify
   const valid = nacl.sign.detached.verify(
-    new Uint8Array(messageBytes),
+    new Uint8Array(Buffer.from(message, 'utf-8')),
     new Uint8Array(signatureBytes),
-    new Uint8Array(pubkeyBytes)
+    new Uint8Array(pubkey.toBytes())
   );
 
   if (!valid) {
-    return { valid: false, error: 'Signature verification failed. The signature does not match the challenge + devicePubkey.' };
+    return { valid: false, error: 'Signature verification failed. The signature does not match the message + public key.' };
   }
 
-  // 7. Mark challenge as used
-  stored.used = true;
-
   return { valid: true };
 }
 
 /**
- * Anchor mobile verification on-chain via Solana Memo
- * Format: molt:mobile:{agentId}:{devicePubkey}:{timestamp}
+ * Verify a mobile challenge response
+ * The signature may be over any of the agent's outstanding challenges; the matching
+ * one is consumed atomically, so a challenge can never be used twice.
+ * @param {string} agentId
+ * @param {string} challengeResponse - Base64-encoded Ed25519 signature
+ * @param {string} devicePubkeyStr - Solana public key string of the device
+ * @param {string} [ipHash] - for the audit log
+ * @returns {{ valid: boolean, error?: string }}
  */
-async function anchorMobileVerification(agentId, devicePubkey) {
-  const timestamp = Math.floor(Date.now() / 1000);
-  const memoContent = `molt:mobile:${agentId}:${devicePubkey}:${timestamp}`;
+function verifyChallenge(agentId, challengeResponse, devicePubkeyStr, ipHash) {
+  const result = checkChallengeResponse(agentId, challengeResponse, devicePubkeyStr);
+  db.addAuditLog(agentId, 'mobile_challenge_attempt', {
+    challengeId: result.challengeId || null,
+    devicePubkey: devicePubkeyStr || null,
+    valid: result.valid,
+    error: result.error || null
+  }, ipHash || null);
+  return { valid: result.valid, error: result.error };
+}
 
-  try {
-    const sig = await anchorMemo(memoContent);
-    if (sig) {
-      return {
-        signature: sig,
-        memoContent,
-        explorerUrl: `https://explorer.solana.com/tx/${sig}?cluster=devnet`
-      };
+function checkChallengeResponse(agentId, challengeResponse, devicePubkeyStr) {
+  // 1. Look up outstanding challenges
+  const outstanding = db.getOutstandingMobileChallenges(agentId, Date.now());
+  if (outstanding.length === 0) {
+    const latest = db.getLatestMobileChallenge(agentId);
+    if (latest && latest.used) {
+      return { valid: false, error: 'Challenge already used. Request a new one.' };
     }
-    return null;
-  } catch (e) {
-    console.error('[mobile] Anchor failed:', e.message);
-    return null;
+    if (latest) {
+      return { valid: false, error: 'Challenge expired. Request a new one.' };
+    }
+    return { valid: false, error: 'No pending challenge found. Request one first via GET /api/self-verify/mobile/challenge' };
+  }
+
+  // 2. Verify the Ed25519 signature against each outstanding challenge
+  // The message that was signed is the raw challenge hex string as UTF-8 bytes
+  let result = null;
+  for (const stored of outstanding) {
+    result = verifySignature(stored.challenge, challengeResponse, devicePubkeyStr);
+    if (!result.valid) continue;
+
+    // 3. Consume it (fails if a concurrent request got there first)
+    if (!db.consumeMobileChallenge(stored.id)) {
+      return { valid: false, error: 'Challenge already used. Request a new one.', challengeId: stored.id };
+    }
+    return { valid: true, challengeId: stored.id };
   }
+  return result;
+}
+
+/**
+ * Build the memo string for a mobile verification
+ * Format: molt:mobile:{agentId}:{devicePubkey}:{timestamp}
+ */
+function buildMobileMemo(agentId, devicePubkey) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return `molt:mobile:${agentId}:${devicePubkey}:${timestamp}`;
+}
+
+/**
+ * Drop every outstanding challenge for an agent (admin challenge reset)
+ * @returns {boolean} whether a challenge was pending
+ */
+function clearChallenge(agentId) {
+  return db.deleteMobileChallenges(agentId) > 0;
 }
 
 /**
  * Clean up expired challenges
  */
 function cleanExpiredChallenges() {
-  const now = Date.now();
-  for (const [agentId, data] of challenges.entries()) {
-    if (now > data.expiresAt + 60000) { // 1 min grace period
-      challenges.delete(agentId);
-    }
-  }
+  return db.purgeExpiredMobileChallenges(Date.now() - CLEANUP_GRACE_MS);
 }
 
 module.exports = {
   generateChallenge,
   verifyChallenge,
-  anchorMobileVerification
+  verifySignature,
+  clearChallenge,
+  cleanExpiredChallenges,
+  buildMobileMemo,
+  MAX_OUTSTANDING_CHALLENGES
 };
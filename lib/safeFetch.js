@@ -0,0 +1,216 @@
+/**
+ * safeFetch.js — Outbound requests to user-supplied URLs (L2 endpoint and codeUrl checks, webhook deliveries)
+ *
+ * Before every request (and every redirect hop) the host is resolved and each
+ * address checked: loopback, private, link-local (cloud metadata), CGNAT, multicast
+ * and reserved ranges are refused, and the connection is pinned to the checked
+ * address so a second DNS answer can't swap it. Redirects are followed up to
+ * FETCH_MAX_REDIRECTS, bodies are capped at FETCH_MAX_BODY_BYTES, and plain http
+ * is refused when FETCH_REQUIRE_HTTPS is on (default in production).
+ *
+ * Failures throw an Error with `reason` (a stable code for API responses) and `url`:
+ *   invalid_url, unsupported_protocol, https_required, dns_failed, blocked_address,
+ *   too_many_redirects, bad_redirect, body_too_large, timeout, connection_failed
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns').promises;
+const net = require('net');
+
+const MAX_REDIRECTS = parseInt(process.env.FETCH_MAX_REDIRECTS, 10) || 3;
+const MAX_BODY_BYTES = parseInt(process.env.FETCH_MAX_BODY_BYTES, 10) || 1024 * 1024;
+const REQUIRE_HTTPS = process.env.FETCH_REQUIRE_HTTPS
+  ? process.env.FETCH_REQUIRE_HTTPS === 'true'
+  : process.env.NODE_ENV === 'production';
+const ALLOW_PRIVATE = process.env.FETCH_ALLOW_PRIVATE === 'true'; // local development only
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+function fetchError(reason, message, url) {
+  const error = new Error(message);
+  error.reason = reason;
+  error.url = url;
+  return error;
+}
+
+/**
+ * Whether an address is outside the public internet
+ */
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Validate a URL and resolve it to one public address
+ * @returns {Promise<{ parsed: URL, address: string, family: number }>}
+ */
+async function resolveTarget(targetUrl) {
+  let parsed;
+  try {
+    parsed = new URL(targetUrl);
+  } catch (e) {
+    throw fetchError('invalid_url', `Invalid URL: ${targetUrl}`, targetUrl);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw fetchError('unsupported_protocol', `Unsupported protocol ${parsed.protocol} (http or https only)`, targetUrl);
+  }
+  if (parsed.protocol === 'http:' && REQUIRE_HTTPS) {
+    throw fetchError('https_required', 'Only https URLs are accepted', targetUrl);
+  }
+  if (parsed.username || parsed.password) {
+    throw fetchError('invalid_url', 'URLs with credentials are not accepted', targetUrl);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (e) {
+      throw fetchError('dns_failed', `Could not resolve ${hostname} (${e.code || e.message})`, targetUrl);
+    }
+  }
+
+  // Every answer must be public: otherwise the host could point one record at a private address
+  if (!ALLOW_PRIVATE) {
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      throw fetchError('blocked_address', `${hostname} resolves to a non-public address (${blocked.address})`, targetUrl);
+    }
+  }
+  return { parsed, address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * One request against an already resolved address
+ */
+function requestOnce({ parsed, address, family }, { timeoutMs, maxBytes, accept, headers, method, body }) {
+  return new Promise((resolve, reject) => {
+    const client = parsed.protocol === 'https:' ? https : http;
+    const targetUrl = parsed.toString();
+
+    const options = {
+      hostname: parsed.hostname.replace(/^\[|\]$/g, ''),
+      port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
+      path: parsed.pathname + parsed.search,
+      method,
+      headers: Object.assign({ 'Accept': accept, 'User-Agent': 'moltlaunch-verify' }, headers),
+      // Pin the connection to the address that was checked (TLS still verifies the hostname)
+      lookup: (host, opts, callback) => {
+        if (opts && opts.all) callback(null, [{ address, family }]);
+        else callback(null, address, family);
+      }
+    };
+
+    const req = client.request(options, (res) => {
+      const length = parseInt(res.headers['content-length'], 10);
+      if (length > maxBytes) {
+        res.destroy();
+        reject(fetchError('body_too_large', `Response is ${length} bytes (limit ${maxBytes})`, targetUrl));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      res.on('data', chunk => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          res.destroy();
+          reject(fetchError('body_too_large', `Response exceeds ${maxBytes} bytes`, targetUrl));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf-8') });
+      });
+      res.on('error', e => reject(fetchError('connection_failed', e.message, targetUrl)));
+    });
+
+    req.on('error', e => reject(e.reason ? e : fetchError('connection_failed', e.message, targetUrl)));
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(fetchError('timeout', `No response within ${timeoutMs}ms`, targetUrl));
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Request a user-supplied URL with SSRF protection (GET unless options.method says otherwise)
+ * @param {string} targetUrl
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - per hop (default 5000)
+ * @param {number} [options.maxBytes] - body cap (default FETCH_MAX_BODY_BYTES)
+ * @param {number} [options.maxRedirects] - default FETCH_MAX_REDIRECTS
+ * @param {string} [options.accept] - Accept header (default application/json)
+ * @param {object} [options.headers] - extra request headers (e.g. Authorization for a git host API)
+ * @param {string} [options.method] - default GET
+ * @param {string} [options.body] - request body (sent on every hop, so pass maxRedirects: 0 with it)
+ * @returns {Promise<{ status: number, headers: object, body: string, url: string, address: string, redirects: string[] }>}
+ *   url is the final URL, address the IP it was fetched from
+ */
+async function safeFetch(targetUrl, options = {}) {
+  const settings = {
+    timeoutMs: options.timeoutMs || 5000,
+    maxBytes: options.maxBytes || MAX_BODY_BYTES,
+    accept: options.accept || 'application/json',
+    headers: options.headers || {},
+    method: options.method || 'GET',
+    body: options.body
+  };
+  const maxRedirects = options.maxRedirects === undefined ? MAX_REDIRECTS : options.maxRedirects;
+  const redirects = [];
+  let currentUrl = targetUrl;
+
+  for (;;) {
+    const target = await resolveTarget(currentUrl);
+    const response = await requestOnce(target, settings);
+
+    if (!REDIRECT_STATUSES.includes(response.status)) {
+      return { status: response.status, headers: response.headers, body: response.body, url: currentUrl, address: target.address, redirects };
+    }
+    if (!response.headers.location) {
+      throw fetchError('bad_redirect', `HTTP ${response.status} without a Location header`, currentUrl);
+    }
+    if (redirects.length >= maxRedirects) {
+      throw fetchError('too_many_redirects', `More than ${maxRedirects} redirects`, currentUrl);
+    }
+    let next;
+    try {
+      next = new URL(response.headers.location, currentUrl).toString();
+    } catch (e) {
+      throw fetchError('bad_redirect', `Invalid redirect target: ${response.headers.location}`, currentUrl);
+    }
+    // Extra headers (credentials) only go to the host they were meant for
+    if (new URL(next).host !== new URL(targetUrl).host) settings.headers = {};
+    redirects.push(next);
+    currentUrl = next;
+  }
+}
+
+module.exports = {
+  safeFetch,
+  resolveTarget,
+  isBlockedAddress,
+  MAX_BODY_BYTES,
+  REQUIRE_HTTPS
+};
@@ -0,0 +1,342 @@
+/**
+ * sas.js — Solana Attestation Service (SAS) issuer
+ *
+ * The anchoring wallet is the authority of one SAS credential and one schema.
+ * Each L1+ agent has a single attestation account (nonce derived from the agent id)
+ * whose data is the agent's level and composable signals, serialized per the schema
+ * layout. Attestations are immutable, so a change closes the account and creates it
+ * again; revocation, expiry or a drop to L0 closes it. The event memo is sent in the
+ * same transaction, so anchor audits and reconciliation read SAS anchors unchanged.
+ *
+ * Instruction and account layouts follow the SAS program (borsh, u8 discriminator).
+ * SAS_PROGRAM_ID points the issuer at another deployment, e.g. the program loaded
+ * into a local validator.
+ */
+
+const crypto = require('crypto');
+const { PublicKey, SystemProgram, TransactionInstruction } = require('@solana/web3.js');
+const db = require('../db');
+const { isConfigured, getAnchorPubkey, withReadConnection, memoInstruction, sendInstructions } = require('./solana');
+const { getSignals, composableView, holds, LEVEL_SIGNALS } = require('./signals');
+
+const PROGRAM_ID = new PublicKey(process.env.SAS_PROGRAM_ID || '22zoJMtdu4tQc2PzL74ZUT7FrwgB1Udec8DdW4yFcaTG');
+const CREDENTIAL_NAME = process.env.SAS_CREDENTIAL_NAME || 'moltlaunch-verify';
+const SCHEMA_NAME = 'moltlaunch-agent';
+const SCHEMA_VERSION = 1;
+const SCHEMA_DESCRIPTION = 'MoltLaunch agent verification: level and composable trust signals';
+
+const INSTRUCTIONS = { createCredential: 0, createSchema: 1, createAttestation: 6, closeAttestation: 7 };
+const ATTESTATION_DISCRIMINATOR = 2;
+
+// SAS layout type codes for the field types used here
+const LAYOUT_TYPES = { u8: 0, i64: 8, bool: 10, string: 12 };
+
+// Attestation data, in layout order. proofs: bit n-1 is set while the level n proof signal holds.
+const SCHEMA_FIELDS = [
+  ['agent_id', 'string'],
+  ['level', 'u8'],
+  ['level_label', 'string'],
+  ['infra_type', 'string'],
+  ['has_economic_stake', 'bool'],
+  ['has_hardware_binding', 'bool'],
+  ['proofs', 'u8'],
+  ['verified_until', 'i64']
+];
+
+let schemaReady = false;
+
+// --- Borsh encoding ---
+
+function u32(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n);
+  return buf;
+}
+
+function encodeString(str) {
+  const bytes = Buffer.from(str, 'utf-8');
+  return Buffer.concat([u32(bytes.length), bytes]);
+}
+
+function encodeBytes(bytes) {
+  return Buffer.concat([u32(bytes.length), Buffer.from(bytes)]);
+}
+
+function encodeField(type, value) {
+  switch (type) {
+    case 'u8': return Buffer.from([value]);
+    case 'bool': return Buffer.from([value ? 1 : 0]);
+    case 'string': return encodeString(value);
+    case 'i64': {
+      const buf = Buffer.alloc(8);
+      buf.writeBigInt64LE(BigInt(value));
+      return buf;
+    }
+    default: throw new Error(`Unsupported field type: ${type}`);
+  }
+}
+
+/**
+ * Read one field at `offset`
+ * @returns {{ value: *, offset: number }} value and the offset after it
+ */
+function decodeField(type, buf, offset) {
+  switch (type) {
+    case 'u8': return { value: buf.readUInt8(offset), offset: offset + 1 };
+    case 'bool': return { value: buf.readUInt8(offset) === 1, offset: offset + 1 };
+    case 'i64': return { value: Number(buf.readBigInt64LE(offset)), offset: offset + 8 };
+    case 'string': {
+      const length = buf.readUInt32LE(offset);
+      return { value: buf.subarray(offset + 4, offset + 4 + length).toString('utf-8'), offset: offset + 4 + length };
+    }
+    default: throw new Error(`Unsupported field type: ${type}`);
+  }
+}
+
+function encodeAttestationData(fields) {
+  return Buffer.concat(SCHEMA_FIELDS.map(([name, type]) => encodeField(type, fields[name])));
+}
+
+function decodeAttestationData(buf) {
+  const fields = {};
+  let offset = 0;
+  for (const [name, type] of SCHEMA_FIELDS) {
+    const decoded = decodeField(type, buf, offset);
+    fields[name] = decoded.value;
+    offset = decoded.offset;
+  }
+  return fields;
+}
+
+// --- Addresses ---
+
+function authorityKey() {
+  const pubkey = getAnchorPubkey();
+  if (!pubkey) {
+    throw new Error('Anchoring wallet not configured (set SOLANA_PRIVATE_KEY or SOLANA_ANCHOR_PUBKEY)');
+  }
+  return new PublicKey(pubkey);
+}
+
+function findAddress(seeds) {
+  return PublicKey.findProgramAddressSync(seeds, PROGRAM_ID)[0];
+}
+
+/**
+ * Per-agent attestation nonce: any 32 bytes work, so hash the agent id
+ */
+function nonceFor(agentId) {
+  return new PublicKey(crypto.createHash('sha256').update(`moltlaunch:${agentId}`).digest());
+}
+
+/**
+ * Credential, schema and (given an agent) attestation addresses for an authority
+ */
+function addresses(authority, agentId) {
+  const credential = findAddress([Buffer.from('credential'), authority.toBuffer(), Buffer.from(CREDENTIAL_NAME)]);
+  const schema = findAddress([Buffer.from('schema'), credential.toBuffer(), Buffer.from(SCHEMA_NAME), Buffer.from([SCHEMA_VERSION])]);
+  const result = { authority, credential, schema };
+  if (agentId) {
+    result.nonce = nonceFor(agentId);
+    result.attestation = findAddress([Buffer.from('attestation'), credential.toBuffer(), schema.toBuffer(), result.nonce.toBuffer()]);
+  }
+  return result;
+}
+
+// --- Instructions ---
+
+function instruction(keys, discriminator, args = []) {
+  return new TransactionInstruction({
+    programId: PROGRAM_ID,
+    keys,
+    data: Buffer.concat([Buffer.from([discriminator])].concat(args))
+  });
+}
+
+const signer = (pubkey, isWritable = true) => ({ pubkey, isSigner: true, isWritable });
+const account = (pubkey, isWritable = false) => ({ pubkey, isSigner: false, isWritable });
+
+function createCredentialInstruction({ authority, credential }) {
+  return instruction([
+    signer(authority),
+    account(credential, true),
+    signer(authority, false),
+    account(SystemProgram.programId)
+  ], INSTRUCTIONS.createCredential, [
+    encodeString(CREDENTIAL_NAME),
+    u32(1), authority.toBuffer() // authorized signers
+  ]);
+}
+
+function createSchemaInstruction({ authority, credential, schema }) {
+  return instruction([
+    signer(authority),
+    signer(authority, false),
+    account(credential),
+    account(schema, true),
+    account(SystemProgram.programId)
+  ], INSTRUCTIONS.createSchema, [
+    encodeString(SCHEMA_NAME),
+    encodeString(SCHEMA_DESCRIPTION),
+    encodeBytes(SCHEMA_FIELDS.map(([, type]) => LAYOUT_TYPES[type])),
+    u32(SCHEMA_FIELDS.length),
+    ...SCHEMA_FIELDS.map(([name]) => encodeString(name))
+  ]);
+}
+
+function createAttestationInstruction({ authority, credential, schema, attestation, nonce }, data, expiry) {
+  return instruction([
+    signer(authority),
+    signer(authority, false),
+    account(credential),
+    account(schema),
+    account(attestation, true),
+    account(SystemProgram.programId)
+  ], INSTRUCTIONS.createAttestation, [
+    nonce.toBuffer(),
+    encodeBytes(data),
+    encodeField('i64', expiry)
+  ]);
+}
+
+function closeAttestationInstruction({ authority, credential, attestation }) {
+  return instruction([
+    signer(authority),
+    signer(authority, false),
+    account(credential),
+    account(attestation, true),
+    account(findAddress([Buffer.from('__event_authority')])),
+    account(SystemProgram.programId),
+    account(PROGRAM_ID)
+  ], INSTRUCTIONS.closeAttestation);
+}
+
+// --- Issuer ---
+
+/**
+ * Attestation data for an agent's current state
+ */
+function attestationFields(agent) {
+  const signals = getSignals(agent.id);
+  const composable = composableView(signals);
+  let proofs = 0;
+  LEVEL_SIGNALS.forEach((name, level) => {
+    if (name && holds(signals, name)) proofs |= 1 << (level - 1);
+  });
+
+  return {
+    agent_id: agent.id,
+    level: agent.level,
+    level_label: agent.level_label,
+    infra_type: composable.infra_type.value,
+    has_economic_stake: !!composable.has_economic_stake.value,
+    has_hardware_binding: !!composable.has_hardware_binding.value,
+    proofs,
+    verified_until: agent.expires_at ? Math.floor(new Date(agent.expires_at).getTime() / 1000) : 0
+  };
+}
+
+/**
+ * Whether the agent should hold an open attestation
+ */
+function isAttestable(agent) {
+  if (agent.revoked || agent.level < 1) return false;
+  return !agent.expires_at || new Date(agent.expires_at).getTime() > Date.now();
+}
+
+/**
+ * Create the credential and schema accounts on first use
+ */
+async function ensureSchema() {
+  if (schemaReady) return;
+  const keys = addresses(authorityKey());
+  const accountExists = async (address) => !!(await withReadConnection(conn => conn.getAccountInfo(address)));
+
+  if (!(await accountExists(keys.credential))) {
+    await sendInstructions([createCredentialInstruction(keys)], `SAS credential ${CREDENTIAL_NAME}`);
+  }
+  if (!(await accountExists(keys.schema))) {
+    await sendInstructions([createSchemaInstruction(keys)], `SAS schema ${SCHEMA_NAME} v${SCHEMA_VERSION}`);
+  }
+  schemaReady = true;
+}
+
+/**
+ * Bring the agent's attestation in line with its current state, throwing on failure
+ * The memo is sent with the final transaction; its signature is returned.
+ * A close followed by a failed create leaves no attestation, and the retry creates it.
+ * @param {string} agentId
+ * @param {string} memo - event memo (molt:*)
+ * @returns {Promise<string>} - Transaction signature
+ */
+async function syncAttestation(agentId, memo) {
+  if (!isConfigured()) {
+    throw new Error('Solana wallet not configured');
+  }
+  const agent = db.getAgent(agentId);
+  if (!agent) {
+    throw new Error(`Unknown agent: ${agentId}`);
+  }
+
+  await ensureSchema();
+  const keys = addresses(authorityKey(), agentId);
+  const exists = !!(await withReadConnection(conn => conn.getAccountInfo(keys.attestation)));
+
+  if (!isAttestable(agent)) {
+    const instructions = [memoInstruction(memo)];
+    if (exists) instructions.push(closeAttestationInstruction(keys));
+    return sendInstructions(instructions, `${memo} (SAS attestation ${exists ? 'closed' : 'absent'})`);
+  }
+
+  const fields = attestationFields(agent);
+  if (exists) {
+    await sendInstructions([closeAttestationInstruction(keys)], `SAS attestation ${keys.attestation.toBase58()} closed for replacement`);
+  }
+  return sendInstructions(
+    [memoInstruction(memo), createAttestationInstruction(keys, encodeAttestationData(fields), fields.verified_until)],
+    `${memo} (SAS attestation ${keys.attestation.toBase58()})`
+  );
+}
+
+/**
+ * Read an agent's attestation account back from the chain (works without the private key)
+ * @returns {Promise<{ programId: string, credential: string, schema: string, attestation: string, exists: boolean, ... }>}
+ */
+async function readAttestation(agentId) {
+  const keys = addresses(authorityKey(), agentId);
+  const result = {
+    programId: PROGRAM_ID.toBase58(),
+    credential: keys.credential.toBase58(),
+    schema: keys.schema.toBase58(),
+    attestation: keys.attestation.toBase58(),
+    exists: false
+  };
+
+  const info = await withReadConnection(conn => conn.getAccountInfo(keys.attestation));
+  if (!info) return result;
+
+  // discriminator, nonce, credential, schema, data (u32 length + bytes), signer, expiry
+  const buf = info.data;
+  if (buf.readUInt8(0) !== ATTESTATION_DISCRIMINATOR) {
+    throw new Error('Account is not a SAS attestation');
+  }
+  const dataLength = buf.readUInt32LE(97);
+  const dataEnd = 101 + dataLength;
+  result.exists = true;
+  result.data = decodeAttestationData(buf.subarray(101, dataEnd));
+  result.signer = new PublicKey(buf.subarray(dataEnd, dataEnd + 32)).toBase58();
+  result.expiry = Number(buf.readBigInt64LE(dataEnd + 32));
+  return result;
+}
+
+module.exports = {
+  syncAttestation,
+  readAttestation,
+  ensureSchema,
+  attestationFields,
+  encodeAttestationData,
+  decodeAttestationData,
+  addresses,
+  PROGRAM_ID,
+  SCHEMA_FIELDS
+};
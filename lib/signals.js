@@ -0,0 +1,209 @@
+/**
+ * signals.js — Composable trust signals
+ *
+ * Each signal is evaluated, stored and timestamped on its own (signals table),
+ * so a protocol can ask for exactly what it needs, e.g. "has hardware binding
+ * and economic stake", regardless of the order the agent collected them in.
+ *
+ * Composable signals (the public model):
+ *   infra_type            'unknown' → 'cloud' → 'tee' → 'depin'
+ *   has_economic_stake    boolean
+ *   has_hardware_binding  boolean — real DePIN device or mobile seed vault
+ *   liveness_failed       boolean — verified endpoint failed repeated liveness checks
+ *   code_repo_missing     boolean — verified repository or commit has disappeared
+ *
+ * Proof signals (one per verification step):
+ *   forum_identity, endpoint_control, behavioral_fingerprint, depin_binding, mobile_attestation
+ *
+ * The L0–L5 level is a derived view: the highest level whose proof signal,
+ * and every proof signal below it, holds.
+ */
+
+const db = require('../db');
+const { LEVEL_LABELS } = require('./levels');
+
+const INFRA_TYPES = ['unknown', 'cloud', 'tee', 'depin'];
+
+const COMPOSABLE_SIGNALS = {
+  infra_type: 'unknown',
+  has_economic_stake: false,
+  has_hardware_binding: false,
+  liveness_failed: false,
+  code_repo_missing: false
+};
+
+// Proof signal required for each level (index = level)
+const LEVEL_SIGNALS = [null, 'forum_identity', 'endpoint_control', 'behavioral_fingerprint', 'depin_binding', 'mobile_attestation'];
+
+/**
+ * All stored signals for an agent
+ * @returns {Object<string, {value: *, evidence: object|null, source: string|null, evaluatedAt: string}>}
+ */
+function getSignals(agentId) {
+  const signals = {};
+  for (const row of db.getSignals(agentId)) {
+    signals[row.signal] = {
+      value: JSON.parse(row.value),
+      evidence: row.evidence ? JSON.parse(row.evidence) : null,
+      source: row.source,
+      evaluatedAt: row.evaluated_at
+    };
+  }
+  return signals;
+}
+
+function setSignal(agentId, signal, value, evidence, source) {
+  db.setSignal(agentId, signal, value, evidence, source);
+}
+
+/**
+ * Public composable view: every composable signal, defaulted when never evaluated
+ */
+function composableView(signals) {
+  const view = {};
+  for (const [name, fallback] of Object.entries(COMPOSABLE_SIGNALS)) {
+    const s = signals[name];
+    view[name] = {
+      value: s ? s.value : fallback,
+      evaluatedAt: s ? s.evaluatedAt : null
+    };
+  }
+  return view;
+}
+
+function holds(signals, name) {
+  return !!(signals[name] && signals[name].value);
+}
+
+/**
+ * Derive the L0–L5 level from proof signals
+ */
+function deriveLevel(signals) {
+  let level = 0;
+  for (let l = 1; l < LEVEL_SIGNALS.length; l++) {
+    if (!holds(signals, LEVEL_SIGNALS[l])) break;
+    level = l;
+  }
+  return level;
+}
+
+/**
+ * Recompute the agent's level from its signals and store it if it changed
+ * @returns {{ level: number, label: string, previousLevel: number, changed: boolean }}
+ */
+function syncLevel(agentId) {
+  const agent = db.getAgent(agentId);
+  const level = deriveLevel(getSignals(agentId));
+  const label = LEVEL_LABELS[level];
+  const changed = level !== agent.level || label !== agent.level_label;
+  if (changed) db.setAgentLevel(agentId, level, label);
+  return { level, label, previousLevel: agent.level, changed };
+}
+
+/**
+ * Recompute has_hardware_binding from the proof signals behind it:
+ * a real (non-mock) DePIN binding or a mobile seed vault attestation
+ */
+function refreshHardwareBinding(agentId) {
+  const signals = getSignals(agentId);
+  const depin = signals.depin_binding;
+  const realDepin = holds(signals, 'depin_binding') && !!(depin.evidence && depin.evidence.isReal);
+  const mobile = holds(signals, 'mobile_attestation');
+  const value = realDepin || mobile;
+
+  if (value !== holds(signals, 'has_hardware_binding')) {
+    const methods = [realDepin && 'depin', mobile && 'mobile_seed_vault'].filter(Boolean);
+    setSignal(agentId, 'has_hardware_binding', value, { methods }, 'system');
+  }
+  if (!realDepin && signals.infra_type && signals.infra_type.value === 'depin') {
+    // Fall back to what the last L2 infrastructure probe saw
+    const ext = db.getExtendedVerification(agentId) || {};
+    const probed = ext.infra_type && ext.infra_type !== 'depin' ? ext.infra_type : 'unknown';
+    setSignal(agentId, 'infra_type', probed, { reason: 'depin binding no longer valid' }, 'system');
+  }
+  return value;
+}
+
+/**
+ * Invalidate every proof signal above `level` (decay, admin downgrade), then resync
+ */
+function clearAbove(agentId, level, reason) {
+  const signals = getSignals(agentId);
+  for (let l = level + 1; l < LEVEL_SIGNALS.length; l++) {
+    if (holds(signals, LEVEL_SIGNALS[l])) {
+      setSignal(agentId, LEVEL_SIGNALS[l], false, { reason }, 'system');
+    }
+  }
+  refreshHardwareBinding(agentId);
+  return syncLevel(agentId);
+}
+
+/**
+ * Check an agent's signals against a requirement list
+ * @param {string[]} required - boolean signal names that must hold
+ * @param {string} [minInfraType] - minimum infra_type
+ * @returns {{ satisfied: boolean, missing: string[] }}
+ */
+function checkRequirements(signals, required, minInfraType) {
+  const missing = required.filter(name => !holds(signals, name));
+  if (minInfraType) {
+    const infra = signals.infra_type ? signals.infra_type.value : COMPOSABLE_SIGNALS.infra_type;
+    if (INFRA_TYPES.indexOf(infra) < INFRA_TYPES.indexOf(minInfraType)) {
+      missing.push(`infra_type>=${minInfraType}`);
+    }
+  }
+  return { satisfied: missing.length === 0, missing };
+}
+
+/**
+ * One-time migration: derive signals for agents verified before the signals table existed
+ */
+function backfill() {
+  if (db.countAgentsWithSignals() > 0) return 0;
+
+  let migrated = 0;
+  for (const agent of db.getAllAgents()) {
+    if (agent.level < 1) continue;
+    const ext = db.getExtendedVerification(agent.id) || {};
+    const source = 'backfill';
+
+    setSignal(agent.id, 'forum_identity', true, { confirmedAt: agent.confirmed_at }, source);
+    if (agent.level >= 2) {
+      setSignal(agent.id, 'endpoint_control', true, { apiEndpoint: agent.api_endpoint }, source);
+    }
+    if (agent.level >= 3) {
+      setSignal(agent.id, 'behavioral_fingerprint', true, { fingerprint: ext.fingerprint, uniqueness: ext.fingerprint_uniqueness }, source);
+    }
+    if (agent.level >= 4) {
+      const isReal = ext.depin_provider !== 'mock';
+      setSignal(agent.id, 'depin_binding', true, { provider: ext.depin_provider, devicePDA: ext.depin_device_pda, isReal }, source);
+      if (isReal) {
+        setSignal(agent.id, 'infra_type', 'depin', { provider: ext.depin_provider }, source);
+      }
+    }
+    if (agent.level >= 5) {
+      setSignal(agent.id, 'mobile_attestation', true, { devicePubkey: ext.mobile_device_pubkey }, source);
+    }
+    refreshHardwareBinding(agent.id);
+    migrated++;
+  }
+
+  if (migrated) console.log(`[signals] Backfilled signals for ${migrated} agents`);
+  return migrated;
+}
+
+module.exports = {
+  getSignals,
+  setSignal,
+  composableView,
+  holds,
+  deriveLevel,
+  syncLevel,
+  refreshHardwareBinding,
+  clearAbove,
+  checkRequirements,
+  backfill,
+  INFRA_TYPES,
+  COMPOSABLE_SIGNALS,
+  LEVEL_SIGNALS
+};
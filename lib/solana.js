@@ -1,34 +1,18 @@
 const {
-  Connection,
-  Keypair,
-  Transaction,
   TransactionInstruction,
-  PublicKey,
-  sendAndConfirmTransaction
+  PublicKey
 } = require('@solana/web3.js');
+const cluster = require('./cluster');
+const wallet = require('./wallet');
 
 const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
-const DEVNET_URL = 'https://api.devnet.solana.com';
 
-let keypair = null;
-let connection = null;
+let warned = false;
 
 function init() {
-  if (keypair) return;
-
-  const privateKeyStr = process.env.SOLANA_PRIVATE_KEY;
-  if (!privateKeyStr) {
-    console.warn('[solana] SOLANA_PRIVATE_KEY not set — on-chain anchoring disabled');
-    return;
-  }
-
-  try {
-    const secretKey = JSON.parse(privateKeyStr);
-    keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
-    connection = new Connection(DEVNET_URL, 'confirmed');
-    console.log(`[solana] Wallet loaded: ${keypair.publicKey.toBase58()}`);
-  } catch (e) {
-    console.error('[solana] Failed to load wallet:', e.message);
+  if (!wallet.init() && !warned) {
+    warned = true;
+    console.warn('[solana] No anchoring key (SOLANA_PRIVATE_KEY, SOLANA_KEYPAIR_PATH or SOLANA_SIGNER_URL) — on-chain anchoring disabled');
   }
 }
 
@@ -42,57 +26,174 @@ function buildMemo(agentId, level, label) {
 }
 
 /**
- * Send a Solana Memo transaction (devnet)
- * @param {string} memo - The memo string
- * @returns {Promise<string|null>} - Transaction signature or null on failure
+ * Memo anchoring a batch of memos by their Merkle root (lib/merkle.js)
+ * Format: molt:batch:{root_hex}:{leaf_count}:{unix_timestamp}
  */
-async function anchorMemo(memo) {
-  init();
+function buildBatchMemo(root, leafCount) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return `molt:batch:${root}:${leafCount}:${timestamp}`;
+}
 
-  if (!keypair || !connection) {
-    console.warn('[solana] Anchoring skipped — wallet not configured');
-    return null;
+/**
+ * Whether an anchoring wallet is loaded
+ */
+function isConfigured() {
+  return !!wallet.init();
+}
+
+/**
+ * Public key of the anchoring wallet (SOLANA_ANCHOR_PUBKEY allows read-only audits without the key)
+ */
+function getAnchorPubkey() {
+  const signer = wallet.init();
+  if (signer) return signer.publicKey.toBase58();
+  return process.env.SOLANA_ANCHOR_PUBKEY || null;
+}
+
+/**
+ * Every key that has anchored for this deployment: the current one plus the rotation history
+ */
+function getAnchorPubkeys() {
+  const keys = new Set();
+  const current = getAnchorPubkey();
+  if (current) keys.add(current);
+  for (const k of wallet.getKeyHistory()) keys.add(k.pubkey);
+  return Array.from(keys);
+}
+
+/**
+ * Connection for reading anchors back (works without a wallet)
+ */
+function getReadConnection() {
+  return cluster.getConnection('anchor');
+}
+
+/**
+ * Run a read against the anchor cluster, failing over between RPC endpoints
+ */
+function withReadConnection(fn) {
+  return cluster.withFailover('anchor', fn);
+}
+
+/**
+ * Replace the RPC connection used for sending and reading (local validator, stub)
+ */
+function setConnection(conn) {
+  cluster.setConnection('anchor', conn);
+}
+
+/**
+ * Memo program instruction signed by the anchoring wallet
+ */
+function memoInstruction(memo) {
+  return new TransactionInstruction({
+    keys: [{ pubkey: wallet.getSigner().publicKey, isSigner: true, isWritable: false }],
+    programId: MEMO_PROGRAM_ID,
+    data: Buffer.from(memo, 'utf-8')
+  });
+}
+
+/**
+ * Send a transaction signed (and paid for) by the anchoring wallet, throwing on failure
+ * @param {TransactionInstruction[]} instructions
+ * @param {string} description - what the transaction does, for the log
+ * @returns {Promise<string>} - Transaction signature
+ */
+async function sendInstructions(instructions, description) {
+  if (!isConfigured()) {
+    throw new Error('Solana wallet not configured');
   }
 
+  let signature;
   try {
-    const instruction = new TransactionInstruction({
-      keys: [{ pubkey: keypair.publicKey, isSigner: true, isWritable: false }],
-      programId: MEMO_PROGRAM_ID,
-      data: Buffer.from(memo, 'utf-8')
-    });
+    signature = await wallet.sendTransaction(cluster.computeBudgetInstructions().concat(instructions));
+  } catch (e) {
+    cluster.reportFailure('anchor', e);
+    if (wallet.isInsufficientFunds(e)) {
+      wallet.checkBalance().catch(() => {});
+      throw new Error(`Anchoring wallet ${getAnchorPubkey()} cannot pay the fee — fund it (${e.message})`);
+    }
+    throw e;
+  }
 
-    const tx = new Transaction().add(instruction);
+  console.log(`[solana] Anchored: ${description} → ${signature}`);
+  return signature;
+}
 
-    const signature = await sendAndConfirmTransaction(connection, tx, [keypair], {
-      commitment: 'confirmed',
-      maxRetries: 3
-    });
+/**
+ * Send a Solana Memo transaction, throwing on failure
+ * Used by the anchor retry worker, which needs the failure reason.
+ * @param {string} memo - The memo string
+ * @returns {Promise<string>} - Transaction signature
+ */
+async function sendMemo(memo) {
+  if (!isConfigured()) {
+    throw new Error('Solana wallet not configured');
+  }
+  return sendInstructions([memoInstruction(memo)], memo);
+}
 
-    console.log(`[solana] Anchored: ${memo} → ${signature}`);
-    return signature;
+/**
+ * Slot a transaction landed in (null if unknown; never throws)
+ */
+async function getSignatureSlot(signature) {
+  try {
+    const { value } = await withReadConnection(conn => conn.getSignatureStatuses([signature]));
+    return value[0] ? value[0].slot : null;
   } catch (e) {
-    console.error('[solana] Anchor failed:', e.message);
     return null;
   }
 }
 
 /**
- * Anchor an agent's level change
- * Returns signature or null (never throws — don't block the response)
+ * Solana Explorer link for a transaction
+ */
+function explorerTxUrl(signature, clusterName) {
+  return cluster.explorerUrl(`tx/${signature}`, clusterName);
+}
+
+/**
+ * Cluster anchors are written to (SOLANA_CLUSTER)
  */
-async function anchorLevelChange(agentId, level, label) {
-  const memo = buildMemo(agentId, level, label);
+function getAnchorCluster() {
+  return cluster.getClusterName('anchor');
+}
+
+/**
+ * Send a Solana Memo transaction
+ * @param {string} memo - The memo string
+ * @returns {Promise<string|null>} - Transaction signature or null on failure
+ */
+async function anchorMemo(memo) {
+  if (!isConfigured()) {
+    console.warn('[solana] Anchoring skipped — wallet not configured');
+    return null;
+  }
+
   try {
-    return await anchorMemo(memo);
+    return await sendMemo(memo);
   } catch (e) {
-    console.error('[solana] anchorLevelChange error:', e.message);
+    console.error('[solana] Anchor failed:', e.message);
     return null;
   }
 }
 
 module.exports = {
   init,
+  isConfigured,
+  getAnchorPubkey,
+  getAnchorPubkeys,
+  getReadConnection,
+  withReadConnection,
+  setConnection,
   buildMemo,
+  buildBatchMemo,
+  memoInstruction,
+  sendInstructions,
+  sendMemo,
   anchorMemo,
-  anchorLevelChange
+  getSignatureSlot,
+  explorerTxUrl,
+  getAnchorCluster,
+  MEMO_PROGRAM_ID
 };
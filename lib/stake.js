@@ -0,0 +1,178 @@
+/**
+ * stake.js — Economic stake verification (has_economic_stake signal)
+ *
+ * The agent proves control of a Solana wallet by signing a server nonce
+ * (Ed25519, same check as L5 mobile), then we read what that wallet has at risk:
+ * SOL balance, SPL token balances and stake accounts it is the staker of.
+ *
+ * Reads go through the cluster module's `stake` role (STAKE_CLUSTER / STAKE_RPC_URLS,
+ * with failover and SOLANA_COMMITMENT). The connection is injectable (setConnection /
+ * the `conn` argument) so the reader can run against a local validator or a stub.
+ */
+
+const crypto = require('crypto');
+const { PublicKey, StakeProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const db = require('../db');
+const cluster = require('./cluster');
+const { verifySignature } = require('./mobile');
+
+const TOKEN_PROGRAM_IDS = [
+  new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+  new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb') // Token-2022
+];
+const STAKER_AUTHORITY_OFFSET = 12; // Meta.authorized.staker in a stake account
+
+const CHALLENGE_EXPIRY_MS = 5 * 60 * 1000; // 5 minutes
+
+// Minimum-threshold policy: native SOL (balance + delegated stake), or any listed token
+const MIN_SOL = parseFloat(process.env.STAKE_MIN_SOL || '0.1');
+const TOKEN_MINIMUMS = parseTokenMinimums(process.env.STAKE_TOKEN_MINTS || '');
+
+/**
+ * Parse "mint=minAmount,mint2=minAmount" into { mint: minAmount }
+ */
+function parseTokenMinimums(str) {
+  const minimums = {};
+  for (const entry of str.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [mint, amount] = entry.split('=');
+    if (mint && amount) minimums[mint.trim()] = parseFloat(amount);
+  }
+  return minimums;
+}
+
+function getConnection() {
+  return cluster.getConnection('stake');
+}
+
+/**
+ * Pin stake reads to one connection (local validator, stub); null restores the endpoint list
+ */
+function setConnection(conn) {
+  cluster.setConnection('stake', conn);
+}
+
+/**
+ * The exact message the wallet must sign
+ */
+function buildStakeMessage(agentId, wallet, nonce) {
+  return `moltlaunch:stake:${agentId}:${wallet}:${nonce}`;
+}
+
+/**
+ * Issue a wallet-ownership challenge
+ * @returns {{ nonce: string, message: string, expiresAt: number }}
+ */
+function generateWalletChallenge(agentId, wallet) {
+  new PublicKey(wallet); // throws on an invalid address
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + CHALLENGE_EXPIRY_MS;
+  db.setWalletChallenge(agentId, wallet, nonce, expiresAt);
+  return { nonce, message: buildStakeMessage(agentId, wallet, nonce), expiresAt };
+}
+
+/**
+ * Verify the wallet's signature over the issued challenge (single use)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function verifyWalletChallenge(agentId, wallet, signature) {
+  const stored = db.getWalletChallenge(agentId);
+  if (!stored) {
+    return { valid: false, error: 'No pending challenge found. Request one first via GET /api/self-verify/stake/challenge' };
+  }
+  if (stored.wallet !== wallet) {
+    return { valid: false, error: 'Wallet does not match the pending challenge. Request a new one.' };
+  }
+  if (Date.now() > stored.expires_at) {
+    return { valid: false, error: 'Challenge expired. Request a new one.' };
+  }
+  if (stored.used) {
+    return { valid: false, error: 'Challenge already used. Request a new one.' };
+  }
+
+  const result = verifySignature(buildStakeMessage(agentId, wallet, stored.nonce), signature, wallet);
+  if (!result.valid) return result;
+
+  db.markWalletChallengeUsed(agentId);
+  return { valid: true };
+}
+
+/**
+ * Read everything the wallet has at risk
+ * @param {string} wallet
+ * @param {Connection} [conn] - defaults to the stake role, with failover
+ * @returns {Promise<{ wallet: string, lamports: number, stakeLamports: number, stakeAccounts: object[], tokens: object[], slot: number }>}
+ */
+async function readStake(wallet, conn) {
+  if (conn) return readStakeFrom(wallet, conn);
+  return cluster.withFailover('stake', c => readStakeFrom(wallet, c));
+}
+
+async function readStakeFrom(wallet, conn) {
+  const owner = new PublicKey(wallet);
+
+  const [lamports, slot] = await Promise.all([conn.getBalance(owner), conn.getSlot()]);
+
+  const tokens = [];
+  for (const programId of TOKEN_PROGRAM_IDS) {
+    const { value } = await conn.getParsedTokenAccountsByOwner(owner, { programId });
+    for (const { pubkey, account } of value) {
+      const info = account.data.parsed.info;
+      const uiAmount = info.tokenAmount.uiAmount || 0;
+      if (uiAmount > 0) {
+        tokens.push({ account: pubkey.toBase58(), mint: info.mint, amount: uiAmount });
+      }
+    }
+  }
+
+  const stakeAccounts = [];
+  const accounts = await conn.getParsedProgramAccounts(StakeProgram.programId, {
+    filters: [{ memcmp: { offset: STAKER_AUTHORITY_OFFSET, bytes: owner.toBase58() } }]
+  });
+  for (const { pubkey, account } of accounts) {
+    const parsed = account.data.parsed || {};
+    const delegation = parsed.info && parsed.info.stake ? parsed.info.stake.delegation : null;
+    stakeAccounts.push({
+      account: pubkey.toBase58(),
+      lamports: account.lamports,
+      delegatedLamports: delegation ? Number(delegation.stake) : 0,
+      voter: delegation ? delegation.voter : null
+    });
+  }
+  const stakeLamports = stakeAccounts.reduce((sum, a) => sum + (a.delegatedLamports || a.lamports), 0);
+
+  return { wallet, lamports, stakeLamports, stakeAccounts, tokens, slot };
+}
+
+/**
+ * Apply the minimum-threshold policy to a stake reading
+ * @returns {{ hasStake: boolean, sol: number, qualifiedBy: string[], policy: object }}
+ */
+function evaluateStake(reading) {
+  const sol = (reading.lamports + reading.stakeLamports) / LAMPORTS_PER_SOL;
+  const qualifiedBy = [];
+  if (sol >= MIN_SOL) qualifiedBy.push('sol');
+
+  for (const token of reading.tokens) {
+    const min = TOKEN_MINIMUMS[token.mint];
+    if (min !== undefined && token.amount >= min && !qualifiedBy.includes(token.mint)) {
+      qualifiedBy.push(token.mint);
+    }
+  }
+
+  return {
+    hasStake: qualifiedBy.length > 0,
+    sol: Math.round(sol * 1e9) / 1e9,
+    qualifiedBy,
+    policy: { minSol: MIN_SOL, tokenMinimums: TOKEN_MINIMUMS }
+  };
+}
+
+module.exports = {
+  generateWalletChallenge,
+  verifyWalletChallenge,
+  buildStakeMessage,
+  readStake,
+  evaluateStake,
+  getConnection,
+  setConnection
+};
@@ -0,0 +1,162 @@
+/**
+ * sybilGraph.js — Sybil cluster graph for admin investigation
+ *
+ * Agents are linked when they share an IP hash, API endpoint, DePIN device PDA,
+ * mobile pubkey or wallet, or carry a behavioral_similarity signal naming each
+ * other. Connected components of two or more agents are clusters.
+ *
+ * A cluster's id is a hash of its sorted member ids, so an admin decision
+ * (confirmed_sybil / benign) applies to exactly that membership: once an agent
+ * joins or leaves, the cluster gets a new id and needs a fresh review.
+ *
+ * Risk score (0–100): the weight of every distinct link type present, plus 5 per
+ * member beyond two (max +20).
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const LINK_WEIGHTS = {
+  device_pda: 35,
+  mobile_pubkey: 35,
+  behavioral_similarity: 30,
+  wallet: 25,
+  endpoint: 20,
+  ip_hash: 10
+};
+
+// Agent attribute behind each shared-value link type
+const LINK_ATTRIBUTES = {
+  ip_hash: 'ip_hash',
+  endpoint: 'api_endpoint',
+  device_pda: 'depin_device_pda',
+  mobile_pubkey: 'mobile_device_pubkey',
+  wallet: 'wallet'
+};
+
+const SIZE_POINTS = 5;
+const MAX_SIZE_POINTS = 20;
+
+const DECISION_STATUSES = ['confirmed_sybil', 'benign'];
+
+function clusterIdFor(memberIds) {
+  return crypto.createHash('sha256').update(memberIds.slice().sort().join(',')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Link groups: agents sharing an attribute value, and behavioral pairs
+ * @returns {Array<{type: string, value: string, agents: string[]}>}
+ */
+function collectLinks(agents) {
+  const links = [];
+
+  for (const [type, attribute] of Object.entries(LINK_ATTRIBUTES)) {
+    const byValue = new Map();
+    for (const agent of agents) {
+      const value = agent[attribute];
+      if (!value) continue;
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(agent.id);
+    }
+    for (const [value, ids] of byValue) {
+      if (ids.length > 1) links.push({ type, value, agents: ids });
+    }
+  }
+
+  // behavioral_similarity signals are written on both agents: keep one link per pair
+  const known = new Set(agents.map(a => a.id));
+  const seenPairs = new Set();
+  for (const signal of db.getSybilSignalsByType('behavioral_similarity')) {
+    const match = /^counterpart=([^;]+);similarity=(.+)$/.exec(signal.signal_value || '');
+    if (!match || !known.has(match[1]) || !known.has(signal.agent_id)) continue;
+    const pair = [signal.agent_id, match[1]].sort();
+    if (seenPairs.has(pair.join(','))) continue;
+    seenPairs.add(pair.join(','));
+    links.push({ type: 'behavioral_similarity', value: match[2], agents: pair });
+  }
+
+  return links;
+}
+
+function riskScore(memberCount, links) {
+  const types = new Set(links.map(l => l.type));
+  let score = 0;
+  for (const type of types) score += LINK_WEIGHTS[type] || 0;
+  score += Math.min(MAX_SIZE_POINTS, SIZE_POINTS * (memberCount - 2));
+  return Math.min(100, score);
+}
+
+/**
+ * Build all clusters (connected components with 2+ agents), highest risk first
+ */
+function buildClusters() {
+  const agents = db.getLinkableAgents();
+  const byId = new Map(agents.map(a => [a.id, a]));
+  const links = collectLinks(agents);
+
+  // Union-find over agent ids
+  const parent = new Map(agents.map(a => [a.id, a.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  for (const link of links) {
+    for (const id of link.agents.slice(1)) {
+      const a = find(link.agents[0]);
+      const b = find(id);
+      if (a !== b) parent.set(b, a);
+    }
+  }
+
+  const components = new Map();
+  for (const agent of agents) {
+    const root = find(agent.id);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(agent.id);
+  }
+
+  const decisions = new Map(db.getClusterDecisions().map(d => [d.cluster_id, d]));
+  const clusters = [];
+  for (const memberIds of components.values()) {
+    if (memberIds.length < 2) continue;
+    const members = new Set(memberIds);
+    const clusterLinks = links.filter(l => members.has(l.agents[0]));
+    const clusterId = clusterIdFor(memberIds);
+    const decision = decisions.get(clusterId);
+
+    const linkTypes = {};
+    for (const link of clusterLinks) linkTypes[link.type] = (linkTypes[link.type] || 0) + 1;
+
+    clusters.push({
+      clusterId,
+      size: memberIds.length,
+      riskScore: riskScore(memberIds.length, clusterLinks),
+      linkTypes,
+      members: memberIds.sort().map(id => ({
+        agentId: id,
+        level: byId.get(id).level,
+        revoked: !!byId.get(id).revoked
+      })),
+      links: clusterLinks,
+      decision: decision ? { status: decision.status, reason: decision.reason, decidedAt: decision.decided_at } : null
+    });
+  }
+
+  clusters.sort((a, b) => (b.riskScore - a.riskScore) || (b.size - a.size) || (a.clusterId < b.clusterId ? -1 : 1));
+  return clusters;
+}
+
+function getCluster(clusterId) {
+  return buildClusters().find(c => c.clusterId === clusterId) || null;
+}
+
+module.exports = {
+  buildClusters,
+  getCluster,
+  clusterIdFor,
+  LINK_WEIGHTS,
+  DECISION_STATUSES
+};
@@ -0,0 +1,171 @@
+/**
+ * trustScore.js — The advertised trust_score (0–100), derived from all signals
+ *
+ * Version v5. Positive components (max 100 total):
+ *   level      40  L0 0, L1 10, L2 20, L3 28, L4 34, L5 40
+ *   freshness  10  remaining validity / 30 days (0 once expired)
+ *   behavioral 15  fingerprint_uniqueness × 15 (behavioral_fingerprint signal)
+ *   hardware   15  real DePIN device 15, mock device 3 (depin_binding signal)
+ *   mobile     10  mobile seed vault signature verified (mobile_attestation signal)
+ *   stake      10  has_economic_stake signal holds
+ * Penalties:
+ *   liveness   −15 while the liveness_failed signal holds
+ *   codeRepo   −10 while the code_repo_missing signal holds
+ *   sybil      per sybil_signals row: ip_cluster −5, endpoint_cluster −10,
+ *              wallet_cluster −10, github_owner −10, domain_cluster −10,
+ *              colosseum_account −15, behavioral_similarity −15, other −5; capped at −40
+ * Revoked agents always score 0. Bump SCORE_VERSION whenever a weight changes.
+ */
+
+const db = require('../db');
+const { getSignals, holds } = require('./signals');
+
+const SCORE_VERSION = 'v5';
+const VALIDITY_MS = 30 * 24 * 60 * 60 * 1000;
+
+const LEVEL_POINTS = { 0: 0, 1: 10, 2: 20, 3: 28, 4: 34, 5: 40 };
+const MAX_POINTS = { level: 40, freshness: 10, behavioral: 15, hardware: 15, mobile: 10, stake: 10 };
+const MOCK_HARDWARE_POINTS = 3;
+const LIVENESS_PENALTY = 15;
+const CODE_REPO_PENALTY = 10;
+
+const SYBIL_PENALTIES = {
+  ip_cluster: 5,
+  endpoint_cluster: 10,
+  wallet_cluster: 10,
+  github_owner: 10,
+  domain_cluster: 10,
+  colosseum_account: 15,
+  behavioral_similarity: 15
+};
+const DEFAULT_SYBIL_PENALTY = 5;
+const MAX_SYBIL_PENALTY = 40;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function freshnessComponent(agent) {
+  if (!agent.expires_at) return { points: 0, max: MAX_POINTS.freshness, expiresAt: null };
+  const remaining = new Date(agent.expires_at).getTime() - Date.now();
+  const ratio = Math.max(0, Math.min(1, remaining / VALIDITY_MS));
+  return {
+    points: round2(ratio * MAX_POINTS.freshness),
+    max: MAX_POINTS.freshness,
+    expiresAt: agent.expires_at,
+    expired: remaining <= 0
+  };
+}
+
+function behavioralComponent(signals, ext) {
+  const uniqueness = holds(signals, 'behavioral_fingerprint') && ext && ext.fingerprint_uniqueness != null ? ext.fingerprint_uniqueness : null;
+  return {
+    points: uniqueness === null ? 0 : round2(Math.max(0, Math.min(1, uniqueness)) * MAX_POINTS.behavioral),
+    max: MAX_POINTS.behavioral,
+    uniqueness
+  };
+}
+
+function hardwareComponent(signals, ext) {
+  if (!holds(signals, 'depin_binding') || !ext || !ext.depin_provider) {
+    return { points: 0, max: MAX_POINTS.hardware, provider: null, isReal: null };
+  }
+  const isReal = ext.depin_provider !== 'mock';
+  return {
+    points: isReal ? MAX_POINTS.hardware : MOCK_HARDWARE_POINTS,
+    max: MAX_POINTS.hardware,
+    provider: ext.depin_provider,
+    isReal
+  };
+}
+
+function mobileComponent(signals, ext) {
+  const verified = holds(signals, 'mobile_attestation') && !!(ext && ext.mobile_verified);
+  return { points: verified ? MAX_POINTS.mobile : 0, max: MAX_POINTS.mobile, verified };
+}
+
+function stakeComponent(signals) {
+  const stake = signals.has_economic_stake;
+  const staked = holds(signals, 'has_economic_stake');
+  return {
+    points: staked ? MAX_POINTS.stake : 0,
+    max: MAX_POINTS.stake,
+    staked,
+    sol: staked && stake.evidence ? stake.evidence.sol : null
+  };
+}
+
+function livenessComponent(signals) {
+  const failed = holds(signals, 'liveness_failed');
+  return {
+    points: failed ? -LIVENESS_PENALTY : 0,
+    max: 0,
+    failed,
+    since: failed ? signals.liveness_failed.evaluatedAt : null
+  };
+}
+
+function codeRepoComponent(signals) {
+  const missing = holds(signals, 'code_repo_missing');
+  return {
+    points: missing ? -CODE_REPO_PENALTY : 0,
+    max: 0,
+    missing,
+    status: missing && signals.code_repo_missing.evidence ? signals.code_repo_missing.evidence.status : null
+  };
+}
+
+function sybilComponent(signals) {
+  const counts = {};
+  let penalty = 0;
+  for (const signal of signals) {
+    counts[signal.signal_type] = (counts[signal.signal_type] || 0) + 1;
+    penalty += SYBIL_PENALTIES[signal.signal_type] || DEFAULT_SYBIL_PENALTY;
+  }
+  return {
+    points: -Math.min(penalty, MAX_SYBIL_PENALTY),
+    max: 0,
+    signals: counts
+  };
+}
+
+/**
+ * Compute the trust score for an agent row
+ * @param {object} agent - agents row
+ * @returns {{ version: string, score: number, components: object, computedAt: string }}
+ */
+function computeTrustScore(agent) {
+  const ext = db.getExtendedVerification(agent.id);
+  const signals = getSignals(agent.id);
+
+  const components = {
+    level: { points: LEVEL_POINTS[agent.level] || 0, max: MAX_POINTS.level, level: agent.level },
+    freshness: freshnessComponent(agent),
+    behavioral: behavioralComponent(signals, ext),
+    hardware: hardwareComponent(signals, ext),
+    mobile: mobileComponent(signals, ext),
+    stake: stakeComponent(signals),
+    liveness: livenessComponent(signals),
+    codeRepo: codeRepoComponent(signals),
+    sybil: sybilComponent(db.getSybilSignals(agent.id))
+  };
+
+  let score = 0;
+  if (!agent.revoked) {
+    const total = Object.values(components).reduce((sum, c) => sum + c.points, 0);
+    score = Math.round(Math.max(0, Math.min(100, total)));
+  }
+
+  return {
+    version: SCORE_VERSION,
+    score,
+    revoked: !!agent.revoked,
+    components,
+    computedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  computeTrustScore,
+  SCORE_VERSION
+};
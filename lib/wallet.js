@@ -0,0 +1,409 @@
+/**
+ * wallet.js — The anchoring wallet: key sources, signing, balance monitoring, rotation
+ *
+ * Key sources (first one set wins):
+ *   SOLANA_PRIVATE_KEY   JSON array of 64 secret key bytes
+ *   SOLANA_KEYPAIR_PATH  solana-keygen keypair file (the only source that can be rotated at runtime)
+ *   SOLANA_SIGNER_URL    external signer (HSM / KMS bridge), with SOLANA_SIGNER_PUBKEY:
+ *                        POST {url} { pubkey, message: base64 } → { signature: base64 }
+ * setSigner() plugs in any { publicKey, source, sign(message) → Promise<Uint8Array> }.
+ *
+ * Every key that has signed anchors is kept in wallet_keys (activation periods), so
+ * anchors signed before a rotation still verify; the history is published at
+ * /.well-known/moltlaunch-anchor-keys.json.
+ *
+ * The balance is checked every WALLET_BALANCE_CHECK_INTERVAL_MS. Dropping below
+ * WALLET_LOW_BALANCE_SOL logs an alert, writes an audit entry and POSTs to
+ * WALLET_ALERT_URL; with WALLET_AUTO_AIRDROP=true on a non-mainnet cluster it
+ * also requests an airdrop (at most once per hour).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const nacl = require('tweetnacl');
+const { Keypair, PublicKey, SystemProgram, Transaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const db = require('../db');
+const cluster = require('./cluster');
+
+const KEYPAIR_PATH = process.env.SOLANA_KEYPAIR_PATH || null;
+const SIGNER_URL = process.env.SOLANA_SIGNER_URL || null;
+const SIGNER_PUBKEY = process.env.SOLANA_SIGNER_PUBKEY || null;
+const SIGNER_TIMEOUT_MS = 10 * 1000;
+
+const LOW_BALANCE_SOL = parseFloat(process.env.WALLET_LOW_BALANCE_SOL || '0.05');
+const CHECK_INTERVAL_MS = parseInt(process.env.WALLET_BALANCE_CHECK_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const AUTO_AIRDROP = process.env.WALLET_AUTO_AIRDROP === 'true';
+const AIRDROP_SOL = parseFloat(process.env.WALLET_AIRDROP_SOL || '1');
+const AIRDROP_COOLDOWN_MS = 60 * 60 * 1000;
+const ALERT_URL = process.env.WALLET_ALERT_URL || null;
+
+let signer = null;
+let loaded = false;
+let balance = { lamports: null, low: false, checkedAt: null, error: null };
+let lastAirdrop = null;
+let timer = null;
+
+// --- Signers ---
+
+function keypairSigner(keypair, source) {
+  return {
+    publicKey: keypair.publicKey,
+    source,
+    keypair,
+    sign: async (message) => nacl.sign.detached(message, keypair.secretKey)
+  };
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ */
+function postJson(targetUrl, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(targetUrl);
+    const client = parsed.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+
+    const req = client.request({
+      hostname: parsed.hostname,
+      port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
+      path: parsed.pathname + parsed.search,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`${parsed.host} returned ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch (e) {
+          reject(new Error(`Failed to parse response from ${parsed.host}: ${e.message}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.end(payload);
+  });
+}
+
+function remoteSigner(signerUrl, pubkey) {
+  const publicKey = new PublicKey(pubkey);
+  return {
+    publicKey,
+    source: 'remote',
+    async sign(message) {
+      const { signature } = await postJson(signerUrl, {
+        pubkey: publicKey.toBase58(),
+        message: Buffer.from(message).toString('base64')
+      }, SIGNER_TIMEOUT_MS);
+      const bytes = Buffer.from(signature || '', 'base64');
+      if (bytes.length !== 64 || !nacl.sign.detached.verify(message, new Uint8Array(bytes), publicKey.toBytes())) {
+        throw new Error('External signer returned an invalid signature');
+      }
+      return new Uint8Array(bytes);
+    }
+  };
+}
+
+function readKeypairFile(filePath) {
+  return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(filePath, 'utf-8'))));
+}
+
+function loadSigner() {
+  if (process.env.SOLANA_PRIVATE_KEY) {
+    return keypairSigner(Keypair.fromSecretKey(Uint8Array.from(JSON.parse(process.env.SOLANA_PRIVATE_KEY))), 'env');
+  }
+  if (KEYPAIR_PATH) {
+    return keypairSigner(readKeypairFile(KEYPAIR_PATH), 'file');
+  }
+  if (SIGNER_URL) {
+    if (!SIGNER_PUBKEY) throw new Error('SOLANA_SIGNER_PUBKEY is required with SOLANA_SIGNER_URL');
+    return remoteSigner(SIGNER_URL, SIGNER_PUBKEY);
+  }
+  return null;
+}
+
+/**
+ * Record the signer's key in the history when it differs from the active one
+ */
+function recordKey(s) {
+  const active = db.getActiveWalletKey();
+  if (active && active.pubkey === s.publicKey.toBase58()) return;
+  db.activateWalletKey(s.publicKey.toBase58(), s.source);
+  if (active) {
+    db.addAuditLog(null, 'wallet_rotated', { from: active.pubkey, to: s.publicKey.toBase58(), source: s.source }, null);
+    console.log(`[wallet] Anchoring key changed: ${active.pubkey} → ${s.publicKey.toBase58()}`);
+  }
+}
+
+/**
+ * Load the signer from the configured source (once)
+ * @returns {object|null} signer, or null when no key source is configured
+ */
+function init() {
+  if (loaded) return signer;
+  loaded = true;
+
+  try {
+    signer = loadSigner();
+  } catch (e) {
+    console.error('[wallet] Failed to load anchoring key:', e.message);
+    signer = null;
+  }
+  if (signer) {
+    recordKey(signer);
+    console.log(`[wallet] Anchoring key loaded (${signer.source}): ${signer.publicKey.toBase58()}`);
+  }
+  return signer;
+}
+
+function getSigner() {
+  return init();
+}
+
+/**
+ * Replace the signer (custom KMS/HSM integration, tests)
+ */
+function setSigner(s) {
+  loaded = true;
+  signer = s;
+  balance = { lamports: null, low: false, checkedAt: null, error: null };
+  if (s) recordKey(s);
+}
+
+// --- Sending ---
+
+/**
+ * Sign a transaction with the signer (fee payer) and send it, throwing on failure
+ * @param {TransactionInstruction[]} instructions
+ * @param {object} [withSigner] - defaults to the current signer
+ * @returns {Promise<string>} - Transaction signature
+ */
+async function sendTransaction(instructions, withSigner = init()) {
+  if (!withSigner) {
+    throw new Error('Solana wallet not configured');
+  }
+
+  const conn = cluster.getConnection('anchor');
+  const { blockhash, lastValidBlockHeight } = await conn.getLatestBlockhash(cluster.COMMITMENT);
+  const tx = new Transaction({ feePayer: withSigner.publicKey, blockhash, lastValidBlockHeight }).add(...instructions);
+  tx.addSignature(withSigner.publicKey, Buffer.from(await withSigner.sign(tx.serializeMessage())));
+
+  const signature = await conn.sendRawTransaction(tx.serialize(), {
+    preflightCommitment: cluster.COMMITMENT,
+    maxRetries: 3
+  });
+  const { value } = await conn.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, cluster.COMMITMENT);
+  if (value && value.err) {
+    throw new Error(`Transaction ${signature} failed: ${JSON.stringify(value.err)}`);
+  }
+  return signature;
+}
+
+/**
+ * Whether a send failed because the wallet can't pay the fee
+ */
+function isInsufficientFunds(error) {
+  return /insufficient (funds|lamports)|no record of a prior credit/i.test(error && error.message ? error.message : String(error));
+}
+
+// --- Balance ---
+
+async function alertLowBalance(pubkey, lamports) {
+  const details = {
+    pubkey,
+    cluster: cluster.getClusterName('anchor'),
+    balanceSol: lamports / LAMPORTS_PER_SOL,
+    thresholdSol: LOW_BALANCE_SOL
+  };
+  console.error(`[wallet] LOW BALANCE: ${pubkey} has ${details.balanceSol} SOL (threshold ${LOW_BALANCE_SOL} SOL) — anchors will queue until it is funded`);
+  db.addAuditLog(null, 'wallet_low_balance', details, null);
+
+  if (ALERT_URL) {
+    try {
+      await postJson(ALERT_URL, Object.assign({ event: 'wallet_low_balance', at: new Date().toISOString() }, details), SIGNER_TIMEOUT_MS);
+    } catch (e) {
+      console.error('[wallet] Low balance alert failed:', e.message);
+    }
+  }
+}
+
+/**
+ * Request a devnet/testnet/localnet airdrop (WALLET_AUTO_AIRDROP), at most once per cooldown
+ * @returns {Promise<object|null>} airdrop record, or null when skipped
+ */
+async function airdrop(s, { force = false } = {}) {
+  if (cluster.getClusterName('anchor') === 'mainnet') {
+    throw new Error('Airdrops are not available on mainnet');
+  }
+  if (!force && lastAirdrop && Date.now() - new Date(lastAirdrop.at).getTime() < AIRDROP_COOLDOWN_MS) {
+    return null;
+  }
+
+  const lamports = Math.round(AIRDROP_SOL * LAMPORTS_PER_SOL);
+  lastAirdrop = { at: new Date().toISOString(), sol: AIRDROP_SOL, signature: null, error: null };
+  try {
+    lastAirdrop.signature = await cluster.withFailover('anchor', async (conn) => {
+      const { blockhash, lastValidBlockHeight } = await conn.getLatestBlockhash(cluster.COMMITMENT);
+      const signature = await conn.requestAirdrop(s.publicKey, lamports);
+      await conn.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, cluster.COMMITMENT);
+      return signature;
+    });
+    db.addAuditLog(null, 'wallet_airdrop', { pubkey: s.publicKey.toBase58(), sol: AIRDROP_SOL, signature: lastAirdrop.signature }, null);
+    console.log(`[wallet] Airdropped ${AIRDROP_SOL} SOL to ${s.publicKey.toBase58()}: ${lastAirdrop.signature}`);
+  } catch (e) {
+    lastAirdrop.error = e.message;
+    console.error('[wallet] Airdrop failed:', e.message);
+  }
+  return lastAirdrop;
+}
+
+/**
+ * Read the balance, alert on the transition to low, top up when enabled
+ */
+async function checkBalance() {
+  const s = init();
+  if (!s) return getStatus();
+
+  try {
+    const lamports = await cluster.withFailover('anchor', conn => conn.getBalance(s.publicKey));
+    const low = lamports < LOW_BALANCE_SOL * LAMPORTS_PER_SOL;
+    const wasLow = balance.low;
+    balance = { lamports, low, checkedAt: new Date().toISOString(), error: null };
+
+    if (low && !wasLow) await alertLowBalance(s.publicKey.toBase58(), lamports);
+    if (low && AUTO_AIRDROP && cluster.getClusterName('anchor') !== 'mainnet') {
+      const result = await airdrop(s);
+      if (result && result.signature) {
+        const after = await cluster.withFailover('anchor', conn => conn.getBalance(s.publicKey));
+        balance = { lamports: after, low: after < LOW_BALANCE_SOL * LAMPORTS_PER_SOL, checkedAt: new Date().toISOString(), error: null };
+      }
+    }
+  } catch (e) {
+    balance = Object.assign({}, balance, { checkedAt: new Date().toISOString(), error: e.message });
+  }
+  return getStatus();
+}
+
+// --- Rotation ---
+
+/**
+ * Move everything but the fee from one signer to a new address
+ */
+async function transferBalance(from, to) {
+  const conn = cluster.getConnection('anchor');
+  const lamports = await conn.getBalance(from.publicKey);
+  const instructions = cluster.computeBudgetInstructions();
+  const probe = new Transaction({ feePayer: from.publicKey, recentBlockhash: (await conn.getLatestBlockhash()).blockhash })
+    .add(...instructions, SystemProgram.transfer({ fromPubkey: from.publicKey, toPubkey: to, lamports }));
+  const { value: fee } = await conn.getFeeForMessage(probe.compileMessage());
+  const amount = lamports - (fee || 5000);
+  if (amount <= 0) return { lamports: 0, signature: null };
+
+  const signature = await sendTransaction(
+    instructions.concat(SystemProgram.transfer({ fromPubkey: from.publicKey, toPubkey: to, lamports: amount })),
+    from
+  );
+  return { lamports: amount, signature };
+}
+
+/**
+ * Rotate a keypair-file key: generate a new key, keep the old file as {path}.{oldPubkey}.bak,
+ * optionally move the balance over, and start signing with the new key
+ * Env keys and external signers rotate by changing their configuration and restarting.
+ */
+async function rotate({ transfer = true } = {}) {
+  const current = init();
+  if (!current || current.source !== 'file') {
+    throw new Error('Runtime rotation needs SOLANA_KEYPAIR_PATH. For env keys and external signers, change the key and restart: the history records it.');
+  }
+
+  const previous = current.publicKey.toBase58();
+  const next = Keypair.generate();
+  fs.writeFileSync(`${KEYPAIR_PATH}.${previous}.bak`, JSON.stringify(Array.from(current.keypair.secretKey)), { mode: 0o600 });
+  // Write-then-rename: the file is never half-written, and the new key gets 0600
+  fs.writeFileSync(`${KEYPAIR_PATH}.tmp`, JSON.stringify(Array.from(next.secretKey)), { mode: 0o600 });
+  fs.renameSync(`${KEYPAIR_PATH}.tmp`, KEYPAIR_PATH);
+
+  let transferred = null;
+  if (transfer) {
+    try {
+      transferred = await transferBalance(current, next.publicKey);
+    } catch (e) {
+      transferred = { error: e.message };
+      console.error('[wallet] Balance transfer after rotation failed:', e.message);
+    }
+  }
+
+  setSigner(keypairSigner(next, 'file'));
+  return { previous, current: next.publicKey.toBase58(), transfer: transferred };
+}
+
+// --- Status ---
+
+/**
+ * Published key history (newest first)
+ */
+function getKeyHistory() {
+  return db.getWalletKeys().map(k => ({
+    pubkey: k.pubkey,
+    activatedAt: k.activated_at,
+    retiredAt: k.retired_at
+  }));
+}
+
+function getStatus() {
+  const s = init();
+  return {
+    configured: !!s,
+    pubkey: s ? s.publicKey.toBase58() : null,
+    source: s ? s.source : null,
+    cluster: cluster.getClusterName('anchor'),
+    balanceSol: balance.lamports === null ? null : balance.lamports / LAMPORTS_PER_SOL,
+    lowBalanceThresholdSol: LOW_BALANCE_SOL,
+    low: balance.low,
+    checkedAt: balance.checkedAt,
+    error: balance.error,
+    autoAirdrop: AUTO_AIRDROP,
+    lastAirdrop,
+    history: getKeyHistory()
+  };
+}
+
+function start() {
+  if (timer || !init()) return;
+  checkBalance().catch(err => console.error('[wallet] Balance check error:', err.message));
+  timer = setInterval(() => {
+    checkBalance().catch(err => console.error('[wallet] Balance check error:', err.message));
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  init,
+  getSigner,
+  setSigner,
+  sendTransaction,
+  isInsufficientFunds,
+  checkBalance,
+  airdrop,
+  rotate,
+  getKeyHistory,
+  getStatus,
+  start,
+  stop
+};
@@ -0,0 +1,287 @@
+/**
+ * webhooks.js — Signed webhook deliveries of agent status events
+ *
+ * Relying parties subscribe a URL to some agents (or all of them) and some events
+ * (or all of EVENTS). emit() stores one delivery per matching subscription and
+ * sends it right away; a delivery counts as done on any 2xx answer. Failures are
+ * retried by the worker with exponential backoff until WEBHOOK_MAX_ATTEMPTS, after
+ * which the delivery is 'dead' (it can still be replayed).
+ *
+ * Each POST carries the event JSON and:
+ *   X-Moltlaunch-Event      event name
+ *   X-Moltlaunch-Delivery   delivery id (a replay gets a new one, the event id stays)
+ *   X-Moltlaunch-Signature  t={unix seconds},v1={hex HMAC-SHA256(secret, "{t}.{body}")}
+ * Receivers should check the signature and reject stale timestamps.
+ *
+ * Deliveries go through safeFetch without redirects, so subscription URLs follow
+ * the same SSRF rules as agent endpoints.
+ *
+ * Agents manage their subscriptions with a signature from their proof key
+ * (signed proof mode) over a single-use server nonce:
+ *   moltlaunch:webhooks:{agentId}:{nonce}
+ * Agent IDs are public, so the ID alone proves nothing; other subscribers use API keys.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { safeFetch } = require('./safeFetch');
+const { verifySignature } = require('./mobile');
+
+const EVENTS = ['register', 'confirm', 'verify', 'behavioral', 'depin', 'mobile', 'revoke', 'expire', 'decay', 'anchor'];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS, 10) || 30 * 1000;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+const AUTH_NONCE_EXPIRY_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Delay before the next attempt after `attempts` failures: 30s, 1m, 2m, 4m... capped at 6h
+ */
+function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+}
+
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Signature header value for a body sent at `timestamp` (unix seconds)
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * The exact message an agent signs to manage its subscriptions
+ */
+function buildAuthMessage(agentId, nonce) {
+  return `moltlaunch:webhooks:${agentId}:${nonce}`;
+}
+
+/**
+ * The agent's outstanding management nonce, issuing a new one if there is none or it expired
+ * @returns {{ nonce: string, expiresAt: number }}
+ */
+function issueAuthNonce(agent) {
+  if (agent.webhook_nonce && agent.webhook_nonce_expires_at > Date.now()) {
+    return { nonce: agent.webhook_nonce, expiresAt: agent.webhook_nonce_expires_at };
+  }
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + AUTH_NONCE_EXPIRY_MS;
+  db.setWebhookNonce(agent.id, nonce, expiresAt);
+  return { nonce, expiresAt };
+}
+
+/**
+ * Check a management signature against the agent's proof key; a valid one spends the nonce
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function checkAuthSignature(agent, signature) {
+  if (!agent.proof_pubkey) {
+    return { valid: false, error: 'Agent has no proofPubkey (signed proof mode); use an API key instead' };
+  }
+  if (!agent.webhook_nonce || agent.webhook_nonce_expires_at <= Date.now()) {
+    return { valid: false, error: 'No outstanding webhook nonce. Request one from GET /api/self-verify/webhooks/nonce' };
+  }
+  const result = verifySignature(buildAuthMessage(agent.id, agent.webhook_nonce), signature, agent.proof_pubkey);
+  if (!result.valid) {
+    return { valid: false, error: `Signature: ${result.error}` };
+  }
+  db.setWebhookNonce(agent.id, null, null);
+  return { valid: true };
+}
+
+function parseList(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Whether a subscription wants an event about an agent
+ * Subscriptions of an agent whose verification was revoked stop receiving events.
+ */
+function matches(subscription, event, agentId) {
+  const events = parseList(subscription.events);
+  const agentIds = parseList(subscription.agent_ids);
+  if (events && !events.includes(event)) return false;
+  if (agentIds && !agentIds.includes(agentId)) return false;
+  if (subscription.owner.startsWith('agent:')) {
+    const owner = db.getAgent(subscription.owner.slice('agent:'.length));
+    if (!owner || owner.revoked) return false;
+  }
+  return true;
+}
+
+/**
+ * Queue an event for every matching subscription and send it (never throws — callers are routes and workers)
+ * @param {string} event - one of EVENTS
+ * @param {string} agentId
+ * @param {object} [data] - event details
+ * @returns {string|null} event id, null if nobody is subscribed
+ */
+function emit(event, agentId, data = {}) {
+  try {
+    const subscriptions = db.getActiveWebhookSubscriptions().filter(s => matches(s, event, agentId));
+    if (!subscriptions.length) return null;
+
+    const agent = db.getAgent(agentId);
+    const eventId = 'evt_' + crypto.randomBytes(12).toString('hex');
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      agentId,
+      occurredAt: new Date().toISOString(),
+      level: agent ? agent.level : null,
+      levelLabel: agent ? agent.level_label : null,
+      revoked: agent ? !!agent.revoked : null,
+      expiresAt: agent ? agent.expires_at : null,
+      data
+    });
+
+    // Sent right away; the worker only picks a delivery up if this first attempt didn't settle it
+    const nextAttemptAt = new Date(Date.now() + BASE_DELAY_MS).toISOString();
+    const ids = subscriptions.map(s => db.addWebhookDelivery({ subscriptionId: s.id, eventId, event, agentId, payload, nextAttemptAt }));
+    setImmediate(() => {
+      deliverAll(ids).catch(err => console.error('[webhooks] Delivery error:', err.message));
+    });
+    return eventId;
+  } catch (err) {
+    console.error(`[webhooks] Could not queue ${event} for ${agentId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * POST a delivery once and record the attempt
+ * @returns {Promise<{ id: number, status: string, responseStatus?: number, error?: string, nextAttemptAt?: string }>}
+ */
+async function attemptDelivery(delivery) {
+  const subscription = db.getWebhookSubscription(delivery.subscription_id);
+  if (!subscription) {
+    db.recordWebhookAttempt(delivery.id, { status: 'cancelled', error: 'Subscription deleted' });
+    return { id: delivery.id, status: 'cancelled' };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await safeFetch(subscription.url, {
+      method: 'POST',
+      body: delivery.payload,
+      maxRedirects: 0,
+      timeoutMs: DELIVERY_TIMEOUT_MS,
+      maxBytes: MAX_RESPONSE_BYTES,
+      accept: '*/*',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(delivery.payload),
+        'X-Moltlaunch-Event': delivery.event,
+        'X-Moltlaunch-Delivery': String(delivery.id),
+        'X-Moltlaunch-Signature': sign(subscription.secret, timestamp, delivery.payload)
+      }
+    });
+    responseStatus = response.status;
+    if (response.status >= 200 && response.status < 300) {
+      db.recordWebhookAttempt(delivery.id, { status: 'delivered', responseStatus });
+      return { id: delivery.id, status: 'delivered', responseStatus };
+    }
+    error = `HTTP ${response.status}`;
+  } catch (e) {
+    error = e.reason ? `${e.reason}: ${e.message}` : e.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    db.recordWebhookAttempt(delivery.id, { status: 'dead', responseStatus, error });
+    console.error(`[webhooks] Giving up on delivery #${delivery.id} (${delivery.event}) after ${attempts} attempts: ${error}`);
+    return { id: delivery.id, status: 'dead', responseStatus, error };
+  }
+  const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+  db.recordWebhookAttempt(delivery.id, { status: 'pending', responseStatus, error, nextAttemptAt });
+  console.warn(`[webhooks] Delivery #${delivery.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), next at ${nextAttemptAt}: ${error}`);
+  return { id: delivery.id, status: 'pending', responseStatus, error, nextAttemptAt };
+}
+
+/**
+ * Send deliveries by id, one at a time (skips any already handled)
+ */
+async function deliverAll(ids) {
+  const results = [];
+  for (const id of ids) {
+    const delivery = db.getWebhookDelivery(id);
+    if (delivery && delivery.status === 'pending') results.push(await attemptDelivery(delivery));
+  }
+  return results;
+}
+
+/**
+ * Send a stored event again as a new delivery (same event id and payload)
+ * @returns {Promise<object>} result of the first attempt
+ */
+async function replay(delivery) {
+  const id = db.addWebhookDelivery({
+    subscriptionId: delivery.subscription_id,
+    eventId: delivery.event_id,
+    event: delivery.event,
+    agentId: delivery.agent_id,
+    payload: delivery.payload,
+    replayOf: delivery.id,
+    nextAttemptAt: new Date(Date.now() + BASE_DELAY_MS).toISOString()
+  });
+  return attemptDelivery(db.getWebhookDelivery(id));
+}
+
+/**
+ * Retry every delivery whose backoff has elapsed
+ */
+async function drainQueue() {
+  if (running) return [];
+  running = true;
+  try {
+    const results = [];
+    for (const delivery of db.getDueWebhookDeliveries()) {
+      results.push(await attemptDelivery(delivery));
+    }
+    return results;
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(() => {
+    drainQueue().catch(err => console.error('[webhooks] Drain error:', err.message));
+  }, INTERVAL_MS);
+  timer.unref();
+  console.log(`[webhooks] Worker started (every ${Math.round(INTERVAL_MS / 1000)}s, max ${MAX_ATTEMPTS} attempts)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  emit,
+  replay,
+  drainQueue,
+  attemptDelivery,
+  generateSecret,
+  sign,
+  buildAuthMessage,
+  issueAuthNonce,
+  checkAuthSignature,
+  backoffDelay,
+  start,
+  stop,
+  EVENTS,
+  MAX_ATTEMPTS
+};
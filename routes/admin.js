@@ -3,6 +3,21 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const db = require('../db');
+const { retryAnchor, anchorOrQueue, flushBatches, isBatching, MAX_RETRIES } = require('../lib/anchorRetry');
+const { buildMemo } = require('../lib/solana');
+const { generateChallengeCode } = require('../lib/challenges');
+const { clearChallenge } = require('../lib/mobile');
+const { clearAbove } = require('../lib/signals');
+const { scanSimilar, TOP_K, SYBIL_SIMILARITY_THRESHOLD } = require('../lib/behavioral');
+const { buildClusters, getCluster, DECISION_STATUSES } = require('../lib/sybilGraph');
+const anchorAudit = require('../lib/anchorAudit');
+const cluster = require('../lib/cluster');
+const wallet = require('../lib/wallet');
+const { getCommentCacheStatus } = require('../lib/colosseum');
+const liveness = require('../lib/liveness');
+const webhooks = require('../lib/webhooks');
+
+const ANCHOR_STATUSES = ['pending', 'dead', 'all'];
 
 /**
  * Admin authentication middleware
@@ -54,4 +69,490 @@ router.get('/backup/sqlite', requireAdmin, (req, res) => {
   }
 });
 
+/**
+ * GET /admin/anchors — List queued anchors (?status=pending|dead|all, default pending)
+ */
+router.get('/anchors', requireAdmin, (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!ANCHOR_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ANCHOR_STATUSES.join(', ')}` });
+    }
+
+    const anchors = db.getPendingAnchors(status);
+    res.json({ status, count: anchors.length, maxRetries: MAX_RETRIES, anchors });
+  } catch (error) {
+    console.error('Anchor list error:', error);
+    res.status(500).json({ error: 'Failed to list anchors' });
+  }
+});
+
+/**
+ * POST /admin/anchors/reconcile — Walk the anchoring wallet's history and report DB/chain mismatches
+ */
+router.post('/anchors/reconcile', requireAdmin, async (req, res) => {
+  try {
+    const report = await anchorAudit.reconcile();
+    res.json(report);
+  } catch (error) {
+    console.error('Anchor reconcile error:', error);
+    res.status(500).json({ error: `Reconciliation failed: ${error.message}` });
+  }
+});
+
+/**
+ * GET /admin/anchors/reconcile — Last reconciliation report
+ */
+router.get('/anchors/reconcile', requireAdmin, (req, res) => {
+  const report = anchorAudit.getLastReport();
+  if (!report) {
+    return res.status(404).json({ error: 'No reconciliation has run yet. POST /admin/anchors/reconcile' });
+  }
+  res.json(report);
+});
+
+/**
+ * GET /admin/anchors/batches — Merkle batches not yet confirmed, and anchors waiting for the next batch
+ */
+router.get('/anchors/batches', requireAdmin, (req, res) => {
+  try {
+    const batches = db.getUnconfirmedBatches();
+    res.json({
+      batching: isBatching(),
+      waiting: db.getUnbatchedAnchors().length,
+      count: batches.length,
+      batches
+    });
+  } catch (error) {
+    console.error('Batch list error:', error);
+    res.status(500).json({ error: 'Failed to list batches' });
+  }
+});
+
+/**
+ * POST /admin/anchors/batches/flush — Build and send a batch now instead of waiting for the interval (failed sends keep their backoff)
+ */
+router.post('/anchors/batches/flush', requireAdmin, async (req, res) => {
+  try {
+    const results = await flushBatches();
+    res.json({ flushed: results.length, results });
+  } catch (error) {
+    console.error('Batch flush error:', error);
+    res.status(500).json({ error: `Batch flush failed: ${error.message}` });
+  }
+});
+
+/**
+ * GET /admin/solana/rpc — Cluster configuration and RPC endpoint health (?check=true runs a health check first)
+ */
+router.get('/solana/rpc', requireAdmin, async (req, res) => {
+  try {
+    res.json(req.query.check === 'true' ? await cluster.checkHealth() : cluster.status());
+  } catch (error) {
+    console.error('RPC status error:', error);
+    res.status(500).json({ error: 'Failed to read RPC status' });
+  }
+});
+
+/**
+ * GET /admin/colosseum — Challenge post comment cache and rate-limit state
+ */
+router.get('/colosseum', requireAdmin, (req, res) => {
+  res.json(getCommentCacheStatus());
+});
+
+/**
+ * GET /admin/wallet — Anchoring wallet: key source, balance, low-balance state, key history (?check=true reads the balance first)
+ */
+router.get('/wallet', requireAdmin, async (req, res) => {
+  try {
+    res.json(req.query.check === 'true' ? await wallet.checkBalance() : wallet.getStatus());
+  } catch (error) {
+    console.error('Wallet status error:', error);
+    res.status(500).json({ error: 'Failed to read wallet status' });
+  }
+});
+
+/**
+ * POST /admin/wallet/rotate — Rotate a keypair-file anchoring key
+ * Body: { transferBalance?: boolean } (default true: move the old key's SOL to the new one)
+ */
+router.post('/wallet/rotate', requireAdmin, async (req, res) => {
+  try {
+    const status = wallet.getStatus();
+    if (status.source !== 'file') {
+      return res.status(400).json({
+        error: 'Runtime rotation needs a keypair file (SOLANA_KEYPAIR_PATH)',
+        source: status.source,
+        hint: 'For env keys and external signers, change the key and restart — the new key is added to the published history'
+      });
+    }
+
+    const result = await wallet.rotate({ transfer: req.body.transferBalance !== false });
+    res.json(Object.assign({ success: true }, result));
+  } catch (error) {
+    console.error('Wallet rotate error:', error);
+    res.status(500).json({ error: 'Failed to rotate wallet key' });
+  }
+});
+
+/**
+ * POST /admin/anchors/:id/retry — Retry a queued anchor now (also revives dead entries)
+ */
+router.post('/anchors/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!db.getPendingAnchor(id)) {
+      return res.status(404).json({ error: 'Anchor not found' });
+    }
+
+    db.resetPendingAnchor(id);
+    const result = await retryAnchor(db.getPendingAnchor(id));
+    res.json(result);
+  } catch (error) {
+    console.error('Anchor retry error:', error);
+    res.status(500).json({ error: 'Failed to retry anchor' });
+  }
+});
+
+/**
+ * DELETE /admin/anchors/:id — Purge a single queued anchor
+ */
+router.delete('/anchors/:id', requireAdmin, (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!db.getPendingAnchor(id)) {
+      return res.status(404).json({ error: 'Anchor not found' });
+    }
+
+    db.removePendingAnchor(id);
+    res.json({ success: true, purged: 1 });
+  } catch (error) {
+    console.error('Anchor purge error:', error);
+    res.status(500).json({ error: 'Failed to purge anchor' });
+  }
+});
+
+/**
+ * DELETE /admin/anchors — Purge queued anchors by status (?status=dead|pending|all, default dead)
+ */
+router.delete('/anchors', requireAdmin, (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    if (!ANCHOR_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ANCHOR_STATUSES.join(', ')}` });
+    }
+
+    const purged = db.purgePendingAnchors(status);
+    res.json({ success: true, status, purged });
+  } catch (error) {
+    console.error('Anchor purge error:', error);
+    res.status(500).json({ error: 'Failed to purge anchors' });
+  }
+});
+
+/**
+ * Load :id into req.agent or 404
+ */
+function loadAgent(req, res, next) {
+  const agent = db.getAgent(req.params.id);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  req.agent = agent;
+  next();
+}
+
+/**
+ * GET /admin/agents/:id — Full agent record with audit trail
+ */
+router.get('/agents/:id', requireAdmin, loadAgent, (req, res) => {
+  try {
+    res.json({
+      agent: req.agent,
+      extended: db.getExtendedVerification(req.agent.id),
+      sybilSignals: db.getSybilSignals(req.agent.id),
+      auditLog: db.getAuditLog(req.agent.id)
+    });
+  } catch (error) {
+    console.error('Admin agent lookup error:', error);
+    res.status(500).json({ error: 'Failed to load agent' });
+  }
+});
+
+/**
+ * GET /admin/agents/:id/liveness?check=true — Liveness history (check=true runs a check first)
+ */
+router.get('/agents/:id/liveness', requireAdmin, loadAgent, async (req, res) => {
+  try {
+    let check = null;
+    if (req.query.check === 'true') {
+      if (req.agent.level < 2 || !req.agent.api_endpoint) {
+        return res.status(400).json({ error: 'Only L2+ agents with a verified endpoint are monitored' });
+      }
+      check = await liveness.checkAgent(req.agent);
+    }
+    res.json({
+      agentId: req.agent.id,
+      apiEndpoint: req.agent.api_endpoint,
+      check,
+      liveness: liveness.getLivenessStatus(db.getAgent(req.agent.id)),
+      history: db.getLivenessChecks(req.agent.id)
+    });
+  } catch (error) {
+    console.error('Admin liveness error:', error);
+    res.status(500).json({ error: 'Failed to load liveness history' });
+  }
+});
+
+/**
+ * GET /admin/agents/:id/similar?k=10 — Nearest behavioral neighbours of a fingerprinted agent
+ */
+router.get('/agents/:id/similar', requireAdmin, loadAgent, (req, res) => {
+  try {
+    const ext = db.getExtendedVerification(req.agent.id);
+    if (!ext || !ext.fingerprint_features) {
+      return res.status(404).json({ error: 'Agent has no behavioral fingerprint' });
+    }
+
+    const k = req.query.k === undefined ? TOP_K : parseInt(req.query.k, 10);
+    if (!Number.isInteger(k) || k < 1 || k > 100) {
+      return res.status(400).json({ error: 'k must be an integer between 1 and 100' });
+    }
+
+    const { uniquenessScore, compared, neighbors } = scanSimilar(JSON.parse(ext.fingerprint_features), req.agent.id, k);
+    res.json({
+      agentId: req.agent.id,
+      uniquenessScore,
+      compared,
+      threshold: SYBIL_SIMILARITY_THRESHOLD,
+      neighbors: neighbors.map(n => ({ agentId: n.agentId, similarity: n.similarity, sybil: n.similarity.combined >= SYBIL_SIMILARITY_THRESHOLD }))
+    });
+  } catch (error) {
+    console.error('Admin similarity search error:', error);
+    res.status(500).json({ error: 'Failed to search similar agents' });
+  }
+});
+
+/**
+ * POST /admin/agents/:id/revoke — Revoke verification ({ reason } required)
+ */
+router.post('/agents/:id/revoke', requireAdmin, loadAgent, (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const agent = req.agent;
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason is required (string)' });
+    }
+    if (agent.revoked) {
+      return res.status(409).json({ error: 'Agent is already revoked', revokedAt: agent.revoked_at });
+    }
+
+    db.revokeAgent(agent.id, reason);
+    db.addAuditLog(agent.id, 'revoke', { admin: true, reason, level: agent.level }, db.hashIp(req.ip));
+    webhooks.emit('revoke', agent.id, { reason });
+    anchorOrQueue(agent.id, buildMemo(agent.id, agent.level, 'revoked'));
+
+    res.json({ success: true, agentId: agent.id, revoked: true, reason, level: agent.level });
+  } catch (error) {
+    console.error('Revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke agent' });
+  }
+});
+
+/**
+ * POST /admin/agents/:id/reinstate — Lift a revocation ({ reason } optional)
+ */
+router.post('/agents/:id/reinstate', requireAdmin, loadAgent, (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const agent = req.agent;
+
+    if (!agent.revoked) {
+      return res.status(409).json({ error: 'Agent is not revoked' });
+    }
+
+    db.reinstateAgent(agent.id);
+    db.addAuditLog(agent.id, 'reinstate', {
+      admin: true,
+      reason: reason || null,
+      previousReason: agent.revoked_reason
+    }, db.hashIp(req.ip));
+    anchorOrQueue(agent.id, buildMemo(agent.id, agent.level, 'reinstated'));
+
+    res.json({ success: true, agentId: agent.id, revoked: false, level: agent.level });
+  } catch (error) {
+    console.error('Reinstate error:', error);
+    res.status(500).json({ error: 'Failed to reinstate agent' });
+  }
+});
+
+/**
+ * POST /admin/agents/:id/level — Force the agent down to a lower level ({ level, reason } required)
+ */
+router.post('/agents/:id/level', requireAdmin, loadAgent, (req, res) => {
+  try {
+    const { level, reason } = req.body || {};
+    const agent = req.agent;
+
+    if (!Number.isInteger(level) || level < 0) {
+      return res.status(400).json({ error: 'level is required (integer >= 0)' });
+    }
+    if (level >= agent.level) {
+      return res.status(400).json({
+        error: 'Level overrides can only lower an agent',
+        currentLevel: agent.level,
+        requestedLevel: level
+      });
+    }
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason is required (string)' });
+    }
+
+    const { label } = clearAbove(agent.id, level, 'admin_override');
+    db.addAuditLog(agent.id, 'level_override', {
+      admin: true,
+      reason,
+      fromLevel: agent.level,
+      toLevel: level
+    }, db.hashIp(req.ip));
+    anchorOrQueue(agent.id, buildMemo(agent.id, level, 'downgraded'));
+
+    res.json({ success: true, agentId: agent.id, previousLevel: agent.level, level, levelLabel: label });
+  } catch (error) {
+    console.error('Level override error:', error);
+    res.status(500).json({ error: 'Failed to override level' });
+  }
+});
+
+/**
+ * POST /admin/agents/:id/reset-challenge — Wipe a stuck challenge
+ * Issues a new L0 challenge code (if still at L0), clears any renewal code and pending mobile challenge.
+ */
+router.post('/agents/:id/reset-challenge', requireAdmin, loadAgent, (req, res) => {
+  try {
+    const agent = req.agent;
+    const challengeCode = agent.level === 0 ? generateChallengeCode() : agent.challenge_code;
+
+    db.resetChallenge(agent.id, challengeCode);
+    const mobileCleared = clearChallenge(agent.id);
+    db.addAuditLog(agent.id, 'challenge_reset', {
+      admin: true,
+      newChallengeCode: agent.level === 0,
+      renewalCodeCleared: !!agent.renewal_code,
+      mobileCleared
+    }, db.hashIp(req.ip));
+
+    res.json({
+      success: true,
+      agentId: agent.id,
+      challengeCode: agent.level === 0 ? challengeCode : undefined,
+      renewalCodeCleared: !!agent.renewal_code,
+      mobileChallengeCleared: mobileCleared
+    });
+  } catch (error) {
+    console.error('Challenge reset error:', error);
+    res.status(500).json({ error: 'Failed to reset challenge' });
+  }
+});
+
+/**
+ * GET /admin/sybil/clusters — Connected components of linked agents, highest risk first
+ * Filters: ?minRisk=0-100, ?status=undecided|confirmed_sybil|benign, ?agentId=
+ */
+router.get('/sybil/clusters', requireAdmin, (req, res) => {
+  try {
+    const { status, agentId } = req.query;
+    const minRisk = req.query.minRisk === undefined ? 0 : parseInt(req.query.minRisk, 10);
+
+    if (isNaN(minRisk)) {
+      return res.status(400).json({ error: 'minRisk must be an integer' });
+    }
+    if (status && status !== 'undecided' && !DECISION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: undecided, ${DECISION_STATUSES.join(', ')}` });
+    }
+
+    const clusters = buildClusters().filter(c => {
+      if (c.riskScore < minRisk) return false;
+      if (status === 'undecided' && c.decision) return false;
+      if (status && status !== 'undecided' && (!c.decision || c.decision.status !== status)) return false;
+      if (agentId && !c.members.some(m => m.agentId === agentId)) return false;
+      return true;
+    });
+
+    res.json({ count: clusters.length, clusters });
+  } catch (error) {
+    console.error('Sybil cluster list error:', error);
+    res.status(500).json({ error: 'Failed to build sybil clusters' });
+  }
+});
+
+/**
+ * GET /admin/sybil/clusters/:clusterId — One cluster with its links and members' sybil signals
+ */
+router.get('/sybil/clusters/:clusterId', requireAdmin, (req, res) => {
+  try {
+    const cluster = getCluster(req.params.clusterId);
+    if (!cluster) {
+      return res.status(404).json({ error: 'Cluster not found (membership may have changed)' });
+    }
+
+    const sybilSignals = {};
+    for (const member of cluster.members) {
+      sybilSignals[member.agentId] = db.getSybilSignals(member.agentId);
+    }
+    res.json(Object.assign({}, cluster, { sybilSignals }));
+  } catch (error) {
+    console.error('Sybil cluster lookup error:', error);
+    res.status(500).json({ error: 'Failed to load sybil cluster' });
+  }
+});
+
+/**
+ * POST /admin/sybil/clusters/:clusterId/decision — Mark a cluster { status, reason }
+ * confirmed_sybil revokes every member that isn't already revoked; benign only records the review.
+ */
+router.post('/sybil/clusters/:clusterId/decision', requireAdmin, (req, res) => {
+  try {
+    const { status, reason } = req.body || {};
+
+    if (!DECISION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DECISION_STATUSES.join(', ')}` });
+    }
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason is required (string)' });
+    }
+
+    const cluster = getCluster(req.params.clusterId);
+    if (!cluster) {
+      return res.status(404).json({ error: 'Cluster not found (membership may have changed)' });
+    }
+
+    const memberIds = cluster.members.map(m => m.agentId);
+    db.setClusterDecision(cluster.clusterId, memberIds, status, reason, cluster.riskScore);
+
+    const revoked = [];
+    for (const member of cluster.members) {
+      db.addAuditLog(member.agentId, 'sybil_cluster', {
+        admin: true, clusterId: cluster.clusterId, status, reason, riskScore: cluster.riskScore
+      }, db.hashIp(req.ip));
+
+      if (status === 'confirmed_sybil' && !member.revoked) {
+        const revokeReason = `Confirmed sybil cluster ${cluster.clusterId}: ${reason}`;
+        db.revokeAgent(member.agentId, revokeReason);
+        db.addAuditLog(member.agentId, 'revoke', { admin: true, reason: revokeReason, level: member.level }, db.hashIp(req.ip));
+        webhooks.emit('revoke', member.agentId, { reason: revokeReason, clusterId: cluster.clusterId });
+        anchorOrQueue(member.agentId, buildMemo(member.agentId, member.level, 'revoked'));
+        revoked.push(member.agentId);
+      }
+    }
+
+    res.json({ success: true, clusterId: cluster.clusterId, status, reason, members: memberIds, revoked });
+  } catch (error) {
+    console.error('Sybil cluster decision error:', error);
+    res.status(500).json({ error: 'Failed to record cluster decision' });
+  }
+});
+
 module.exports = router;
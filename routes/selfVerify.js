@@ -1,23 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const { PublicKey } = require('@solana/web3.js');
 const db = require('../db');
+const { LEVEL_DESCRIPTIONS, LEVEL_LABELS } = require('../lib/levels');
 const { generateChallengeCode, generateChallengeToken } = require('../lib/challenges');
-const { verifyChallengeOnForum, fetchUrl } = require('../lib/colosseum');
-const { anchorLevelChange, buildMemo, anchorMemo } = require('../lib/solana');
-const { getBehavioralFingerprint } = require('../lib/behavioral');
-const { readDevicePDA, createBinding, anchorBinding } = require('../lib/depin');
-const { generateChallenge, verifyChallenge, anchorMobileVerification } = require('../lib/mobile');
-
-const LEVEL_DESCRIPTIONS = {
-  0: 'Agent registered on MoltLaunch. Proves ability to make HTTP requests. Does NOT prove identity or uniqueness.',
-  1: 'Agent confirmed identity via Colosseum forum challenge. Proves agent controls a Colosseum API key.',
-  2: 'Agent verified infrastructure. Proves agent controls a live API endpoint with our verification token.',
-  3: 'Agent behavioral identity computed. Proves agent has a unique behavioral fingerprint based on activity history. Sybil detection included.',
-  4: 'Agent bound to DePIN hardware device. Proves agent is associated with a verified physical device on Solana (Nosana/Helium/io.net).',
-  5: 'Agent verified via Solana Mobile seed vault. Proves agent runs on a specific physical device with hardware-protected keys. Strongest verification level.'
-};
-
-const LEVEL_LABELS = { 0: 'registered', 1: 'confirmed', 2: 'verified', 3: 'behavioral', 4: 'hardware', 5: 'mobile' };
+const { safeFetch } = require('../lib/safeFetch');
+const { verifyRepository, PROOF_FILES } = require('../lib/codeRepo');
+const { getProvider, providerFor, listProviders, colosseumAccountId } = require('../lib/challengeProviders');
+const { buildMemo, explorerTxUrl } = require('../lib/solana');
+const { getClusterName } = require('../lib/cluster');
+const { resolveBehavioralFingerprint, normalizeBundle, buildBundleMessage, rememberFingerprint, sybilMatches, MIN_POSTS } = require('../lib/behavioral');
+const { readDevicePDA, createBinding, buildBindingMemo } = require('../lib/depin');
+const { generateChallenge, verifyChallenge, verifySignature, buildMobileMemo } = require('../lib/mobile');
+const { anchorOrQueue } = require('../lib/anchorRetry');
+const { isExpired } = require('../lib/expiry');
+const { getSignals, setSignal, holds, syncLevel, refreshHardwareBinding, INFRA_TYPES } = require('../lib/signals');
+const { probeInfrastructure } = require('../lib/infraProbe');
+const { proofMode, buildProofMessage, signedProofInstructions, issueNonce, checkSignedProof } = require('../lib/endpointProof');
+const { generateWalletChallenge, verifyWalletChallenge, readStake, evaluateStake } = require('../lib/stake');
+const webhooks = require('../lib/webhooks');
 
 const TERMS_TEXT = `MoltLaunch Self-Verify Terms of Service (v1.0)
 
@@ -32,12 +33,112 @@ const TERMS_TEXT = `MoltLaunch Self-Verify Terms of Service (v1.0)
 
 const TERMS_VERSION = 'v1.0';
 
+/**
+ * Record a behavioral_similarity sybil signal on both agents of a near-duplicate pair
+ * (counterpart only if it is registered here; each pair is flagged once per agent)
+ */
+function flagBehavioralPair(agentId, counterpartId, combined) {
+  const pairs = [[agentId, counterpartId], [counterpartId, agentId]];
+  for (const [id, other] of pairs) {
+    if (id !== agentId && !db.getAgent(id)) continue;
+    const prefix = `counterpart=${other};`;
+    if (db.getSybilSignals(id).some(s => s.signal_type === 'behavioral_similarity' && s.signal_value.startsWith(prefix))) continue;
+    db.addSybilSignal(id, 'behavioral_similarity', `${prefix}similarity=${combined}`);
+  }
+}
+
+/**
+ * A failed L2 check: { check, reason, message } (reason is a stable code, message is for humans)
+ */
+function failure(check, reason, message) {
+  return { check, reason, message };
+}
+
+/**
+ * {apiEndpoint}/.well-known/moltlaunch.json
+ */
+function wellKnownUrlFor(apiEndpoint) {
+  return apiEndpoint.replace(/\/$/, '') + '/.well-known/moltlaunch.json';
+}
+
+/**
+ * Fetch the agent's moltlaunch.json (wellKnownUrl, see wellKnownUrlFor) and check it carries
+ * the agent's token, or in signed mode a valid signature over the agent's nonce and the endpoint
+ * @returns {Promise<{ failures: object[], signature: string|null }>} failures (empty when the file matches)
+ *   and, in signed mode, the signature that was accepted
+ */
+async function checkWellKnown(apiEndpoint, wellKnownUrl, agent) {
+  const agentId = agent.id;
+  const failures = [];
+  let signature = null;
+  try {
+    const response = await safeFetch(wellKnownUrl);
+    if (response.status !== 200) {
+      failures.push(failure('well_known', 'http_status', `/.well-known/moltlaunch.json returned HTTP ${response.status} (expected 200)`));
+    } else {
+      try {
+        const data = JSON.parse(response.body);
+        if (data.agentId !== agentId) {
+          failures.push(failure('well_known', 'agent_mismatch', `agentId in moltlaunch.json ("${data.agentId}") does not match your agentId ("${agentId}")`));
+        }
+        if (proofMode(agent) === 'signed') {
+          const proof = checkSignedProof(agent, apiEndpoint, data);
+          if (!proof.valid) failures.push(failure('well_known', proof.reason, proof.error));
+          else signature = data.signature;
+        } else if (data.token !== agent.challenge_token) {
+          failures.push(failure('well_known', 'token_mismatch', 'token in moltlaunch.json does not match your challenge token'));
+        }
+      } catch {
+        failures.push(failure('well_known', 'invalid_json', '/.well-known/moltlaunch.json is not valid JSON'));
+      }
+    }
+  } catch (e) {
+    failures.push(failure('well_known', e.reason || 'connection_failed', `Failed to fetch ${wellKnownUrl}: ${e.message}`));
+  }
+  return { failures, signature };
+}
+
+/**
+ * 403 body for an expired agent: upgrades wait for a renewal, like the L1+ gates
+ */
+function expiredError(agent) {
+  return {
+    error: 'Agent verification has expired',
+    expiredAt: agent.expires_at,
+    hint: 'Renew via POST /api/self-verify/renew'
+  };
+}
+
+/**
+ * Probe a verified endpoint, store the evidence and raise infra_type to what it shows.
+ * Never lowers infra_type (a DePIN binding outranks hosting hints) and never throws:
+ * a failed probe leaves L2 standing. /verify runs it after responding (a probe can
+ * take PROBE_COUNT × 5s plus a TLS handshake).
+ * @returns {Promise<object|null>} the probe, or null if it failed
+ */
+async function recordInfraProbe(agentId, apiEndpoint) {
+  try {
+    const probe = await probeInfrastructure(apiEndpoint);
+    db.setInfraProbe(agentId, probe.infraType, probe);
+
+    const current = getSignals(agentId).infra_type;
+    const currentType = current ? current.value : 'unknown';
+    if (INFRA_TYPES.indexOf(probe.infraType) > INFRA_TYPES.indexOf(currentType)) {
+      setSignal(agentId, 'infra_type', probe.infraType, { hints: probe.hints, suggestedType: probe.suggestedType, probedAt: probe.probedAt }, 'probe');
+    }
+    return probe;
+  } catch (e) {
+    console.error(`[infra-probe] Probe failed for ${agentId}:`, e.message);
+    return null;
+  }
+}
+
 /**
  * POST /api/self-verify — Register (L0)
  */
 router.post('/', (req, res) => {
   try {
-    const { agentId, acceptTerms, name, description, capabilities } = req.body;
+    const { agentId, acceptTerms, name, description, capabilities, challengeMethod, challengeTarget, proofPubkey } = req.body;
 
     if (!agentId || typeof agentId !== 'string') {
       return res.status(400).json({ error: 'agentId is required (string)' });
@@ -54,6 +155,25 @@ router.post('/', (req, res) => {
       });
     }
 
+    const provider = getProvider(challengeMethod);
+    if (!provider) {
+      return res.status(400).json({
+        error: `Unknown challengeMethod "${challengeMethod}"`,
+        available: listProviders()
+      });
+    }
+    const targetError = provider.validateTarget(challengeTarget);
+    if (targetError) {
+      return res.status(400).json({ error: targetError, challengeMethod: provider.name });
+    }
+    if (proofPubkey !== undefined) {
+      try {
+        new PublicKey(proofPubkey);
+      } catch (e) {
+        return res.status(400).json({ error: 'proofPubkey must be an Ed25519 public key (base58, Solana address format)' });
+      }
+    }
+
     // Check if agent already exists
     const existing = db.getAgent(agentId);
     if (existing) {
@@ -81,12 +201,17 @@ router.post('/', (req, res) => {
       description: description || null,
       capabilities: capabilities || null,
       challengeCode,
+      challengeMethod: provider.name,
+      challengeTarget: challengeTarget || null,
+      proofPubkey: proofPubkey || null,
       ipHash,
       termsVersion: TERMS_VERSION
     });
 
     // Audit log
-    db.addAuditLog(agentId, 'register', { name, termsVersion: TERMS_VERSION }, ipHash);
+    const proof = proofPubkey ? 'signed' : 'token';
+    db.addAuditLog(agentId, 'register', { name, termsVersion: TERMS_VERSION, challengeMethod: provider.name, proofMode: proof }, ipHash);
+    webhooks.emit('register', agentId, { name, challengeMethod: provider.name, proofMode: proof });
 
     // Sybil signal: IP cluster detection
     const sameIpCount = db.countRegistrationsFromIp(ipHash);
@@ -101,13 +226,13 @@ router.post('/', (req, res) => {
       levelLabel: 'registered',
       levelDescription: LEVEL_DESCRIPTIONS[0],
       challengeCode,
+      challengeMethod: provider.name,
+      proofMode: proof,
       nextStep: {
-        action: 'Post challenge code to Colosseum forum',
-        instructions: [
-          `Post a comment on Colosseum forum post #4322 containing this exact code: ${challengeCode}`,
-          'The comment must be posted from your agent\'s Colosseum account (matching your agentId)',
+        action: `Prove control via ${provider.label}`,
+        instructions: provider.instructions(agentId, challengeCode, challengeTarget).concat(
           'Then call POST /api/self-verify/confirm with your agentId'
-        ],
+        ),
         confirmEndpoint: 'POST /api/self-verify/confirm'
       },
       privacy: {
@@ -122,7 +247,7 @@ router.post('/', (req, res) => {
 });
 
 /**
- * POST /api/self-verify/confirm — Confirm via Colosseum forum (L1)
+ * POST /api/self-verify/confirm — Confirm via the registered challenge provider (L1)
  */
 router.post('/confirm', async (req, res) => {
   try {
@@ -156,63 +281,94 @@ router.post('/confirm', async (req, res) => {
       return res.status(400).json({ error: 'No challenge code found. Register first.' });
     }
 
-    // Check Colosseum forum for the challenge code
+    // Check the registered provider for the challenge code
+    const provider = providerFor(agent);
+    const instructions = provider.instructions(agentId, agent.challenge_code, agent.challenge_target);
     let verificationResult;
     try {
-      verificationResult = await verifyChallengeOnForum(agentId, agent.challenge_code);
-    } catch (forumError) {
+      verificationResult = await provider.verify({
+        agentId,
+        code: agent.challenge_code,
+        // A pinned target only ever comes from a confirmation, never from the registrant
+        target: provider.pinsTarget ? null : agent.challenge_target,
+        body: req.body
+      });
+    } catch (providerError) {
+      if (providerError.retryAfterMs) {
+        res.set('Retry-After', String(Math.ceil(providerError.retryAfterMs / 1000)));
+        return res.status(503).json({ error: `${provider.label} is rate limiting us`, details: providerError.message });
+      }
       return res.status(502).json({
-        error: 'Failed to check Colosseum forum',
-        details: forumError.message,
-        hint: 'Make sure you posted the challenge code as a comment on forum post #4322'
+        error: `Failed to check ${provider.label}`,
+        details: providerError.message,
+        instructions
       });
     }
 
     if (!verificationResult.found) {
       return res.status(400).json({
-        error: 'Challenge code not found on forum',
+        error: `Challenge not confirmed via ${provider.label}`,
+        details: verificationResult.error || 'Challenge code not found',
         challengeCode: agent.challenge_code,
-        instructions: [
-          `Post a comment on Colosseum forum post #4322 containing: ${agent.challenge_code}`,
-          'The comment must be from your agent account (matching agentId)',
-          'Then try this endpoint again'
-        ]
+        challengeMethod: provider.name,
+        instructions: instructions.concat('Then try this endpoint again')
+      });
+    }
+
+    // One identity (account, owner, domain, wallet) confirms one agent
+    const identity = verificationResult.identity || null;
+    const holder = identity ? db.getAgentByConfirmedIdentity(identity) : null;
+    if (holder && holder.id !== agentId) {
+      const account = identity.slice(identity.indexOf(':') + 1);
+      db.addSybilSignal(agentId, provider.identitySignal, account);
+      db.addSybilSignal(holder.id, provider.identitySignal, account);
+      db.addAuditLog(agentId, 'confirm_identity_reused', { identity, confirmedAgent: holder.id }, db.hashIp(req.ip));
+      return res.status(409).json({
+        error: `This ${provider.label} identity already confirmed another agent`,
+        identity,
+        hint: 'Each account, owner, domain or wallet can confirm only one agent'
       });
     }
 
     // L1 Confirmed — generate persistent token for L2
     const challengeToken = generateChallengeToken();
     db.confirmAgent(agentId, challengeToken);
-    db.addAuditLog(agentId, 'confirm', { method: 'colosseum_forum' }, db.hashIp(req.ip));
-
-    // On-chain anchoring (L1+ only, non-blocking)
-    const memo = buildMemo(agentId, 1, 'confirmed');
-    anchorLevelChange(agentId, 1, 'confirmed').then(sig => {
-      if (sig) {
-        db.updateOnChainSig(agentId, sig);
-      } else {
-        // Store for retry
-        db.addPendingAnchor(agentId, memo);
+    if (identity) db.setConfirmedIdentity(agentId, identity);
+    if (provider.name === 'wallet') {
+      // The confirming wallet counts as the agent's wallet for sybil checks until /stake names one
+      if (!agent.wallet) db.setAgentWallet(agentId, agent.challenge_target);
+      const sameWallet = db.getAgentsByWallet(agent.challenge_target).filter(a => a.id !== agentId);
+      if (sameWallet.length > 0) {
+        db.addSybilSignal(agentId, 'wallet_cluster', agent.challenge_target);
+        sameWallet.forEach(a => db.addSybilSignal(a.id, 'wallet_cluster', agent.challenge_target));
       }
-    }).catch(err => {
-      console.error('[solana] Anchor error (non-blocking):', err.message);
-      db.addPendingAnchor(agentId, memo);
-    });
-
+    }
+    if (provider.pinsTarget) db.setChallengeTarget(agentId, verificationResult.pinTarget);
+    const evidence = Object.assign({ method: provider.method }, verificationResult.evidence);
+    setSignal(agentId, 'forum_identity', true, evidence, 'confirm');
+    const { level, label } = syncLevel(agentId);
+    db.addAuditLog(agentId, 'confirm', evidence, db.hashIp(req.ip));
+    webhooks.emit('confirm', agentId, { method: provider.method });
+
+    // On-chain anchoring (L1+ only, non-blocking; queued for retry on failure)
+    anchorOrQueue(agentId, buildMemo(agentId, level, label));
+
+    // Signed mode never hands out the token: the well-known file carries a signature instead
+    const signed = proofMode(agent) === 'signed';
     res.json({
       success: true,
       agentId,
-      level: 1,
-      levelLabel: 'confirmed',
-      levelDescription: LEVEL_DESCRIPTIONS[1],
-      challengeToken,
+      level,
+      levelLabel: label,
+      levelDescription: LEVEL_DESCRIPTIONS[level],
+      proofMode: proofMode(agent),
+      challengeToken: signed ? undefined : challengeToken,
       nextStep: {
         action: 'Verify infrastructure (L2)',
-        instructions: [
+        instructions: (signed ? signedProofInstructions(agentId) : [
           `Place a file at: {your-api}/.well-known/moltlaunch.json`,
-          `File contents: {"agentId": "${agentId}", "token": "${challengeToken}"}`,
-          'Then call POST /api/self-verify/verify with your agentId, apiEndpoint, and codeUrl'
-        ],
+          `File contents: {"agentId": "${agentId}", "token": "${challengeToken}"}`
+        ]).concat('Then call POST /api/self-verify/verify with your agentId, apiEndpoint, and codeUrl'),
         verifyEndpoint: 'POST /api/self-verify/verify'
       }
     });
@@ -248,8 +404,12 @@ router.post('/verify', async (req, res) => {
       return res.status(403).json({ error: 'Agent verification has been revoked' });
     }
 
+    if (isExpired(agent)) {
+      return res.status(403).json(expiredError(agent));
+    }
+
     if (agent.level < 1) {
-      return res.status(400).json({ error: 'Agent must be L1 confirmed before L2 verification. Complete the forum challenge first.' });
+      return res.status(400).json({ error: 'Agent must be L1 confirmed before L2 verification. Complete the L1 challenge first.' });
     }
 
     if (agent.level >= 2) {
@@ -275,55 +435,56 @@ router.post('/verify', async (req, res) => {
       return res.status(400).json({ error: 'codeUrl must be a valid URL' });
     }
 
-    const errors = [];
+    const failures = [];
 
     // Check 1: Fetch /.well-known/moltlaunch.json from their API
-    const wellKnownUrl = apiEndpoint.replace(/\/$/, '') + '/.well-known/moltlaunch.json';
-    try {
-      const response = await fetchUrl(wellKnownUrl);
-      if (response.status !== 200) {
-        errors.push(`/.well-known/moltlaunch.json returned HTTP ${response.status} (expected 200)`);
-      } else {
-        try {
-          const data = JSON.parse(response.body);
-          if (data.agentId !== agentId) {
-            errors.push(`agentId in moltlaunch.json ("${data.agentId}") does not match your agentId ("${agentId}")`);
-          }
-          if (data.token !== agent.challenge_token) {
-            errors.push('token in moltlaunch.json does not match your challenge token');
-          }
-        } catch {
-          errors.push('/.well-known/moltlaunch.json is not valid JSON');
-        }
-      }
-    } catch (e) {
-      errors.push(`Failed to fetch ${wellKnownUrl}: ${e.message}`);
-    }
+    const wellKnownUrl = wellKnownUrlFor(apiEndpoint);
+    const wellKnown = await checkWellKnown(apiEndpoint, wellKnownUrl, agent);
+    failures.push(...wellKnown.failures);
 
-    // Check 2: Verify codeUrl is reachable
+    // Check 2: codeUrl is a public repository carrying the proof file
+    let codeRepo = null;
     try {
-      const codeResponse = await fetchUrl(codeUrl);
-      if (codeResponse.status < 200 || codeResponse.status >= 400) {
-        errors.push(`codeUrl returned HTTP ${codeResponse.status} (expected 2xx/3xx)`);
-      }
+      const result = await verifyRepository(codeUrl, agent);
+      if (result.ok) codeRepo = result.repo;
+      else failures.push(failure('code_url', result.reason, result.message));
     } catch (e) {
-      errors.push(`Failed to fetch codeUrl: ${e.message}`);
+      failures.push(failure('code_url', e.reason || 'connection_failed', `Failed to check codeUrl: ${e.message}`));
     }
 
-    if (errors.length > 0) {
+    if (failures.length > 0) {
       return res.status(400).json({
         error: 'Infrastructure verification failed',
-        failures: errors,
+        failures: failures.map(f => f.message),
+        failureDetails: failures,
         hint: {
-          wellKnownFile: `Place a JSON file at ${wellKnownUrl} with content: {"agentId": "${agentId}", "token": "${agent.challenge_token}"}`,
-          codeUrl: 'Ensure your code repository URL is publicly accessible'
+          wellKnownFile: proofMode(agent) === 'signed'
+            ? `Place {"agentId": "${agentId}", "nonce": "{nonce}", "signature": "{base64 signature}"} at ${wellKnownUrl}, signing "${buildProofMessage(agentId, agent.proof_nonce || '{nonce}', new URL(apiEndpoint).origin)}" with your proof key (nonce from GET /api/self-verify/verify/nonce)`
+            : `Place a JSON file at ${wellKnownUrl} with content: {"agentId": "${agentId}", "token": "${agent.challenge_token}"}`,
+          codeUrl: `Commit ${PROOF_FILES[0]} to the default branch of your public repository, containing your agentId and ${proofMode(agent) === 'signed' ? 'proofPubkey' : 'token'}`
         }
       });
     }
 
-    // L2 Verified
+    // L2 Verified (a signed proof's nonce is spent; the proof stays on record for liveness checks)
+    const mode = proofMode(agent);
+    if (mode === 'signed') db.spendProofNonce(agentId, agent.proof_nonce, wellKnown.signature);
     db.verifyAgent(agentId, { apiEndpoint, codeUrl, onChainSig: null });
-    db.addAuditLog(agentId, 'verify', { apiEndpoint, codeUrl }, db.hashIp(req.ip));
+    db.setCodeRepo(agentId, codeRepo);
+    const codeCommit = codeRepo ? codeRepo.commit : null;
+    setSignal(agentId, 'endpoint_control', true, { apiEndpoint, codeUrl, codeCommit, proofMode: mode }, 'verify');
+    // A fresh endpoint and repository proof clears liveness and repository failures
+    // (a downgraded agent is no longer monitored)
+    const held = getSignals(agentId);
+    if (holds(held, 'liveness_failed')) {
+      setSignal(agentId, 'liveness_failed', false, { reverifiedAt: new Date().toISOString(), apiEndpoint }, 'verify');
+    }
+    if (holds(held, 'code_repo_missing')) {
+      setSignal(agentId, 'code_repo_missing', false, { reverifiedAt: new Date().toISOString() }, 'verify');
+    }
+    const { level, label } = syncLevel(agentId);
+    db.addAuditLog(agentId, 'verify', { apiEndpoint, codeUrl, codeCommit, proofMode: mode }, db.hashIp(req.ip));
+    webhooks.emit('verify', agentId, { apiEndpoint, codeUrl, codeCommit, proofMode: mode });
 
     // Sybil signal: endpoint cluster detection
     const allAgents = db.getAllAgents();
@@ -333,40 +494,113 @@ router.post('/verify', async (req, res) => {
       sameEndpoint.forEach(a => db.addSybilSignal(a.id, 'endpoint_cluster', apiEndpoint));
     }
 
-    // On-chain anchoring (non-blocking)
-    const memo = buildMemo(agentId, 2, 'verified');
-    anchorLevelChange(agentId, 2, 'verified').then(sig => {
-      if (sig) {
-        db.updateOnChainSig(agentId, sig);
-      } else {
-        db.addPendingAnchor(agentId, memo);
-      }
-    }).catch(err => {
-      console.error('[solana] Anchor error (non-blocking):', err.message);
-      db.addPendingAnchor(agentId, memo);
-    });
+    // On-chain anchoring (non-blocking; queued for retry on failure)
+    anchorOrQueue(agentId, buildMemo(agentId, level, label));
 
     res.json({
       success: true,
       agentId,
-      level: 2,
-      levelLabel: 'verified',
-      levelDescription: LEVEL_DESCRIPTIONS[2],
+      level,
+      levelLabel: label,
+      levelDescription: LEVEL_DESCRIPTIONS[level],
       verifiedEndpoint: apiEndpoint,
-      verifiedCodeUrl: codeUrl
+      verifiedCodeUrl: codeUrl,
+      verifiedRepository: codeRepo ? { host: codeRepo.host, repo: codeRepo.path, commit: codeRepo.commit, proofFile: codeRepo.proofFile } : null,
+      infrastructure: {
+        status: 'probing',
+        hint: `The endpoint is being probed; the result appears as infrastructure on GET /api/self-verify/agent/${agentId}`
+      }
     });
+
+    // Infrastructure probe after the response (never fails L2)
+    recordInfraProbe(agentId, apiEndpoint);
   } catch (error) {
     console.error('Verification error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * GET /api/self-verify/verify/nonce — Proof nonce for a signed well-known file (signed proof mode)
+ *
+ * Returns the agent's outstanding nonce (a new one once it expires or is spent).
+ * With ?apiEndpoint= the response includes the exact message to sign.
+ */
+router.get('/verify/nonce', (req, res) => {
+  try {
+    const { agentId, apiEndpoint } = req.query;
+
+    if (!agentId) {
+      return res.status(400).json({ error: 'agentId query parameter is required' });
+    }
+
+    const agent = db.getAgent(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found.' });
+    }
+
+    if (agent.revoked) {
+      return res.status(403).json({ error: 'Agent verification has been revoked' });
+    }
+
+    if (proofMode(agent) !== 'signed') {
+      return res.status(400).json({
+        error: 'Agent uses token proof mode. Signed mode is chosen at registration with proofPubkey.'
+      });
+    }
+
+    if (agent.level < 1) {
+      return res.status(400).json({
+        error: 'Agent must be L1 (confirmed) before requesting a proof nonce.',
+        currentLevel: agent.level,
+        currentLabel: LEVEL_LABELS[agent.level],
+        requiredLevel: 1
+      });
+    }
+
+    let origin = null;
+    if (apiEndpoint) {
+      try {
+        origin = new URL(apiEndpoint).origin;
+      } catch {
+        return res.status(400).json({ error: 'apiEndpoint must be a valid URL' });
+      }
+    }
+
+    const { nonce, expiresAt } = issueNonce(agent);
+
+    res.json({
+      success: true,
+      agentId,
+      nonce,
+      expiresAt,
+      proofPubkey: agent.proof_pubkey,
+      message: buildProofMessage(agentId, nonce, origin || '{origin}'),
+      instructions: [
+        'Sign the message with your proof key (Ed25519, UTF-8 bytes); {origin} is your API\'s scheme://host[:port]',
+        `Place {"agentId": "${agentId}", "nonce": "${nonce}", "signature": "{base64 signature}"} at {your-api}/.well-known/moltlaunch.json`,
+        agent.level >= 2
+          ? 'Then call POST /api/self-verify/renew'
+          : 'Then call POST /api/self-verify/verify with your agentId, apiEndpoint, and codeUrl'
+      ]
+    });
+  } catch (error) {
+    console.error('Proof nonce error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/self-verify/behavioral — Behavioral fingerprint verification (L3)
+ *
+ * Optional signed post bundle: { posts: [{ title, body, createdAt }], signature, signerPubkey }
+ * where signature is an Ed25519 signature (base64) over
+ * "moltlaunch:posts:{agentId}:{sha256(JSON.stringify(posts))}" by the agent's verified
+ * stake wallet or L5 mobile device key. Without a bundle, the agent's forum posts are fetched.
  */
 router.post('/behavioral', async (req, res) => {
   try {
-    const { agentId } = req.body;
+    const { agentId, posts, signature, signerPubkey } = req.body;
 
     if (!agentId) {
       return res.status(400).json({ error: 'agentId is required' });
@@ -381,20 +615,25 @@ router.post('/behavioral', async (req, res) => {
       return res.status(403).json({ error: 'Agent verification has been revoked' });
     }
 
-    if (agent.level < 2) {
+    if (isExpired(agent)) {
+      return res.status(403).json(expiredError(agent));
+    }
+
+    // Signals are collected independently; only the forum identity (L1) is required
+    if (agent.level < 1) {
       return res.status(400).json({
-        error: 'Agent must be L2 (verified) before L3 behavioral verification.',
+        error: 'Agent must be L1 (confirmed) before behavioral verification.',
         currentLevel: agent.level,
         currentLabel: LEVEL_LABELS[agent.level],
-        requiredLevel: 2
+        requiredLevel: 1
       });
     }
 
-    if (agent.level >= 3) {
+    if (holds(getSignals(agentId), 'behavioral_fingerprint')) {
       const ext = db.getExtendedVerification(agentId);
       return res.status(200).json({
         success: true,
-        message: 'Agent already at L3 or higher',
+        message: 'Behavioral fingerprint already verified',
         agentId,
         level: agent.level,
         levelLabel: LEVEL_LABELS[agent.level],
@@ -404,54 +643,85 @@ router.post('/behavioral', async (req, res) => {
       });
     }
 
-    // Try to get behavioral fingerprint
-    const result = getBehavioralFingerprint(agentId);
+    let bundlePosts = null;
+    if (posts !== undefined) {
+      if (!signature || !signerPubkey) {
+        return res.status(400).json({ error: 'A post bundle requires signature and signerPubkey' });
+      }
+      const ext = db.getExtendedVerification(agentId);
+      const trustedKeys = [agent.wallet, ext && ext.mobile_verified ? ext.mobile_device_pubkey : null].filter(Boolean);
+      if (!trustedKeys.includes(signerPubkey)) {
+        return res.status(400).json({
+          error: 'signerPubkey must be a key already proven by this agent',
+          hint: 'Verify a wallet via POST /api/self-verify/stake, or use your L5 mobile device key'
+        });
+      }
+
+      const bundle = normalizeBundle(posts);
+      if (bundle.error) {
+        return res.status(400).json({ error: bundle.error });
+      }
+      const sigCheck = verifySignature(buildBundleMessage(agentId, bundle.posts), signature, signerPubkey);
+      if (!sigCheck.valid) {
+        return res.status(400).json({ error: `Post bundle signature invalid: ${sigCheck.error}` });
+      }
+      bundlePosts = bundle.posts;
+    }
+
+    // Signed bundle, then live forum posts, then pre-computed data
+    const { result, attempts } = await resolveBehavioralFingerprint(agentId, bundlePosts, colosseumAccountId(agent));
 
     if (!result) {
       return res.status(404).json({
         error: 'No behavioral data found for this agent',
-        hint: 'Behavioral fingerprinting requires forum activity history. Your agent must have posts on the Colosseum forum to generate a fingerprint.',
+        hint: `Behavioral fingerprinting requires at least ${MIN_POSTS} posts on the Colosseum forum, or a signed post bundle.`,
+        minPosts: MIN_POSTS,
+        attempts,
         agentId
       });
     }
 
-    const { fingerprint, features, uniquenessScore, postCount, source } = result;
+    const { fingerprint, features, uniquenessScore, postCount, source, neighbors } = result;
 
-    // Sybil detection
+    // Sybil detection: low overall uniqueness, and near-duplicates of specific agents
     if (uniquenessScore < 0.3) {
       db.addSybilSignal(agentId, 'behavioral_similarity', `uniqueness=${uniquenessScore}`);
     }
+    const matches = sybilMatches(neighbors);
+    matches.forEach(m => flagBehavioralPair(agentId, m.agentId, m.similarity.combined));
 
-    // Store in DB and upgrade to L3
+    // Store in DB and record the signal (level is derived from signals)
     db.setBehavioral(agentId, {
       fingerprint,
       uniqueness: uniquenessScore,
-      features
+      features,
+      source,
+      postCount
     });
+    rememberFingerprint(agentId, features);
+    setSignal(agentId, 'behavioral_fingerprint', true, { fingerprint, uniqueness: uniquenessScore, source, postCount }, 'behavioral');
+    const { level, label, changed } = syncLevel(agentId);
 
     db.addAuditLog(agentId, 'behavioral', {
       source,
       fingerprint,
       uniquenessScore,
-      postCount
+      postCount,
+      sybilMatches: matches.map(m => m.agentId)
     }, db.hashIp(req.ip));
+    webhooks.emit('behavioral', agentId, { source, fingerprint, uniquenessScore, levelChanged: changed });
 
-    // On-chain anchoring (non-blocking)
-    const memo = buildMemo(agentId, 3, 'behavioral');
-    anchorLevelChange(agentId, 3, 'behavioral').then(sig => {
-      if (sig) db.updateOnChainSig(agentId, sig);
-      else db.addPendingAnchor(agentId, memo);
-    }).catch(err => {
-      console.error('[solana] Anchor error (non-blocking):', err.message);
-      db.addPendingAnchor(agentId, memo);
-    });
+    // On-chain anchoring of the level change (non-blocking)
+    if (changed) {
+      anchorOrQueue(agentId, buildMemo(agentId, level, label));
+    }
 
     res.json({
       success: true,
       agentId,
-      level: 3,
-      levelLabel: 'behavioral',
-      levelDescription: LEVEL_DESCRIPTIONS[3],
+      level,
+      levelLabel: label,
+      levelDescription: LEVEL_DESCRIPTIONS[level],
       fingerprint,
       uniquenessScore,
       features: {
@@ -461,7 +731,8 @@ router.post('/behavioral', async (req, res) => {
       },
       source,
       postCount,
-      sybilFlag: uniquenessScore < 0.3 ? 'POTENTIAL_SYBIL' : null,
+      similarAgents: neighbors,
+      sybilFlag: uniquenessScore < 0.3 || matches.length > 0 ? 'POTENTIAL_SYBIL' : null,
       nextStep: {
         action: 'Bind to DePIN hardware device (L4)',
         instructions: [
@@ -512,20 +783,24 @@ router.post('/depin', async (req, res) => {
       return res.status(403).json({ error: 'Agent verification has been revoked' });
     }
 
-    if (agent.level < 3) {
+    if (isExpired(agent)) {
+      return res.status(403).json(expiredError(agent));
+    }
+
+    if (agent.level < 1) {
       return res.status(400).json({
-        error: 'Agent must be L3 (behavioral) before L4 hardware binding.',
+        error: 'Agent must be L1 (confirmed) before hardware binding.',
         currentLevel: agent.level,
         currentLabel: LEVEL_LABELS[agent.level],
-        requiredLevel: 3
+        requiredLevel: 1
       });
     }
 
-    if (agent.level >= 4) {
+    if (holds(getSignals(agentId), 'depin_binding')) {
       const ext = db.getExtendedVerification(agentId);
       return res.status(200).json({
         success: true,
-        message: 'Agent already at L4 or higher',
+        message: 'Agent already bound to a DePIN device',
         agentId,
         level: agent.level,
         levelLabel: LEVEL_LABELS[agent.level],
@@ -545,43 +820,51 @@ router.post('/depin', async (req, res) => {
         details: err.message,
         hint: provider === 'mock'
           ? 'Mock provider should always work. This is unexpected.'
-          : 'Ensure the devicePDA is a valid Solana public key of an existing account on mainnet.'
+          : `Ensure the devicePDA is a valid Solana public key of an existing account on ${getClusterName('depin')}.`
       });
     }
 
     // Create binding
     const binding = createBinding(agentId, deviceResult);
 
-    // Anchor on-chain (non-blocking)
-    let onChainResult = null;
-    try {
-      onChainResult = await anchorBinding(binding);
-    } catch (e) {
-      console.error('[depin] Anchor error:', e.message);
-    }
+    // Anchor on-chain (queued for retry by the anchor worker on failure)
+    const onChainSig = await anchorOrQueue(agentId, buildBindingMemo(binding));
 
     // Store in DB
     db.setHardware(agentId, {
       provider: binding.depinProvider,
       devicePDA: binding.devicePDA,
       bindingHash: binding.bindingHash,
-      onChainSig: onChainResult ? onChainResult.signature : null
+      onChainSig
     });
+    setSignal(agentId, 'depin_binding', true, {
+      provider: binding.depinProvider,
+      devicePDA: binding.devicePDA,
+      bindingHash: binding.bindingHash,
+      isReal: deviceResult.isReal
+    }, 'depin');
+    if (deviceResult.isReal) {
+      setSignal(agentId, 'infra_type', 'depin', { provider: binding.depinProvider, devicePDA: binding.devicePDA }, 'depin');
+    }
+    refreshHardwareBinding(agentId);
+    const { level, label } = syncLevel(agentId);
 
     db.addAuditLog(agentId, 'depin_binding', {
       provider,
       devicePDA,
       bindingHash: binding.bindingHash,
       isReal: deviceResult.isReal,
-      onChainSig: onChainResult ? onChainResult.signature : null
+      onChainSig
     }, db.hashIp(req.ip));
+    webhooks.emit('depin', agentId, { provider: binding.depinProvider, devicePDA: binding.devicePDA, isReal: deviceResult.isReal, onChainSig });
 
     res.json({
       success: true,
       agentId,
-      level: 4,
-      levelLabel: 'hardware',
-      levelDescription: LEVEL_DESCRIPTIONS[4],
+      level,
+      levelLabel: label,
+      levelDescription: LEVEL_DESCRIPTIONS[level],
+      hasHardwareBinding: deviceResult.isReal,
       binding: {
         provider: binding.depinProvider,
         devicePDA: binding.devicePDA,
@@ -591,8 +874,8 @@ router.post('/depin', async (req, res) => {
         notes: binding.verificationNotes
       },
       deviceData: binding.deviceData,
-      onChainSig: onChainResult ? onChainResult.signature : null,
-      explorerUrl: onChainResult ? onChainResult.explorerUrl : null,
+      onChainSig,
+      explorerUrl: onChainSig ? explorerTxUrl(onChainSig) : null,
       nextStep: {
         action: 'Mobile seed vault verification (L5)',
         instructions: [
@@ -626,16 +909,28 @@ router.get('/mobile/challenge', (req, res) => {
       return res.status(404).json({ error: 'Agent not found.' });
     }
 
-    if (agent.level < 4) {
+    if (agent.revoked) {
+      return res.status(403).json({ error: 'Agent verification has been revoked' });
+    }
+
+    if (isExpired(agent)) {
+      return res.status(403).json(expiredError(agent));
+    }
+
+    if (agent.level < 1) {
       return res.status(400).json({
-        error: 'Agent must be L4 (hardware) before L5 mobile verification.',
+        error: 'Agent must be L1 (confirmed) before mobile verification.',
         currentLevel: agent.level,
         currentLabel: LEVEL_LABELS[agent.level],
-        requiredLevel: 4
+        requiredLevel: 1
       });
     }
 
-    const { challenge, expiresAt } = generateChallenge(agentId);
+    const issued = generateChallenge(agentId, db.hashIp(req.ip));
+    if (issued.error) {
+      return res.status(429).json({ error: issued.error, retryAt: issued.retryAt });
+    }
+    const { challenge, expiresAt } = issued;
 
     res.json({
       success: true,
@@ -681,30 +976,34 @@ router.post('/mobile', async (req, res) => {
       return res.status(403).json({ error: 'Agent verification has been revoked' });
     }
 
-    if (agent.level < 4) {
+    if (isExpired(agent)) {
+      return res.status(403).json(expiredError(agent));
+    }
+
+    if (agent.level < 1) {
       return res.status(400).json({
-        error: 'Agent must be L4 (hardware) before L5 mobile verification.',
+        error: 'Agent must be L1 (confirmed) before mobile verification.',
         currentLevel: agent.level,
         currentLabel: LEVEL_LABELS[agent.level],
-        requiredLevel: 4
+        requiredLevel: 1
       });
     }
 
-    if (agent.level >= 5) {
+    if (holds(getSignals(agentId), 'mobile_attestation')) {
       const ext = db.getExtendedVerification(agentId);
       return res.status(200).json({
         success: true,
-        message: 'Agent already at L5 (mobile)',
+        message: 'Mobile seed vault already verified',
         agentId,
-        level: 5,
-        levelLabel: 'mobile',
-        levelDescription: LEVEL_DESCRIPTIONS[5],
+        level: agent.level,
+        levelLabel: LEVEL_LABELS[agent.level],
+        levelDescription: LEVEL_DESCRIPTIONS[agent.level],
         devicePubkey: ext ? ext.mobile_device_pubkey : null
       });
     }
 
     // Verify the signature
-    const verification = verifyChallenge(agentId, challengeResponse, devicePubkey);
+    const verification = verifyChallenge(agentId, challengeResponse, devicePubkey, db.hashIp(req.ip));
 
     if (!verification.valid) {
       return res.status(400).json({
@@ -713,35 +1012,34 @@ router.post('/mobile', async (req, res) => {
       });
     }
 
-    // Anchor on-chain (non-blocking)
-    let onChainResult = null;
-    try {
-      onChainResult = await anchorMobileVerification(agentId, devicePubkey);
-    } catch (e) {
-      console.error('[mobile] Anchor error:', e.message);
-    }
+    // Anchor on-chain (queued for retry by the anchor worker on failure)
+    const onChainSig = await anchorOrQueue(agentId, buildMobileMemo(agentId, devicePubkey));
 
     // Store in DB
     db.setMobile(agentId, {
       devicePubkey,
-      onChainSig: onChainResult ? onChainResult.signature : null
+      onChainSig
     });
+    setSignal(agentId, 'mobile_attestation', true, { devicePubkey }, 'mobile');
+    refreshHardwareBinding(agentId);
+    const { level, label } = syncLevel(agentId);
 
     db.addAuditLog(agentId, 'mobile_verify', {
       devicePubkey,
-      onChainSig: onChainResult ? onChainResult.signature : null
+      onChainSig
     }, db.hashIp(req.ip));
+    webhooks.emit('mobile', agentId, { devicePubkey, onChainSig });
 
     res.json({
       success: true,
       agentId,
-      level: 5,
-      levelLabel: 'mobile',
-      levelDescription: LEVEL_DESCRIPTIONS[5],
+      level,
+      levelLabel: label,
+      levelDescription: LEVEL_DESCRIPTIONS[level],
       verified: true,
       devicePubkey,
-      onChainSig: onChainResult ? onChainResult.signature : null,
-      explorerUrl: onChainResult ? onChainResult.explorerUrl : null
+      onChainSig,
+      explorerUrl: onChainSig ? explorerTxUrl(onChainSig) : null
     });
   } catch (error) {
     console.error('Mobile verification error:', error);
@@ -749,6 +1047,318 @@ router.post('/mobile', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/self-verify/stake/challenge — Request a wallet-ownership challenge for economic stake
+ */
+router.get('/stake/challenge', (req, res) => {
+  try {
+    const { agentId, wallet } = req.query;
+
+    if (!agentId) {
+      return res.status(400).json({ error: 'agentId query parameter is required' });
+    }
+    if (!wallet) {
+      return res.status(400).json({ error: 'wallet query parameter is required (Solana public key string)' });
+    }
+
+    const agent = db.getAgent(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found.' });
+    }
+
+    if (agent.revoked) {
+      return res.status(403).json({ error: 'Agent verification has been revoked' });
+    }
+
+    if (agent.level < 1) {
+      return res.status(400).json({
+        error: 'Agent must be L1 (confirmed) before economic stake verification.',
+        currentLevel: agent.level,
+        currentLabel: LEVEL_LABELS[agent.level],
+        requiredLevel: 1
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = generateWalletChallenge(agentId, wallet);
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid wallet: ${e.message}` });
+    }
+
+    res.json({
+      success: true,
+      agentId,
+      wallet,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt,
+      expiresIn: '5 minutes',
+      instructions: [
+        'Sign the message string with the wallet key (Ed25519, e.g. signMessage)',
+        'The message to sign is the exact string above as UTF-8 bytes',
+        'Submit the base64-encoded signature to POST /api/self-verify/stake'
+      ]
+    });
+  } catch (error) {
+    console.error('Stake challenge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/self-verify/stake — Prove wallet control and record the has_economic_stake signal
+ */
+router.post('/stake', async (req, res) => {
+  try {
+    const { agentId, wallet, signature } = req.body;
+
+    if (!agentId) {
+      return res.status(400).json({ error: 'agentId is required' });
+    }
+    if (!wallet) {
+      return res.status(400).json({ error: 'wallet is required (Solana public key string)' });
+    }
+    if (!signature) {
+      return res.status(400).json({ error: 'signature is required (base64-encoded Ed25519 signature)' });
+    }
+
+    const agent = db.getAgent(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found.' });
+    }
+
+    if (agent.revoked) {
+      return res.status(403).json({ error: 'Agent verification has been revoked' });
+    }
+
+    if (isExpired(agent)) {
+      return res.status(403).json(expiredError(agent));
+    }
+
+    if (agent.level < 1) {
+      return res.status(400).json({
+        error: 'Agent must be L1 (confirmed) before economic stake verification.',
+        currentLevel: agent.level,
+        currentLabel: LEVEL_LABELS[agent.level],
+        requiredLevel: 1
+      });
+    }
+
+    const verification = verifyWalletChallenge(agentId, wallet, signature);
+    if (!verification.valid) {
+      return res.status(400).json({
+        error: 'Wallet ownership verification failed',
+        details: verification.error
+      });
+    }
+
+    let reading;
+    try {
+      reading = await readStake(wallet);
+    } catch (e) {
+      return res.status(502).json({
+        error: 'Failed to read wallet balances',
+        details: e.message
+      });
+    }
+
+    const result = evaluateStake(reading);
+
+    db.setAgentWallet(agentId, wallet);
+    setSignal(agentId, 'has_economic_stake', result.hasStake, {
+      wallet,
+      sol: result.sol,
+      lamports: reading.lamports,
+      stakeLamports: reading.stakeLamports,
+      stakeAccounts: reading.stakeAccounts.length,
+      tokens: reading.tokens.map(t => ({ mint: t.mint, amount: t.amount })),
+      qualifiedBy: result.qualifiedBy,
+      policy: result.policy,
+      slot: reading.slot
+    }, 'stake');
+
+    // Sybil signal: wallet shared with another agent
+    const sameWallet = db.getAgentsByWallet(wallet).filter(a => a.id !== agentId);
+    if (sameWallet.length > 0) {
+      db.addSybilSignal(agentId, 'wallet_cluster', wallet);
+      sameWallet.forEach(a => db.addSybilSignal(a.id, 'wallet_cluster', wallet));
+    }
+
+    db.addAuditLog(agentId, 'stake', {
+      wallet,
+      hasStake: result.hasStake,
+      sol: result.sol,
+      qualifiedBy: result.qualifiedBy,
+      slot: reading.slot
+    }, db.hashIp(req.ip));
+
+    res.json({
+      success: true,
+      agentId,
+      wallet,
+      hasEconomicStake: result.hasStake,
+      sol: result.sol,
+      stakeAccounts: reading.stakeAccounts,
+      tokens: reading.tokens,
+      qualifiedBy: result.qualifiedBy,
+      policy: result.policy,
+      slot: reading.slot
+    });
+  } catch (error) {
+    console.error('Stake verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/self-verify/renew — Renew an L1+ verification for another 30 days
+ *
+ * Re-runs the check of the agent's current level:
+ *   L1    — a fresh code through the agent's challenge provider (first call issues the code)
+ *   L2-L4 — /.well-known/moltlaunch.json still serves the challenge token
+ *   L5    — the well-known check plus a signature from the bound mobile device
+ */
+router.post('/renew', async (req, res) => {
+  try {
+    const { agentId, challengeResponse } = req.body;
+
+    if (!agentId) {
+      return res.status(400).json({ error: 'agentId is required' });
+    }
+
+    const agent = db.getAgent(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found. Register first at POST /api/self-verify' });
+    }
+
+    if (agent.revoked) {
+      return res.status(403).json({ error: 'Agent verification has been revoked' });
+    }
+
+    if (agent.level < 1) {
+      return res.status(400).json({
+        error: 'L0 registrations cannot be renewed. Confirm via the L1 challenge instead.',
+        confirmEndpoint: 'POST /api/self-verify/confirm'
+      });
+    }
+
+    let method;
+
+    if (agent.level === 1) {
+      const provider = providerFor(agent);
+
+      // Issue a renewal code first — the original challenge code is already public
+      if (!agent.renewal_code) {
+        const renewalCode = generateChallengeCode();
+        db.setRenewalCode(agentId, renewalCode);
+        return res.status(202).json({
+          success: false,
+          agentId,
+          renewalCode,
+          challengeMethod: provider.name,
+          instructions: provider.instructions(agentId, renewalCode, agent.challenge_target).concat(
+            'Then call POST /api/self-verify/renew again with your agentId'
+          )
+        });
+      }
+
+      let verificationResult;
+      try {
+        verificationResult = await provider.verify({
+          agentId,
+          code: agent.renewal_code,
+          target: agent.challenge_target,
+          body: req.body
+        });
+      } catch (providerError) {
+        if (providerError.retryAfterMs) {
+          res.set('Retry-After', String(Math.ceil(providerError.retryAfterMs / 1000)));
+          return res.status(503).json({ error: `${provider.label} is rate limiting us`, details: providerError.message });
+        }
+        return res.status(502).json({
+          error: `Failed to check ${provider.label}`,
+          details: providerError.message
+        });
+      }
+
+      if (!verificationResult.found) {
+        return res.status(400).json({
+          error: `Renewal not confirmed via ${provider.label}`,
+          details: verificationResult.error || 'Renewal code not found',
+          renewalCode: agent.renewal_code,
+          instructions: provider.instructions(agentId, agent.renewal_code, agent.challenge_target).concat(
+            'Then try this endpoint again'
+          )
+        });
+      }
+
+      // The renewal must come from the identity that confirmed the agent
+      const identity = verificationResult.identity || null;
+      if (agent.confirmed_identity && identity !== agent.confirmed_identity) {
+        db.addAuditLog(agentId, 'renew_identity_mismatch', { expected: agent.confirmed_identity, identity }, db.hashIp(req.ip));
+        return res.status(403).json({
+          error: `Renewal was confirmed by a different ${provider.label} identity`,
+          identity,
+          hint: 'Renew from the account, owner, domain or wallet that confirmed this agent'
+        });
+      }
+      // Agents confirmed before pinning existed were just matched by name: pin now
+      if (provider.pinsTarget && !agent.challenge_target) db.setChallengeTarget(agentId, verificationResult.pinTarget);
+      method = provider.method;
+    } else {
+      const wellKnownUrl = agent.api_endpoint ? wellKnownUrlFor(agent.api_endpoint) : null;
+      const wellKnown = agent.api_endpoint
+        ? await checkWellKnown(agent.api_endpoint, wellKnownUrl, agent)
+        : { failures: [failure('well_known', 'no_endpoint', 'No verified apiEndpoint on record')], signature: null };
+      const failures = wellKnown.failures;
+
+      if (agent.level >= 5) {
+        if (!challengeResponse) {
+          failures.push(failure('mobile_signature', 'missing', 'challengeResponse is required for L5 renewal (sign a challenge from GET /api/self-verify/mobile/challenge)'));
+        } else {
+          const ext = db.getExtendedVerification(agentId);
+          const verification = verifyChallenge(agentId, challengeResponse, ext ? ext.mobile_device_pubkey : null, db.hashIp(req.ip));
+          if (!verification.valid) failures.push(failure('mobile_signature', 'invalid', `Mobile device signature: ${verification.error}`));
+        }
+      }
+
+      const signed = proofMode(agent) === 'signed';
+      if (failures.length > 0) {
+        return res.status(400).json({
+          error: 'Renewal checks failed',
+          failures: failures.map(f => f.message),
+          failureDetails: failures,
+          hint: signed
+            ? `Publish a fresh signed proof at ${wellKnownUrl || 'your apiEndpoint'} (nonce from GET /api/self-verify/verify/nonce)`
+            : `Keep {"agentId": "${agentId}", "token": "<your challenge token>"} published at ${wellKnownUrl || 'your apiEndpoint'}`
+        });
+      }
+      if (signed) db.spendProofNonce(agentId, agent.proof_nonce, wellKnown.signature);
+      method = (signed ? 'well_known_signed' : 'well_known') + (agent.level >= 5 ? '+mobile_signature' : '');
+    }
+
+    const wasExpired = isExpired(agent);
+    const expiresAt = db.renewAgent(agentId);
+    db.addAuditLog(agentId, 'renew', { level: agent.level, method, wasExpired }, db.hashIp(req.ip));
+
+    // On-chain anchoring (non-blocking)
+    anchorOrQueue(agentId, buildMemo(agentId, agent.level, 'renewed'));
+
+    res.json({
+      success: true,
+      agentId,
+      level: agent.level,
+      levelLabel: LEVEL_LABELS[agent.level],
+      method,
+      wasExpired,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('Renewal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /api/self-verify/terms — Current terms text + version
  */
@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-
-const LEVEL_DESCRIPTIONS = {
-  0: 'Agent registered on MoltLaunch. Proves ability to make HTTP requests. Does NOT prove identity or uniqueness.',
-  1: 'Agent confirmed identity via Colosseum forum challenge. Proves agent controls a Colosseum API key.',
-  2: 'Agent verified infrastructure. Proves agent controls a live API endpoint with our verification token.',
-  3: 'Agent behavioral identity computed. Proves agent has a unique behavioral fingerprint based on activity history. Sybil detection included.',
-  4: 'Agent bound to DePIN hardware device. Proves agent is associated with a verified physical device on Solana (Nosana/Helium/io.net).',
-  5: 'Agent verified via Solana Mobile seed vault. Proves agent runs on a specific physical device with hardware-protected keys. Strongest verification level.'
-};
-
-const LEVEL_LABELS = { 0: 'registered', 1: 'confirmed', 2: 'verified', 3: 'behavioral', 4: 'hardware', 5: 'mobile' };
+const { LEVEL_DESCRIPTIONS, LEVEL_LABELS } = require('../lib/levels');
+const { isExpired, decaysAt } = require('../lib/expiry');
+const { computeTrustScore } = require('../lib/trustScore');
+const { getSignals, composableView, holds, checkRequirements, INFRA_TYPES, LEVEL_SIGNALS } = require('../lib/signals');
+const { issueCredential, verifyCredential, CREDENTIAL_TYPE } = require('../lib/credentials');
+const { verifyAnchor, ANCHOR_TYPES } = require('../lib/anchorAudit');
+const { explorerTxUrl, getAnchorCluster } = require('../lib/solana');
+const { getBackend } = require('../lib/attestation');
+const { readAttestation } = require('../lib/sas');
+const { leafHash, verifyProof } = require('../lib/merkle');
+const { providerFor } = require('../lib/challengeProviders');
+const { proofMode, signedProofInstructions } = require('../lib/endpointProof');
+const { getLivenessStatus } = require('../lib/liveness');
 
 /**
  * Format agent data for public response (strips sensitive fields)
@@ -19,8 +21,7 @@ const LEVEL_LABELS = { 0: 'registered', 1: 'confirmed', 2: 'verified', 3: 'behav
 function publicAgentResponse(agent) {
   if (!agent) return null;
 
-  const isExpired = agent.expires_at && new Date(agent.expires_at) < new Date();
-
+  const signals = getSignals(agent.id);
   const response = {
     agentId: agent.id,
     name: agent.name,
@@ -31,43 +32,74 @@ function publicAgentResponse(agent) {
     levelDescription: LEVEL_DESCRIPTIONS[agent.level],
     apiEndpoint: agent.api_endpoint,
     codeUrl: agent.code_url,
+    proofMode: proofMode(agent),
     onChainSig: agent.on_chain_sig,
     registeredAt: agent.registered_at,
     confirmedAt: agent.confirmed_at,
     verifiedAt: agent.verified_at,
+    renewedAt: agent.renewed_at,
     expiresAt: agent.expires_at,
-    expired: isExpired,
-    revoked: !!agent.revoked
+    expired: isExpired(agent),
+    decaysAt: decaysAt(agent),
+    revoked: !!agent.revoked,
+    revokedAt: agent.revoked_at || null,
+    signals: composableView(signals),
+    trustScore: computeTrustScore(agent),
+    liveness: getLivenessStatus(agent)
   };
 
-  // Add extended verification data for L3+
-  if (agent.level >= 3) {
-    const ext = db.getExtendedVerification(agent.id);
-    if (ext) {
-      if (ext.fingerprint) {
-        response.behavioral = {
-          fingerprint: ext.fingerprint,
-          uniquenessScore: ext.fingerprint_uniqueness,
-          verifiedAt: ext.behavioral_at
-        };
-      }
-      if (ext.depin_provider) {
-        response.hardware = {
-          provider: ext.depin_provider,
-          devicePDA: ext.depin_device_pda,
-          bindingHash: ext.depin_binding_hash,
-          onChainSig: ext.depin_on_chain_sig,
-          verifiedAt: ext.hardware_at
-        };
-      }
-      if (ext.mobile_verified) {
-        response.mobile = {
-          devicePubkey: ext.mobile_device_pubkey,
-          verified: true,
-          onChainSig: ext.mobile_on_chain_sig,
-          verifiedAt: ext.mobile_at
-        };
-      }
+  // Add extended verification data for each proof signal that holds
+  const ext = db.getExtendedVerification(agent.id);
+  if (ext) {
+    if (ext.fingerprint && holds(signals, 'behavioral_fingerprint')) {
+      response.behavioral = {
+        fingerprint: ext.fingerprint,
+        uniquenessScore: ext.fingerprint_uniqueness,
+        source: ext.fingerprint_source,
+        postCount: ext.fingerprint_post_count,
+        verifiedAt: ext.behavioral_at
+      };
+    }
+    if (ext.depin_provider && holds(signals, 'depin_binding')) {
+      response.hardware = {
+        provider: ext.depin_provider,
+        devicePDA: ext.depin_device_pda,
+        bindingHash: ext.depin_binding_hash,
+        onChainSig: ext.depin_on_chain_sig,
+        verifiedAt: ext.hardware_at
+      };
+    }
+    if (ext.mobile_verified && holds(signals, 'mobile_attestation')) {
+      response.mobile = {
+        devicePubkey: ext.mobile_device_pubkey,
+        verified: true,
+        onChainSig: ext.mobile_on_chain_sig,
+        verifiedAt: ext.mobile_at
+      };
+    }
+    if (ext.code_commit && holds(signals, 'endpoint_control')) {
+      response.codeRepository = {
+        host: ext.code_host,
+        repo: ext.code_repo,
+        commit: ext.code_commit,
+        proofFile: ext.code_proof_file,
+        verifiedAt: ext.code_verified_at,
+        status: ext.code_status,
+        checkedAt: ext.code_checked_at
+      };
+    }
+    if (ext.infra_probe && holds(signals, 'endpoint_control')) {
+      const probe = JSON.parse(ext.infra_probe);
+      response.infrastructure = {
+        infraType: ext.infra_type,
+        suggestedType: probe.suggestedType || null,
+        hints: probe.hints,
+        tls: probe.tls,
+        headers: probe.headers,
+        latencyMs: probe.latencyMs,
+        uptime: probe.uptime,
+        probedAt: ext.infra_probed_at
+      };
     }
   }
 
@@ -88,14 +120,22 @@ router.get('/status/:id', (req, res) => {
 
     // Include challenge info if still at L0 (so they know how to proceed)
     if (agent.level === 0 && agent.challenge_code) {
+      const provider = providerFor(agent);
       response.pendingChallenge = {
         code: agent.challenge_code,
-        instructions: 'Post this code as a comment on Colosseum forum post #4322, then call POST /api/self-verify/confirm'
+        method: provider.name,
+        instructions: provider.instructions(agent.id, agent.challenge_code, agent.challenge_target)
+          .concat('Then call POST /api/self-verify/confirm')
       };
     }
 
-    // Include token info if at L1 (so they know how to proceed to L2)
-    if (agent.level === 1 && agent.challenge_token) {
+    // Include token info if at L1 (so they know how to proceed to L2); signed mode has no token to publish
+    if (agent.level === 1 && proofMode(agent) === 'signed') {
+      response.pendingVerification = {
+        proofMode: 'signed',
+        instructions: signedProofInstructions(agent.id).concat('Then call POST /api/self-verify/verify')
+      };
+    } else if (agent.level === 1 && agent.challenge_token) {
       response.pendingVerification = {
         token: agent.challenge_token,
         instructions: `Place {"agentId": "${agent.id}", "token": "${agent.challenge_token}"} at {your-api}/.well-known/moltlaunch.json, then call POST /api/self-verify/verify`
@@ -128,12 +168,297 @@ router.get('/agent/:id', (req, res) => {
   }
 });
 
+/**
+ * Parse a requirement list (comma-separated string or array) into signal names
+ */
+function parseRequirements(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * GET /api/self-verify/agent/:id/signals — All signals with evidence and timestamps
+ * Optional: ?require=has_hardware_binding,has_economic_stake&minInfraType=tee
+ */
+router.get('/agent/:id/signals', (req, res) => {
+  try {
+    const agent = db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { minInfraType } = req.query;
+    if (minInfraType && !INFRA_TYPES.includes(minInfraType)) {
+      return res.status(400).json({ error: `minInfraType must be one of: ${INFRA_TYPES.join(', ')}` });
+    }
+
+    const signals = getSignals(agent.id);
+    const response = {
+      agentId: agent.id,
+      level: agent.level,
+      levelLabel: LEVEL_LABELS[agent.level],
+      revoked: !!agent.revoked,
+      expired: isExpired(agent),
+      composable: composableView(signals),
+      signals
+    };
+
+    const required = parseRequirements(req.query.require);
+    if (required.length || minInfraType) {
+      // Revoked or expired agents never satisfy a requirement
+      const check = checkRequirements(signals, required, minInfraType);
+      response.requirements = {
+        require: required,
+        minInfraType: minInfraType || null,
+        satisfied: check.satisfied && !agent.revoked && !isExpired(agent),
+        missing: check.missing
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Signals lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/self-verify/agent/:id/anchor — Verify the stored anchor against the chain
+ * ?type=level (default) | depin | mobile
+ */
+router.get('/agent/:id/anchor', async (req, res) => {
+  try {
+    const agent = db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const type = req.query.type || 'level';
+    if (!ANCHOR_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${ANCHOR_TYPES.join(', ')}` });
+    }
+
+    const result = await verifyAnchor(agent, type);
+    if (result.signature) {
+      result.explorerUrl = explorerTxUrl(result.signature);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Anchor verification error:', error);
+    res.status(502).json({ error: 'Could not read the anchor from Solana', details: error.message });
+  }
+});
+
+/**
+ * GET /api/self-verify/agent/:id/anchors — Every anchor written for the agent, newest first
+ * Includes queued and failed attempts; each row keeps the exact memo that was (or will be) sent.
+ */
+router.get('/agent/:id/anchors', (req, res) => {
+  try {
+    const agent = db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const anchors = db.getAnchors(agent.id).map(row => ({
+      id: row.id,
+      event: row.event,
+      memo: row.memo,
+      signature: row.signature,
+      cluster: row.cluster,
+      backend: row.backend,
+      slot: row.slot,
+      status: row.status,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      anchoredAt: row.anchored_at,
+      batchId: row.batch_id,
+      explorerUrl: row.signature ? explorerTxUrl(row.signature, row.cluster) : null
+    }));
+
+    res.json({ agentId: agent.id, count: anchors.length, anchors });
+  } catch (error) {
+    console.error('Anchor history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/self-verify/agent/:id/anchors/:anchorId/proof — Merkle inclusion proof of a batched anchor
+ * Verify offline: fold leafHash(memo) with each proof step up to the root, then
+ * check the root is in the batch memo of the batch transaction (see README).
+ */
+router.get('/agent/:id/anchors/:anchorId/proof', (req, res) => {
+  try {
+    const row = db.getAnchor(parseInt(req.params.anchorId, 10));
+    if (!row || row.agent_id !== req.params.id) {
+      return res.status(404).json({ error: 'Anchor not found' });
+    }
+    if (row.status === 'batched') {
+      return res.status(404).json({ error: 'Anchor is waiting for the next batch', status: row.status });
+    }
+    if (!row.batch_id) {
+      return res.status(400).json({ error: 'Anchor was sent as its own memo, not batched', signature: row.signature });
+    }
+
+    const batch = db.getAnchorBatch(row.batch_id);
+    const proof = JSON.parse(row.proof);
+    res.json({
+      agentId: row.agent_id,
+      anchorId: row.id,
+      memo: row.memo,
+      leafHash: leafHash(row.memo),
+      leafIndex: row.leaf_index,
+      proof,
+      root: batch.root,
+      verified: verifyProof(row.memo, proof, batch.root),
+      batch: {
+        id: batch.id,
+        memo: batch.memo,
+        leafCount: batch.leaf_count,
+        status: batch.status,
+        signature: batch.signature,
+        slot: batch.slot,
+        anchoredAt: batch.anchored_at,
+        explorerUrl: batch.signature ? explorerTxUrl(batch.signature) : null
+      }
+    });
+  } catch (error) {
+    console.error('Anchor proof error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/self-verify/agent/:id/attestation — The agent's SAS attestation account, decoded
+ * Only on deployments with ATTESTATION_BACKEND=sas.
+ */
+router.get('/agent/:id/attestation', async (req, res) => {
+  try {
+    const agent = db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const backend = getBackend().name;
+    if (backend !== 'sas') {
+      return res.status(400).json({ error: 'SAS attestations are not enabled on this deployment', backend });
+    }
+
+    const attestation = await readAttestation(agent.id);
+    res.json(Object.assign({ agentId: agent.id, backend }, attestation));
+  } catch (error) {
+    console.error('Attestation read error:', error);
+    res.status(502).json({ error: 'Could not read the attestation from Solana', details: error.message });
+  }
+});
+
+/**
+ * credentialSubject for an agent's verifiable credential
+ * Extended fields are included only while their proof signal holds.
+ */
+function credentialSubject(agent) {
+  const signals = getSignals(agent.id);
+  const ext = db.getExtendedVerification(agent.id) || {};
+  const composable = composableView(signals);
+
+  const subject = {
+    id: agent.id,
+    agentId: agent.id,
+    level: agent.level,
+    levelLabel: LEVEL_LABELS[agent.level],
+    signals: {},
+    proofs: LEVEL_SIGNALS.filter(name => name && holds(signals, name)),
+    fingerprint: holds(signals, 'behavioral_fingerprint') ? ext.fingerprint || null : null,
+    bindingHash: holds(signals, 'depin_binding') ? ext.depin_binding_hash || null : null,
+    anchor: {
+      onChainSig: agent.on_chain_sig || null,
+      cluster: getAnchorCluster()
+    },
+    verifiedUntil: agent.expires_at
+  };
+  for (const [name, view] of Object.entries(composable)) {
+    subject.signals[name] = view.value;
+  }
+  return subject;
+}
+
+/**
+ * GET /api/self-verify/agent/:id/credential — Signed verifiable credential (JWT-VC, EdDSA)
+ * Valid until the agent's verification expires; check it offline against
+ * /.well-known/moltlaunch-issuer.json.
+ */
+router.get('/agent/:id/credential', (req, res) => {
+  try {
+    const agent = db.getAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (agent.revoked) {
+      return res.status(403).json({ error: 'Agent verification has been revoked' });
+    }
+    if (agent.level < 1) {
+      return res.status(400).json({ error: 'Credentials are issued to L1+ agents only', currentLevel: agent.level, requiredLevel: 1 });
+    }
+    if (isExpired(agent)) {
+      return res.status(403).json({ error: 'Verification expired', howToRenew: 'POST /api/self-verify/renew' });
+    }
+
+    const credential = issueCredential(credentialSubject(agent), agent.expires_at);
+    db.addAuditLog(agent.id, 'credential_issued', {
+      credentialId: credential.id,
+      level: agent.level,
+      expiresAt: credential.expiresAt
+    }, db.hashIp(req.ip));
+
+    res.json({
+      agentId: agent.id,
+      type: CREDENTIAL_TYPE,
+      format: 'jwt_vc',
+      credentialId: credential.id,
+      issuedAt: credential.issuedAt,
+      expiresAt: credential.expiresAt,
+      credential: credential.jwt,
+      issuerKeys: '/.well-known/moltlaunch-issuer.json',
+      verifyEndpoint: 'POST /api/self-verify/credential/verify'
+    });
+  } catch (error) {
+    console.error('Credential issue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/self-verify/credential/verify — Verify a credential offline ({ credential })
+ * Checks only the signature and validity window against the issuer key document;
+ * it does not consult the live agent record.
+ */
+router.post('/credential/verify', (req, res) => {
+  try {
+    const { credential } = req.body || {};
+    if (!credential || typeof credential !== 'string') {
+      return res.status(400).json({ error: 'credential is required (compact JWT string)' });
+    }
+
+    const result = verifyCredential(credential);
+    res.json({
+      valid: result.valid,
+      expired: !!result.expired,
+      error: result.error || null,
+      credential: result.credential || null
+    });
+  } catch (error) {
+    console.error('Credential verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /api/self-verify/batch — Batch lookup (requires L1+ agent auth)
  */
 router.post('/batch', (req, res) => {
   try {
-    const { agentId, agentIds } = req.body;
+    const { agentId, agentIds, require: requireSignals, minInfraType } = req.body;
 
     if (!agentId) {
       return res.status(400).json({ error: 'agentId is required (your agent ID for authentication)' });
@@ -165,21 +490,41 @@ router.post('/batch', (req, res) => {
       return res.status(403).json({ error: 'Your agent verification has been revoked' });
     }
 
+    if (isExpired(requestingAgent)) {
+      return res.status(403).json({
+        error: 'Your agent verification has expired',
+        expiredAt: requestingAgent.expires_at,
+        hint: 'Renew via POST /api/self-verify/renew'
+      });
+    }
+
+    if (minInfraType && !INFRA_TYPES.includes(minInfraType)) {
+      return res.status(400).json({ error: `minInfraType must be one of: ${INFRA_TYPES.join(', ')}` });
+    }
+    const required = parseRequirements(requireSignals);
+
     // Fetch agents
     const agents = db.getAgentsByIds(agentIds);
     const results = {};
 
     // Build response for found agents
     for (const agent of agents) {
-      const isExpired = agent.expires_at && new Date(agent.expires_at) < new Date();
+      const signals = getSignals(agent.id);
       results[agent.id] = {
         found: true,
         level: agent.level,
         levelLabel: LEVEL_LABELS[agent.level],
         levelDescription: LEVEL_DESCRIPTIONS[agent.level],
-        expired: isExpired,
-        revoked: !!agent.revoked
+        expired: isExpired(agent),
+        revoked: !!agent.revoked,
+        signals: composableView(signals),
+        trustScore: computeTrustScore(agent)
       };
+      if (required.length || minInfraType) {
+        const check = checkRequirements(signals, required, minInfraType);
+        results[agent.id].satisfied = check.satisfied && !agent.revoked && !isExpired(agent);
+        results[agent.id].missing = check.missing;
+      }
     }
 
     // Mark not-found agents
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { isExpired } = require('../lib/expiry');
+const { resolveTarget } = require('../lib/safeFetch');
+const webhooks = require('../lib/webhooks');
+
+const MAX_SUBSCRIPTIONS = 10;
+const MAX_AGENT_IDS = 100;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead', 'cancelled'];
+
+/**
+ * API keys from WEBHOOK_API_KEYS ("name:key,name:key")
+ */
+function apiKeys() {
+  const keys = {};
+  for (const entry of (process.env.WEBHOOK_API_KEYS || '').split(',')) {
+    const index = entry.indexOf(':');
+    if (index > 0) keys[entry.slice(index + 1).trim()] = entry.slice(0, index).trim();
+  }
+  return keys;
+}
+
+/**
+ * Checks an agent must pass to subscribe (null when it may)
+ * @returns {{ status: number, body: object }|null}
+ */
+function agentRefusal(agent) {
+  if (!agent) {
+    return { status: 404, body: { error: 'Your agentId not found. Register first.' } };
+  }
+  if (agent.level < 1) {
+    return {
+      status: 403,
+      body: { error: 'Webhooks require L1+ (confirmed) status', yourLevel: agent.level, hint: 'Complete the forum challenge to reach L1' }
+    };
+  }
+  if (agent.revoked) {
+    return { status: 403, body: { error: 'Your agent verification has been revoked' } };
+  }
+  if (isExpired(agent)) {
+    return {
+      status: 403,
+      body: { error: 'Your agent verification has expired', expiredAt: agent.expires_at, hint: 'Renew via POST /api/self-verify/renew' }
+    };
+  }
+  if (!agent.proof_pubkey) {
+    return {
+      status: 403,
+      body: { error: 'Agent subscriptions need a proofPubkey (signed proof mode) to sign requests with; use an X-Api-Key instead' }
+    };
+  }
+  return null;
+}
+
+/**
+ * Subscriber authentication: X-Api-Key header, or agentId (body or query) of an L1+ agent
+ * plus X-Agent-Signature, its proof key's signature over the nonce from GET /webhooks/nonce
+ * Sets req.owner ("apikey:{name}" or "agent:{id}") and req.ownerAgentId for audit entries.
+ */
+function requireSubscriber(req, res, next) {
+  const providedKey = req.headers['x-api-key'];
+  if (providedKey) {
+    const name = apiKeys()[providedKey];
+    if (!name) {
+      return res.status(401).json({ error: 'Unknown API key' });
+    }
+    req.owner = `apikey:${name}`;
+    req.ownerAgentId = null;
+    return next();
+  }
+
+  const agentId = (req.body && req.body.agentId) || req.query.agentId;
+  if (!agentId) {
+    return res.status(401).json({ error: 'Provide an X-Api-Key header or agentId (your L1+ agent ID) for authentication' });
+  }
+  const agent = db.getAgent(agentId);
+  const refusal = agentRefusal(agent);
+  if (refusal) {
+    return res.status(refusal.status).json(refusal.body);
+  }
+  const signature = req.headers['x-agent-signature'];
+  if (!signature) {
+    return res.status(401).json({
+      error: 'X-Agent-Signature header is required',
+      message: webhooks.buildAuthMessage(agent.id, '{nonce}'),
+      nonceEndpoint: `GET /api/self-verify/webhooks/nonce?agentId=${agent.id}`
+    });
+  }
+  const check = webhooks.checkAuthSignature(agent, signature);
+  if (!check.valid) {
+    return res.status(401).json({ error: check.error });
+  }
+  req.owner = `agent:${agent.id}`;
+  req.ownerAgentId = agent.id;
+  next();
+}
+
+/**
+ * Load the caller's subscription by :id (404 for anyone else's)
+ */
+function loadSubscription(req, res, next) {
+  const subscription = db.getWebhookSubscription(parseInt(req.params.id, 10));
+  if (!subscription || subscription.owner !== req.owner) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  req.subscription = subscription;
+  next();
+}
+
+function subscriptionResponse(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    agentIds: subscription.agent_ids ? JSON.parse(subscription.agent_ids) : 'all',
+    events: subscription.events ? JSON.parse(subscription.events) : 'all',
+    createdAt: subscription.created_at
+  };
+}
+
+function deliveryResponse(delivery) {
+  return {
+    id: delivery.id,
+    eventId: delivery.event_id,
+    event: delivery.event,
+    agentId: delivery.agent_id,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    responseStatus: delivery.response_status,
+    lastError: delivery.last_error,
+    replayOf: delivery.replay_of,
+    createdAt: delivery.created_at,
+    deliveredAt: delivery.delivered_at
+  };
+}
+
+/**
+ * GET /api/self-verify/webhooks/nonce?agentId= — Nonce for the next signed request (single use, 5 minutes)
+ */
+router.get('/nonce', (req, res) => {
+  try {
+    const agentId = req.query.agentId;
+    if (!agentId) {
+      return res.status(400).json({ error: 'agentId query parameter is required' });
+    }
+    const agent = db.getAgent(agentId);
+    const refusal = agentRefusal(agent);
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    const { nonce, expiresAt } = webhooks.issueAuthNonce(agent);
+    res.json({
+      agentId,
+      nonce,
+      expiresAt: new Date(expiresAt).toISOString(),
+      message: webhooks.buildAuthMessage(agentId, nonce),
+      instructions: 'Sign message with your proof key (Ed25519, UTF-8 bytes) and send the base64 signature as X-Agent-Signature on your next webhook request'
+    });
+  } catch (error) {
+    console.error('Webhook nonce error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/self-verify/webhooks — Subscribe a URL ({ url, agentIds?, events? }; omit a list for all)
+ * The signing secret is returned once.
+ */
+router.post('/', requireSubscriber, async (req, res) => {
+  try {
+    const { url, agentIds, events } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    if (agentIds !== undefined && agentIds !== null) {
+      if (!Array.isArray(agentIds) || agentIds.length === 0 || agentIds.some(id => typeof id !== 'string')) {
+        return res.status(400).json({ error: 'agentIds must be a non-empty array of agent IDs (omit it for all agents)' });
+      }
+      if (agentIds.length > MAX_AGENT_IDS) {
+        return res.status(400).json({ error: `Maximum ${MAX_AGENT_IDS} agent IDs per subscription` });
+      }
+    }
+    if (events !== undefined && events !== null) {
+      if (!Array.isArray(events) || events.length === 0 || events.some(e => !webhooks.EVENTS.includes(e))) {
+        return res.status(400).json({ error: `events must be a non-empty array of: ${webhooks.EVENTS.join(', ')} (omit it for all events)` });
+      }
+    }
+    if (db.getWebhookSubscriptions(req.owner).length >= MAX_SUBSCRIPTIONS) {
+      return res.status(409).json({ error: `Maximum ${MAX_SUBSCRIPTIONS} subscriptions; delete one first` });
+    }
+
+    try {
+      await resolveTarget(url);
+    } catch (e) {
+      return res.status(400).json({ error: `url rejected: ${e.message}`, reason: e.reason || 'invalid_url' });
+    }
+
+    const secret = webhooks.generateSecret();
+    const id = db.addWebhookSubscription({
+      owner: req.owner,
+      url,
+      agentIds: agentIds ? Array.from(new Set(agentIds)) : null,
+      events: events ? Array.from(new Set(events)) : null,
+      secret
+    });
+    db.addAuditLog(req.ownerAgentId, 'webhook_subscribe', { owner: req.owner, subscriptionId: id, url }, db.hashIp(req.ip));
+
+    res.status(201).json(Object.assign(subscriptionResponse(db.getWebhookSubscription(id)), {
+      secret,
+      note: 'Store the secret now; it is not shown again. Check X-Moltlaunch-Signature (t={unix},v1={hex HMAC-SHA256(secret, "{t}.{body}")}) on every delivery.'
+    }));
+  } catch (error) {
+    console.error('Webhook subscribe error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/self-verify/webhooks — The caller's subscriptions
+ */
+router.get('/', requireSubscriber, (req, res) => {
+  try {
+    const subscriptions = db.getWebhookSubscriptions(req.owner).map(subscriptionResponse);
+    res.json({ owner: req.owner, count: subscriptions.length, subscriptions });
+  } catch (error) {
+    console.error('Webhook list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/self-verify/webhooks/:id — Unsubscribe (pending deliveries are cancelled)
+ */
+router.delete('/:id', requireSubscriber, loadSubscription, (req, res) => {
+  try {
+    db.deleteWebhookSubscription(req.subscription.id);
+    db.addAuditLog(req.ownerAgentId, 'webhook_unsubscribe', { owner: req.owner, subscriptionId: req.subscription.id }, db.hashIp(req.ip));
+    res.json({ success: true, id: req.subscription.id, deleted: true });
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/self-verify/webhooks/:id/deliveries — Delivery log, newest first (?status=, ?limit= up to 200)
+ */
+router.get('/:id/deliveries', requireSubscriber, loadSubscription, (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const deliveries = db.getWebhookDeliveries(req.subscription.id, { status, limit }).map(deliveryResponse);
+    res.json({ subscriptionId: req.subscription.id, count: deliveries.length, deliveries });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/self-verify/webhooks/:id/deliveries/:deliveryId/replay — Send a logged event again now
+ * Creates a new delivery with the same event id and payload; a failed replay is retried like any delivery.
+ */
+router.post('/:id/deliveries/:deliveryId/replay', requireSubscriber, loadSubscription, async (req, res) => {
+  try {
+    const delivery = db.getWebhookDelivery(parseInt(req.params.deliveryId, 10));
+    if (!delivery || delivery.subscription_id !== req.subscription.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const result = await webhooks.replay(delivery);
+    res.json({
+      success: result.status === 'delivered',
+      replayOf: delivery.id,
+      delivery: deliveryResponse(db.getWebhookDelivery(result.id))
+    });
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,17 @@ const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const { init: initSolana } = require('./lib/solana');
+const anchorRetry = require('./lib/anchorRetry');
+const expiry = require('./lib/expiry');
+const anchorAudit = require('./lib/anchorAudit');
+const signals = require('./lib/signals');
+const credentials = require('./lib/credentials');
+const attestation = require('./lib/attestation');
+const cluster = require('./lib/cluster');
+const wallet = require('./lib/wallet');
+const liveness = require('./lib/liveness');
+const codeRepo = require('./lib/codeRepo');
+const webhooks = require('./lib/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -37,11 +48,13 @@ const batchLimiter = rateLimit({
 const selfVerifyRoutes = require('./routes/selfVerify');
 const statusRoutes = require('./routes/status');
 const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
 
 // Apply rate limiters and routes
 app.use('/api/self-verify', selfVerifyLimiter);
 app.use('/api/self-verify', selfVerifyRoutes);
 app.use('/api/self-verify', statusRoutes);
+app.use('/api/self-verify/webhooks', webhookRoutes);
 app.post('/api/self-verify/batch', batchLimiter);
 
 // Admin endpoints
@@ -198,7 +211,7 @@ app.get('/', (req, res) => {
 '  </div>\n' +
 '\n' +
 '  <div class="arch-note">\n' +
-'    <strong>Architecture:</strong> Built as a SAS (Solana Attestation Service) issuer. Migration to SAS mainnet planned. Currently running custom Anchor program on devnet.\n' +
+'    <strong>Architecture:</strong> Built as a SAS (Solana Attestation Service) issuer. Anchors are written as Memo transactions or, with <code>ATTESTATION_BACKEND=sas</code>, as one SAS attestation per agent carrying its composable signals.\n' +
 '  </div>\n' +
 '\n' +
 '  <footer>proveyour.id &mdash; V3 Composable Signal Architecture &middot; <a href="https://github.com/tradingstarllc/moltlaunch">Source</a></footer>\n' +
@@ -221,7 +234,13 @@ app.get('/kanban', async (req, res) => {
     return res.status(403).json({ error: 'Agent not found', message: `"${agentId}" is not registered. Register first at POST /api/self-verify` });
   }
   if (agent.level < 1) {
-    return res.status(403).json({ error: 'Insufficient verification level', message: `"${agentId}" is L0 (registered only). Must be L1+ (confirmed).`, currentLevel: agent.level, requiredLevel: 1, howToUpgrade: 'Post your challenge code on forum post #4322, then call POST /api/self-verify/confirm' });
+    return res.status(403).json({ error: 'Insufficient verification level', message: `"${agentId}" is L0 (registered only). Must be L1+ (confirmed).`, currentLevel: agent.level, requiredLevel: 1, howToUpgrade: 'Complete your L1 challenge (see GET /api/self-verify/status/' + agentId + '), then call POST /api/self-verify/confirm' });
+  }
+  if (agent.revoked) {
+    return res.status(403).json({ error: 'Agent verification has been revoked' });
+  }
+  if (expiry.isExpired(agent)) {
+    return res.status(403).json({ error: 'Verification expired', message: `"${agentId}" expired at ${agent.expires_at}.`, howToRenew: 'POST /api/self-verify/renew' });
   }
   const format = req.query.format || 'html';
   try {
@@ -247,18 +266,55 @@ app.get("/.well-known/moltlaunch.json", async (req, res) => {
     res.status(500).json({ error: "Database not ready" });
   }
 });
+// --- Credential issuer keys (verify JWT-VCs offline) ---
+app.get('/.well-known/moltlaunch-issuer.json', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(credentials.issuerDocument());
+  } catch (e) {
+    res.status(500).json({ error: 'Issuer key unavailable' });
+  }
+});
+
+// --- Anchoring wallet keys (current + retired; anchors signed by any of them are ours) ---
+app.get('/.well-known/moltlaunch-anchor-keys.json', (req, res) => {
+  try {
+    const status = wallet.getStatus();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      cluster: status.cluster,
+      current: status.pubkey || process.env.SOLANA_ANCHOR_PUBKEY || null,
+      keys: status.history
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Anchor keys unavailable' });
+  }
+});
+
 // --- Initialize DB + Solana, then start ---
 const { initDb } = require('./db');
 
 async function start() {
   await initDb();
   console.log('[moltlaunch-verify] SQLite initialized');
+  signals.backfill();
+  cluster.start();
   initSolana();
+  wallet.start();
+  console.log(`[attestation] Backend: ${attestation.getBackend().name}`);
+  anchorRetry.backfillHistory();
+  credentials.init();
+  anchorRetry.start();
+  expiry.start();
+  anchorAudit.start();
+  liveness.start();
+  codeRepo.start();
+  webhooks.start();
   app.listen(PORT, () => {
     console.log('[moltlaunch-verify] Running on port ' + PORT);
     console.log('[moltlaunch-verify] Admin key: ' + (process.env.ADMIN_KEY ? 'configured' : 'NOT SET'));
     console.log('[moltlaunch-verify] Colosseum API key: ' + (process.env.COLOSSEUM_API_KEY ? 'configured' : 'NOT SET'));
-    console.log('[moltlaunch-verify] Solana wallet: ' + (process.env.SOLANA_PRIVATE_KEY ? 'configured' : 'NOT SET'));
+    console.log('[moltlaunch-verify] Solana wallet: ' + (wallet.getStatus().configured ? 'configured' : 'NOT SET'));
   });
 }
 
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, createAgent, serve, request } = require('./helpers');
+
+let db;
+let app;
+
+before(async () => {
+  process.env.ADMIN_KEY = 'test-admin-key';
+  db = await freshDb();
+  app = await serve({
+    '/api/self-verify': require('../routes/selfVerify'),
+    '/admin': require('../routes/admin')
+  });
+});
+
+after(() => app.close());
+
+function admin(method, path, body) {
+  return request(`${app.url}/admin${path}`, method, body, { 'X-Admin-Key': 'test-admin-key' });
+}
+
+
+test('admin routes need the admin key', async () => {
+  createAgent('auth-agent');
+  const result = await request(`${app.url}/admin/agents/auth-agent`, 'GET', undefined, { 'X-Admin-Key': 'wrong' });
+  assert.equal(result.status, 401);
+  assert.equal((await admin('GET', '/agents/missing')).status, 404);
+});
+
+test('revoke needs a reason, blocks upgrades and is audited; reinstate lifts it', async () => {
+  createAgent('revoke-agent', 1);
+  assert.equal((await admin('POST', '/agents/revoke-agent/revoke', {})).status, 400);
+
+  const revoked = await admin('POST', '/agents/revoke-agent/revoke', { reason: 'sybil farm' });
+  assert.equal(revoked.status, 200);
+  assert.equal(db.getAgent('revoke-agent').revoked, 1);
+  assert.equal((await admin('POST', '/agents/revoke-agent/revoke', { reason: 'again' })).status, 409);
+
+  const verify = await request(`${app.url}/api/self-verify/verify`, 'POST', {
+    agentId: 'revoke-agent', apiEndpoint: 'https://agent.example', codeUrl: 'https://github.com/me/agent'
+  });
+  assert.equal(verify.status, 403);
+
+  const record = await admin('GET', '/agents/revoke-agent');
+  assert.ok(record.body.auditLog.some(entry => entry.action === 'revoke'));
+
+  assert.equal((await admin('POST', '/agents/revoke-agent/reinstate', {})).status, 200);
+  assert.equal(db.getAgent('revoke-agent').revoked, 0);
+  assert.equal((await admin('POST', '/agents/revoke-agent/reinstate', {})).status, 409);
+});
+
+test('level overrides only lower an agent', async () => {
+  createAgent('override-agent', 2);
+  assert.equal((await admin('POST', '/agents/override-agent/level', { level: 2, reason: 'x' })).status, 400);
+  assert.equal((await admin('POST', '/agents/override-agent/level', { level: 1 })).status, 400);
+
+  const lowered = await admin('POST', '/agents/override-agent/level', { level: 1, reason: 'endpoint gone' });
+  assert.equal(lowered.status, 200);
+  assert.equal(lowered.body.previousLevel, 2);
+  const agent = db.getAgent('override-agent');
+  assert.equal(agent.level, 1);
+  assert.equal(agent.level_label, 'confirmed');
+});
+
+test('a challenge reset issues a new code only at L0', async () => {
+  createAgent('reset-l0');
+  const reset = await admin('POST', '/agents/reset-l0/reset-challenge');
+  assert.equal(reset.status, 200);
+  assert.notEqual(reset.body.challengeCode, 'code-reset-l0');
+  assert.equal(db.getAgent('reset-l0').challenge_code, reset.body.challengeCode);
+
+  createAgent('reset-l1', 1);
+  const kept = await admin('POST', '/agents/reset-l1/reset-challenge');
+  assert.equal(kept.body.challengeCode, undefined);
+  assert.equal(db.getAgent('reset-l1').challenge_code, 'code-reset-l1');
+});
@@ -0,0 +1,94 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { freshDb, createAgent } = require('./helpers');
+
+const wallet = Keypair.generate().publicKey;
+const stranger = Keypair.generate().publicKey;
+
+let db;
+let solana;
+let anchorAudit;
+const chain = new Map(); // signature → parsed transaction, newest last
+
+/**
+ * A parsed memo transaction as getParsedTransaction returns it
+ */
+function memoTx(memo, { signer = wallet, slot = chain.size + 1, failed = false } = {}) {
+  return {
+    slot,
+    blockTime: 1700000000 + slot,
+    meta: { err: failed ? 'InstructionError' : null },
+    transaction: {
+      message: {
+        instructions: [{ programId: solana.MEMO_PROGRAM_ID, parsed: memo }],
+        accountKeys: [{ pubkey: signer, signer: true }]
+      }
+    }
+  };
+}
+
+function anchor(signature, memo, options) {
+  chain.set(signature, memoTx(memo, options));
+  return signature;
+}
+
+before(async () => {
+  process.env.SOLANA_ANCHOR_PUBKEY = wallet.toBase58();
+  db = await freshDb();
+  solana = require('../lib/solana');
+  require('../lib/cluster').setConnection('anchor', {
+    getParsedTransaction: async signature => chain.get(signature) || null,
+    getParsedTransactions: async signatures => signatures.map(s => chain.get(s) || null),
+    getSignaturesForAddress: async () => Array.from(chain.keys()).reverse().map(signature => ({ signature, err: null }))
+  });
+  anchorAudit = require('../lib/anchorAudit');
+});
+
+test('parseMemo reads every molt memo and ignores others', () => {
+  assert.deepEqual(anchorAudit.parseMemo('molt:sv:agent-1:L2:verified:1700000000'),
+    { kind: 'level', agentId: 'agent-1', level: 2, label: 'verified', timestamp: 1700000000 });
+  assert.equal(anchorAudit.parseMemo('molt:depin:agent-1:helium:abc123:1700000000').bindingHash, 'abc123');
+  assert.equal(anchorAudit.parseMemo('molt:mobile:agent-1:PubKey111:1700000000').devicePubkey, 'PubKey111');
+  assert.equal(anchorAudit.parseMemo('gm'), null);
+});
+
+test('verifyAnchor checks the signer, the memo kind and every recorded field', async () => {
+  createAgent('audit-ok', 2);
+  db.updateOnChainSig('audit-ok', anchor('sig-ok', solana.buildMemo('audit-ok', 2, 'verified')));
+  const ok = await anchorAudit.verifyAnchor(db.getAgent('audit-ok'));
+  assert.equal(ok.verified, true, JSON.stringify(ok.checks));
+
+  createAgent('audit-forged', 2);
+  db.updateOnChainSig('audit-forged', anchor('sig-forged', solana.buildMemo('audit-forged', 5, 'mobile'), { signer: stranger }));
+  const forged = await anchorAudit.verifyAnchor(db.getAgent('audit-forged'));
+  assert.equal(forged.verified, false);
+  assert.deepEqual(forged.checks.filter(c => !c.ok).map(c => c.name).sort(), ['label_matches', 'level_matches', 'signed_by_anchor_wallet']);
+
+  const none = await anchorAudit.verifyAnchor(db.getAgent('audit-ok'), 'mobile');
+  assert.deepEqual(none.checks.map(c => [c.name, c.ok]), [['signature_stored', false]]);
+});
+
+test('reconcile reports chain/DB drift, skipping agents with a queued anchor', async () => {
+  createAgent('audit-stale', 2);
+  anchor('sig-stale', solana.buildMemo('audit-stale', 1, 'confirmed'));
+  createAgent('audit-revoked', 2);
+  anchor('sig-revoked', solana.buildMemo('audit-revoked', 2, 'verified'));
+  db.revokeAgent('audit-revoked', 'test');
+  createAgent('audit-queued', 2);
+  db.addPendingAnchor('audit-queued', solana.buildMemo('audit-queued', 2, 'verified'));
+  createAgent('audit-missing', 1);
+  anchor('sig-ghost', solana.buildMemo('ghost', 1, 'confirmed'));
+
+  const report = await anchorAudit.reconcile();
+  assert.deepEqual(report.mismatches.map(m => `${m.agentId} ${m.type}`).sort(), [
+    'audit-forged missing_on_chain',
+    'audit-forged signature_not_in_wallet_history',
+    'audit-missing missing_on_chain',
+    'audit-revoked revocation_mismatch',
+    'audit-stale level_mismatch',
+    'ghost unknown_agent'
+  ]);
+  assert.deepEqual(report.pending, ['audit-queued']);
+  assert.equal(anchorAudit.getLastReport(), report);
+});
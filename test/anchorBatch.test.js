@@ -0,0 +1,78 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, serve, request } = require('./helpers');
+
+let db;
+let anchorRetry;
+let app;
+let send;
+
+before(async () => {
+  process.env.ANCHOR_BATCH_INTERVAL_MS = '60000';
+  db = await freshDb();
+  // Replaced before anchorRetry picks them up
+  const solana = require('../lib/solana');
+  solana.isConfigured = () => true;
+  solana.sendMemo = memo => send(memo);
+  solana.getSignatureSlot = async () => 7;
+  anchorRetry = require('../lib/anchorRetry');
+  app = await serve({ '/api/self-verify': require('../routes/status') });
+});
+
+after(() => app.close());
+
+function createAgent(id) {
+  db.createAgent({ id, challengeCode: 'code', ipHash: 'ip', termsVersion: '1' });
+}
+
+test('batched anchors share one root transaction and each proves its inclusion', async () => {
+  assert.equal(anchorRetry.isBatching(), true);
+  createAgent('batch-a');
+  createAgent('batch-b');
+  assert.equal(await anchorRetry.anchorOrQueue('batch-a', 'molt:sv:batch-a:L0:registered:1'), null);
+  await anchorRetry.anchorOrQueue('batch-b', 'molt:sv:batch-b:L0:registered:2');
+  await anchorRetry.anchorOrQueue('batch-b', 'molt:sv:batch-b:L0:renewed:3');
+
+  const sent = [];
+  send = async memo => { sent.push(memo); return 'sig-root'; };
+  const [result] = await anchorRetry.flushBatches();
+  assert.deepEqual([result.status, result.leafCount], ['anchored', 3]);
+  assert.equal(sent.length, 1);
+  assert.match(sent[0], /^molt:batch:/);
+  assert.equal(db.getAgent('batch-a').on_chain_sig, 'sig-root');
+
+  const [anchor] = db.getAnchors('batch-a');
+  const proof = await request(`${app.url}/api/self-verify/agent/batch-a/anchors/${anchor.id}/proof`, 'GET');
+  assert.equal(proof.status, 200);
+  assert.equal(proof.body.verified, true);
+  assert.deepEqual(await anchorRetry.flushBatches(), [], 'nothing left to send');
+});
+
+test('a failing batch backs off between attempts and fails for good at MAX_RETRIES', async () => {
+  createAgent('batch-down');
+  await anchorRetry.anchorOrQueue('batch-down', 'molt:sv:batch-down:L0:registered:4');
+  send = async () => { throw new Error('devnet down'); };
+
+  const [first] = await anchorRetry.flushBatches();
+  assert.equal(first.status, 'queued');
+  assert.ok(Date.parse(first.nextAttemptAt) > Date.now() + 50 * 1000);
+  assert.deepEqual(await anchorRetry.flushBatches(), [], 'not due before its backoff');
+
+  let now = Date.now();
+  const results = [];
+  try {
+    for (let attempt = 2; attempt <= anchorRetry.MAX_RETRIES; attempt++) {
+      now += anchorRetry.backoffDelay(attempt) + 1000;
+      mock.timers.enable({ apis: ['Date'], now });
+      results.push(...await anchorRetry.flushBatches());
+      mock.timers.reset();
+    }
+  } finally {
+    mock.timers.reset();
+  }
+
+  assert.deepEqual(results.map(r => r.status), ['queued', 'queued', 'queued', 'failed']);
+  assert.equal(db.getAnchorBatch(first.id).status, 'failed');
+  assert.deepEqual(db.getAnchors('batch-down').map(a => a.status), ['failed']);
+  assert.equal(db.fullDump().audit_log.filter(e => e.action === 'anchor_batch_failed').length, 1);
+});
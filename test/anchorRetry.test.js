@@ -0,0 +1,119 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, serve, request } = require('./helpers');
+
+let db;
+let anchorRetry;
+let configured = true;
+let send;
+let app;
+
+before(async () => {
+  db = await freshDb();
+  // Replaced before anchorRetry picks them up
+  const solana = require('../lib/solana');
+  solana.isConfigured = () => configured;
+  solana.sendMemo = memo => send(memo);
+  solana.getSignatureSlot = async () => 4242;
+  anchorRetry = require('../lib/anchorRetry');
+  app = await serve({ '/api/self-verify': require('../routes/status') });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  configured = true;
+  db.purgePendingAnchors('pending');
+  db.purgePendingAnchors('dead');
+});
+
+function createAgent(id) {
+  db.createAgent({ id, challengeCode: 'code', ipHash: 'ip', termsVersion: '1' });
+}
+
+test('backoff doubles from 30s and is capped at an hour', () => {
+  assert.equal(anchorRetry.backoffDelay(0), 30 * 1000);
+  assert.equal(anchorRetry.backoffDelay(1), 60 * 1000);
+  assert.equal(anchorRetry.backoffDelay(3), 4 * 60 * 1000);
+  assert.equal(anchorRetry.backoffDelay(20), 60 * 60 * 1000);
+});
+
+test('a successful retry removes the entry and writes the signature back', async () => {
+  createAgent('retry-ok');
+  db.addPendingAnchor('retry-ok', 'molt:sv:retry-ok:L0:registered:1');
+  send = async () => 'sig-ok';
+
+  const results = await anchorRetry.drainQueue();
+  assert.deepEqual(results.map(r => [r.status, r.signature]), [['anchored', 'sig-ok']]);
+  assert.equal(db.getPendingAnchors('pending').length, 0);
+  assert.equal(db.getAgent('retry-ok').on_chain_sig, 'sig-ok');
+});
+
+test('a failed retry is rescheduled with backoff, then goes dead at MAX_RETRIES', async () => {
+  createAgent('retry-fail');
+  db.addPendingAnchor('retry-fail', 'molt:sv:retry-fail:L0:registered:1');
+  send = async () => { throw new Error('devnet down'); };
+
+  const [first] = await anchorRetry.drainQueue();
+  assert.equal(first.status, 'pending');
+  const row = db.getPendingAnchor(first.id);
+  assert.equal(row.retries, 1);
+  assert.equal(row.last_error, 'devnet down');
+  assert.ok(Date.parse(row.next_attempt_at) > Date.now() + 50 * 1000);
+  assert.deepEqual(await anchorRetry.drainQueue(), [], 'not due before its backoff');
+
+  const last = await anchorRetry.retryAnchor(Object.assign({}, row, { retries: anchorRetry.MAX_RETRIES - 1 }));
+  assert.equal(last.status, 'dead');
+  assert.equal(db.getPendingAnchor(first.id).status, 'dead');
+});
+
+test('nothing is retried while the wallet is not configured', async () => {
+  createAgent('retry-idle');
+  db.addPendingAnchor('retry-idle', 'molt:sv:retry-idle:L0:registered:1');
+  configured = false;
+  send = async () => assert.fail('must not send');
+
+  assert.deepEqual(await anchorRetry.drainQueue(), []);
+  assert.equal(db.getPendingAnchors('pending').length, 1);
+});
+
+test('memos map to history events', () => {
+  assert.equal(anchorRetry.eventForMemo('molt:sv:a:L2:verified:1'), 'level');
+  assert.equal(anchorRetry.eventForMemo('molt:sv:a:L2:revoked:1'), 'revocation');
+  assert.equal(anchorRetry.eventForMemo('molt:sv:a:L0:decayed:1'), 'decayed');
+  assert.equal(anchorRetry.eventForMemo('molt:mobile:a:Key:1'), 'mobile');
+  assert.equal(anchorRetry.eventForMemo('hello'), 'other');
+});
+
+test('backfill seeds an empty history once from stored signatures and the queue', () => {
+  createAgent('history-old');
+  db.addPendingAnchor('history-old', 'molt:sv:history-old:L0:registered:1');
+
+  // retry-ok's signature (written back above) and history-old's queued memo
+  assert.equal(anchorRetry.backfillHistory(), 2);
+  assert.deepEqual(db.getAnchors('retry-ok').map(a => [a.event, a.status, a.signature]), [['level', 'confirmed', 'sig-ok']]);
+  const [queued] = db.getAnchors('history-old');
+  assert.equal(queued.status, 'queued');
+  assert.equal(db.getPendingAnchors('pending')[0].anchor_id, queued.id);
+  assert.equal(anchorRetry.backfillHistory(), 0);
+});
+
+test('every anchor attempt lands in the history, and a retry confirms the same row', async () => {
+  createAgent('history-new');
+  send = async () => { throw new Error('blockhash expired'); };
+  assert.equal(await anchorRetry.anchorOrQueue('history-new', 'molt:sv:history-new:L0:registered:2'), null);
+
+  let [row] = db.getAnchors('history-new');
+  assert.deepEqual([row.status, row.last_error], ['queued', 'blockhash expired']);
+
+  send = async () => 'sig-late';
+  await anchorRetry.drainQueue();
+  [row] = db.getAnchors('history-new');
+  assert.deepEqual([row.status, row.signature, row.slot, row.last_error], ['confirmed', 'sig-late', 4242, null]);
+
+  await anchorRetry.anchorOrQueue('history-new', 'molt:sv:history-new:L0:renewed:3');
+  const history = await request(`${app.url}/api/self-verify/agent/history-new/anchors`, 'GET');
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.anchors.map(a => [a.event, a.status]), [['renewed', 'confirmed'], ['level', 'confirmed']]);
+  assert.match(history.body.anchors[0].explorerUrl, /sig-late/);
+});
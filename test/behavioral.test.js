@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, createAgent, keypair, serve, request } = require('./helpers');
+
+let db;
+let behavioral;
+let app;
+const forumPosts = {};
+
+/**
+ * n posts an hour apart, so every bundle or forum history differs by author
+ */
+function postsFor(author, n) {
+  const start = Date.parse('2026-01-05T08:00:00Z');
+  return Array.from({ length: n }, (_, i) => ({
+    title: `${author} update ${i}`,
+    body: `Shipping the solana staking vault, part ${i}. Any questions?`,
+    createdAt: new Date(start + i * 3600000).toISOString()
+  }));
+}
+
+before(async () => {
+  db = await freshDb();
+  // behavioral.js takes getAgentPosts at require time: replace it first
+  require('../lib/colosseum').getAgentPosts = async agentId => {
+    if (!forumPosts[agentId]) throw new Error('forum unreachable');
+    return forumPosts[agentId];
+  };
+  behavioral = require('../lib/behavioral');
+  process.env.ADMIN_KEY = 'test-admin-key';
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify'), '/admin': require('../routes/admin') });
+});
+
+after(() => app.close());
+
+function submit(body) {
+  return request(`${app.url}/api/self-verify/behavioral`, 'POST', body);
+}
+
+test('normalizeBundle rejects empty, oversized and malformed bundles', () => {
+  assert.match(behavioral.normalizeBundle([]).error, /non-empty/);
+  assert.match(behavioral.normalizeBundle(postsFor('x', 501)).error, /at most 500/);
+  assert.match(behavioral.normalizeBundle([{ body: 'hi', createdAt: 'yesterday' }]).error, /createdAt/);
+  assert.deepEqual(behavioral.normalizeBundle([{ body: 'hi', createdAt: '2026-01-01T00:00:00Z', extra: 1 }]).posts,
+    [{ title: '', body: 'hi', createdAt: '2026-01-01T00:00:00Z' }]);
+});
+
+test('the fingerprint is deterministic and needs MIN_POSTS posts', () => {
+  const posts = postsFor('det', behavioral.MIN_POSTS);
+  const a = behavioral.fingerprintFromPosts('det', posts, 'live');
+  const b = behavioral.fingerprintFromPosts('det', posts, 'live');
+  assert.equal(a.fingerprint, b.fingerprint);
+  assert.match(a.fingerprint, /^[0-9a-f]{64}$/);
+  assert.equal(a.postCount, behavioral.MIN_POSTS);
+  assert.equal(behavioral.fingerprintFromPosts('det', posts.slice(1), 'live'), null);
+});
+
+test('live forum posts set the behavioral_fingerprint signal', async () => {
+  createAgent('beh-live', 2);
+  forumPosts['beh-live'] = postsFor('beh-live', 8);
+
+  const result = await submit({ agentId: 'beh-live' });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(db.getExtendedVerification('beh-live').fingerprint_source, 'live');
+  assert.equal(require('../lib/signals').getSignals('beh-live').behavioral_fingerprint.value, true);
+});
+
+test('too few posts everywhere is a 404 that lists each attempt', async () => {
+  createAgent('beh-sparse', 2);
+  forumPosts['beh-sparse'] = postsFor('beh-sparse', 2);
+
+  const result = await submit({ agentId: 'beh-sparse' });
+  assert.equal(result.status, 404);
+  assert.deepEqual(result.body.attempts.map(a => a.source), ['live', 'pre-computed']);
+  assert.equal(result.body.attempts[0].postCount, 2);
+});
+
+test('a bundle signed by the agent\'s proven wallet is fingerprinted without the forum', async () => {
+  createAgent('beh-bundle', 1);
+  const wallet = keypair();
+  db.setAgentWallet('beh-bundle', wallet.publicKey);
+  const posts = postsFor('beh-bundle', 6);
+  const signature = wallet.sign(behavioral.buildBundleMessage('beh-bundle', posts));
+
+  const result = await submit({ agentId: 'beh-bundle', posts, signature, signerPubkey: wallet.publicKey });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(db.getExtendedVerification('beh-bundle').fingerprint_source, 'signed-bundle');
+});
+
+test('a bundle is refused from an unproven key or with a signature over other posts', async () => {
+  createAgent('beh-forged', 1);
+  const wallet = keypair();
+  db.setAgentWallet('beh-forged', wallet.publicKey);
+  const posts = postsFor('beh-forged', 6);
+
+  const stranger = keypair();
+  const unproven = await submit({
+    agentId: 'beh-forged', posts, signerPubkey: stranger.publicKey,
+    signature: stranger.sign(behavioral.buildBundleMessage('beh-forged', posts))
+  });
+  assert.equal(unproven.status, 400);
+  assert.match(unproven.body.error, /already proven/);
+
+  const tampered = await submit({
+    agentId: 'beh-forged', posts: postsFor('someone-else', 6), signerPubkey: wallet.publicKey,
+    signature: wallet.sign(behavioral.buildBundleMessage('beh-forged', posts))
+  });
+  assert.equal(tampered.status, 400);
+  assert.match(tampered.body.error, /signature invalid/);
+});
+
+test('the similarity scan is exhaustive and repeatable', () => {
+  const posts = postsFor('scan', 6).map(p => Object.assign({}, p, { body: 'Oracle forecast: the sentiment indicator is trending up' }));
+  const features = behavioral.extractAllFeatures(posts);
+  behavioral.rememberFingerprint('scan-copy', features);
+
+  const first = behavioral.scanSimilar(features, 'scan');
+  const second = behavioral.scanSimilar(features, 'scan');
+  assert.deepEqual(first, second);
+  assert.equal(first.neighbors[0].agentId, 'scan-copy');
+  assert.equal(first.neighbors[0].similarity.combined, 1);
+  assert.equal(behavioral.scanSimilar(features, 'scan-copy', 0).compared, first.compared - 1);
+  assert.equal(behavioral.scanSimilar(features, 'scan', 2).neighbors.length, 2);
+});
+
+test('a near-duplicate fingerprint flags both agents once, naming each other', async () => {
+  const poker = n => postsFor('twin', n).map(p => Object.assign({}, p, { body: 'Poker tournament tonight, join the table at the arena' }));
+  createAgent('beh-twin-a', 1);
+  createAgent('beh-twin-b', 1);
+  forumPosts['beh-twin-a'] = poker(7);
+  forumPosts['beh-twin-b'] = poker(7);
+
+  assert.equal((await submit({ agentId: 'beh-twin-a' })).status, 200);
+  assert.equal((await submit({ agentId: 'beh-twin-b' })).status, 200);
+
+  const pairs = id => db.getSybilSignals(id)
+    .filter(s => s.signal_type === 'behavioral_similarity' && s.signal_value.startsWith('counterpart='))
+    .map(s => s.signal_value);
+  assert.deepEqual(pairs('beh-twin-b'), ['counterpart=beh-twin-a;similarity=1']);
+  assert.deepEqual(pairs('beh-twin-a'), ['counterpart=beh-twin-b;similarity=1']);
+});
+
+test('admins can list an agent\'s nearest neighbours', async () => {
+  const headers = { 'X-Admin-Key': 'test-admin-key' };
+  const result = await request(`${app.url}/admin/agents/beh-twin-a/similar?k=1`, 'GET', undefined, headers);
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.neighbors.map(n => [n.agentId, n.sybil]), [['beh-twin-b', true]]);
+
+  assert.equal((await request(`${app.url}/admin/agents/beh-twin-a/similar?k=0`, 'GET', undefined, headers)).status, 400);
+  createAgent('beh-none', 1);
+  assert.equal((await request(`${app.url}/admin/agents/beh-none/similar`, 'GET', undefined, headers)).status, 404);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, keypair, serve, request } = require('./helpers');
+
+let db;
+let app;
+let buildConfirmMessage;
+const files = {};
+const txtRecords = {};
+
+before(async () => {
+  db = await freshDb();
+  // Providers destructure these at load: replace them first
+  require('../lib/safeFetch').safeFetch = async url => (url in files ? { status: 200, body: files[url] } : { status: 404, body: '' });
+  require('dns').promises.resolveTxt = async name => {
+    if (!txtRecords[name]) throw Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' });
+    return txtRecords[name];
+  };
+  ({ buildConfirmMessage } = require('../lib/challengeProviders'));
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+});
+
+after(() => app.close());
+
+function register(agentId, challengeMethod, challengeTarget) {
+  return request(`${app.url}/api/self-verify`, 'POST', { agentId, acceptTerms: true, challengeMethod, challengeTarget });
+}
+
+function confirm(agentId, extra = {}) {
+  return request(`${app.url}/api/self-verify/confirm`, 'POST', Object.assign({ agentId }, extra));
+}
+
+/**
+ * Register with a GitHub gist owned by `owner` and publish the code in it
+ */
+async function registerOnGist(agentId, owner) {
+  const gist = `https://gist.github.com/${owner}/${agentId}`;
+  const registered = await register(agentId, 'github', gist);
+  assert.equal(registered.status, 201, JSON.stringify(registered.body));
+  files[`https://gist.githubusercontent.com/${owner}/${agentId}/raw`] = `moltlaunch ${registered.body.challengeCode}`;
+  return registered.body;
+}
+
+test('targets are validated per provider at registration', async () => {
+  assert.equal((await register('cp-bad-gist', 'github', 'https://example.com/file')).status, 400);
+  assert.equal((await register('cp-bad-dns', 'dns', 'not a domain')).status, 400);
+  assert.equal((await register('cp-bad-wallet', 'wallet', 'not-a-key')).status, 400);
+  const unknown = await register('cp-unknown', 'carrier-pigeon');
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.available, ['colosseum', 'github', 'dns', 'wallet']);
+});
+
+test('a code in the gist confirms L1 and records the owner as the identity', async () => {
+  await registerOnGist('cp-gist', 'Octo');
+  const result = await confirm('cp-gist');
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(db.getAgent('cp-gist').level, 1);
+  assert.equal(db.getAgent('cp-gist').confirmed_identity, 'github:octo');
+  const evidence = require('../lib/signals').getSignals('cp-gist').forum_identity.evidence;
+  assert.equal(evidence.method, 'github_file');
+});
+
+test('an identity that confirmed one agent cannot confirm another', async () => {
+  await registerOnGist('cp-gist-twin', 'octo');
+  const result = await confirm('cp-gist-twin');
+  assert.equal(result.status, 409);
+  assert.equal(result.body.identity, 'github:octo');
+  assert.equal(db.getAgent('cp-gist-twin').level, 0);
+  for (const id of ['cp-gist', 'cp-gist-twin']) {
+    const owners = db.getSybilSignals(id).filter(s => s.signal_type === 'github_owner');
+    assert.deepEqual(owners.map(s => s.signal_value), ['octo']);
+  }
+});
+
+test('a DNS TXT record confirms L1; a missing record explains itself', async () => {
+  const { challengeCode } = (await register('cp-dns', 'dns', 'agent.example.com')).body;
+  const missing = await confirm('cp-dns');
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.details, /No TXT record at _moltlaunch\.agent\.example\.com/);
+
+  txtRecords['_moltlaunch.agent.example.com'] = [['moltlaunch-verify=', challengeCode]];
+  assert.equal((await confirm('cp-dns')).status, 200);
+  assert.equal(db.getAgent('cp-dns').confirmed_identity, 'dns:agent.example.com');
+});
+
+test('a wallet signature confirms L1 and names the agent\'s wallet', async () => {
+  const wallet = keypair();
+  const { challengeCode } = (await register('cp-wallet', 'wallet', wallet.publicKey)).body;
+
+  const wrongKey = await confirm('cp-wallet', { signature: keypair().sign(buildConfirmMessage('cp-wallet', challengeCode)) });
+  assert.equal(wrongKey.status, 400);
+
+  const result = await confirm('cp-wallet', { signature: wallet.sign(buildConfirmMessage('cp-wallet', challengeCode)) });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  const agent = db.getAgent('cp-wallet');
+  assert.equal(agent.confirmed_identity, `wallet:${wallet.publicKey}`);
+  assert.equal(agent.wallet, wallet.publicKey);
+});
+
+test('L1 renewal must come from the identity that confirmed the agent', async () => {
+  await registerOnGist('cp-renew', 'renewer');
+  assert.equal((await confirm('cp-renew')).status, 200);
+
+  const issued = await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'cp-renew' });
+  assert.equal(issued.status, 202);
+  files['https://gist.githubusercontent.com/renewer/cp-renew/raw'] = `renewing ${issued.body.renewalCode}`;
+
+  db.setConfirmedIdentity('cp-renew', 'github:someone-else');
+  const mismatch = await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'cp-renew' });
+  assert.equal(mismatch.status, 403);
+  assert.equal(mismatch.body.identity, 'github:renewer');
+  assert.ok(db.getAuditLog('cp-renew').some(e => e.action === 'renew_identity_mismatch'));
+
+  db.setConfirmedIdentity('cp-renew', 'github:renewer');
+  const renewed = await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'cp-renew' });
+  assert.equal(renewed.status, 200, JSON.stringify(renewed.body));
+});
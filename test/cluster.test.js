@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+let cluster;
+let stake;
+let rpc;
+const calls = [];
+
+// A JSON-RPC endpoint answering just what readStake asks for
+const RESULTS = {
+  getBalance: { context: { slot: 99 }, value: 3 * LAMPORTS_PER_SOL },
+  getSlot: 99,
+  getTokenAccountsByOwner: { context: { slot: 99 }, value: [] },
+  getProgramAccounts: []
+};
+
+before(async () => {
+  rpc = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method } = JSON.parse(body);
+      calls.push(method);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: RESULTS[method] }));
+    });
+  });
+  await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+
+  // Port 1 refuses connections: the stake role has to fail over to the live endpoint
+  process.env.STAKE_CLUSTER = 'localnet';
+  process.env.STAKE_RPC_URLS = `http://127.0.0.1:1, http://127.0.0.1:${rpc.address().port}`;
+  process.env.SOLANA_CLUSTER = 'testnet';
+  cluster = require('../lib/cluster');
+  stake = require('../lib/stake');
+});
+
+after(() => rpc.close());
+
+test('reads move to the next endpoint on a transport error and stay there', async () => {
+  const wallet = Keypair.generate().publicKey.toBase58();
+  const reading = await stake.readStake(wallet);
+  assert.equal(reading.lamports, 3 * LAMPORTS_PER_SOL);
+  assert.equal(reading.slot, 99);
+  assert.equal(stake.evaluateStake(reading).sol, 3);
+
+  const { roles } = cluster.status();
+  assert.equal(roles.stake.cluster, 'localnet');
+  assert.equal(roles.stake.active, `http://127.0.0.1:${rpc.address().port}`);
+  assert.deepEqual(roles.stake.endpoints.map(e => [e.healthy, e.failures]), [[false, 1], [true, 0]]);
+});
+
+test('a request error is not a reason to fail over', async () => {
+  await assert.rejects(cluster.withFailover('stake', async () => { throw new Error('Invalid param: WrongSize'); }), /WrongSize/);
+  assert.equal(cluster.status().roles.stake.endpoints[1].healthy, true);
+});
+
+test('the health check brings endpoints back and marks dead ones down', async () => {
+  const { roles } = await cluster.checkHealth();
+  assert.deepEqual(roles.stake.endpoints.map(e => e.healthy), [false, true]);
+  assert.ok(calls.includes('getSlot'));
+});
+
+test('explorer links follow the anchor cluster', () => {
+  assert.equal(cluster.explorerUrl('tx/abc'), 'https://explorer.solana.com/tx/abc?cluster=testnet');
+  assert.equal(cluster.explorerUrl('tx/abc', 'mainnet-beta'), 'https://explorer.solana.com/tx/abc');
+  assert.match(cluster.explorerUrl('tx/abc', 'localnet'), /cluster=custom&customUrl=http%3A%2F%2F127\.0\.0\.1%3A8899/);
+});
@@ -0,0 +1,175 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { freshDb, createAgent, serve, request } = require('./helpers');
+
+// A local stand-in for the GitHub API: repository name → { repo, head, files } (null repo = 404)
+const REPOS = {
+  'me/agent': { repo: { default_branch: 'main' }, head: 'c0ffee01', files: { 'moltlaunch.json': '{"agentId": "agent-a", "token": "tok_secret"}' } },
+  'me/well-known': { repo: { default_branch: 'trunk' }, head: 'c0ffee02', files: { '.well-known/moltlaunch.json': '{"agentId": "agent-a", "token": "tok_secret"}' } },
+  'me/signed': { repo: { default_branch: 'main' }, head: 'c0ffee03', files: { 'moltlaunch.json': '{"agentId": "agent-s", "proofPubkey": "PubKey111"}' } },
+  'me/private': { repo: { default_branch: 'main', private: true }, head: 'c0ffee04', files: {} },
+  'me/empty': { repo: { default_branch: 'main' }, head: null, files: {} },
+  'me/no-proof': { repo: { default_branch: 'main' }, head: 'c0ffee05', files: {} },
+  'me/limited': { status: 403 },
+  'me/verified': { repo: { default_branch: 'main' }, head: 'c0ffee06', files: { 'moltlaunch.json': '{"agentId": "repo-agent", "token": "tok_repo-agent"}' } }
+};
+
+let db;
+let server;
+let app;
+let codeRepo;
+let verifyRepository;
+let computeTrustScore;
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  db = await freshDb();
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // The agents' own endpoints share this server
+    const wellKnown = url.pathname.match(/^\/agents\/([^/]+)\/\.well-known\/moltlaunch\.json$/);
+    if (wellKnown) return json(res, 200, { agentId: wellKnown[1], token: 'tok_' + wellKnown[1] });
+    const match = url.pathname.match(/^\/repos\/([^/]+\/[^/]+)(?:\/(commits|contents)\/(.+))?$/);
+    const entry = match && REPOS[match[1]];
+    if (!entry) return json(res, 404, { message: 'Not Found' });
+    if (entry.status) return json(res, entry.status, { message: 'API rate limit exceeded' });
+
+    const [, name, kind, rest] = match;
+    if (!kind) {
+      return json(res, 200, Object.assign({ full_name: name, private: false, html_url: `https://github.com/${name}` }, entry.repo));
+    }
+    if (kind === 'commits') {
+      // The default branch or the head sha itself (an overwritten head is gone, as after a force-push)
+      const known = entry.head && (rest === entry.repo.default_branch || rest === entry.head);
+      return known ? json(res, 200, { sha: entry.head }) : json(res, 404, { message: 'Not Found' });
+    }
+    const content = url.searchParams.get('ref') === entry.head ? entry.files[rest] : undefined;
+    if (content === undefined) return json(res, 404, { message: 'Not Found' });
+    json(res, 200, { encoding: 'base64', content: Buffer.from(content).toString('base64') });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // Read when the modules load
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.FETCH_ALLOW_PRIVATE = 'true';
+  codeRepo = require('../lib/codeRepo');
+  ({ verifyRepository } = codeRepo);
+  ({ computeTrustScore } = require('../lib/trustScore'));
+  app = await serve({ '/api/self-verify': [require('../routes/selfVerify'), require('../routes/status')] });
+});
+
+after(async () => {
+  await app.close();
+  server.close();
+});
+
+const tokenAgent = { id: 'agent-a', challenge_token: 'tok_secret', proof_pubkey: null };
+
+test('a public repository with the proof file passes and records the head commit', async () => {
+  const result = await verifyRepository('https://github.com/me/agent/tree/main', tokenAgent);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.repo, {
+    host: 'github',
+    path: 'me/agent',
+    url: 'https://github.com/me/agent',
+    defaultBranch: 'main',
+    commit: 'c0ffee01',
+    proofFile: 'moltlaunch.json'
+  });
+});
+
+test('the proof file may live under .well-known on any default branch', async () => {
+  const result = await verifyRepository('https://github.com/me/well-known.git', tokenAgent);
+  assert.equal(result.ok, true);
+  assert.equal(result.repo.proofFile, '.well-known/moltlaunch.json');
+  assert.equal(result.repo.defaultBranch, 'trunk');
+  assert.equal(result.repo.commit, 'c0ffee02');
+});
+
+test('signed-mode agents need their proofPubkey in the file, not a token', async () => {
+  const signed = { id: 'agent-s', challenge_token: 'tok_other', proof_pubkey: 'PubKey111' };
+  assert.equal((await verifyRepository('https://github.com/me/signed', signed)).ok, true);
+
+  const result = await verifyRepository('https://github.com/me/signed', Object.assign({}, signed, { proof_pubkey: 'PubKey222' }));
+  assert.equal(result.reason, 'proof_mismatch');
+  assert.match(result.message, /proofPubkey/);
+});
+
+test('a file for another agent or token is a proof_mismatch', async () => {
+  assert.equal((await verifyRepository('https://github.com/me/agent', { id: 'agent-b', challenge_token: 'tok_secret' })).reason, 'proof_mismatch');
+  assert.equal((await verifyRepository('https://github.com/me/agent', { id: 'agent-a', challenge_token: 'tok_wrong' })).reason, 'proof_mismatch');
+});
+
+test('missing, private, empty and proof-less repositories fail with their reason', async () => {
+  const cases = {
+    'https://github.com/me/unknown': 'repo_not_found',
+    'https://github.com/me/private': 'repo_private',
+    'https://github.com/me/empty': 'repo_empty',
+    'https://github.com/me/no-proof': 'proof_missing'
+  };
+  for (const [codeUrl, reason] of Object.entries(cases)) {
+    const result = await verifyRepository(codeUrl, tokenAgent);
+    assert.equal(result.ok, false, codeUrl);
+    assert.equal(result.reason, reason, codeUrl);
+  }
+});
+
+test('URLs that are not https repositories on a known host are unsupported_host', async () => {
+  for (const codeUrl of ['https://example.com/me/agent', 'http://github.com/me/agent', 'https://github.com/me', 'not a url']) {
+    assert.equal((await verifyRepository(codeUrl, tokenAgent)).reason, 'unsupported_host', codeUrl);
+  }
+});
+
+test('a refused API call throws with reason repo_api_error', async () => {
+  await assert.rejects(verifyRepository('https://github.com/me/limited', tokenAgent), { reason: 'repo_api_error' });
+});
+
+test('/verify records the verified commit, and the sweep flags it once it disappears', async () => {
+  createAgent('repo-agent', 1);
+  const apiEndpoint = `${process.env.GITHUB_API_URL}/agents/repo-agent`;
+  const verified = await request(`${app.url}/api/self-verify/verify`, 'POST', {
+    agentId: 'repo-agent', apiEndpoint, codeUrl: 'https://github.com/me/verified'
+  });
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+  assert.equal(verified.body.verifiedRepository.commit, 'c0ffee06');
+  assert.equal(require('../lib/signals').getSignals('repo-agent').endpoint_control.evidence.codeCommit, 'c0ffee06');
+
+  assert.deepEqual(await codeRepo.sweep(), { checked: 1, missing: [], errors: 0 });
+
+  // Force-pushed away: the verified commit is no longer in the repository
+  REPOS['me/verified'].head = 'c0ffee07';
+  assert.deepEqual((await codeRepo.sweep()).missing, ['repo-agent']);
+  const profile = await request(`${app.url}/api/self-verify/agent/repo-agent`, 'GET');
+  assert.equal(profile.body.codeRepository.status, 'commit_not_found');
+  const penalised = computeTrustScore(db.getAgent('repo-agent'));
+  assert.equal(penalised.components.codeRepo.points, -10);
+  assert.equal(penalised.components.codeRepo.status, 'commit_not_found');
+
+  REPOS['me/verified'].head = 'c0ffee06';
+  await codeRepo.sweep();
+  assert.equal(computeTrustScore(db.getAgent('repo-agent')).components.codeRepo.points, 0);
+  assert.ok(db.getAuditLog('repo-agent').some(e => e.action === 'code_repo_restored'));
+});
+
+test('re-verifying after a downgrade clears code_repo_missing', async () => {
+  delete REPOS['me/verified'];
+  await codeRepo.sweep();
+  assert.equal(computeTrustScore(db.getAgent('repo-agent')).components.codeRepo.missing, true);
+
+  // Dropped to L1 (e.g. by the liveness monitor): /verify runs the checks again
+  require('../lib/signals').clearAbove('repo-agent', 1, 'test');
+
+  REPOS['me/verified'] = { repo: { default_branch: 'main' }, head: 'c0ffee08', files: { 'moltlaunch.json': '{"agentId": "repo-agent", "token": "tok_repo-agent"}' } };
+  const verified = await request(`${app.url}/api/self-verify/verify`, 'POST', {
+    agentId: 'repo-agent', apiEndpoint: `${process.env.GITHUB_API_URL}/agents/repo-agent`, codeUrl: 'https://github.com/me/verified'
+  });
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+  assert.equal(computeTrustScore(db.getAgent('repo-agent')).components.codeRepo.missing, false);
+  assert.equal(db.getExtendedVerification('repo-agent').code_commit, 'c0ffee08');
+});
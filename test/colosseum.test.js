@@ -0,0 +1,171 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { freshDb, serve, request } = require('./helpers');
+
+process.env.COLOSSEUM_PAGE_SIZE = '2';
+
+let db;
+let colosseum;
+let app;
+const thread = []; // oldest first
+const forum = { newestFirst: true, retryAfter: null, requests: [] };
+let nextId = 1;
+
+/**
+ * Answer the Colosseum client's https.request from `thread`, honoring sort order and paging
+ */
+function fakeColosseumRequest(options, callback) {
+  const req = new EventEmitter();
+  req.setTimeout = () => req;
+  req.destroy = () => {};
+  req.end = () => {
+    forum.requests.push(options.path);
+    const res = new EventEmitter();
+    res.headers = {};
+    let body;
+    if (forum.retryAfter !== null) {
+      res.statusCode = 429;
+      res.headers['retry-after'] = forum.retryAfter;
+      body = { error: 'slow down' };
+    } else {
+      const query = new URL(options.path, 'https://agents.colosseum.com').searchParams;
+      const offset = Number(query.get('offset'));
+      const ordered = forum.newestFirst ? thread.slice().reverse() : thread;
+      res.statusCode = 200;
+      body = { comments: ordered.slice(offset, offset + Number(query.get('limit'))) };
+    }
+    callback(res);
+    res.emit('data', JSON.stringify(body));
+    res.emit('end');
+  };
+  return req;
+}
+
+function post(fields) {
+  const comment = Object.assign({ id: nextId, createdAt: new Date(Date.UTC(2026, 0, 1, 0, nextId)).toISOString() }, fields);
+  nextId++;
+  thread.push(comment);
+  return comment;
+}
+
+/**
+ * Let the comment cache go stale and count the API requests the next call makes
+ */
+function expireCache() {
+  mock.timers.tick(20 * 1000);
+  forum.requests.length = 0;
+}
+
+before(async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  db = await freshDb();
+  https.request = fakeColosseumRequest;
+  colosseum = require('../lib/colosseum');
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+});
+
+after(async () => {
+  await app.close();
+  mock.timers.reset();
+});
+
+test('author fields are read under every known spelling, and disagreeing ones never match', async () => {
+  post({ author_name: 'Alpha', agent_id: 'acct-a', body: 'hello code-alpha' });
+  post({ authorName: 'beta', agentName: 'gamma', agentId: 'acct-b', body: 'code-beta' });
+  post({ agentName: 'delta', body: 'code-delta' });
+  post({ author: { id: 'acct-e', name: 'Epsilon' }, body: 'code-epsilon' });
+
+  const alpha = await colosseum.verifyChallengeOnForum('alpha', 'code-alpha');
+  assert.equal(alpha.found, true);
+  assert.equal(alpha.authorId, 'acct-a');
+  assert.equal(forum.requests.length, 3);
+
+  assert.equal((await colosseum.verifyChallengeOnForum('beta', 'code-beta')).found, false);
+  assert.equal((await colosseum.verifyChallengeOnForum('delta', 'code-delta')).found, false);
+  assert.equal((await colosseum.verifyChallengeOnForum('epsilon', 'code-epsilon')).authorId, 'acct-e');
+  assert.equal((await colosseum.verifyChallengeOnForum('someone', 'code-alpha', 'acct-a')).found, true);
+});
+
+test('a refresh reads new pages only until it reaches a cached comment', async () => {
+  post({ authorName: 'zeta', authorId: 'acct-z', body: 'code-zeta' });
+  expireCache();
+  assert.equal((await colosseum.verifyChallengeOnForum('zeta', 'code-zeta')).found, true);
+  assert.equal(forum.requests.length, 1);
+  assert.match(forum.requests[0], /sort=new&limit=2&offset=0/);
+  assert.equal(colosseum.getCommentCacheStatus().newestFirst, true);
+});
+
+test('pages that are not newest first are read in full every refresh', async () => {
+  forum.newestFirst = false;
+  post({ authorName: 'eta', authorId: 'acct-h', body: 'code-eta' });
+  expireCache();
+  assert.equal((await colosseum.verifyChallengeOnForum('eta', 'code-eta')).found, true);
+  assert.equal(forum.requests.length, 4);
+  assert.equal(colosseum.getCommentCacheStatus().newestFirst, false);
+
+  expireCache();
+  await colosseum.getForumComments();
+  assert.equal(forum.requests.length, 4);
+
+  forum.newestFirst = true;
+  expireCache();
+  await colosseum.getForumComments();
+  assert.equal(colosseum.getCommentCacheStatus().newestFirst, true);
+});
+
+test('a 429 never waits: cached comments still confirm and misses fail fast', async () => {
+  forum.retryAfter = '120';
+  expireCache();
+  const cached = await colosseum.verifyChallengeOnForum('zeta', 'code-zeta');
+  assert.equal(cached.found, true);
+  assert.equal(forum.requests.length, 1);
+
+  await assert.rejects(colosseum.verifyChallengeOnForum('zeta', 'code-not-posted'), e => e.retryAfterMs === 120 * 1000);
+  assert.equal(forum.requests.length, 1);
+  assert.ok(colosseum.getCommentCacheStatus().rateLimitedUntil);
+
+  forum.retryAfter = null;
+  mock.timers.tick(121 * 1000);
+  assert.equal((await colosseum.verifyChallengeOnForum('zeta', 'code-not-posted')).found, false);
+  assert.equal(forum.requests.length, 2);
+});
+
+test('registration refuses a Colosseum challengeTarget', async () => {
+  const result = await request(`${app.url}/api/self-verify`, 'POST', {
+    agentId: 'col-impostor', acceptTerms: true, challengeMethod: 'colosseum', challengeTarget: 'acct-a'
+  });
+  assert.equal(result.status, 400);
+  assert.equal(db.getAgent('col-impostor'), null);
+});
+
+test('confirmation matches the author name and pins that comment\'s account', async () => {
+  const { challengeCode } = (await request(`${app.url}/api/self-verify`, 'POST', { agentId: 'col-pin', acceptTerms: true })).body;
+
+  // Someone else's account posting the code does not confirm
+  post({ authorName: 'alpha', authorId: 'acct-a', body: challengeCode });
+  expireCache();
+  assert.equal((await request(`${app.url}/api/self-verify/confirm`, 'POST', { agentId: 'col-pin' })).status, 400);
+
+  post({ authorName: 'col-pin', authorId: 'acct-pin', body: challengeCode });
+  expireCache();
+  const confirmed = await request(`${app.url}/api/self-verify/confirm`, 'POST', { agentId: 'col-pin' });
+  assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  const agent = db.getAgent('col-pin');
+  assert.equal(agent.challenge_target, 'acct-pin');
+  assert.equal(agent.confirmed_identity, 'colosseum:acct-pin');
+});
+
+test('renewal matches the pinned account, not the name', async () => {
+  const { renewalCode } = (await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'col-pin' })).body;
+
+  post({ authorName: 'col-pin', authorId: 'acct-lookalike', body: renewalCode });
+  expireCache();
+  assert.equal((await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'col-pin' })).status, 400);
+
+  post({ authorName: 'renamed-pin', authorId: 'acct-pin', body: renewalCode });
+  expireCache();
+  const renewed = await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'col-pin' });
+  assert.equal(renewed.status, 200, JSON.stringify(renewed.body));
+});
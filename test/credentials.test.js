@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const { freshDb, createAgent, serve, request } = require('./helpers');
+
+let db;
+let credentials;
+let app;
+
+before(async () => {
+  // A key from the environment, so no issuer key file is written
+  process.env.ISSUER_PRIVATE_KEY = JSON.stringify(Array.from(nacl.sign.keyPair().secretKey));
+  db = await freshDb();
+  credentials = require('../lib/credentials');
+  app = await serve({ '/api/self-verify': require('../routes/status') });
+});
+
+after(() => app.close());
+
+function decodePart(jwt, index) {
+  return JSON.parse(Buffer.from(jwt.split('.')[index], 'base64url').toString('utf-8'));
+}
+
+test('an issued credential verifies against the published key document', () => {
+  const expiresAt = new Date(Date.now() + 3600000).toISOString();
+  const issued = credentials.issueCredential({ id: 'vc-agent', level: 2 }, expiresAt);
+
+  const header = decodePart(issued.jwt, 0);
+  assert.equal(header.alg, 'EdDSA');
+  assert.equal(header.kid, credentials.issuerDocument().keys[0].kid);
+
+  const result = credentials.verifyCredential(issued.jwt);
+  assert.equal(result.valid, true);
+  assert.equal(result.credential.credentialSubject.level, 2);
+  assert.equal(result.credential.id, issued.id);
+});
+
+test('tampering, foreign keys and expiry are all rejected', () => {
+  const expiresAt = new Date(Date.now() + 3600000).toISOString();
+  const { jwt } = credentials.issueCredential({ id: 'vc-agent', level: 2 }, expiresAt);
+  const [header, payload, signature] = jwt.split('.');
+
+  const promoted = decodePart(jwt, 1);
+  promoted.vc.credentialSubject.level = 5;
+  const forged = [header, Buffer.from(JSON.stringify(promoted)).toString('base64url'), signature].join('.');
+  assert.equal(credentials.verifyCredential(forged).error, 'Signature verification failed');
+
+  const otherIssuer = Object.assign({}, credentials.issuerDocument(), { keys: [] });
+  assert.match(credentials.verifyCredential(jwt, otherIssuer).error, /Unknown key id/);
+
+  const later = credentials.verifyCredential(jwt, undefined, Date.parse(expiresAt) + 1000);
+  assert.deepEqual([later.valid, later.expired], [false, true]);
+
+  assert.match(credentials.verifyCredential(`${header}.${payload}`).error, /Malformed/);
+});
+
+test('the credential route issues to live L1+ agents only, and its JWT verifies', async () => {
+  createAgent('vc-l2', 2);
+  const issued = await request(`${app.url}/api/self-verify/agent/vc-l2/credential`, 'GET');
+  assert.equal(issued.status, 200);
+  assert.equal(issued.body.expiresAt, new Date(db.getAgent('vc-l2').expires_at).toISOString());
+
+  const checked = await request(`${app.url}/api/self-verify/credential/verify`, 'POST', { credential: issued.body.credential });
+  assert.equal(checked.body.valid, true);
+  assert.deepEqual(checked.body.credential.credentialSubject.proofs, ['forum_identity', 'endpoint_control']);
+  assert.equal(db.getAuditLog('vc-l2').filter(e => e.action === 'credential_issued').length, 1);
+
+  createAgent('vc-l0', 0);
+  assert.equal((await request(`${app.url}/api/self-verify/agent/vc-l0/credential`, 'GET')).status, 400);
+  createAgent('vc-revoked', 2);
+  db.revokeAgent('vc-revoked', 'test');
+  assert.equal((await request(`${app.url}/api/self-verify/agent/vc-revoked/credential`, 'GET')).status, 403);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { freshDb, createAgent, keypair, serve, request } = require('./helpers');
+
+// The agent endpoint below listens on loopback
+process.env.FETCH_ALLOW_PRIVATE = 'true';
+// and serves codeUrl itself, so the repository check is the plain 2xx one
+process.env.CODE_URL_ALLOW_OTHER = 'true';
+
+let db;
+let endpointProof;
+let app;
+let agentServer;
+let wellKnown = {};
+
+/**
+ * An L1 agent registered in signed proof mode with `key`
+ */
+function createSignedAgent(id, key) {
+  const { setSignal, syncLevel } = require('../lib/signals');
+  db.createAgent({ id, challengeCode: 'code-' + id, proofPubkey: key.publicKey, ipHash: 'ip-' + id, termsVersion: '1' });
+  db.confirmAgent(id, 'tok_' + id);
+  setSignal(id, 'forum_identity', true, { test: true }, 'test');
+  syncLevel(id);
+  return db.getAgent(id);
+}
+
+before(async () => {
+  db = await freshDb();
+  endpointProof = require('../lib/endpointProof');
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+
+  const agentApp = express();
+  agentApp.get('/.well-known/moltlaunch.json', (req, res) => res.json(wellKnown));
+  agentApp.get('/code', (req, res) => res.send('source'));
+  agentServer = await new Promise(resolve => {
+    const listener = agentApp.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => agentServer.close(resolve));
+});
+
+test('a signed proof needs the outstanding nonce, a signature and the right origin', () => {
+  const key = keypair();
+  const agent = createSignedAgent('proof-unit', key);
+  const origin = 'https://proof-unit.example';
+  assert.equal(endpointProof.proofMode(agent), 'signed');
+  assert.equal(endpointProof.checkSignedProof(agent, origin, {}).reason, 'no_nonce');
+
+  const { nonce } = endpointProof.issueNonce(agent);
+  const issued = db.getAgent('proof-unit');
+  assert.equal(endpointProof.issueNonce(issued).nonce, nonce);
+  assert.equal(endpointProof.checkSignedProof(issued, origin, { nonce: 'other' }).reason, 'nonce_mismatch');
+  assert.equal(endpointProof.checkSignedProof(issued, origin, { nonce }).reason, 'missing_signature');
+
+  const signature = key.sign(endpointProof.buildProofMessage('proof-unit', nonce, origin));
+  assert.deepEqual(endpointProof.checkSignedProof(issued, `${origin}/api/`, { nonce, signature }), { valid: true });
+  assert.equal(endpointProof.checkSignedProof(issued, 'https://copy.example', { nonce, signature }).reason, 'invalid_signature');
+  assert.equal(endpointProof.checkSignedProof(issued, origin, { nonce, signature: keypair().sign('x') }).reason, 'invalid_signature');
+});
+
+test('token-mode agents cannot request a proof nonce', async () => {
+  createAgent('proof-token', 1);
+  const result = await request(`${app.url}/api/self-verify/verify/nonce?agentId=proof-token`, 'GET');
+  assert.equal(result.status, 400);
+});
+
+test('L2 in signed mode verifies the published proof and spends its nonce', async () => {
+  const key = keypair();
+  createSignedAgent('proof-l2', key);
+  const base = `http://127.0.0.1:${agentServer.address().port}`;
+
+  const issued = await request(`${app.url}/api/self-verify/verify/nonce?agentId=proof-l2&apiEndpoint=${encodeURIComponent(base)}`, 'GET');
+  assert.equal(issued.status, 200, JSON.stringify(issued.body));
+  assert.equal(issued.body.message, `moltlaunch:l2:proof-l2:${issued.body.nonce}:${base}`);
+
+  // The shared token alone is not accepted in signed mode
+  wellKnown = { agentId: 'proof-l2', token: 'tok_proof-l2' };
+  const tokenOnly = await request(`${app.url}/api/self-verify/verify`, 'POST', { agentId: 'proof-l2', apiEndpoint: base, codeUrl: `${base}/code` });
+  assert.equal(tokenOnly.status, 400);
+  assert.deepEqual(tokenOnly.body.failureDetails.map(f => f.reason), ['nonce_mismatch']);
+
+  wellKnown = { agentId: 'proof-l2', nonce: issued.body.nonce, signature: key.sign(issued.body.message) };
+  const verified = await request(`${app.url}/api/self-verify/verify`, 'POST', { agentId: 'proof-l2', apiEndpoint: base, codeUrl: `${base}/code` });
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+  assert.equal(db.getAgent('proof-l2').level, 2);
+  assert.equal(db.getAgent('proof-l2').proof_nonce, null);
+  assert.equal(require('../lib/signals').getSignals('proof-l2').endpoint_control.evidence.proofMode, 'signed');
+
+  // The same file cannot renew: its nonce is spent
+  const replay = await request(`${app.url}/api/self-verify/renew`, 'POST', { agentId: 'proof-l2' });
+  assert.equal(replay.status, 400);
+  assert.deepEqual(replay.body.failureDetails.map(f => f.reason), ['no_nonce']);
+});
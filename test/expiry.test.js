@@ -0,0 +1,86 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, createAgent, serve, request } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let db;
+let expiry;
+let anchorRetry;
+let app;
+
+before(async () => {
+  db = await freshDb();
+  expiry = require('../lib/expiry');
+  anchorRetry = require('../lib/anchorRetry');
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+});
+
+after(() => app.close());
+
+/**
+ * Create an agent as if it had registered (and confirmed) `daysAgo` days ago
+ */
+function agentFrom(daysAgo, id, { confirm = true } = {}) {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() - daysAgo * DAY_MS });
+  try {
+    createAgent(id, confirm ? 1 : 0);
+  } finally {
+    mock.timers.reset();
+  }
+  return db.getAgent(id);
+}
+
+test('an agent past expires_at is expired and decays after the grace period', () => {
+  const current = agentFrom(1, 'exp-current');
+  const expired = agentFrom(31, 'exp-expired');
+  assert.equal(expiry.isExpired(current), false);
+  assert.equal(expiry.decaysAt(current), null);
+  assert.equal(expiry.isExpired(expired), true);
+  assert.equal(expiry.decaysAt(expired), new Date(Date.parse(expired.expires_at) + expiry.GRACE_PERIOD_MS).toISOString());
+});
+
+test('the sweep marks expired agents once and decays L1 to L0 with a new challenge code', () => {
+  agentFrom(31, 'sweep-expired');
+  const old = agentFrom(45, 'sweep-decayed');
+
+  const first = expiry.sweep();
+  assert.ok(first.expired.includes('sweep-expired'));
+  assert.ok(first.decayed.includes('sweep-decayed'));
+  assert.deepEqual(expiry.sweep(), { expired: [], decayed: [] });
+
+  assert.equal(db.getAgent('sweep-expired').level, 1, 'expired agents keep their level');
+  const decayed = db.getAgent('sweep-decayed');
+  assert.equal(decayed.level, 0);
+  assert.notEqual(decayed.challenge_code, old.challenge_code);
+});
+
+test('an expired agent cannot upgrade before renewing', async () => {
+  agentFrom(31, 'gate-expired');
+  const result = await request(`${app.url}/api/self-verify/verify`, 'POST', {
+    agentId: 'gate-expired',
+    apiEndpoint: 'https://agent.example',
+    codeUrl: 'https://github.com/me/agent'
+  });
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error, 'Agent verification has expired');
+  assert.match(result.body.hint, /renew/);
+
+  for (const route of ['behavioral', 'depin', 'mobile']) {
+    const response = await request(`${app.url}/api/self-verify/${route}`, 'POST', {
+      agentId: 'gate-expired', provider: 'mock', devicePDA: 'x', challengeResponse: 'x', devicePubkey: 'x'
+    });
+    assert.equal(response.status, 403, route);
+    assert.equal(response.body.error, 'Agent verification has expired', route);
+  }
+});
+
+test('anchorOrQueue resolves to null instead of rejecting when the queue write fails', async () => {
+  const addPendingAnchor = db.addPendingAnchor;
+  db.addPendingAnchor = () => { throw new Error('disk full'); };
+  try {
+    assert.equal(await anchorRetry.anchorOrQueue('nobody', 'molt:sv:nobody:L1:expired:1'), null);
+  } finally {
+    db.addPendingAnchor = addPendingAnchor;
+  }
+});
@@ -0,0 +1,102 @@
+/**
+ * helpers.js — Shared setup for the node:test suites
+ *
+ * Each test file runs in its own process, so one fresh database per file is enough.
+ * Nothing here touches the network: routers are served on 127.0.0.1 and Solana
+ * calls are replaced by the tests that need them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point db.js at an empty database file and initialize it
+ * Call before anything requires db.js (the path is read when it loads).
+ * @returns {Promise<object>} the db module
+ */
+async function freshDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moltlaunch-test-'));
+  process.env.DB_PATH = path.join(dir, 'verify.db');
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  const db = require('../db');
+  await db.initDb();
+  return db;
+}
+
+/**
+ * Register an agent and raise it to `level` the way the routes do:
+ * each step's record plus its proof signal, then the derived level
+ * @returns {object} agents row
+ */
+function createAgent(id, level = 0) {
+  const db = require('../db');
+  const { setSignal, syncLevel, LEVEL_SIGNALS } = require('../lib/signals');
+  db.createAgent({ id, challengeCode: 'code-' + id, ipHash: 'ip-' + id, termsVersion: '1' });
+  if (level >= 1) db.confirmAgent(id, 'tok_' + id);
+  if (level >= 2) db.verifyAgent(id, { apiEndpoint: `https://${id}.example`, codeUrl: `https://github.com/${id}/agent` });
+  for (let l = 1; l <= level; l++) setSignal(id, LEVEL_SIGNALS[l], true, { test: true }, 'test');
+  syncLevel(id);
+  return db.getAgent(id);
+}
+
+/**
+ * A fresh Ed25519 key: base58 public key and a base64 signer, as wallets and devices send them
+ * @returns {{ publicKey: string, sign: (message: string) => string }}
+ */
+function keypair() {
+  const nacl = require('tweetnacl');
+  const { Keypair } = require('@solana/web3.js');
+  const key = Keypair.generate();
+  return {
+    publicKey: key.publicKey.toBase58(),
+    sign: message => Buffer.from(nacl.sign.detached(Buffer.from(message, 'utf-8'), key.secretKey)).toString('base64')
+  };
+}
+
+/**
+ * Serve routers on an ephemeral port
+ * @param {object} mounts - { mountPath: router or [routers] }
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+async function serve(mounts) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(mounts)) app.use(mountPath, router);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * JSON request against a served app
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function request(url, method, body, headers = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    parsed = text;
+  }
+  return { status: response.status, body: parsed };
+}
+
+module.exports = {
+  freshDb,
+  createAgent,
+  keypair,
+  serve,
+  request
+};
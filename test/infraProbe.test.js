@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { freshDb, createAgent, serve, request } = require('./helpers');
+
+// The agent endpoint below listens on loopback, and its responses carry a test header rule
+process.env.FETCH_ALLOW_PRIVATE = 'true';
+// and serves codeUrl itself, so the repository check is the plain 2xx one
+process.env.CODE_URL_ALLOW_OTHER = 'true';
+process.env.L2_PROBE_COUNT = '2';
+const hintsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moltlaunch-hints-'));
+process.env.HOSTING_HINTS_PATH = path.join(hintsDir, 'hints.json');
+fs.writeFileSync(process.env.HOSTING_HINTS_PATH, JSON.stringify({
+  ranges: [{ cidr: '104.16.0.0/13', provider: 'cloudflare', asn: 13335, type: 'cloud' }],
+  domains: [{ suffix: '.phala.network', provider: 'phala', type: 'tee' }],
+  headers: [{ header: 'x-enclave', provider: 'enclave-host', type: 'tee' }]
+}));
+process.on('exit', () => fs.rmSync(hintsDir, { recursive: true, force: true }));
+
+let db;
+let infraProbe;
+let app;
+let agentServer;
+let wellKnownRequests = 0;
+
+before(async () => {
+  db = await freshDb();
+  infraProbe = require('../lib/infraProbe');
+  app = await serve({ '/api/self-verify': [require('../routes/selfVerify'), require('../routes/status')] });
+
+  // The agent's own endpoint: the first well-known fetch (the L2 check) is quick, probes are slow
+  const agentApp = express();
+  agentApp.get('/.well-known/moltlaunch.json', (req, res) => {
+    const delay = wellKnownRequests++ === 0 ? 0 : 200;
+    setTimeout(() => {
+      res.set('x-enclave', 'yes');
+      res.json({ agentId: 'probe-agent', token: db.getAgent('probe-agent').challenge_token });
+    }, delay);
+  });
+  agentApp.get('/code', (req, res) => res.send('source'));
+  agentServer = await new Promise(resolve => {
+    const listener = agentApp.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => agentServer.close(resolve));
+});
+
+test('hosting hints establish cloud at most; tee and depin are only suggested', () => {
+  const cloudflare = infraProbe.collectHints('104.16.1.1', 'agent.example.com', { 'cf-ray': 'x' });
+  assert.deepEqual(cloudflare.map(h => [h.source, h.provider, h.asn]), [['ip', 'cloudflare', 13335]]);
+  assert.equal(infraProbe.classify(cloudflare), 'cloud');
+  assert.equal(infraProbe.suggestedType(cloudflare), null);
+
+  const phala = infraProbe.collectHints('8.8.8.8', 'my-agent.phala.network', {});
+  assert.equal(infraProbe.classify(phala), 'cloud');
+  assert.equal(infraProbe.suggestedType(phala), 'tee');
+
+  assert.equal(infraProbe.classify([]), 'unknown');
+});
+
+test('/verify answers before the probe, which then records its evidence', async () => {
+  createAgent('probe-agent', 1);
+  const base = `http://127.0.0.1:${agentServer.address().port}`;
+  const result = await request(`${app.url}/api/self-verify/verify`, 'POST', {
+    agentId: 'probe-agent', apiEndpoint: base, codeUrl: `${base}/code`
+  });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(result.body.level, 2);
+  assert.equal(result.body.infrastructure.status, 'probing');
+  const ext = db.getExtendedVerification('probe-agent');
+  assert.ok(!ext || !ext.infra_probe);
+
+  let probed = null;
+  for (let i = 0; i < 50 && !probed; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const row = db.getExtendedVerification('probe-agent');
+    probed = row && row.infra_probe ? JSON.parse(row.infra_probe) : null;
+  }
+  assert.ok(probed, 'probe was recorded');
+  assert.equal(probed.uptime.ok, 2);
+  assert.equal(probed.infraType, 'cloud');
+  assert.equal(probed.suggestedType, 'tee');
+  assert.equal(require('../lib/signals').getSignals('probe-agent').infra_type.value, 'cloud');
+
+  const profile = await request(`${app.url}/api/self-verify/agent/probe-agent`, 'GET');
+  assert.equal(profile.body.infrastructure.suggestedType, 'tee');
+});
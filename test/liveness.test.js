@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { freshDb, createAgent, keypair, serve, request } = require('./helpers');
+
+// Agent endpoints below listen on loopback
+process.env.FETCH_ALLOW_PRIVATE = 'true';
+// and serves codeUrl itself, so the repository check is the plain 2xx one
+process.env.CODE_URL_ALLOW_OTHER = 'true';
+process.env.LIVENESS_FAILURE_THRESHOLD = '2';
+process.env.LIVENESS_AUTO_DOWNGRADE = 'true';
+
+let db;
+let liveness;
+let signals;
+let computeTrustScore;
+let app;
+let agentServer;
+let base;
+const files = {}; // well-known file per agent id; missing = 404
+
+before(async () => {
+  db = await freshDb();
+  liveness = require('../lib/liveness');
+  signals = require('../lib/signals');
+  ({ computeTrustScore } = require('../lib/trustScore'));
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+
+  const agentApp = express();
+  agentApp.get('/:agentId/.well-known/moltlaunch.json', (req, res) => {
+    const file = files[req.params.agentId];
+    if (!file) return res.status(404).json({ error: 'not found' });
+    res.json(file);
+  });
+  agentApp.get('/code', (req, res) => res.send('source'));
+  agentServer = await new Promise(resolve => {
+    const listener = agentApp.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  base = `http://127.0.0.1:${agentServer.address().port}`;
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => agentServer.close(resolve));
+});
+
+/**
+ * Verify `id` at L2 through /verify, serving its token from the local endpoint
+ */
+async function verifyL2(id) {
+  files[id] = { agentId: id, token: db.getAgent(id).challenge_token };
+  const result = await request(`${app.url}/api/self-verify/verify`, 'POST', {
+    agentId: id, apiEndpoint: `${base}/${id}`, codeUrl: `${base}/code`
+  });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  return db.getAgent(id);
+}
+
+test('a served token passes; a missing file or wrong token fails with its reason', async () => {
+  createAgent('live-check', 1);
+  const agent = await verifyL2('live-check');
+  const passed = await liveness.checkEndpoint(agent);
+  assert.equal(passed.ok, true);
+  assert.equal(passed.status, 200);
+
+  files['live-check'] = { agentId: 'live-check', token: 'stale' };
+  assert.equal((await liveness.checkEndpoint(agent)).reason, 'token_mismatch');
+  delete files['live-check'];
+  assert.equal((await liveness.checkEndpoint(agent)).reason, 'http_status');
+});
+
+test('repeated failures raise liveness_failed, downgrade to L1 and cost trust score', async () => {
+  createAgent('live-down', 1);
+  const agent = await verifyL2('live-down');
+  const before = computeTrustScore(agent);
+  assert.equal(before.components.liveness.points, 0);
+
+  delete files['live-down'];
+  const first = await liveness.checkAgent(agent);
+  assert.equal(first.ok, false);
+  assert.ok(!first.failed);
+  assert.equal(db.getAgent('live-down').level, 2);
+
+  const second = await liveness.checkAgent(agent);
+  assert.equal(second.failed, true);
+  assert.equal(second.downgraded, true);
+  const downgraded = db.getAgent('live-down');
+  assert.equal(downgraded.level, 1);
+  assert.ok(signals.holds(signals.getSignals('live-down'), 'liveness_failed'));
+  assert.ok(db.getAuditLog('live-down').some(e => e.action === 'liveness_downgrade'));
+
+  // No longer monitored, so only a re-verification can clear the flag
+  assert.ok(!db.getMonitoredAgents().some(a => a.id === 'live-down'));
+  const score = computeTrustScore(downgraded);
+  assert.equal(score.components.liveness.points, -15);
+  assert.equal(score.components.liveness.failed, true);
+});
+
+test('a successful /verify clears liveness_failed', async () => {
+  const agent = await verifyL2('live-down');
+  assert.equal(agent.level, 2);
+  assert.equal(signals.holds(signals.getSignals('live-down'), 'liveness_failed'), false);
+  assert.equal(computeTrustScore(agent).components.liveness.points, 0);
+});
+
+test('the next passing check clears a raised flag', async () => {
+  createAgent('live-recover', 1);
+  const agent = await verifyL2('live-recover');
+  signals.setSignal('live-recover', 'liveness_failed', true, { test: true }, 'liveness');
+
+  const result = await liveness.checkAgent(agent);
+  assert.equal(result.recovered, true);
+  assert.equal(signals.holds(signals.getSignals('live-recover'), 'liveness_failed'), false);
+});
+
+test('signed-mode files must keep serving the last accepted proof', async () => {
+  const key = keypair();
+  db.createAgent({ id: 'live-signed', challengeCode: 'code-live-signed', proofPubkey: key.publicKey, ipHash: 'ip-live-signed', termsVersion: '1' });
+  db.confirmAgent('live-signed', 'tok_live-signed');
+  signals.setSignal('live-signed', 'forum_identity', true, { test: true }, 'test');
+  signals.syncLevel('live-signed');
+
+  const apiEndpoint = `${base}/live-signed`;
+  const issued = await request(`${app.url}/api/self-verify/verify/nonce?agentId=live-signed&apiEndpoint=${encodeURIComponent(apiEndpoint)}`, 'GET');
+  assert.equal(issued.status, 200, JSON.stringify(issued.body));
+  const proof = { agentId: 'live-signed', nonce: issued.body.nonce, signature: key.sign(issued.body.message) };
+  files['live-signed'] = proof;
+  const verified = await request(`${app.url}/api/self-verify/verify`, 'POST', { agentId: 'live-signed', apiEndpoint, codeUrl: `${base}/code` });
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+
+  const agent = db.getAgent('live-signed');
+  assert.equal(agent.proof_last_nonce, issued.body.nonce);
+  assert.equal((await liveness.checkEndpoint(agent)).ok, true);
+
+  files['live-signed'] = Object.assign({}, proof, { nonce: 'other' });
+  assert.equal((await liveness.checkEndpoint(agent)).reason, 'nonce_mismatch');
+  files['live-signed'] = Object.assign({}, proof, { signature: keypair().sign(issued.body.message) });
+  assert.equal((await liveness.checkEndpoint(agent)).reason, 'invalid_signature');
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTree, verifyProof } = require('../lib/merkle');
+
+const memos = [
+  'molt:sv:agent-a:L1:confirmed:1700000000',
+  'molt:sv:agent-b:L2:verified:1700000001',
+  'molt:depin:agent-c:io.net:1700000002',
+  'molt:sv:agent-d:L1:renewed:1700000003',
+  'molt:mobile:agent-e:1700000004'
+];
+
+test('every leaf proves against the root, including the odd one carried up', () => {
+  const { root, proofs } = buildTree(memos);
+  memos.forEach((memo, i) => assert.equal(verifyProof(memo, proofs[i], root), true, `leaf ${i}`));
+});
+
+test('a single memo is its own root with an empty proof', () => {
+  const { root, proofs } = buildTree([memos[0]]);
+  assert.deepEqual(proofs[0], []);
+  assert.equal(verifyProof(memos[0], [], root), true);
+});
+
+test('a different memo, another leaf\'s proof or another root fails', () => {
+  const { root, proofs } = buildTree(memos);
+  assert.equal(verifyProof('molt:sv:agent-a:L5:confirmed:1700000000', proofs[0], root), false);
+  assert.equal(verifyProof(memos[0], proofs[1], root), false);
+  assert.equal(verifyProof(memos[0], proofs[0], buildTree(memos.slice(1)).root), false);
+});
+
+test('a tampered or swapped proof step fails', () => {
+  const { root, proofs } = buildTree(memos);
+  const tampered = proofs[2].map(step => Object.assign({}, step));
+  tampered[0].hash = tampered[0].hash.replace(/^./, c => (c === '0' ? '1' : '0'));
+  assert.equal(verifyProof(memos[2], tampered, root), false);
+
+  const swapped = proofs[2].map(step => Object.assign({}, step, { side: step.side === 'left' ? 'right' : 'left' }));
+  assert.equal(verifyProof(memos[2], swapped, root), false);
+});
+
+test('a missing proof fails instead of throwing', () => {
+  const { root } = buildTree(memos);
+  assert.equal(verifyProof(memos[0], null, root), false);
+  assert.equal(verifyProof(memos[0], undefined, root), false);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, createAgent, keypair, serve, request } = require('./helpers');
+
+let db;
+let mobile;
+let app;
+
+before(async () => {
+  db = await freshDb();
+  mobile = require('../lib/mobile');
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+});
+
+after(() => app.close());
+
+function getChallenge(agentId) {
+  return request(`${app.url}/api/self-verify/mobile/challenge?agentId=${agentId}`, 'GET');
+}
+
+test('a signed challenge sets mobile_attestation', async () => {
+  createAgent('mob-ok', 1);
+  const device = keypair();
+  const { body } = await getChallenge('mob-ok');
+
+  const result = await request(`${app.url}/api/self-verify/mobile`, 'POST', {
+    agentId: 'mob-ok', challengeResponse: device.sign(body.challenge), devicePubkey: device.publicKey
+  });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(result.body.verified, true);
+  assert.equal(require('../lib/signals').getSignals('mob-ok').mobile_attestation.value, true);
+  assert.equal(db.getExtendedVerification('mob-ok').mobile_device_pubkey, device.publicKey);
+});
+
+test('a challenge is consumed by its first valid response', () => {
+  createAgent('mob-once', 1);
+  const device = keypair();
+  const { challenge } = mobile.generateChallenge('mob-once');
+  const signature = device.sign(challenge);
+
+  assert.deepEqual(mobile.verifyChallenge('mob-once', signature, device.publicKey), { valid: true, error: undefined });
+  const replay = mobile.verifyChallenge('mob-once', signature, device.publicKey);
+  assert.equal(replay.valid, false);
+  assert.match(replay.error, /already used/);
+
+  const attempts = db.getAuditLog('mob-once').filter(e => e.action === 'mobile_challenge_attempt');
+  assert.equal(attempts.length, 2);
+});
+
+test('a signature over another challenge or by another key is refused', () => {
+  createAgent('mob-wrong', 1);
+  const device = keypair();
+  mobile.generateChallenge('mob-wrong');
+  assert.equal(mobile.verifyChallenge('mob-wrong', device.sign('not-the-challenge'), device.publicKey).valid, false);
+
+  const { challenge } = mobile.generateChallenge('mob-wrong');
+  assert.equal(mobile.verifyChallenge('mob-wrong', device.sign(challenge), keypair().publicKey).valid, false);
+});
+
+test('outstanding challenges are capped per agent', async () => {
+  createAgent('mob-cap', 1);
+  for (let i = 0; i < 3; i++) assert.equal((await getChallenge('mob-cap')).status, 200);
+  const capped = await getChallenge('mob-cap');
+  assert.equal(capped.status, 429);
+  assert.ok(capped.body.retryAt > Date.now());
+});
+
+test('revoked and unconfirmed agents get no challenge', async () => {
+  createAgent('mob-revoked', 1);
+  db.revokeAgent('mob-revoked', 'test');
+  const revoked = await getChallenge('mob-revoked');
+  assert.equal(revoked.status, 403);
+  assert.equal(revoked.body.error, 'Agent verification has been revoked');
+  assert.equal(db.getOutstandingMobileChallenges('mob-revoked', Date.now()).length, 0);
+
+  createAgent('mob-l0', 0);
+  assert.equal((await getChallenge('mob-l0')).status, 400);
+});
@@ -0,0 +1,111 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair } = require('@solana/web3.js');
+const { freshDb, createAgent } = require('./helpers');
+
+const authority = Keypair.generate().publicKey;
+
+let db;
+let solana;
+let sas;
+const accounts = new Map(); // base58 address → account data
+let sent;
+
+before(async () => {
+  process.env.SOLANA_ANCHOR_PUBKEY = authority.toBase58();
+  db = await freshDb();
+  // Replaced before sas.js picks them up
+  solana = require('../lib/solana');
+  solana.isConfigured = () => true;
+  solana.memoInstruction = memo => ({ programId: solana.MEMO_PROGRAM_ID, keys: [], data: Buffer.from(memo) });
+  solana.sendInstructions = async (instructions, label) => {
+    sent.push({ instructions, label });
+    return `sig-${sent.length}`;
+  };
+  require('../lib/cluster').setConnection('anchor', {
+    getAccountInfo: async address => accounts.has(address.toBase58()) ? { data: accounts.get(address.toBase58()) } : null
+  });
+  sas = require('../lib/sas');
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+/**
+ * SAS instruction discriminators (first data byte) of a transaction, memos as 'memo'
+ */
+function kinds(transaction) {
+  return transaction.instructions.map(ix => ix.programId.equals(sas.PROGRAM_ID) ? ix.data[0] : 'memo');
+}
+
+test('attestation data round-trips through the schema layout', () => {
+  const fields = {
+    agent_id: 'sas-roundtrip', level: 3, level_label: 'behavioral', infra_type: 'cloud',
+    has_economic_stake: true, has_hardware_binding: false, proofs: 0b111, verified_until: 1767225600
+  };
+  assert.deepEqual(sas.decodeAttestationData(sas.encodeAttestationData(fields)), fields);
+});
+
+test('an agent\'s fields carry its level and one proof bit per held level signal', () => {
+  const agent = createAgent('sas-fields', 2);
+  const fields = sas.attestationFields(agent);
+  assert.equal(fields.level, 2);
+  assert.equal(fields.proofs, 0b11);
+  assert.equal(fields.verified_until, Math.floor(Date.parse(agent.expires_at) / 1000));
+});
+
+test('the first sync creates credential and schema, then the attestation with the memo', async () => {
+  createAgent('sas-new', 1);
+  const signature = await sas.syncAttestation('sas-new', 'molt:sv:sas-new:L1:confirmed:1');
+  assert.equal(signature, 'sig-3');
+  assert.deepEqual(sent.map(kinds), [[0], [1], ['memo', 6]]);
+
+  const keys = sas.addresses(authority, 'sas-new');
+  const [, , create] = sent;
+  assert.ok(create.instructions[1].keys.some(k => k.pubkey.equals(keys.attestation) && k.isWritable));
+});
+
+test('a changed agent has its attestation replaced; a revoked one only closed', async () => {
+  const keys = sas.addresses(authority, 'sas-new');
+  accounts.set(keys.credential.toBase58(), Buffer.alloc(1));
+  accounts.set(keys.schema.toBase58(), Buffer.alloc(1));
+  accounts.set(keys.attestation.toBase58(), Buffer.alloc(1));
+
+  await sas.syncAttestation('sas-new', 'molt:sv:sas-new:L1:renewed:2');
+  assert.deepEqual(sent.map(kinds), [[7], ['memo', 6]]);
+
+  sent = [];
+  db.revokeAgent('sas-new', 'test');
+  await sas.syncAttestation('sas-new', 'molt:sv:sas-new:L1:revoked:3');
+  assert.deepEqual(sent.map(kinds), [['memo', 7]]);
+});
+
+test('readAttestation decodes an attestation account', async () => {
+  const keys = sas.addresses(authority, 'sas-read');
+  const fields = {
+    agent_id: 'sas-read', level: 1, level_label: 'confirmed', infra_type: 'unknown',
+    has_economic_stake: false, has_hardware_binding: false, proofs: 1, verified_until: 1767225600
+  };
+  const data = sas.encodeAttestationData(fields);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(data.length);
+  const expiry = Buffer.alloc(8);
+  expiry.writeBigInt64LE(1767225600n);
+  accounts.set(keys.attestation.toBase58(), Buffer.concat([
+    Buffer.from([2]), keys.nonce.toBuffer(), keys.credential.toBuffer(), keys.schema.toBuffer(),
+    length, data, authority.toBuffer(), expiry
+  ]));
+
+  const result = await sas.readAttestation('sas-read');
+  assert.equal(result.exists, true);
+  assert.deepEqual(result.data, fields);
+  assert.equal(result.signer, authority.toBase58());
+  assert.equal(result.expiry, 1767225600);
+  assert.equal((await sas.readAttestation('sas-absent')).exists, false);
+});
+
+test('the memo backend is the default', () => {
+  const { getBackend } = require('../lib/attestation');
+  assert.equal(getBackend().name, 'memo');
+});
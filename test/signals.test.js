@@ -0,0 +1,70 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, createAgent } = require('./helpers');
+
+let db;
+let signals;
+
+before(async () => {
+  db = await freshDb();
+  signals = require('../lib/signals');
+});
+
+function stored(values) {
+  const result = {};
+  for (const [name, value] of Object.entries(values)) result[name] = { value, evidence: null };
+  return result;
+}
+
+test('the level is the highest proof signal with every one below it holding', () => {
+  assert.equal(signals.deriveLevel({}), 0);
+  assert.equal(signals.deriveLevel(stored({ forum_identity: true, endpoint_control: true })), 2);
+  // Behavioral without endpoint control doesn't count towards a level
+  assert.equal(signals.deriveLevel(stored({ forum_identity: true, behavioral_fingerprint: true })), 1);
+  assert.equal(signals.deriveLevel(stored({ forum_identity: false, endpoint_control: true })), 0);
+});
+
+test('syncLevel stores the derived level and reports changes', () => {
+  createAgent('sync-agent', 1);
+  signals.setSignal('sync-agent', 'endpoint_control', true, null, 'test');
+  assert.deepEqual(signals.syncLevel('sync-agent'), { level: 2, label: 'verified', previousLevel: 1, changed: true });
+  assert.equal(db.getAgent('sync-agent').level, 2);
+  assert.equal(signals.syncLevel('sync-agent').changed, false);
+});
+
+test('clearAbove invalidates higher proof signals and keeps the rest', () => {
+  createAgent('clear-agent', 3);
+  const result = signals.clearAbove('clear-agent', 1, 'admin_override');
+  assert.equal(result.level, 1);
+  const current = signals.getSignals('clear-agent');
+  assert.equal(current.forum_identity.value, true);
+  assert.equal(current.endpoint_control.value, false);
+  assert.deepEqual(current.behavioral_fingerprint.evidence, { reason: 'admin_override' });
+});
+
+test('hardware binding needs a real DePIN device or a mobile attestation', () => {
+  createAgent('hw-mock', 1);
+  signals.setSignal('hw-mock', 'depin_binding', true, { provider: 'mock', isReal: false }, 'test');
+  assert.equal(signals.refreshHardwareBinding('hw-mock'), false);
+
+  createAgent('hw-real', 1);
+  signals.setSignal('hw-real', 'depin_binding', true, { provider: 'nosana', isReal: true }, 'test');
+  signals.setSignal('hw-real', 'infra_type', 'depin', null, 'test');
+  assert.equal(signals.refreshHardwareBinding('hw-real'), true);
+  assert.deepEqual(signals.getSignals('hw-real').has_hardware_binding.evidence, { methods: ['depin'] });
+
+  // Losing the device drops the binding and the depin infra type with it
+  signals.setSignal('hw-real', 'depin_binding', false, null, 'test');
+  assert.equal(signals.refreshHardwareBinding('hw-real'), false);
+  assert.equal(signals.getSignals('hw-real').infra_type.value, 'unknown');
+});
+
+test('requirements list every missing signal, including a minimum infra type', () => {
+  const current = stored({ has_economic_stake: true, infra_type: 'cloud' });
+  assert.deepEqual(signals.checkRequirements(current, ['has_economic_stake'], 'cloud'), { satisfied: true, missing: [] });
+  assert.deepEqual(
+    signals.checkRequirements(current, ['has_economic_stake', 'has_hardware_binding'], 'tee'),
+    { satisfied: false, missing: ['has_hardware_binding', 'infra_type>=tee'] }
+  );
+  assert.equal(signals.composableView({}).infra_type.value, 'unknown');
+});
@@ -0,0 +1,113 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { freshDb, createAgent, keypair, serve, request } = require('./helpers');
+
+let db;
+let stake;
+let app;
+const balances = {};
+
+// Just enough of a Connection for readStake: a SOL balance, no tokens or stake accounts
+const connection = {
+  getBalance: async owner => balances[owner.toBase58()] || 0,
+  getSlot: async () => 1234,
+  getParsedTokenAccountsByOwner: async () => ({ value: [] }),
+  getParsedProgramAccounts: async () => []
+};
+
+before(async () => {
+  db = await freshDb();
+  stake = require('../lib/stake');
+  stake.setConnection(connection);
+  app = await serve({ '/api/self-verify': require('../routes/selfVerify') });
+});
+
+after(() => app.close());
+
+/**
+ * Request a challenge for the wallet and submit its signature
+ */
+async function submitStake(agentId, wallet) {
+  const challenge = await request(`${app.url}/api/self-verify/stake/challenge?agentId=${agentId}&wallet=${wallet.publicKey}`, 'GET');
+  assert.equal(challenge.status, 200, JSON.stringify(challenge.body));
+  return request(`${app.url}/api/self-verify/stake`, 'POST', {
+    agentId,
+    wallet: wallet.publicKey,
+    signature: wallet.sign(challenge.body.message)
+  });
+}
+
+test('a signed challenge and enough SOL set has_economic_stake and score the stake component', async () => {
+  createAgent('stake-rich', 1);
+  const wallet = keypair();
+  balances[wallet.publicKey] = 2 * LAMPORTS_PER_SOL;
+
+  const result = await submitStake('stake-rich', wallet);
+  assert.equal(result.status, 200);
+  assert.equal(result.body.hasEconomicStake, true);
+  assert.equal(result.body.sol, 2);
+  assert.deepEqual(result.body.qualifiedBy, ['sol']);
+
+  const { getSignals } = require('../lib/signals');
+  assert.equal(getSignals('stake-rich').has_economic_stake.value, true);
+  assert.equal(db.getAgent('stake-rich').wallet, wallet.publicKey);
+
+  const score = require('../lib/trustScore').computeTrustScore(db.getAgent('stake-rich'));
+  assert.deepEqual([score.components.stake.points, score.components.stake.sol], [10, 2]);
+});
+
+test('a wallet below the minimum is recorded without stake', async () => {
+  createAgent('stake-poor', 1);
+  const wallet = keypair();
+  balances[wallet.publicKey] = 0.01 * LAMPORTS_PER_SOL;
+  const result = await submitStake('stake-poor', wallet);
+  assert.equal(result.body.hasEconomicStake, false);
+  assert.deepEqual(result.body.qualifiedBy, []);
+});
+
+test('a challenge is single use and bound to the wallet that asked for it', async () => {
+  createAgent('stake-replay', 1);
+  const wallet = keypair();
+  const challenge = await request(`${app.url}/api/self-verify/stake/challenge?agentId=stake-replay&wallet=${wallet.publicKey}`, 'GET');
+  const body = { agentId: 'stake-replay', wallet: wallet.publicKey, signature: wallet.sign(challenge.body.message) };
+
+  const other = keypair();
+  const wrongWallet = await request(`${app.url}/api/self-verify/stake`, 'POST', Object.assign({}, body, { wallet: other.publicKey }));
+  assert.equal(wrongWallet.status, 400);
+
+  assert.equal((await request(`${app.url}/api/self-verify/stake`, 'POST', body)).status, 200);
+  const replay = await request(`${app.url}/api/self-verify/stake`, 'POST', body);
+  assert.equal(replay.status, 400);
+  assert.match(replay.body.details, /already used/);
+});
+
+test('a shared wallet flags both agents once, however often it is resubmitted', async () => {
+  const wallet = keypair();
+  createAgent('stake-twin-a', 1);
+  createAgent('stake-twin-b', 1);
+  await submitStake('stake-twin-a', wallet);
+  await submitStake('stake-twin-b', wallet);
+  await submitStake('stake-twin-b', wallet);
+  await submitStake('stake-twin-a', wallet);
+
+  for (const id of ['stake-twin-a', 'stake-twin-b']) {
+    const signals = db.getSybilSignals(id).filter(s => s.signal_type === 'wallet_cluster');
+    assert.deepEqual(signals.map(s => s.signal_value), [wallet.publicKey], id);
+  }
+  assert.equal(db.addSybilSignal('stake-twin-a', 'wallet_cluster', wallet.publicKey), false);
+  assert.equal(db.addSybilSignal('stake-twin-a', 'wallet_cluster', 'another-wallet'), true);
+});
+
+test('an expired agent has to renew before proving stake', async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() - 31 * 24 * 60 * 60 * 1000 });
+  try {
+    createAgent('stake-expired', 1);
+  } finally {
+    mock.timers.reset();
+  }
+  const wallet = keypair();
+  const result = await request(`${app.url}/api/self-verify/stake`, 'POST', { agentId: 'stake-expired', wallet: wallet.publicKey, signature: 'x' });
+  assert.equal(result.status, 403);
+  assert.equal(result.body.error, 'Agent verification has expired');
+});
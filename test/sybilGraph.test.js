@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, serve, request } = require('./helpers');
+
+let db;
+let sybilGraph;
+let app;
+const headers = { 'X-Admin-Key': 'test-admin-key' };
+
+before(async () => {
+  process.env.ADMIN_KEY = 'test-admin-key';
+  db = await freshDb();
+  sybilGraph = require('../lib/sybilGraph');
+  app = await serve({ '/admin': require('../routes/admin') });
+});
+
+after(() => app.close());
+
+function agentWith(id, ipHash) {
+  db.createAgent({ id, challengeCode: 'code-' + id, ipHash, termsVersion: '1' });
+}
+
+test('agents sharing an attribute form one cluster, loners form none', () => {
+  agentWith('ring-a', 'shared-ip');
+  agentWith('ring-b', 'shared-ip');
+  agentWith('ring-c', 'ip-c');
+  agentWith('loner', 'ip-loner');
+  db.verifyAgent('ring-b', { apiEndpoint: 'https://ring.example', codeUrl: 'https://github.com/ring/b' });
+  db.verifyAgent('ring-c', { apiEndpoint: 'https://ring.example', codeUrl: 'https://github.com/ring/c' });
+
+  const clusters = sybilGraph.buildClusters();
+  assert.equal(clusters.length, 1);
+  const [cluster] = clusters;
+  assert.deepEqual(cluster.members.map(m => m.agentId), ['ring-a', 'ring-b', 'ring-c']);
+  assert.deepEqual(cluster.linkTypes, { ip_hash: 1, endpoint: 1 });
+  // ip_hash 10 + endpoint 20 + one member beyond two
+  assert.equal(cluster.riskScore, 35);
+  assert.equal(cluster.clusterId, sybilGraph.clusterIdFor(['ring-c', 'ring-a', 'ring-b']));
+});
+
+test('a behavioral pair signalled on both agents is one link', () => {
+  agentWith('twin-x', 'ip-x');
+  agentWith('twin-y', 'ip-y');
+  db.addSybilSignal('twin-x', 'behavioral_similarity', 'counterpart=twin-y;similarity=0.97');
+  db.addSybilSignal('twin-y', 'behavioral_similarity', 'counterpart=twin-x;similarity=0.97');
+
+  const cluster = sybilGraph.buildClusters().find(c => c.members.some(m => m.agentId === 'twin-x'));
+  assert.deepEqual(cluster.linkTypes, { behavioral_similarity: 1 });
+  assert.equal(cluster.riskScore, 30);
+});
+
+test('the cluster list filters by risk, agent and decision status', async () => {
+  const all = await request(`${app.url}/admin/sybil/clusters`, 'GET', undefined, headers);
+  assert.equal(all.body.count, 2);
+  assert.equal(all.body.clusters[0].riskScore, 35);
+
+  const risky = await request(`${app.url}/admin/sybil/clusters?minRisk=32`, 'GET', undefined, headers);
+  assert.equal(risky.body.count, 1);
+  const byAgent = await request(`${app.url}/admin/sybil/clusters?agentId=twin-y`, 'GET', undefined, headers);
+  assert.equal(byAgent.body.clusters[0].size, 2);
+  assert.equal((await request(`${app.url}/admin/sybil/clusters?status=maybe`, 'GET', undefined, headers)).status, 400);
+});
+
+test('confirming a cluster revokes its members; a membership change needs a new review', async () => {
+  const [cluster] = sybilGraph.buildClusters();
+  const url = `${app.url}/admin/sybil/clusters/${cluster.clusterId}`;
+
+  assert.equal((await request(`${url}/decision`, 'POST', { status: 'confirmed_sybil' }, headers)).status, 400);
+  const decided = await request(`${url}/decision`, 'POST', { status: 'confirmed_sybil', reason: 'one operator' }, headers);
+  assert.equal(decided.status, 200);
+  assert.deepEqual(decided.body.revoked, ['ring-a', 'ring-b', 'ring-c']);
+  assert.equal(db.getAgent('ring-a').revoked, 1);
+
+  const undecided = await request(`${app.url}/admin/sybil/clusters?status=undecided`, 'GET', undefined, headers);
+  assert.deepEqual(undecided.body.clusters.map(c => c.size), [2]);
+
+  agentWith('ring-d', 'shared-ip');
+  assert.equal((await request(url, 'GET', undefined, headers)).status, 404);
+  const regrown = sybilGraph.buildClusters()[0];
+  assert.equal(regrown.size, 4);
+  assert.equal(regrown.decision, null);
+});
@@ -0,0 +1,65 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { freshDb, createAgent } = require('./helpers');
+
+let db;
+let computeTrustScore;
+let SCORE_VERSION;
+
+before(async () => {
+  db = await freshDb();
+  ({ computeTrustScore, SCORE_VERSION } = require('../lib/trustScore'));
+});
+
+
+test('a freshly verified L2 agent scores its level plus full freshness', () => {
+  const result = computeTrustScore(createAgent('score-l2', 2));
+  assert.equal(result.version, SCORE_VERSION);
+  assert.equal(SCORE_VERSION, 'v5');
+  assert.equal(result.components.level.points, 20);
+  assert.ok(result.components.freshness.points > 9.9);
+  assert.equal(result.components.stake.points, 0);
+  assert.equal(result.score, 30);
+  const max = Object.values(result.components).reduce((sum, c) => sum + c.max, 0);
+  assert.equal(max, 100);
+});
+
+test('freshness is zero once expired', () => {
+  const agent = Object.assign(createAgent('score-expired', 1), { expires_at: new Date(Date.now() - 1000).toISOString() });
+  const result = computeTrustScore(agent);
+  assert.equal(result.components.freshness.points, 0);
+  assert.equal(result.components.freshness.expired, true);
+  assert.equal(result.score, 10);
+});
+
+test('sybil signals are weighted by type and the penalty is capped', () => {
+  const agent = createAgent('score-sybil', 2);
+  db.addSybilSignal(agent.id, 'ip_cluster', 'a');
+  db.addSybilSignal(agent.id, 'endpoint_cluster', 'b');
+  db.addSybilSignal(agent.id, 'wallet_cluster', 'w');
+  db.addSybilSignal(agent.id, 'something_new', 'c');
+  const result = computeTrustScore(agent);
+  assert.equal(result.components.sybil.points, -30);
+  assert.deepEqual(result.components.sybil.signals, { ip_cluster: 1, endpoint_cluster: 1, wallet_cluster: 1, something_new: 1 });
+
+  for (let i = 0; i < 2; i++) db.addSybilSignal(agent.id, 'behavioral_similarity', 'peer-' + i);
+  assert.equal(computeTrustScore(agent).components.sybil.points, -40);
+  assert.equal(computeTrustScore(agent).score, 0);
+});
+
+test('reused confirming identities are penalised by provider', () => {
+  const agent = createAgent('score-identity', 2);
+  db.addSybilSignal(agent.id, 'github_owner', 'octo');
+  db.addSybilSignal(agent.id, 'domain_cluster', 'agent.example.com');
+  assert.equal(computeTrustScore(agent).components.sybil.points, -20);
+  db.addSybilSignal(agent.id, 'colosseum_account', 'acct-1');
+  assert.equal(computeTrustScore(agent).components.sybil.points, -35);
+});
+
+test('revoked agents score 0 whatever their components', () => {
+  const agent = Object.assign(createAgent('score-revoked', 2), { revoked: 1 });
+  const result = computeTrustScore(agent);
+  assert.equal(result.score, 0);
+  assert.equal(result.revoked, true);
+  assert.equal(result.components.level.points, 20);
+});
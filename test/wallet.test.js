@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { freshDb, serve, request } = require('./helpers');
+
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moltlaunch-wallet-'));
+const keyPath = path.join(keyDir, 'anchor.json');
+const original = Keypair.generate();
+
+let db;
+let wallet;
+let app;
+let lamports = LAMPORTS_PER_SOL;
+
+before(async () => {
+  fs.writeFileSync(keyPath, JSON.stringify(Array.from(original.secretKey)));
+  process.env.SOLANA_KEYPAIR_PATH = keyPath;
+  process.env.ADMIN_KEY = 'test-admin-key';
+  db = await freshDb();
+  require('../lib/cluster').setConnection('anchor', { getBalance: async () => lamports });
+  wallet = require('../lib/wallet');
+  app = await serve({ '/admin': require('../routes/admin') });
+});
+
+after(() => {
+  app.close();
+  fs.rmSync(keyDir, { recursive: true, force: true });
+});
+
+function auditActions(action) {
+  return db.fullDump().audit_log.filter(e => e.action === action);
+}
+
+test('a keypair file is loaded and recorded as the active key', () => {
+  const status = wallet.getStatus();
+  assert.deepEqual([status.configured, status.source, status.pubkey], [true, 'file', original.publicKey.toBase58()]);
+  assert.deepEqual(status.history.map(k => [k.pubkey, k.retiredAt]), [[original.publicKey.toBase58(), null]]);
+});
+
+test('a low balance alerts once on the way down, not on every check', async () => {
+  assert.equal((await wallet.checkBalance()).low, false);
+
+  lamports = 0.01 * LAMPORTS_PER_SOL;
+  const status = await wallet.checkBalance();
+  assert.deepEqual([status.low, status.balanceSol], [true, 0.01]);
+  await wallet.checkBalance();
+  assert.equal(auditActions('wallet_low_balance').length, 1);
+});
+
+test('rotation writes a new key, keeps the old one and publishes both', async () => {
+  const result = await wallet.rotate({ transfer: false });
+  assert.equal(result.previous, original.publicKey.toBase58());
+  assert.notEqual(result.current, result.previous);
+
+  const onDisk = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(keyPath, 'utf-8'))));
+  assert.equal(onDisk.publicKey.toBase58(), result.current);
+  assert.equal((fs.statSync(keyPath).mode & 0o777).toString(8), '600');
+  const backup = JSON.parse(fs.readFileSync(`${keyPath}.${result.previous}.bak`, 'utf-8'));
+  assert.deepEqual(backup, Array.from(original.secretKey));
+
+  const history = wallet.getKeyHistory();
+  assert.deepEqual(history.map(k => k.pubkey), [result.current, result.previous]);
+  assert.equal(history[0].retiredAt, null);
+  assert.ok(history[1].retiredAt);
+  assert.equal(auditActions('wallet_rotated').length, 1);
+});
+
+test('only keypair-file keys rotate at runtime', async () => {
+  const custom = Keypair.generate();
+  wallet.setSigner({ publicKey: custom.publicKey, source: 'kms', sign: async () => new Uint8Array(64) });
+
+  const result = await request(`${app.url}/admin/wallet/rotate`, 'POST', {}, { 'X-Admin-Key': 'test-admin-key' });
+  assert.equal(result.status, 400);
+  assert.equal(result.body.source, 'kms');
+  await assert.rejects(wallet.rotate(), /SOLANA_KEYPAIR_PATH/);
+  assert.equal(wallet.getKeyHistory()[0].pubkey, custom.publicKey.toBase58());
+});
+
+test('fee failures are recognised', () => {
+  assert.equal(wallet.isInsufficientFunds(new Error('Attempt to debit an account but found no record of a prior credit.')), true);
+  assert.equal(wallet.isInsufficientFunds(new Error('Blockhash not found')), false);
+});
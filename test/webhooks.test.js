@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { freshDb, createAgent, keypair, serve, request } = require('./helpers');
+
+// The receiver below listens on loopback
+process.env.FETCH_ALLOW_PRIVATE = 'true';
+process.env.WEBHOOK_API_KEYS = 'partner:key_partner';
+
+let db;
+let webhooks;
+let sign;
+let app;
+let receiver;
+let receiverUrl;
+const received = [];
+let receiverStatus = 200;
+
+const secret = 'whsec_test';
+const body = JSON.stringify({ id: 'evt_1', event: 'verify', agentId: 'agent-a' });
+
+before(async () => {
+  db = await freshDb();
+  webhooks = require('../lib/webhooks');
+  ({ sign } = webhooks);
+  app = await serve({ '/api/self-verify/webhooks': require('../routes/webhooks') });
+
+  const receiverApp = express();
+  receiverApp.use(express.text({ type: '*/*' }));
+  receiverApp.post('/hook', (req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    res.status(receiverStatus).end();
+  });
+  receiver = await new Promise(resolve => {
+    const listener = receiverApp.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+/**
+ * An L1 agent in signed proof mode with `key`
+ */
+function createSignedAgent(id, key) {
+  const { setSignal, syncLevel } = require('../lib/signals');
+  db.createAgent({ id, challengeCode: 'code-' + id, proofPubkey: key.publicKey, ipHash: 'ip-' + id, termsVersion: '1' });
+  db.confirmAgent(id, 'tok_' + id);
+  setSignal(id, 'forum_identity', true, { test: true }, 'test');
+  syncLevel(id);
+}
+
+test('the header is t={timestamp},v1={hex HMAC-SHA256(secret, "{t}.{body}")}', () => {
+  const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+  assert.equal(sign(secret, 1700000000, body), `t=1700000000,v1=${expected}`);
+});
+
+test('the signature changes with the secret, the timestamp and the body', () => {
+  const header = sign(secret, 1700000000, body);
+  assert.notEqual(sign('whsec_other', 1700000000, body), header);
+  assert.notEqual(sign(secret, 1700000001, body), header);
+  assert.notEqual(sign(secret, 1700000000, body + ' '), header);
+});
+
+test('a receiver can check the header with nothing but the secret', () => {
+  const header = sign(secret, 1700000000, body);
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const digest = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  assert.equal(crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(digest, 'hex')), true);
+});
+
+test('an agent ID alone does not authenticate; a proof-key signature over a fresh nonce does', async () => {
+  const key = keypair();
+  createSignedAgent('hook-agent', key);
+  const subscribe = headers => request(`${app.url}/api/self-verify/webhooks`, 'POST', { agentId: 'hook-agent', url: receiverUrl, events: ['revoke'] }, headers);
+
+  const unsigned = await subscribe();
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.body.message, 'moltlaunch:webhooks:hook-agent:{nonce}');
+
+  const { message } = (await request(`${app.url}/api/self-verify/webhooks/nonce?agentId=hook-agent`, 'GET')).body;
+  assert.equal((await subscribe({ 'X-Agent-Signature': keypair().sign(message) })).status, 401);
+
+  const signature = key.sign(message);
+  const created = await subscribe({ 'X-Agent-Signature': signature });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.ok(created.body.secret);
+
+  // The nonce is single use
+  assert.equal((await subscribe({ 'X-Agent-Signature': signature })).status, 401);
+});
+
+test('token-mode agents are told to use an API key', async () => {
+  createAgent('hook-token', 1);
+  const result = await request(`${app.url}/api/self-verify/webhooks/nonce?agentId=hook-token`, 'GET');
+  assert.equal(result.status, 403);
+  assert.match(result.body.error, /X-Api-Key/);
+});
+
+test('events reach matching subscriptions signed with their secret; failures can be replayed', async () => {
+  const apiKey = { 'X-Api-Key': 'key_partner' };
+  assert.equal((await request(`${app.url}/api/self-verify/webhooks`, 'GET', undefined, { 'X-Api-Key': 'key_unknown' })).status, 401);
+  const created = await request(`${app.url}/api/self-verify/webhooks`, 'POST', { url: receiverUrl, agentIds: ['hook-subject'], events: ['verify'] }, apiKey);
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  createAgent('hook-subject', 2);
+
+  assert.equal(webhooks.emit('confirm', 'hook-subject'), null);
+  received.length = 0;
+  const eventId = webhooks.emit('verify', 'hook-subject', { apiEndpoint: 'https://hook-subject.example' });
+  assert.ok(eventId);
+  for (let i = 0; i < 50 && !received.length; i++) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(received.length, 1);
+  const delivered = received[0];
+  assert.equal(JSON.parse(delivered.body).id, eventId);
+  assert.equal(delivered.headers['x-moltlaunch-event'], 'verify');
+  const t = delivered.headers['x-moltlaunch-signature'].match(/^t=(\d+),/)[1];
+  assert.equal(delivered.headers['x-moltlaunch-signature'], sign(created.body.secret, Number(t), delivered.body));
+
+  // A failing receiver leaves the delivery pending; a replay sends the same event again
+  receiverStatus = 500;
+  webhooks.emit('verify', 'hook-subject');
+  let log;
+  for (let i = 0; i < 50; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    log = (await request(`${app.url}/api/self-verify/webhooks/${created.body.id}/deliveries?status=pending`, 'GET', undefined, apiKey)).body;
+    if (log.count && log.deliveries[0].attempts) break;
+  }
+  assert.equal(log.deliveries[0].responseStatus, 500);
+
+  receiverStatus = 200;
+  const replayed = await request(`${app.url}/api/self-verify/webhooks/${created.body.id}/deliveries/${log.deliveries[0].id}/replay`, 'POST', {}, apiKey);
+  assert.equal(replayed.status, 200, JSON.stringify(replayed.body));
+  assert.equal(replayed.body.success, true);
+  assert.equal(replayed.body.delivery.eventId, log.deliveries[0].eventId);
+  assert.equal(replayed.body.delivery.replayOf, log.deliveries[0].id);
+});